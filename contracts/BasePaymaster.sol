@@ -0,0 +1,85 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IEntryPoint.sol";
+import "./interfaces/IPaymaster.sol";
+
+/**
+ * @title BasePaymaster
+ * @notice Ownership and EntryPoint deposit/stake management shared by the paymasters
+ * @dev The deposit pays for sponsored ops; the stake lets bundlers accept a paymaster that
+ *      reads storage during validation
+ */
+abstract contract BasePaymaster is IPaymaster {
+    uint256 internal constant SIG_VALIDATION_FAILED = 1;
+
+    IEntryPoint public immutable entryPoint;
+
+    address public owner;
+
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only owner");
+        _;
+    }
+
+    modifier onlyEntryPoint() {
+        require(msg.sender == address(entryPoint), "Only EntryPoint");
+        _;
+    }
+
+    constructor(IEntryPoint _entryPoint) {
+        entryPoint = _entryPoint;
+        owner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+    }
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "Invalid owner");
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+
+    // ===================== Deposit =====================
+
+    // Anyone may top up the deposit that pays for sponsored ops
+    function deposit() external payable {
+        entryPoint.depositTo{value: msg.value}(address(this));
+    }
+
+    function withdrawTo(address payable withdrawAddress, uint256 amount) external onlyOwner {
+        entryPoint.withdrawTo(withdrawAddress, amount);
+    }
+
+    function getDeposit() external view returns (uint256) {
+        return entryPoint.balanceOf(address(this));
+    }
+
+    // ===================== Stake =====================
+
+    function addStake(uint32 unstakeDelaySec) external payable onlyOwner {
+        entryPoint.addStake{value: msg.value}(unstakeDelaySec);
+    }
+
+    // The stake can be withdrawn unstakeDelaySec after this
+    function unlockStake() external onlyOwner {
+        entryPoint.unlockStake();
+    }
+
+    function withdrawStake(address payable withdrawAddress) external onlyOwner {
+        entryPoint.withdrawStake(withdrawAddress);
+    }
+
+    // ===================== Internal Functions =====================
+
+    function _packValidationData(bool sigFailed, uint48 validUntil, uint48 validAfter)
+        internal
+        pure
+        returns (uint256)
+    {
+        return (sigFailed ? SIG_VALIDATION_FAILED : 0)
+            | (uint256(validUntil) << 160)
+            | (uint256(validAfter) << 208);
+    }
+}
@@ -20,4 +20,10 @@ interface IEntryPoint {
     function depositTo(address account) external payable;
     function withdrawTo(address payable withdrawAddress, uint256 withdrawAmount) external;
     function getUserOpHash(UserOperation calldata userOp) external view returns (bytes32);
+    function getSenderAddress(bytes calldata initCode) external;
+    function getNonce(address sender, uint192 key) external view returns (uint256);
+    function balanceOf(address account) external view returns (uint256);
+    function addStake(uint32 unstakeDelaySec) external payable;
+    function unlockStake() external;
+    function withdrawStake(address payable withdrawAddress) external;
 }
@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ITokenReceivers.sol";
+
+// Mintable ERC-1155 for local testing: balances and the safe transfer checks, no operators or URIs
+contract MockERC1155 {
+    mapping(uint256 => mapping(address => uint256)) public balanceOf;
+
+    event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value);
+    event TransferBatch(
+        address indexed operator,
+        address indexed from,
+        address indexed to,
+        uint256[] ids,
+        uint256[] values
+    );
+
+    // Anyone can mint: this token only exists on test networks
+    function mint(address to, uint256 id, uint256 value) external {
+        balanceOf[id][to] += value;
+        emit TransferSingle(msg.sender, address(0), to, id, value);
+    }
+
+    function safeTransferFrom(address from, address to, uint256 id, uint256 value, bytes calldata data) external {
+        require(msg.sender == from, "ERC1155: not the owner");
+        _move(from, to, id, value);
+        emit TransferSingle(msg.sender, from, to, id, value);
+
+        if (to.code.length > 0) {
+            require(
+                IERC1155Receiver(to).onERC1155Received(msg.sender, from, id, value, data)
+                    == IERC1155Receiver.onERC1155Received.selector,
+                "ERC1155: transfer to non ERC1155Receiver implementer"
+            );
+        }
+    }
+
+    function safeBatchTransferFrom(
+        address from,
+        address to,
+        uint256[] calldata ids,
+        uint256[] calldata values,
+        bytes calldata data
+    ) external {
+        require(msg.sender == from, "ERC1155: not the owner");
+        require(ids.length == values.length, "ERC1155: ids and values length mismatch");
+        for (uint256 i = 0; i < ids.length; i++) {
+            _move(from, to, ids[i], values[i]);
+        }
+        emit TransferBatch(msg.sender, from, to, ids, values);
+
+        if (to.code.length > 0) {
+            require(
+                IERC1155Receiver(to).onERC1155BatchReceived(msg.sender, from, ids, values, data)
+                    == IERC1155Receiver.onERC1155BatchReceived.selector,
+                "ERC1155: transfer to non ERC1155Receiver implementer"
+            );
+        }
+    }
+
+    function _move(address from, address to, uint256 id, uint256 value) internal {
+        require(to != address(0), "ERC1155: transfer to the zero address");
+        require(balanceOf[id][from] >= value, "ERC1155: insufficient balance");
+        balanceOf[id][from] -= value;
+        balanceOf[id][to] += value;
+    }
+}
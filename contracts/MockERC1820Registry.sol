@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ITokenReceivers.sol";
+
+// The part of the ERC-1820 registry accounts use to register themselves, for local testing.
+// Tests place its code at the registry's fixed address (hardhat_setCode).
+contract MockERC1820Registry is IERC1820Registry {
+    mapping(address => mapping(bytes32 => address)) private implementers;
+
+    event InterfaceImplementerSet(address indexed account, bytes32 indexed interfaceHash, address indexed implementer);
+
+    // Only for the caller itself: the real registry's managers are not modelled
+    function setInterfaceImplementer(address account, bytes32 interfaceHash, address implementer) external override {
+        require(account == msg.sender, "Not the manager");
+        implementers[account][interfaceHash] = implementer;
+        emit InterfaceImplementerSet(account, interfaceHash, implementer);
+    }
+
+    function getInterfaceImplementer(address account, bytes32 interfaceHash) external view override returns (address) {
+        return implementers[account][interfaceHash];
+    }
+}
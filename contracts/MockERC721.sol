@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ITokenReceivers.sol";
+
+// Mintable ERC-721 for local testing: ownership, approvals and the safe transfer checks, no metadata
+contract MockERC721 {
+    mapping(uint256 => address) public ownerOf;
+    mapping(address => uint256) public balanceOf;
+    mapping(uint256 => address) public getApproved;
+
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId);
+
+    // Anyone can mint: this token only exists on test networks
+    function mint(address to, uint256 tokenId) external {
+        require(ownerOf[tokenId] == address(0), "ERC721: token already minted");
+        _transfer(address(0), to, tokenId);
+    }
+
+    function approve(address approved, uint256 tokenId) external {
+        require(msg.sender == ownerOf[tokenId], "ERC721: not the owner");
+        getApproved[tokenId] = approved;
+        emit Approval(msg.sender, approved, tokenId);
+    }
+
+    function transferFrom(address from, address to, uint256 tokenId) public {
+        require(ownerOf[tokenId] == from, "ERC721: not the owner");
+        require(msg.sender == from || msg.sender == getApproved[tokenId], "ERC721: not approved");
+        require(to != address(0), "ERC721: transfer to the zero address");
+        delete getApproved[tokenId];
+        _transfer(from, to, tokenId);
+    }
+
+    function safeTransferFrom(address from, address to, uint256 tokenId) external {
+        safeTransferFrom(from, to, tokenId, "");
+    }
+
+    function safeTransferFrom(address from, address to, uint256 tokenId, bytes memory data) public {
+        transferFrom(from, to, tokenId);
+        if (to.code.length > 0) {
+            require(
+                IERC721Receiver(to).onERC721Received(msg.sender, from, tokenId, data)
+                    == IERC721Receiver.onERC721Received.selector,
+                "ERC721: transfer to non ERC721Receiver implementer"
+            );
+        }
+    }
+
+    function _transfer(address from, address to, uint256 tokenId) internal {
+        if (from != address(0)) {
+            balanceOf[from]--;
+        }
+        balanceOf[to]++;
+        ownerOf[tokenId] = to;
+        emit Transfer(from, to, tokenId);
+    }
+}
@@ -2,38 +2,259 @@
 pragma solidity ^0.8.19;
 
 import "./IEntryPoint.sol";
+import "./SenderCreator.sol";
+import "./interfaces/IAccount.sol";
+import "./interfaces/IPaymaster.sol";
 
+// Local EntryPoint following the ERC-4337 v0.6 handleOps flow:
+// validate every op (nonce, signature, prefund, paymaster), then execute them and settle gas.
 contract MockEntryPoint is IEntryPoint {
+    uint256 private constant SIG_VALIDATION_FAILED = 1;
+    // Revert data of innerHandleOp when it was called with less gas than the op needs
+    bytes32 private constant INNER_OUT_OF_GAS = hex"deaddead";
+
+    struct UserOpInfo {
+        bytes32 userOpHash;
+        uint256 prefund;
+        uint256 preOpGas;
+        address paymaster;
+        bytes context;
+    }
+
+    // Simulation results, ABI-compatible with the v0.6 EntryPoint so bundlers can decode them
+    struct ReturnInfo {
+        uint256 preOpGas;
+        uint256 prefund;
+        bool sigFailed;
+        uint48 validAfter;
+        uint48 validUntil;
+        bytes paymasterContext;
+    }
+
+    struct StakeInfo {
+        uint256 stake;
+        uint256 unstakeDelaySec;
+    }
+
+    // Same layout as the v0.6 StakeManager's DepositInfo
+    struct DepositInfo {
+        uint112 deposit;
+        bool staked;
+        uint112 stake;
+        uint32 unstakeDelaySec;
+        uint48 withdrawTime;
+    }
+
+    // Stake locked by paymasters and factories so bundlers can rate them; withdrawable
+    // only unstakeDelaySec after unlockStake
+    struct Stake {
+        uint112 stake;
+        uint32 unstakeDelaySec;
+        uint48 withdrawTime;
+        bool staked;
+    }
+
     mapping(address => uint256) public deposits;
-    
+    mapping(address => Stake) public stakes;
+    mapping(address => mapping(uint192 => uint256)) public nonceSequenceNumber;
+
+    SenderCreator private immutable senderCreator = new SenderCreator();
+
+    bool private locked;
+
     event UserOperationEvent(bytes32 indexed userOpHash, address indexed sender, address indexed paymaster, uint256 nonce, bool success, uint256 actualGasCost, uint256 actualGasUsed);
+    event UserOperationRevertReason(bytes32 indexed userOpHash, address indexed sender, uint256 nonce, bytes revertReason);
+    event AccountDeployed(bytes32 indexed userOpHash, address indexed sender, address factory, address paymaster);
+    event BeforeExecution();
     event Deposited(address indexed account, uint256 totalDeposit);
     event Withdrawn(address indexed account, address withdrawAddress, uint256 amount);
-    
-    function handleOps(UserOperation[] calldata ops, address payable beneficiary) external override {
+    event StakeLocked(address indexed account, uint256 totalStaked, uint256 unstakeDelaySec);
+    event StakeUnlocked(address indexed account, uint256 withdrawTime);
+    event StakeWithdrawn(address indexed account, address withdrawAddress, uint256 amount);
+
+    error FailedOp(uint256 opIndex, string reason);
+    error SenderAddressResult(address sender);
+    error ValidationResult(ReturnInfo returnInfo, StakeInfo senderInfo, StakeInfo factoryInfo, StakeInfo paymasterInfo);
+    error ExecutionResult(uint256 preOpGas, uint256 paid, uint48 validAfter, uint48 validUntil, bool targetSuccess, bytes targetResult);
+
+    modifier nonReentrant() {
+        require(!locked, "ReentrancyGuard: reentrant call");
+        locked = true;
+        _;
+        locked = false;
+    }
+
+    receive() external payable {
+        depositTo(msg.sender);
+    }
+
+    function handleOps(UserOperation[] calldata ops, address payable beneficiary) external override nonReentrant {
+        UserOpInfo[] memory opInfos = new UserOpInfo[](ops.length);
+
         for (uint256 i = 0; i < ops.length; i++) {
-            UserOperation calldata op = ops[i];
-            bytes32 userOpHash = getUserOpHash(op);
-            
-            // In a real implementation, this would validate and execute the operation
-            // For mock purposes, we'll just emit an event
-            emit UserOperationEvent(userOpHash, op.sender, address(0), op.nonce, true, 0, 0);
+            uint256 validationData;
+            uint256 paymasterValidationData;
+            (opInfos[i], validationData, paymasterValidationData) = _validatePrepayment(i, ops[i]);
+            _validateValidationData(i, validationData, paymasterValidationData);
+        }
+
+        emit BeforeExecution();
+
+        uint256 collected = 0;
+        for (uint256 i = 0; i < ops.length; i++) {
+            collected += _executeUserOp(i, ops[i], opInfos[i]);
+        }
+
+        (bool success,) = beneficiary.call{value: collected}("");
+        if (!success) {
+            revert FailedOp(0, "AA91 failed send to beneficiary");
         }
     }
-    
-    function depositTo(address account) external payable override {
+
+    // Always reverts: ValidationResult on success, FailedOp otherwise. Meant for eth_call by bundlers,
+    // so a signature failure is reported in returnInfo.sigFailed instead of rejecting the op.
+    // The validity window is the one in which both the account and the paymaster accept the op.
+    function simulateValidation(UserOperation calldata op) external {
+        (UserOpInfo memory opInfo, uint256 validationData, uint256 paymasterValidationData) = _validatePrepayment(0, op);
+        (bool sigFailed, uint48 validAfter, uint48 validUntil) =
+            _intersectValidationData(validationData, paymasterValidationData);
+
+        address factory = op.initCode.length >= 20 ? address(bytes20(op.initCode[0:20])) : address(0);
+        revert ValidationResult(
+            ReturnInfo(opInfo.preOpGas, opInfo.prefund, sigFailed, validAfter, validUntil, opInfo.context),
+            _getStakeInfo(op.sender),
+            _getStakeInfo(factory),
+            _getStakeInfo(opInfo.paymaster)
+        );
+    }
+
+    // Always reverts with ExecutionResult after validating and executing the op, then calling target.
+    // Used for gas estimation, so the op's signature does not have to be valid.
+    function simulateHandleOp(UserOperation calldata op, address target, bytes calldata targetCallData) external {
+        (UserOpInfo memory opInfo, uint256 validationData, uint256 paymasterValidationData) = _validatePrepayment(0, op);
+        (, uint48 validAfter, uint48 validUntil) = _intersectValidationData(validationData, paymasterValidationData);
+
+        uint256 paid = _executeUserOp(0, op, opInfo);
+
+        bool targetSuccess;
+        bytes memory targetResult;
+        if (target != address(0)) {
+            (targetSuccess, targetResult) = target.call(targetCallData);
+        }
+        revert ExecutionResult(opInfo.preOpGas, paid, validAfter, validUntil, targetSuccess, targetResult);
+    }
+
+    // Called only by handleOps through an external call, so a revert here cannot undo validation
+    function innerHandleOp(UserOperation calldata op, UserOpInfo memory opInfo) external returns (uint256 actualGasCost) {
+        require(msg.sender == address(this), "AA92 internal call only");
+        uint256 preGas = gasleft();
+
+        // As in the v0.6 EntryPoint: never run the call on less than callGasLimit. The bundle
+        // fails instead, so eth_estimateGas on handleOps cannot settle on too little gas.
+        if (gasleft() < op.callGasLimit + op.verificationGasLimit + 5000) {
+            assembly {
+                mstore(0, INNER_OUT_OF_GAS)
+                revert(0, 32)
+            }
+        }
+
+        bool success = true;
+        if (op.callData.length > 0) {
+            bytes memory result;
+            (success, result) = op.sender.call{gas: op.callGasLimit}(op.callData);
+            if (!success) {
+                emit UserOperationRevertReason(opInfo.userOpHash, op.sender, op.nonce, result);
+            }
+        }
+
+        uint256 actualGas = preGas - gasleft() + opInfo.preOpGas;
+        IPaymaster.PostOpMode mode = success ? IPaymaster.PostOpMode.opSucceeded : IPaymaster.PostOpMode.opReverted;
+        return _handlePostOp(0, mode, op, opInfo, actualGas);
+    }
+
+    function depositTo(address account) public payable override {
         deposits[account] += msg.value;
         emit Deposited(account, deposits[account]);
     }
-    
+
     function withdrawTo(address payable withdrawAddress, uint256 withdrawAmount) external override {
         require(deposits[msg.sender] >= withdrawAmount, "Insufficient deposit");
         deposits[msg.sender] -= withdrawAmount;
         withdrawAddress.transfer(withdrawAmount);
         emit Withdrawn(msg.sender, withdrawAddress, withdrawAmount);
     }
-    
-    function getUserOpHash(UserOperation calldata userOp) public pure override returns (bytes32) {
+
+    function getUserOpHash(UserOperation calldata userOp) public view override returns (bytes32) {
+        return keccak256(abi.encode(_packUserOp(userOp), address(this), block.chainid));
+    }
+
+    // Always reverts with SenderAddressResult, so it can be eth_call'ed to learn the counterfactual address
+    function getSenderAddress(bytes calldata initCode) external override {
+        revert SenderAddressResult(senderCreator.createSender(initCode));
+    }
+
+    function getNonce(address sender, uint192 key) public view override returns (uint256) {
+        return nonceSequenceNumber[sender][key] | (uint256(key) << 64);
+    }
+
+    function incrementNonce(uint192 key) external {
+        nonceSequenceNumber[msg.sender][key]++;
+    }
+
+    function balanceOf(address account) external view override returns (uint256) {
+        return deposits[account];
+    }
+
+    function getDepositInfo(address account) external view returns (DepositInfo memory info) {
+        Stake storage entry = stakes[account];
+        info = DepositInfo(uint112(deposits[account]), entry.staked, entry.stake, entry.unstakeDelaySec, entry.withdrawTime);
+    }
+
+    // Adds msg.value to the caller's stake; the unstake delay can only grow
+    function addStake(uint32 unstakeDelaySec) external payable override {
+        Stake storage entry = stakes[msg.sender];
+        require(unstakeDelaySec > 0, "must specify unstake delay");
+        require(unstakeDelaySec >= entry.unstakeDelaySec, "cannot decrease unstake time");
+        uint256 stake = entry.stake + msg.value;
+        require(stake > 0, "no stake specified");
+        require(stake <= type(uint112).max, "stake overflow");
+
+        stakes[msg.sender] = Stake(uint112(stake), unstakeDelaySec, 0, true);
+        emit StakeLocked(msg.sender, stake, unstakeDelaySec);
+    }
+
+    // Starts the unstake delay; the stake no longer counts once unlocked
+    function unlockStake() external override {
+        Stake storage entry = stakes[msg.sender];
+        require(entry.unstakeDelaySec != 0, "not staked");
+        require(entry.staked, "already unstaking");
+
+        uint48 withdrawTime = uint48(block.timestamp) + entry.unstakeDelaySec;
+        entry.withdrawTime = withdrawTime;
+        entry.staked = false;
+        emit StakeUnlocked(msg.sender, withdrawTime);
+    }
+
+    function withdrawStake(address payable withdrawAddress) external override {
+        Stake storage entry = stakes[msg.sender];
+        uint256 stake = entry.stake;
+        require(stake > 0, "No stake to withdraw");
+        require(entry.withdrawTime > 0, "must call unlockStake() first");
+        require(entry.withdrawTime <= block.timestamp, "Stake withdrawal is not due");
+
+        delete stakes[msg.sender];
+        emit StakeWithdrawn(msg.sender, withdrawAddress, stake);
+        (bool success,) = withdrawAddress.call{value: stake}("");
+        require(success, "failed to withdraw stake");
+    }
+
+    // ===================== Internal Functions =====================
+
+    function _getStakeInfo(address account) internal view returns (StakeInfo memory) {
+        return StakeInfo(stakes[account].stake, stakes[account].unstakeDelaySec);
+    }
+
+    function _packUserOp(UserOperation calldata userOp) internal pure returns (bytes32) {
         return keccak256(abi.encode(
             userOp.sender,
             userOp.nonce,
@@ -47,8 +268,277 @@ contract MockEntryPoint is IEntryPoint {
             keccak256(userOp.paymasterAndData)
         ));
     }
-    
-    function getDepositInfo(address account) external view returns (uint256) {
-        return deposits[account];
+
+    function _validatePrepayment(uint256 opIndex, UserOperation calldata op)
+        internal
+        returns (UserOpInfo memory opInfo, uint256 validationData, uint256 paymasterValidationData)
+    {
+        uint256 preGas = gasleft();
+
+        opInfo.userOpHash = getUserOpHash(op);
+        opInfo.prefund = _getRequiredPrefund(op);
+        opInfo.paymaster = _getPaymaster(opIndex, op);
+
+        _createSenderIfNeeded(opIndex, op, opInfo);
+
+        validationData = _validateAccountPrepayment(opIndex, op, opInfo);
+
+        if (!_validateAndUpdateNonce(op.sender, op.nonce)) {
+            revert FailedOp(opIndex, "AA25 invalid account nonce");
+        }
+
+        uint256 gasUsedByValidation = preGas - gasleft();
+        if (gasUsedByValidation > op.verificationGasLimit) {
+            revert FailedOp(opIndex, "AA40 over verificationGasLimit");
+        }
+
+        // The paymaster gets whatever verification gas the account left over
+        if (opInfo.paymaster != address(0)) {
+            paymasterValidationData = _validatePaymasterPrepayment(
+                opIndex,
+                op,
+                opInfo,
+                op.verificationGasLimit - gasUsedByValidation
+            );
+        }
+
+        opInfo.preOpGas = preGas - gasleft() + op.preVerificationGas;
+    }
+
+    // Without a paymaster the account tops up its deposit to the prefund; with one it pays nothing
+    function _validateAccountPrepayment(uint256 opIndex, UserOperation calldata op, UserOpInfo memory opInfo)
+        internal
+        returns (uint256 validationData)
+    {
+        uint256 missingAccountFunds = 0;
+        if (opInfo.paymaster == address(0)) {
+            uint256 deposit = deposits[op.sender];
+            missingAccountFunds = deposit >= opInfo.prefund ? 0 : opInfo.prefund - deposit;
+        }
+
+        try IAccount(op.sender).validateUserOp{gas: op.verificationGasLimit}(op, opInfo.userOpHash, missingAccountFunds)
+            returns (uint256 _validationData)
+        {
+            validationData = _validationData;
+        } catch Error(string memory reason) {
+            revert FailedOp(opIndex, string.concat("AA23 reverted: ", reason));
+        } catch {
+            revert FailedOp(opIndex, "AA23 reverted (or OOG)");
+        }
+
+        if (opInfo.paymaster == address(0)) {
+            if (deposits[op.sender] < opInfo.prefund) {
+                revert FailedOp(opIndex, "AA21 didn't pay prefund");
+            }
+            deposits[op.sender] -= opInfo.prefund;
+        }
+    }
+
+    function _validatePaymasterPrepayment(
+        uint256 opIndex,
+        UserOperation calldata op,
+        UserOpInfo memory opInfo,
+        uint256 gasLimit
+    ) internal returns (uint256 validationData) {
+        address paymaster = opInfo.paymaster;
+        if (deposits[paymaster] < opInfo.prefund) {
+            revert FailedOp(opIndex, "AA31 paymaster deposit too low");
+        }
+        deposits[paymaster] -= opInfo.prefund;
+
+        try IPaymaster(paymaster).validatePaymasterUserOp{gas: gasLimit}(op, opInfo.userOpHash, opInfo.prefund)
+            returns (bytes memory context, uint256 _validationData)
+        {
+            opInfo.context = context;
+            validationData = _validationData;
+        } catch Error(string memory reason) {
+            revert FailedOp(opIndex, string.concat("AA33 reverted: ", reason));
+        } catch {
+            revert FailedOp(opIndex, "AA33 reverted (or OOG)");
+        }
+    }
+
+    // paymasterAndData = paymaster address ++ paymaster-specific data
+    function _getPaymaster(uint256 opIndex, UserOperation calldata op) internal view returns (address paymaster) {
+        if (op.paymasterAndData.length == 0) {
+            return address(0);
+        }
+        if (op.paymasterAndData.length < 20) {
+            revert FailedOp(opIndex, "AA93 invalid paymasterAndData");
+        }
+        paymaster = address(bytes20(op.paymasterAndData[:20]));
+        if (paymaster.code.length == 0) {
+            revert FailedOp(opIndex, "AA30 paymaster not deployed");
+        }
+    }
+
+    function _createSenderIfNeeded(uint256 opIndex, UserOperation calldata op, UserOpInfo memory opInfo) internal {
+        if (op.initCode.length == 0) {
+            if (op.sender.code.length == 0) {
+                revert FailedOp(opIndex, "AA20 account not deployed");
+            }
+            return;
+        }
+
+        if (op.sender.code.length != 0) {
+            revert FailedOp(opIndex, "AA10 sender already constructed");
+        }
+        address sender = senderCreator.createSender{gas: op.verificationGasLimit}(op.initCode);
+        if (sender == address(0)) {
+            revert FailedOp(opIndex, "AA13 initCode failed or OOG");
+        }
+        if (sender != op.sender) {
+            revert FailedOp(opIndex, "AA14 initCode must return sender");
+        }
+        if (sender.code.length == 0) {
+            revert FailedOp(opIndex, "AA15 initCode must create sender");
+        }
+
+        emit AccountDeployed(opInfo.userOpHash, sender, address(bytes20(op.initCode[0:20])), opInfo.paymaster);
+    }
+
+    function _executeUserOp(uint256 opIndex, UserOperation calldata op, UserOpInfo memory opInfo) internal returns (uint256) {
+        uint256 preGas = gasleft();
+
+        try this.innerHandleOp(op, opInfo) returns (uint256 actualGasCost) {
+            return actualGasCost;
+        } catch (bytes memory reason) {
+            if (reason.length == 32 && bytes32(reason) == INNER_OUT_OF_GAS) {
+                revert FailedOp(opIndex, "AA95 out of gas");
+            }
+            // innerHandleOp reverts when it runs out of gas or postOp reverts. The call is undone;
+            // charge what was used and let the paymaster settle in postOpReverted mode.
+            uint256 actualGas = preGas - gasleft() + opInfo.preOpGas;
+            return _handlePostOp(opIndex, IPaymaster.PostOpMode.postOpReverted, op, opInfo, actualGas);
+        }
+    }
+
+    // Calls the paymaster's postOp when it returned a context, then refunds the unused prefund
+    // to whoever paid it: the paymaster if there is one, otherwise the account
+    function _handlePostOp(
+        uint256 opIndex,
+        IPaymaster.PostOpMode mode,
+        UserOperation calldata op,
+        UserOpInfo memory opInfo,
+        uint256 actualGas
+    ) internal returns (uint256 actualGasCost) {
+        uint256 preGas = gasleft();
+        uint256 gasPrice = _getUserOpGasPrice(op);
+        address refundAddress = op.sender;
+
+        if (opInfo.paymaster != address(0)) {
+            refundAddress = opInfo.paymaster;
+            if (opInfo.context.length > 0) {
+                actualGasCost = actualGas * gasPrice;
+                if (mode != IPaymaster.PostOpMode.postOpReverted) {
+                    // A revert here undoes the whole inner call, which is then retried as postOpReverted
+                    IPaymaster(opInfo.paymaster).postOp{gas: op.verificationGasLimit}(mode, opInfo.context, actualGasCost);
+                } else {
+                    try IPaymaster(opInfo.paymaster).postOp{gas: op.verificationGasLimit}(mode, opInfo.context, actualGasCost) {
+                    } catch Error(string memory reason) {
+                        revert FailedOp(opIndex, string.concat("AA50 postOp reverted: ", reason));
+                    } catch {
+                        revert FailedOp(opIndex, "AA50 postOp revert");
+                    }
+                }
+            }
+        }
+
+        actualGas += preGas - gasleft();
+        actualGasCost = actualGas * gasPrice;
+        if (opInfo.prefund < actualGasCost) {
+            revert FailedOp(opIndex, "AA51 prefund below actualGasCost");
+        }
+        deposits[refundAddress] += opInfo.prefund - actualGasCost;
+
+        emit UserOperationEvent(
+            opInfo.userOpHash,
+            op.sender,
+            opInfo.paymaster,
+            op.nonce,
+            mode == IPaymaster.PostOpMode.opSucceeded,
+            actualGasCost,
+            actualGas
+        );
+    }
+
+    function _validateAndUpdateNonce(address sender, uint256 nonce) internal returns (bool) {
+        uint192 key = uint192(nonce >> 64);
+        uint64 seq = uint64(nonce);
+        return nonceSequenceNumber[sender][key]++ == seq;
+    }
+
+    function _validateValidationData(uint256 opIndex, uint256 validationData, uint256 paymasterValidationData)
+        internal
+        view
+    {
+        (address aggregator, uint48 validAfter, uint48 validUntil) = _parseValidationData(validationData);
+        if (aggregator != address(0)) {
+            revert FailedOp(opIndex, uint160(aggregator) == SIG_VALIDATION_FAILED
+                ? "AA24 signature error"
+                : "AA24 aggregators not supported");
+        }
+        if (block.timestamp > validUntil || block.timestamp < validAfter) {
+            revert FailedOp(opIndex, "AA22 expired or not due");
+        }
+
+        (aggregator, validAfter, validUntil) = _parseValidationData(paymasterValidationData);
+        if (aggregator != address(0)) {
+            revert FailedOp(opIndex, "AA34 signature error");
+        }
+        if (block.timestamp > validUntil || block.timestamp < validAfter) {
+            revert FailedOp(opIndex, "AA32 paymaster expired or not due");
+        }
+    }
+
+    function _intersectValidationData(uint256 validationData, uint256 paymasterValidationData)
+        internal
+        pure
+        returns (bool sigFailed, uint48 validAfter, uint48 validUntil)
+    {
+        address aggregator;
+        (aggregator, validAfter, validUntil) = _parseValidationData(validationData);
+        (address paymasterAggregator, uint48 paymasterValidAfter, uint48 paymasterValidUntil) =
+            _parseValidationData(paymasterValidationData);
+
+        sigFailed = aggregator != address(0) || paymasterAggregator != address(0);
+        if (paymasterValidAfter > validAfter) {
+            validAfter = paymasterValidAfter;
+        }
+        if (paymasterValidUntil < validUntil) {
+            validUntil = paymasterValidUntil;
+        }
+    }
+
+    // validationData = aggregator | validUntil << 160 | validAfter << 208; validUntil 0 means no expiry
+    function _parseValidationData(uint256 validationData)
+        internal
+        pure
+        returns (address aggregator, uint48 validAfter, uint48 validUntil)
+    {
+        aggregator = address(uint160(validationData));
+        validUntil = uint48(validationData >> 160);
+        validAfter = uint48(validationData >> 208);
+        if (validUntil == 0) {
+            validUntil = type(uint48).max;
+        }
+    }
+
+    function _getRequiredPrefund(UserOperation calldata op) internal pure returns (uint256) {
+        // With a paymaster, its validation and postOp may each use up to verificationGasLimit
+        uint256 mul = op.paymasterAndData.length > 0 ? 3 : 1;
+        uint256 requiredGas = op.callGasLimit + op.verificationGasLimit * mul + op.preVerificationGas;
+        return requiredGas * op.maxFeePerGas;
+    }
+
+    function _getUserOpGasPrice(UserOperation calldata op) internal view returns (uint256) {
+        uint256 maxFeePerGas = op.maxFeePerGas;
+        uint256 maxPriorityFeePerGas = op.maxPriorityFeePerGas;
+        if (maxFeePerGas == maxPriorityFeePerGas) {
+            // Legacy mode (for networks that don't support the basefee opcode)
+            return maxFeePerGas;
+        }
+        uint256 gasPrice = block.basefee + maxPriorityFeePerGas;
+        return gasPrice < maxFeePerGas ? gasPrice : maxFeePerGas;
     }
 }
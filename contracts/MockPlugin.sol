@@ -0,0 +1,94 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/IPlugin.sol";
+import "./interfaces/IExecutionHookPlugin.sol";
+import "./interfaces/IModularAccount.sol";
+
+// Plugin whose manifest and supported interfaces are set by hand, for local testing
+contract MockPlugin is IPlugin, IExecutionHookPlugin {
+    bytes private manifest;
+    mapping(bytes4 => bool) private supportedInterfaces;
+    bool public revertOnUninstall;
+
+    event Installed(address indexed account, bytes data);
+    event Uninstalled(address indexed account, bytes data);
+    event PreExecutionHookCalled(address indexed account, address sender, uint256 value, bytes data);
+    event PostExecutionHookCalled(address indexed account, bytes preExecHookData);
+    event ExecutionFunctionCalled(address indexed account, address caller, uint256 value);
+
+    constructor() {
+        supportedInterfaces[type(IERC165).interfaceId] = true;
+        supportedInterfaces[type(IPlugin).interfaceId] = true;
+        supportedInterfaces[type(IExecutionHookPlugin).interfaceId] = true;
+        manifest = abi.encode(PluginManifest(
+            new bytes4[](0),
+            new bytes4[](0),
+            new bytes4[](0),
+            new bytes4[](0),
+            new ManifestExecutionHook[](0),
+            new bytes4[](0),
+            false,
+            new ManifestExternalCallPermission[](0)
+        ));
+    }
+
+    function setManifest(PluginManifest calldata _manifest) external {
+        manifest = abi.encode(_manifest);
+    }
+
+    function setInterface(bytes4 interfaceId, bool supported) external {
+        supportedInterfaces[interfaceId] = supported;
+    }
+
+    function setRevertOnUninstall(bool _revertOnUninstall) external {
+        revertOnUninstall = _revertOnUninstall;
+    }
+
+    // Calls executeFromPlugin on the account, as a plugin acting for it would
+    function callAccount(address account, address to, uint256 value, bytes calldata data) external {
+        IModularAccount(account).executeFromPlugin(to, value, data);
+    }
+
+    // Execution function the account routes to; returns the caller it appended (ERC-2771)
+    function echo(uint256 value) external returns (uint256, address caller) {
+        caller = address(bytes20(msg.data[msg.data.length - 20:]));
+        emit ExecutionFunctionCalled(msg.sender, caller, value);
+        return (value, caller);
+    }
+
+    function fail() external pure {
+        revert("Execution function failed");
+    }
+
+    function onInstall(bytes calldata data) external override {
+        emit Installed(msg.sender, data);
+    }
+
+    function onUninstall(bytes calldata data) external override {
+        require(!revertOnUninstall, "Uninstall failed");
+        emit Uninstalled(msg.sender, data);
+    }
+
+    function pluginManifest() external view override returns (PluginManifest memory) {
+        return abi.decode(manifest, (PluginManifest));
+    }
+
+    function supportsInterface(bytes4 interfaceId) external view override returns (bool) {
+        return supportedInterfaces[interfaceId];
+    }
+
+    // Returns the calldata length for the post hook to report
+    function preExecutionHook(address sender, uint256 value, bytes calldata data)
+        external
+        override
+        returns (bytes memory)
+    {
+        emit PreExecutionHookCalled(msg.sender, sender, value, data);
+        return abi.encode(data.length);
+    }
+
+    function postExecutionHook(bytes calldata preExecHookData) external override {
+        emit PostExecutionHookCalled(msg.sender, preExecHookData);
+    }
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/IPriceFeed.sol";
+
+// Chainlink-style feed with a price set by hand, for local testing
+contract MockPriceFeed is IPriceFeed {
+    uint8 public immutable override decimals;
+
+    uint80 private roundId;
+    int256 private answer;
+    uint256 private updatedAt;
+
+    constructor(int256 _answer, uint8 _decimals) {
+        decimals = _decimals;
+        setPrice(_answer);
+    }
+
+    function setPrice(int256 _answer) public {
+        roundId++;
+        answer = _answer;
+        updatedAt = block.timestamp;
+    }
+
+    // Lets tests age the price without moving time
+    function setUpdatedAt(uint256 _updatedAt) external {
+        updatedAt = _updatedAt;
+    }
+
+    function latestRoundData() external view override returns (uint80, int256, uint256, uint256, uint80) {
+        return (roundId, answer, updatedAt, updatedAt, roundId);
+    }
+}
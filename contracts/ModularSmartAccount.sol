@@ -2,19 +2,102 @@
 pragma solidity ^0.8.19;
 
 import "./IEntryPoint.sol";
+import "./interfaces/IAccount.sol";
+import "./interfaces/IModularAccount.sol";
 import "./interfaces/IPlugin.sol";
 import "./interfaces/IValidationPlugin.sol";
+import "./interfaces/ISignatureValidationPlugin.sol";
+import "./interfaces/IExecutionHookPlugin.sol";
+import "./interfaces/ITokenReceivers.sol";
+import "./libraries/ECDSA.sol";
 
 // Modular Smart Account (ERC-4337 + ERC-6900)
-contract ModularSmartAccount {
+contract ModularSmartAccount is
+    IAccount,
+    IModularAccount,
+    IERC165,
+    IERC721Receiver,
+    IERC1155Receiver,
+    IERC777Recipient
+{
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 private constant USER_OPERATION_TYPEHASH = keccak256(
+        "UserOperation(address sender,uint256 nonce,bytes initCode,bytes callData,uint256 callGasLimit,uint256 verificationGasLimit,uint256 preVerificationGas,uint256 maxFeePerGas,uint256 maxPriorityFeePerGas,bytes paymasterAndData,address entryPoint)"
+    );
+    // What the account's signers sign for isValidSignature: the hash, bound to the account and chain
+    bytes32 private constant ACCOUNT_MESSAGE_TYPEHASH = keccak256("AccountMessage(bytes32 hash)");
+    
+    // Leading byte marking a 66-byte signature as EIP-712 typed data instead of eth_sign
+    uint8 private constant EIP712_SIGNATURE_PREFIX = 0x01;
+    uint256 private constant SIG_VALIDATION_FAILED = 1;
+    bytes4 private constant ERC1271_MAGIC_VALUE = 0x1626ba7e;
+    bytes4 private constant ERC1271_INVALID = 0xffffffff;
+    
+    // ERC-777 tokens only send to contracts registered as their own recipient here
+    IERC1820Registry private constant ERC1820_REGISTRY = IERC1820Registry(0x1820a4B7618BdE71Dce8cdc73aAB6C95905faD24);
+    bytes32 private constant ERC777_TOKENS_RECIPIENT_HASH = keccak256("ERC777TokensRecipient");
+    
     IEntryPoint public immutable entryPoint;
-    uint256 public nonce;
     
+    // Default signer for UserOperations that are not routed to a validation plugin
+    address public owner;
+    address public pendingOwner;
+    
+    // Pre/post hooks a plugin runs around an execution function
+    struct ExecutionHook {
+        address plugin;
+        bool preExecHook;
+        bool postExecHook;
+    }
+    
+    struct PluginData {
+        // Hash of the manifest the plugin was installed with, 0 if it is not installed
+        bytes32 manifestHash;
+        address[] dependencies;
+        // Installed plugins depending on this one; it cannot be uninstalled before them
+        uint256 dependentCount;
+        bool permitAnyExternalAddress;
+    }
+    
+    // Selector => Plugin validating UserOperations that call it
     mapping(bytes4 => address) public plugins;
     
-    event PluginInstalled(bytes4 indexed selector, address indexed plugin);
-    event PluginUninstalled(bytes4 indexed selector);
+    // Selector => Plugin providing it as an execution function
+    mapping(bytes4 => address) public executionFunctions;
+    
+    // Selector => Hooks run around it
+    mapping(bytes4 => ExecutionHook[]) private executionHooks;
+    
+    address[] private installedPlugins;
+    mapping(address => PluginData) private pluginData;
+    
+    // Plugin => Account selector => May be called through executeFromPlugin
+    mapping(address => mapping(bytes4 => bool)) private permittedExecutionSelectors;
+    
+    // Plugin => Contract => Any selector / Selector => May be called through executeFromPlugin
+    mapping(address => mapping(address => bool)) private permittedAnySelector;
+    mapping(address => mapping(address => mapping(bytes4 => bool))) private permittedExternalSelectors;
+    
+    // ERC-165 id => Installed plugins whose manifests add it
+    mapping(bytes4 => uint256) private pluginInterfaceCount;
+    
+    event PluginInstalled(address indexed plugin, bytes32 manifestHash, address[] dependencies);
+    event PluginUninstalled(address indexed plugin, bool onUninstallSucceeded);
     event Received(address indexed sender, uint256 amount);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    // Tokens received through the receiver callbacks; `token` is the contract that called them
+    event ERC721Received(address indexed token, address indexed operator, address indexed from, uint256 tokenId);
+    event ERC1155Received(
+        address indexed token,
+        address indexed operator,
+        address indexed from,
+        uint256[] ids,
+        uint256[] values
+    );
+    event ERC777Received(address indexed token, address indexed operator, address indexed from, uint256 amount);
     
     modifier onlyEntryPoint() {
         require(msg.sender == address(entryPoint), "Only EntryPoint");
@@ -26,101 +109,561 @@ contract ModularSmartAccount {
         _;
     }
     
-    constructor(IEntryPoint _entryPoint) {
+    // The owner may call directly only while no plugin validates the function in its place
+    modifier onlyAuthorized() {
+        require(
+            msg.sender == address(entryPoint)
+                || msg.sender == address(this)
+                || (msg.sender == owner && _validationPluginFor(msg.sig) == address(0)),
+            "Unauthorized"
+        );
+        _;
+    }
+    
+    // Runs the hooks installed for the called function; any of them may revert to block it
+    modifier withExecutionHooks() {
+        (ExecutionHook[] memory hooks, bytes[] memory preExecHookData) = _runPreExecutionHooks();
+        _;
+        _runPostExecutionHooks(hooks, preExecHookData);
+    }
+    
+    constructor(IEntryPoint _entryPoint, address _owner) {
+        require(_owner != address(0), "Invalid owner");
         entryPoint = _entryPoint;
+        owner = _owner;
+        emit OwnershipTransferred(address(0), _owner);
+        
+        // The registry is deployed at the same address on every chain that has it
+        if (address(ERC1820_REGISTRY).code.length > 0) {
+            ERC1820_REGISTRY.setInterfaceImplementer(address(this), ERC777_TOKENS_RECIPIENT_HASH, address(this));
+        }
     }
     
     receive() external payable {
         emit Received(msg.sender, msg.value);
     }
     
+    // ERC-165: the account's own interfaces and those its installed plugins' manifests add
+    function supportsInterface(bytes4 interfaceId) external view override returns (bool) {
+        return interfaceId == type(IERC165).interfaceId
+            || interfaceId == type(IAccount).interfaceId
+            || interfaceId == type(IModularAccount).interfaceId
+            || interfaceId == type(IERC721Receiver).interfaceId
+            || interfaceId == type(IERC1155Receiver).interfaceId
+            || interfaceId == this.isValidSignature.selector
+            || pluginInterfaceCount[interfaceId] > 0;
+    }
+    
+    // Sequential nonce (key 0) tracked by the EntryPoint
+    function nonce() public view returns (uint256) {
+        return entryPoint.getNonce(address(this), 0);
+    }
+    
     function validateUserOp(
         UserOperation calldata userOp,
         bytes32 userOpHash,
         uint256 missingAccountFunds
-    ) external onlyEntryPoint returns (uint256 validationData) {
+    ) external override onlyEntryPoint returns (uint256 validationData) {
         // Check if we need to pay missing funds
         if (missingAccountFunds > 0) {
             (bool success,) = payable(msg.sender).call{value: missingAccountFunds}("");
             require(success, "Failed to pay missing funds");
         }
         
-        // Get the validation plugin
-        bytes4 selector = bytes4(userOp.callData[:4]);
-        address plugin = plugins[selector];
+        // Get the validation plugin (ops with empty callData, e.g. deploy-only, use selector 0)
+        bytes4 selector = userOp.callData.length >= 4 ? bytes4(userOp.callData[:4]) : bytes4(0);
+        address plugin = _validationPluginFor(selector);
+        bool isExecutionFunction = executionFunctions[selector] != address(0);
         
+        address caller;
         if (plugin != address(0)) {
-            return IValidationPlugin(plugin).validateUserOp(userOp, userOpHash);
+            (validationData, caller) = IValidationPlugin(plugin).validateUserOp(userOp, userOpHash);
+        } else {
+            // Default validation (single owner)
+            (validationData, caller) = _validateSignature(userOp, userOpHash);
         }
         
-        // Default validation (single owner)
+        // Execution functions learn who the op acts for from the caller its callData ends with,
+        // which must be the one the signature proved
+        if (isExecutionFunction && !_endsWithCaller(userOp.callData, caller)) {
+            return SIG_VALIDATION_FAILED;
+        }
+    }
+    
+    // EIP-712 digest of a UserOperation; the account is the verifying contract
+    function getUserOpTypedDataHash(UserOperation calldata userOp) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            USER_OPERATION_TYPEHASH,
+            userOp.sender,
+            userOp.nonce,
+            keccak256(userOp.initCode),
+            keccak256(userOp.callData),
+            userOp.callGasLimit,
+            userOp.verificationGasLimit,
+            userOp.preVerificationGas,
+            userOp.maxFeePerGas,
+            userOp.maxPriorityFeePerGas,
+            keccak256(userOp.paymasterAndData),
+            address(entryPoint)
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+    
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256("ModularSmartAccount"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+    }
+    
+    // Lets a validation plugin that adds signers (e.g. session keys) keep accepting the owner
+    function validateOwnerSignature(
+        UserOperation calldata userOp,
+        bytes32 userOpHash
+    ) external view override returns (uint256 validationData, address caller) {
         return _validateSignature(userOp, userOpHash);
     }
     
     function _validateSignature(
         UserOperation calldata userOp,
         bytes32 userOpHash
-    ) internal view returns (uint256) {
-        // Simple signature validation for MVP
-        bytes32 hash = keccak256(abi.encodePacked(userOpHash, address(this), block.chainid));
-        address signer = recoverSigner(hash, userOp.signature);
+    ) internal view returns (uint256 validationData, address caller) {
+        address signer;
+        if (userOp.signature.length == 66 && uint8(userOp.signature[0]) == EIP712_SIGNATURE_PREFIX) {
+            signer = ECDSA.recover(getUserOpTypedDataHash(userOp), userOp.signature[1:]);
+        } else {
+            // userOpHash already commits to the EntryPoint and chain id; the owner signs it with eth_sign
+            signer = ECDSA.recover(ECDSA.toEthSignedMessageHash(userOpHash), userOp.signature);
+        }
+        
+        if (signer != address(0) && signer == owner) {
+            return (0, signer); // Valid
+        }
+        return (SIG_VALIDATION_FAILED, address(0)); // Invalid
+    }
+    
+    // ===================== Signatures (ERC-1271) =====================
+    
+    // EIP-712 digest of AccountMessage(hash) in the account's domain
+    function getMessageHash(bytes32 hash) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(ACCOUNT_MESSAGE_TYPEHASH, hash));
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+    
+    /**
+     * @notice ERC-1271: whether `signature` signs `hash` for the account
+     * @dev Signers sign getMessageHash(hash), so a signature for one account is not valid for
+     *      another one they sign for. The plugin validating execute decides when it implements
+     *      ISignatureValidationPlugin (MultiSigPlugin: the threshold of its owners); otherwise,
+     *      as with no validation plugin, it takes the owner's 65-byte signature of the digest.
+     */
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4) {
+        bytes32 digest = getMessageHash(hash);
+        address plugin = plugins[this.execute.selector];
         
-        // For MVP, we'll accept any valid signature
-        if (signer != address(0)) {
-            return 0; // Valid
+        bool valid;
+        if (plugin != address(0) && _supportsInterface(plugin, type(ISignatureValidationPlugin).interfaceId)) {
+            valid = ISignatureValidationPlugin(plugin).validateSignature(digest, signature);
+        } else {
+            address signer = ECDSA.recover(digest, signature);
+            valid = signer != address(0) && signer == owner;
         }
-        return 1; // Invalid
+        return valid ? ERC1271_MAGIC_VALUE : ERC1271_INVALID;
+    }
+    
+    // ===================== Token Receivers =====================
+    
+    // Safe transfers of ERC-721, ERC-1155 and ERC-777 tokens call these before crediting the account.
+    // Anyone can call them, so the events are only as trustworthy as the token contract emitting them.
+    
+    function onERC721Received(
+        address operator,
+        address from,
+        uint256 tokenId,
+        bytes calldata
+    ) external override returns (bytes4) {
+        emit ERC721Received(msg.sender, operator, from, tokenId);
+        return this.onERC721Received.selector;
+    }
+    
+    function onERC1155Received(
+        address operator,
+        address from,
+        uint256 id,
+        uint256 value,
+        bytes calldata
+    ) external override returns (bytes4) {
+        uint256[] memory ids = new uint256[](1);
+        uint256[] memory values = new uint256[](1);
+        ids[0] = id;
+        values[0] = value;
+        emit ERC1155Received(msg.sender, operator, from, ids, values);
+        return this.onERC1155Received.selector;
+    }
+    
+    function onERC1155BatchReceived(
+        address operator,
+        address from,
+        uint256[] calldata ids,
+        uint256[] calldata values,
+        bytes calldata
+    ) external override returns (bytes4) {
+        emit ERC1155Received(msg.sender, operator, from, ids, values);
+        return this.onERC1155BatchReceived.selector;
+    }
+    
+    function tokensReceived(
+        address operator,
+        address from,
+        address,
+        uint256 amount,
+        bytes calldata,
+        bytes calldata
+    ) external override {
+        emit ERC777Received(msg.sender, operator, from, amount);
+    }
+    
+    // ===================== Ownership =====================
+    
+    // Two-step rotation: the account (or the owner, while no plugin validates execute) nominates
+    // a new owner, who must accept before it takes over default validation
+    function transferOwnership(address newOwner) external onlyAuthorized {
+        require(newOwner != address(0), "Invalid owner");
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner);
     }
     
-    function recoverSigner(bytes32 hash, bytes memory signature) internal pure returns (address) {
-        if (signature.length != 65) {
-            return address(0);
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not pending owner");
+        address previousOwner = owner;
+        owner = pendingOwner;
+        delete pendingOwner;
+        emit OwnershipTransferred(previousOwner, owner);
+    }
+    
+    // One-step rotation for recovery plugins (through executeFromPlugin): the new owner takes over
+    // at once, so an owner being recovered from cannot re-nominate before it accepts
+    function recoverOwnership(address newOwner) external onlySelf {
+        require(newOwner != address(0), "Invalid owner");
+        address previousOwner = owner;
+        owner = newOwner;
+        delete pendingOwner;
+        emit OwnershipTransferred(previousOwner, newOwner);
+    }
+    
+    // ===================== Plugins =====================
+    
+    /**
+     * @notice Install a plugin and everything its manifest declares
+     * @dev Reverts if the plugin does not support IPlugin (and IValidationPlugin or
+     *      IExecutionHookPlugin when it declares validation functions or hooks), if its manifest
+     *      does not hash to manifestHash, or if any function it declares is already taken.
+     * @param plugin Plugin to install
+     * @param manifestHash keccak256(abi.encode(manifest)) of the manifest the caller reviewed
+     * @param pluginInstallData Passed to the plugin's onInstall
+     * @param dependencies Installed plugins, one per manifest.dependencyInterfaceIds entry
+     */
+    function installPlugin(
+        address plugin,
+        bytes32 manifestHash,
+        bytes calldata pluginInstallData,
+        address[] calldata dependencies
+    ) external onlySelf {
+        require(plugin != address(0), "Invalid plugin address");
+        require(pluginData[plugin].manifestHash == bytes32(0), "Plugin already installed");
+        require(_supportsInterface(plugin, type(IPlugin).interfaceId), "Plugin does not support IPlugin");
+        
+        PluginManifest memory manifest = _getManifest(plugin, manifestHash);
+        
+        PluginData storage data = pluginData[plugin];
+        data.manifestHash = manifestHash;
+        installedPlugins.push(plugin);
+        
+        require(dependencies.length == manifest.dependencyInterfaceIds.length, "Wrong number of dependencies");
+        for (uint256 i = 0; i < dependencies.length; i++) {
+            require(pluginData[dependencies[i]].manifestHash != bytes32(0), "Dependency not installed");
+            require(
+                _supportsInterface(dependencies[i], manifest.dependencyInterfaceIds[i]),
+                "Dependency does not support interface"
+            );
+            pluginData[dependencies[i]].dependentCount++;
+            data.dependencies.push(dependencies[i]);
         }
         
-        bytes32 r;
-        bytes32 s;
-        uint8 v;
+        for (uint256 i = 0; i < manifest.interfaceIds.length; i++) {
+            bytes4 interfaceId = manifest.interfaceIds[i];
+            require(
+                interfaceId != type(IPlugin).interfaceId && interfaceId != 0xffffffff,
+                "Interface not allowed"
+            );
+            pluginInterfaceCount[interfaceId]++;
+        }
         
-        assembly {
-            r := mload(add(signature, 32))
-            s := mload(add(signature, 64))
-            v := byte(0, mload(add(signature, 96)))
+        for (uint256 i = 0; i < manifest.executionFunctions.length; i++) {
+            bytes4 selector = manifest.executionFunctions[i];
+            require(!_isNativeFunction(selector), "Native function conflict");
+            require(executionFunctions[selector] == address(0), "Execution function already installed");
+            executionFunctions[selector] = plugin;
         }
         
-        if (v < 27) {
-            v += 27;
+        if (manifest.validationFunctions.length > 0) {
+            require(
+                _supportsInterface(plugin, type(IValidationPlugin).interfaceId),
+                "Plugin does not support IValidationPlugin"
+            );
+        }
+        for (uint256 i = 0; i < manifest.validationFunctions.length; i++) {
+            bytes4 selector = manifest.validationFunctions[i];
+            require(plugins[selector] == address(0), "Validation function already installed");
+            plugins[selector] = plugin;
         }
         
-        if (v != 27 && v != 28) {
-            return address(0);
+        if (manifest.executionHooks.length > 0) {
+            require(
+                _supportsInterface(plugin, type(IExecutionHookPlugin).interfaceId),
+                "Plugin does not support IExecutionHookPlugin"
+            );
+        }
+        for (uint256 i = 0; i < manifest.executionHooks.length; i++) {
+            ManifestExecutionHook memory hook = manifest.executionHooks[i];
+            require(hook.preExecHook || hook.postExecHook, "Empty execution hook");
+            require(_findExecutionHook(hook.executionSelector, plugin) == type(uint256).max, "Hook already installed");
+            executionHooks[hook.executionSelector].push(ExecutionHook(plugin, hook.preExecHook, hook.postExecHook));
         }
         
-        return ecrecover(hash, v, r, s);
-    }
-    
-    function installPlugin(bytes4 selector, address plugin, bytes calldata data) external onlySelf {
-        require(plugins[selector] == address(0), "Plugin already installed");
-        require(plugin != address(0), "Invalid plugin address");
+        for (uint256 i = 0; i < manifest.permittedExecutionSelectors.length; i++) {
+            permittedExecutionSelectors[plugin][manifest.permittedExecutionSelectors[i]] = true;
+        }
+        data.permitAnyExternalAddress = manifest.permitAnyExternalAddress;
+        for (uint256 i = 0; i < manifest.permittedExternalCalls.length; i++) {
+            ManifestExternalCallPermission memory permission = manifest.permittedExternalCalls[i];
+            if (permission.permitAnySelector) {
+                permittedAnySelector[plugin][permission.externalAddress] = true;
+            }
+            for (uint256 j = 0; j < permission.selectors.length; j++) {
+                permittedExternalSelectors[plugin][permission.externalAddress][permission.selectors[j]] = true;
+            }
+        }
         
-        plugins[selector] = plugin;
-        IPlugin(plugin).onInstall(data);
+        IPlugin(plugin).onInstall(pluginInstallData);
         
-        emit PluginInstalled(selector, plugin);
+        emit PluginInstalled(plugin, manifestHash, dependencies);
     }
     
-    function uninstallPlugin(bytes4 selector, bytes calldata data) external onlySelf {
-        address plugin = plugins[selector];
-        require(plugin != address(0), "Plugin not installed");
+    /**
+     * @notice Remove everything the plugin's manifest declared, then let it clean up
+     * @dev A reverting onUninstall does not keep the plugin installed; the event reports it
+     * @param plugin Installed plugin no other installed plugin depends on
+     * @param config Empty to read the manifest from the plugin, or abi.encode(manifest) of the one
+     *        it was installed with, so a plugin whose manifest changed can still be removed
+     * @param pluginUninstallData Passed to the plugin's onUninstall
+     */
+    function uninstallPlugin(
+        address plugin,
+        bytes calldata config,
+        bytes calldata pluginUninstallData
+    ) external onlySelf {
+        PluginData storage data = pluginData[plugin];
+        require(data.manifestHash != bytes32(0), "Plugin not installed");
+        require(data.dependentCount == 0, "Plugin is a dependency");
+        
+        PluginManifest memory manifest;
+        if (config.length == 0) {
+            manifest = _getManifest(plugin, data.manifestHash);
+        } else {
+            require(keccak256(config) == data.manifestHash, "Manifest hash mismatch");
+            manifest = abi.decode(config, (PluginManifest));
+        }
+        
+        for (uint256 i = 0; i < data.dependencies.length; i++) {
+            pluginData[data.dependencies[i]].dependentCount--;
+        }
         
-        delete plugins[selector];
-        IPlugin(plugin).onUninstall(data);
+        for (uint256 i = 0; i < manifest.interfaceIds.length; i++) {
+            pluginInterfaceCount[manifest.interfaceIds[i]]--;
+        }
+        
+        for (uint256 i = 0; i < manifest.executionFunctions.length; i++) {
+            delete executionFunctions[manifest.executionFunctions[i]];
+        }
+        
+        for (uint256 i = 0; i < manifest.validationFunctions.length; i++) {
+            delete plugins[manifest.validationFunctions[i]];
+        }
+        
+        for (uint256 i = 0; i < manifest.executionHooks.length; i++) {
+            ExecutionHook[] storage hooks = executionHooks[manifest.executionHooks[i].executionSelector];
+            hooks[_findExecutionHook(manifest.executionHooks[i].executionSelector, plugin)] = hooks[hooks.length - 1];
+            hooks.pop();
+        }
+        
+        for (uint256 i = 0; i < manifest.permittedExecutionSelectors.length; i++) {
+            delete permittedExecutionSelectors[plugin][manifest.permittedExecutionSelectors[i]];
+        }
+        for (uint256 i = 0; i < manifest.permittedExternalCalls.length; i++) {
+            ManifestExternalCallPermission memory permission = manifest.permittedExternalCalls[i];
+            delete permittedAnySelector[plugin][permission.externalAddress];
+            for (uint256 j = 0; j < permission.selectors.length; j++) {
+                delete permittedExternalSelectors[plugin][permission.externalAddress][permission.selectors[j]];
+            }
+        }
+        
+        for (uint256 i = 0; i < installedPlugins.length; i++) {
+            if (installedPlugins[i] == plugin) {
+                installedPlugins[i] = installedPlugins[installedPlugins.length - 1];
+                installedPlugins.pop();
+                break;
+            }
+        }
+        delete pluginData[plugin];
         
-        emit PluginUninstalled(selector);
+        bool onUninstallSucceeded = true;
+        try IPlugin(plugin).onUninstall(pluginUninstallData) {} catch {
+            onUninstallSucceeded = false;
+        }
+        
+        emit PluginUninstalled(plugin, onUninstallSucceeded);
     }
     
-    function execute(address to, uint256 value, bytes calldata data) external {
-        require(msg.sender == address(this) || msg.sender == address(entryPoint), "Unauthorized");
-        
+    function getInstalledPlugins() external view returns (address[] memory) {
+        return installedPlugins;
+    }
+    
+    function getPluginData(address plugin)
+        external
+        view
+        returns (bytes32 manifestHash, address[] memory dependencies, uint256 dependentCount)
+    {
+        PluginData storage data = pluginData[plugin];
+        return (data.manifestHash, data.dependencies, data.dependentCount);
+    }
+    
+    function getExecutionHooks(bytes4 selector) external view returns (ExecutionHook[] memory) {
+        return executionHooks[selector];
+    }
+    
+    // The plugin's manifest, if its ABI encoding still hashes to manifestHash
+    function _getManifest(address plugin, bytes32 manifestHash) internal view returns (PluginManifest memory) {
+        (bool success, bytes memory encoded) = plugin.staticcall(abi.encodeCall(IPlugin.pluginManifest, ()));
+        require(success && keccak256(encoded) == manifestHash, "Manifest hash mismatch");
+        return abi.decode(encoded, (PluginManifest));
+    }
+    
+    function _runPreExecutionHooks()
+        internal
+        returns (ExecutionHook[] memory hooks, bytes[] memory preExecHookData)
+    {
+        hooks = executionHooks[msg.sig];
+        preExecHookData = new bytes[](hooks.length);
+        for (uint256 i = 0; i < hooks.length; i++) {
+            if (hooks[i].preExecHook) {
+                preExecHookData[i] = IExecutionHookPlugin(hooks[i].plugin)
+                    .preExecutionHook(msg.sender, msg.value, msg.data);
+            }
+        }
+    }
+    
+    function _runPostExecutionHooks(ExecutionHook[] memory hooks, bytes[] memory preExecHookData) internal {
+        for (uint256 i = 0; i < hooks.length; i++) {
+            if (hooks[i].postExecHook) {
+                IExecutionHookPlugin(hooks[i].plugin).postExecutionHook(preExecHookData[i]);
+            }
+        }
+    }
+    
+    function _findExecutionHook(bytes4 selector, address plugin) internal view returns (uint256) {
+        ExecutionHook[] storage hooks = executionHooks[selector];
+        for (uint256 i = 0; i < hooks.length; i++) {
+            if (hooks[i].plugin == plugin) {
+                return i;
+            }
+        }
+        return type(uint256).max;
+    }
+    
+    // A plugin's execution function without a validation function of its own is validated
+    // like execute, so routing a call through the fallback never takes fewer signatures;
+    // so is transferOwnership, or a single owner key could hand the account over
+    function _validationPluginFor(bytes4 selector) internal view returns (address plugin) {
+        plugin = plugins[selector];
+        if (
+            plugin == address(0)
+                && (executionFunctions[selector] != address(0) || selector == this.transferOwnership.selector)
+        ) {
+            plugin = plugins[this.execute.selector];
+        }
+    }
+    
+    // Whether callData is selector ++ arguments ++ caller, for a proven (non-zero) caller
+    function _endsWithCaller(bytes calldata callData, address caller) internal pure returns (bool) {
+        return caller != address(0)
+            && callData.length >= 24
+            && address(bytes20(callData[callData.length - 20:])) == caller;
+    }
+    
+    // Calls to the account itself need a permitted execution selector, other calls a permitted external call
+    function _isPermittedCall(address plugin, address to, bytes4 selector) internal view returns (bool) {
+        if (to == address(this)) {
+            return permittedExecutionSelectors[plugin][selector];
+        }
+        return pluginData[plugin].permitAnyExternalAddress
+            || permittedAnySelector[plugin][to]
+            || permittedExternalSelectors[plugin][to][selector];
+    }
+    
+    // ERC-165 check that also returns false for EOAs and contracts without supportsInterface
+    function _supportsInterface(address target, bytes4 interfaceId) internal view returns (bool) {
+        if (target.code.length == 0) {
+            return false;
+        }
+        try IERC165(target).supportsInterface(interfaceId) returns (bool supported) {
+            return supported;
+        } catch {
+            return false;
+        }
+    }
+    
+    // Plugins may not declare the account's own functions, or the plugin interface, as execution functions
+    function _isNativeFunction(bytes4 selector) internal pure returns (bool) {
+        return selector == this.entryPoint.selector
+            || selector == this.owner.selector
+            || selector == this.pendingOwner.selector
+            || selector == this.plugins.selector
+            || selector == this.executionFunctions.selector
+            || selector == this.nonce.selector
+            || selector == this.validateUserOp.selector
+            || selector == this.getUserOpTypedDataHash.selector
+            || selector == this.domainSeparator.selector
+            || selector == this.validateOwnerSignature.selector
+            || selector == this.getMessageHash.selector
+            || selector == this.isValidSignature.selector
+            || selector == this.onERC721Received.selector
+            || selector == this.onERC1155Received.selector
+            || selector == this.onERC1155BatchReceived.selector
+            || selector == this.tokensReceived.selector
+            || selector == this.transferOwnership.selector
+            || selector == this.acceptOwnership.selector
+            || selector == this.recoverOwnership.selector
+            || selector == this.installPlugin.selector
+            || selector == this.uninstallPlugin.selector
+            || selector == this.getInstalledPlugins.selector
+            || selector == this.getPluginData.selector
+            || selector == this.getExecutionHooks.selector
+            || selector == this.execute.selector
+            || selector == this.executeBatch.selector
+            || selector == this.executeFromPlugin.selector
+            || selector == IPlugin.onInstall.selector
+            || selector == IPlugin.onUninstall.selector
+            || selector == IPlugin.pluginManifest.selector
+            || selector == IERC165.supportsInterface.selector;
+    }
+    
+    // ===================== Execution =====================
+    
+    function execute(address to, uint256 value, bytes calldata data) external onlyAuthorized withExecutionHooks {
         (bool success, bytes memory result) = to.call{value: value}(data);
         if (!success) {
             assembly {
@@ -133,8 +676,7 @@ contract ModularSmartAccount {
         address[] calldata to,
         uint256[] calldata value,
         bytes[] calldata data
-    ) external {
-        require(msg.sender == address(this) || msg.sender == address(entryPoint), "Unauthorized");
+    ) external onlyAuthorized withExecutionHooks {
         require(to.length == value.length && to.length == data.length, "Mismatched arrays");
         
         for (uint256 i = 0; i < to.length; i++) {
@@ -146,4 +688,53 @@ contract ModularSmartAccount {
             }
         }
     }
+    
+    /**
+     * @notice Routes calls to the execution functions installed plugins declare
+     * @dev Callable by the same callers as execute; the owner only while no plugin validates the
+     *      function (its own validation function, or else execute's). The plugin is called with
+     *      the original caller appended to the calldata (ERC-2771) and its return data is returned
+     *      unchanged. For UserOperations that is the signer validation proved, which the callData
+     *      already ends with. Sent ETH stays with the account.
+     */
+    fallback(bytes calldata data) external payable onlyAuthorized withExecutionHooks returns (bytes memory) {
+        address plugin = executionFunctions[msg.sig];
+        require(plugin != address(0), "Function not installed");
+        
+        bool success;
+        bytes memory result;
+        if (msg.sender == address(entryPoint)) {
+            (success, result) = plugin.call(data);
+        } else {
+            (success, result) = plugin.call(abi.encodePacked(data, msg.sender));
+        }
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+    
+    // Lets an installed plugin act as the account, e.g. a recovery plugin replacing the owner,
+    // for the calls its manifest permits
+    function executeFromPlugin(
+        address to,
+        uint256 value,
+        bytes calldata data
+    ) external override withExecutionHooks returns (bytes memory result) {
+        require(pluginData[msg.sender].manifestHash != bytes32(0), "Only installed plugin");
+        require(
+            _isPermittedCall(msg.sender, to, data.length >= 4 ? bytes4(data[:4]) : bytes4(0)),
+            "Call not permitted"
+        );
+        
+        bool success;
+        (success, result) = to.call{value: value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
 }
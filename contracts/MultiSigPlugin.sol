@@ -3,87 +3,182 @@ pragma solidity ^0.8.19;
 
 import "./interfaces/IPlugin.sol";
 import "./interfaces/IValidationPlugin.sol";
+import "./interfaces/ISignatureValidationPlugin.sol";
 import "./interfaces/IExecutionPlugin.sol";
+import "./interfaces/IModularAccount.sol";
+import "./libraries/ECDSA.sol";
+import "./libraries/ThresholdPolicies.sol";
+import "./libraries/WeightedOwners.sol";
 
 /**
  * @title MultiSigPlugin
  * @notice ERC-6900 compliant multi-signature plugin for modular smart accounts
  * @dev Implements validation and execution logic for multi-signature operations
  */
-contract MultiSigPlugin is IPlugin, IValidationPlugin, IExecutionPlugin {
+contract MultiSigPlugin is IPlugin, IValidationPlugin, ISignatureValidationPlugin, IExecutionPlugin {
+    using ThresholdPolicies for ThresholdPolicies.Policy;
+    using WeightedOwners for WeightedOwners.Set;
+    
+    // ===================== Constants =====================
+    
+    // Leading byte of userOp.signature selecting off-chain owner signatures:
+    // 0x01 ++ sig(owner_1) ++ ... ++ sig(owner_n), 65 bytes each, signers sorted ascending
+    uint8 public constant SIGNATURE_MODE_ECDSA = 0x01;
+    // Leading byte of userOp.signature for one owner acting alone: 0x02 ++ sig(owner). Only the
+    // proposal functions accept it; the owner becomes the op's caller
+    uint8 public constant SIGNATURE_MODE_OWNER = 0x02;
+    uint256 private constant SIG_VALIDATION_FAILED = 1;
+    
+    bytes4 private constant EXECUTE_SELECTOR = bytes4(keccak256("execute(address,uint256,bytes)"));
+    bytes4 private constant EXECUTE_BATCH_SELECTOR = bytes4(keccak256("executeBatch(address[],uint256[],bytes[])"));
+    bytes4 private constant INSTALL_PLUGIN_SELECTOR = bytes4(keccak256("installPlugin(address,bytes32,bytes,address[])"));
+    bytes4 private constant UNINSTALL_PLUGIN_SELECTOR = bytes4(keccak256("uninstallPlugin(address,bytes,bytes)"));
+    bytes4 private constant TRANSFER_OWNERSHIP_SELECTOR = bytes4(keccak256("transferOwnership(address)"));
+    
     // ===================== Structs =====================
     
+    // Pending and Ready transactions are open: they can be confirmed, replaced and cancelled.
+    // Ready is recorded when confirmations reach the threshold and undone when they drop below it;
+    // a threshold or policy change alone does not move a transaction between the two.
+    enum TransactionStatus {
+        Pending,
+        Ready,
+        Executed,
+        Failed,
+        Cancelled
+    }
+    
     struct Transaction {
-        address to;
-        uint256 value;
-        bytes data;
-        bool executed;
+        // The calls, as executeBatch takes them. One is made directly, several atomically
+        // through the account's executeBatch.
+        address[] targets;
+        uint256[] values;
+        bytes[] datas;
+        TransactionStatus status;
+        // The owner who submitted (or last replaced) it
+        address proposer;
+        // confirmations and cancelVotes are counted from the votes by getTransaction, not stored
         uint256 confirmations;
         uint256 timestamp;
         bytes32 txHash;
+        // When confirmations reached the threshold, 0 while below it
+        uint256 readyAt;
+        // 0 if the account had no proposal lifetime set at submission
+        uint256 expiresAt;
+        uint256 cancelVotes;
+        // The revert data of a Failed transaction
+        bytes failureReason;
     }
     
     struct AccountConfig {
-        address[] owners;
-        mapping(address => bool) isOwner;
+        WeightedOwners.Set owners;
+        // In owner weight; with every weight 1, the number of owners
         uint256 threshold;
-        uint256 transactionCount;
         bool initialized;
+        // Seconds between reaching the threshold and execution, 0 for none
+        uint256 executionDelay;
+        // Seconds a proposal stays open after submission, 0 for no expiry
+        uint256 proposalLifetime;
+        // Thresholds for particular operations
+        ThresholdPolicies.Policy policy;
+        // Pending and Ready transaction IDs, for paging; closing one moves the last into its place
+        uint256[] openTransactions;
+        mapping(uint256 => uint256) openIndex;
     }
     
     // ===================== State Variables =====================
     
-    // Account => Configuration
-    mapping(address => AccountConfig) private accountConfigs;
+    // Account => Install generation, bumped on uninstall so the next install starts from empty
+    // state whatever the account's history
+    mapping(address => uint256) private installs;
+    
+    // Account => Install generation => Configuration
+    mapping(address => mapping(uint256 => AccountConfig)) private accountConfigs;
     
-    // Account => Transaction ID => Transaction
-    mapping(address => mapping(uint256 => Transaction)) public transactions;
+    // Account => Install generation => Transaction ID => Transaction
+    mapping(address => mapping(uint256 => mapping(uint256 => Transaction))) internal transactions;
     
-    // Account => Transaction ID => Owner => Confirmed
-    mapping(address => mapping(uint256 => mapping(address => bool))) public confirmations;
+    // Account => Transactions submitted across installs; IDs keep counting, so confirmations and
+    // votes left on those of an earlier install never count again
+    mapping(address => uint256) private transactionCounts;
+    
+    // Account => Transaction ID => Owner => The owner's term when they confirmed (WeightedOwners.terms)
+    mapping(address => mapping(uint256 => mapping(address => uint256))) private confirmationTerms;
     
     // Account => Owner => List of transaction IDs
     mapping(address => mapping(address => uint256[])) public ownerTransactions;
     
+    // Account => Transaction ID => Owner => The owner's term when they voted to cancel
+    mapping(address => mapping(uint256 => mapping(address => uint256))) private cancelVoteTerms;
+    
     // ===================== Events =====================
     
     event PluginInstalled(address indexed account, address[] owners, uint256 threshold);
     event PluginUninstalled(address indexed account);
+    // Owner events are emitted by WeightedOwners, which runs in the plugin's context
     event OwnerAdded(address indexed account, address indexed owner);
     event OwnerRemoved(address indexed account, address indexed owner);
     event ThresholdChanged(address indexed account, uint256 oldThreshold, uint256 newThreshold);
+    event OwnerWeightChanged(address indexed account, address indexed owner, uint256 weight);
+    // Emitted by ThresholdPolicies.set, which runs in the plugin's context
+    event ThresholdPolicyChanged(address indexed account, ThresholdPolicies.ThresholdPolicy policy);
     event TransactionSubmitted(
         address indexed account, 
         uint256 indexed txId, 
         address indexed submitter,
-        address to,
-        uint256 value,
-        bytes data
+        address[] targets,
+        uint256[] values,
+        bytes[] datas
+    );
+    event TransactionReplaced(
+        address indexed account,
+        uint256 indexed txId,
+        address indexed proposer,
+        address[] targets,
+        uint256[] values,
+        bytes[] datas
     );
     event TransactionConfirmed(address indexed account, uint256 indexed txId, address indexed owner);
     event ConfirmationRevoked(address indexed account, uint256 indexed txId, address indexed owner);
     event TransactionExecuted(address indexed account, uint256 indexed txId, bool success);
     event TransactionFailed(address indexed account, uint256 indexed txId, bytes reason);
+    event TransactionReady(address indexed account, uint256 indexed txId, uint256 executableAt);
+    event CancelVoteCast(address indexed account, uint256 indexed txId, address indexed owner);
+    event TransactionCancelled(address indexed account, uint256 indexed txId);
+    event TimelockChanged(address indexed account, uint256 executionDelay, uint256 proposalLifetime);
     
     // ===================== Modifiers =====================
     
-    modifier onlyOwner(address account) {
-        require(accountConfigs[account].isOwner[msg.sender], "Not an owner");
+    // Modifiers call internal functions so their checks are not copied into every function
+    
+    modifier onlyInstalled() {
+        _checkInstalled();
+        _;
+    }
+    
+    // The owner acting through the account must be the caller it passed on
+    modifier onlyOwner() {
+        _checkOwner();
         _;
     }
     
     modifier txExists(address account, uint256 txId) {
-        require(transactions[account][txId].to != address(0), "Transaction does not exist");
+        _checkTxExists(account, txId);
+        _;
+    }
+    
+    modifier isOpen(address account, uint256 txId) {
+        require(_transaction(account, txId).status < TransactionStatus.Executed, "Transaction closed");
         _;
     }
     
-    modifier notExecuted(address account, uint256 txId) {
-        require(!transactions[account][txId].executed, "Transaction already executed");
+    modifier notClosed(address account, uint256 txId) {
+        _checkNotClosed(account, txId);
         _;
     }
     
     modifier notConfirmed(address account, uint256 txId) {
-        require(!confirmations[account][txId][msg.sender], "Transaction already confirmed");
+        require(!confirmations(account, txId, _caller()), "Transaction already confirmed");
         _;
     }
     
@@ -91,95 +186,141 @@ contract MultiSigPlugin is IPlugin, IValidationPlugin, IExecutionPlugin {
     
     /**
      * @notice Install the plugin with initial configuration
-     * @param data Encoded owners array and threshold
+     * @param data Encoded owners array, their weights (empty for 1 each) and the threshold weight
      */
     function onInstall(bytes calldata data) external override {
-        require(!accountConfigs[msg.sender].initialized, "Already initialized");
+        require(!_config(msg.sender).initialized, "Already initialized");
         
-        (address[] memory owners, uint256 threshold) = abi.decode(data, (address[], uint256));
-        _validateOwnersAndThreshold(owners, threshold);
+        (address[] memory owners, uint256[] memory weights, uint256 threshold) =
+            abi.decode(data, (address[], uint256[], uint256));
+        require(weights.length == 0 || weights.length == owners.length, "Mismatched arrays");
         
-        AccountConfig storage config = accountConfigs[msg.sender];
-        config.threshold = threshold;
+        AccountConfig storage config = _config(msg.sender);
         config.initialized = true;
         
         for (uint256 i = 0; i < owners.length; i++) {
-            address owner = owners[i];
-            require(owner != address(0), "Invalid owner address");
-            require(!config.isOwner[owner], "Duplicate owner");
-            
-            config.owners.push(owner);
-            config.isOwner[owner] = true;
+            config.owners.add(msg.sender, owners[i], weights.length == 0 ? 1 : weights[i]);
         }
+        _validateThreshold(config, threshold);
+        config.threshold = threshold;
         
         emit PluginInstalled(msg.sender, owners, threshold);
     }
     
     /**
-     * @notice Uninstall the plugin and clean up storage
+     * @notice Uninstall the plugin, leaving the next install empty state
      * @param data Unused parameter for interface compliance
      */
     function onUninstall(bytes calldata data) external override {
-        AccountConfig storage config = accountConfigs[msg.sender];
+        AccountConfig storage config = _config(msg.sender);
         require(config.initialized, "Not initialized");
         
-        // Clean up owners
-        for (uint256 i = 0; i < config.owners.length; i++) {
-            delete config.isOwner[config.owners[i]];
-        }
-        delete config.owners;
-        
-        // Clean up transactions
-        for (uint256 i = 0; i < config.transactionCount; i++) {
-            delete transactions[msg.sender][i];
-        }
-        
-        delete accountConfigs[msg.sender];
+        // Owners are removed one by one for their events; the rest of the install's config and
+        // transactions is left behind, so uninstalling costs the same however long the history
+        config.owners.clear(msg.sender);
+        installs[msg.sender]++;
         emit PluginUninstalled(msg.sender);
     }
     
+    /**
+     * @notice Validates `execute` and `executeBatch`; the account calls the rest on the plugin.
+     *         Executed proposals run through executeFromPlugin: calls to any address, and to the
+     *         account's plugin and owner management, which a timelock leaves them the only way to.
+     *         Multi-call proposals go through the account's executeBatch, so like the threshold
+     *         signing `executeBatch` directly, they can make any call the account can.
+     */
+    function pluginManifest() external pure override returns (PluginManifest memory manifest) {
+        manifest.executionFunctions = new bytes4[](15);
+        manifest.executionFunctions[0] = this.submitTransaction.selector;
+        manifest.executionFunctions[1] = this.confirmTransaction.selector;
+        manifest.executionFunctions[2] = this.revokeConfirmation.selector;
+        manifest.executionFunctions[3] = this.executeTransaction.selector;
+        manifest.executionFunctions[4] = this.addOwner.selector;
+        manifest.executionFunctions[5] = this.removeOwner.selector;
+        manifest.executionFunctions[6] = this.replaceOwners.selector;
+        manifest.executionFunctions[7] = this.changeThreshold.selector;
+        manifest.executionFunctions[8] = this.voteToCancel.selector;
+        manifest.executionFunctions[9] = this.setTimelock.selector;
+        manifest.executionFunctions[10] = this.setOwnerWeight.selector;
+        manifest.executionFunctions[11] = this.setThresholdPolicy.selector;
+        manifest.executionFunctions[12] = this.submitBatchTransaction.selector;
+        manifest.executionFunctions[13] = this.replaceTransaction.selector;
+        manifest.executionFunctions[14] = this.cancelTransaction.selector;
+        
+        manifest.validationFunctions = new bytes4[](2);
+        manifest.validationFunctions[0] = EXECUTE_SELECTOR;
+        manifest.validationFunctions[1] = EXECUTE_BATCH_SELECTOR;
+        
+        manifest.permittedExecutionSelectors = new bytes4[](11);
+        manifest.permittedExecutionSelectors[0] = INSTALL_PLUGIN_SELECTOR;
+        manifest.permittedExecutionSelectors[1] = UNINSTALL_PLUGIN_SELECTOR;
+        manifest.permittedExecutionSelectors[2] = TRANSFER_OWNERSHIP_SELECTOR;
+        manifest.permittedExecutionSelectors[3] = this.addOwner.selector;
+        manifest.permittedExecutionSelectors[4] = this.removeOwner.selector;
+        manifest.permittedExecutionSelectors[5] = this.replaceOwners.selector;
+        manifest.permittedExecutionSelectors[6] = this.changeThreshold.selector;
+        manifest.permittedExecutionSelectors[7] = this.setTimelock.selector;
+        manifest.permittedExecutionSelectors[8] = this.setOwnerWeight.selector;
+        manifest.permittedExecutionSelectors[9] = this.setThresholdPolicy.selector;
+        manifest.permittedExecutionSelectors[10] = EXECUTE_BATCH_SELECTOR;
+        
+        // Owners propose calls to contracts of their choosing, which no fixed list could name
+        manifest.permitAnyExternalAddress = true;
+    }
+    
+    function supportsInterface(bytes4 interfaceId) external pure override returns (bool) {
+        return interfaceId == type(IPlugin).interfaceId
+            || interfaceId == type(IValidationPlugin).interfaceId
+            || interfaceId == type(ISignatureValidationPlugin).interfaceId
+            || interfaceId == type(IERC165).interfaceId;
+    }
+    
     // ===================== Validation Functions =====================
     
     /**
      * @notice Validate a user operation for multi-sig requirements
+     * @dev Signatures starting with SIGNATURE_MODE_ECDSA carry the owners' signatures over the
+     *      userOpHash, those starting with SIGNATURE_MODE_OWNER a single owner's; anything else
+     *      fails. While the account has an execution delay, only SIGNATURE_MODE_OWNER is
+     *      accepted: everything the threshold decides then goes through proposals, so owners can
+     *      veto it in time. The weight needed is the ThresholdPolicy's for the op's calls.
      * @param userOp The user operation to validate
      * @param userOpHash Hash of the user operation
      * @return validationData 0 for success, 1 for failure
+     * @return caller The owner acting alone, or the account itself when the threshold approved
      */
     function validateUserOp(
         UserOperation calldata userOp,
         bytes32 userOpHash
-    ) external view override returns (uint256 validationData) {
-        // Decode multi-sig validation data from signature
-        (uint256 txId, address[] memory signers) = abi.decode(
-            userOp.signature,
-            (uint256, address[])
-        );
-        
-        AccountConfig storage config = accountConfigs[userOp.sender];
-        Transaction storage txn = transactions[userOp.sender][txId];
-        
-        // Verify transaction exists and matches
-        if (txn.to == address(0) || txn.executed) {
-            return 1; // Invalid
-        }
-        
-        // Verify operation matches transaction
-        bytes32 expectedHash = keccak256(abi.encode(txn.to, txn.value, txn.data));
-        bytes32 actualHash = keccak256(userOp.callData);
-        if (expectedHash != actualHash) {
-            return 1; // Mismatch
-        }
-        
-        // Count valid signatures
-        uint256 validSignatures = 0;
-        for (uint256 i = 0; i < signers.length; i++) {
-            if (config.isOwner[signers[i]] && confirmations[userOp.sender][txId][signers[i]]) {
-                validSignatures++;
+    ) external view override returns (uint256 validationData, address caller) {
+        uint8 mode = userOp.signature.length > 0 ? uint8(userOp.signature[0]) : 0;
+        
+        if (mode == SIGNATURE_MODE_ECDSA && _config(userOp.sender).executionDelay == 0) {
+            AccountConfig storage config = _config(userOp.sender);
+            uint256 required = config.policy.requiredWeight(config.threshold, userOp.sender, userOp.callData);
+            if (config.owners.checkSignatures(userOpHash, userOp.signature[1:], required)) {
+                return (0, userOp.sender);
             }
+        } else if (mode == SIGNATURE_MODE_OWNER) {
+            return _validateActingOwner(userOp, userOpHash);
         }
         
-        return validSignatures >= config.threshold ? 0 : 1;
+        return (SIG_VALIDATION_FAILED, address(0));
+    }
+    
+    /**
+     * @notice Whether owners holding the account's threshold signed `digest` (ERC-1271 for the account)
+     * @dev The owners' EIP-712 signatures of the account's message digest, 65 bytes each, signers
+     *      sorted ascending. Refused while the account has an execution delay: a signed message can
+     *      move assets (permits, orders) without a proposal the owners could veto in time.
+     */
+    function validateSignature(
+        bytes32 digest,
+        bytes calldata signature
+    ) external view override returns (bool) {
+        AccountConfig storage config = _config(msg.sender);
+        return config.executionDelay == 0
+            && config.owners.checkDigestSignatures(digest, signature, config.threshold);
     }
     
     // ===================== Transaction Management =====================
@@ -195,28 +336,58 @@ contract MultiSigPlugin is IPlugin, IValidationPlugin, IExecutionPlugin {
         address to,
         uint256 value,
         bytes calldata data
-    ) external onlyOwner(msg.sender) returns (uint256 txId) {
-        require(to != address(0), "Invalid destination");
-        
-        AccountConfig storage config = accountConfigs[msg.sender];
-        txId = config.transactionCount;
-        
-        transactions[msg.sender][txId] = Transaction({
-            to: to,
-            value: value,
-            data: data,
-            executed: false,
-            confirmations: 0,
-            timestamp: block.timestamp,
-            txHash: keccak256(abi.encode(msg.sender, txId, to, value, data))
-        });
-        
-        config.transactionCount++;
+    ) external onlyOwner returns (uint256 txId) {
+        (address[] memory targets, uint256[] memory values, bytes[] memory datas) = _singleCall(to, value, data);
+        return _submit(targets, values, datas);
+    }
+    
+    /**
+     * @notice Submit several calls for multi-sig approval, executed atomically
+     * @param targets Destination of each call, in execution order
+     * @param values ETH value of each call
+     * @param datas Data of each call
+     * @return txId Transaction ID
+     */
+    function submitBatchTransaction(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory datas
+    ) external onlyOwner returns (uint256 txId) {
+        return _submit(targets, values, datas);
+    }
+    
+    /**
+     * @notice Replace the calls of an open transaction, keeping its ID
+     * @dev Only its proposer can. Confirmations and cancel votes are dropped, as they were given
+     *      for the old calls, and the proposal lifetime starts over; the proposer confirms anew.
+     * @param txId Transaction ID to replace
+     * @param targets Destination of each new call
+     * @param values ETH value of each new call
+     * @param datas Data of each new call
+     */
+    function replaceTransaction(
+        uint256 txId,
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory datas
+    )
+        external
+        onlyOwner
+        txExists(msg.sender, txId)
+        notClosed(msg.sender, txId)
+    {
+        address proposer = _caller();
+        require(_transaction(msg.sender, txId).proposer == proposer, "Not the proposer");
         
-        emit TransactionSubmitted(msg.sender, txId, tx.origin, to, value, data);
+        AccountConfig storage config = _config(msg.sender);
+        for (uint256 i = 0; i < config.owners.list.length; i++) {
+            delete confirmationTerms[msg.sender][txId][config.owners.list[i]];
+            delete cancelVoteTerms[msg.sender][txId][config.owners.list[i]];
+        }
+        _storeTransaction(txId, targets, values, datas);
         
-        // Auto-confirm for submitter
-        _confirmTransaction(msg.sender, txId);
+        emit TransactionReplaced(msg.sender, txId, proposer, targets, values, datas);
+        _confirmTransaction(msg.sender, txId, proposer);
     }
     
     /**
@@ -225,12 +396,12 @@ contract MultiSigPlugin is IPlugin, IValidationPlugin, IExecutionPlugin {
      */
     function confirmTransaction(uint256 txId) 
         external 
-        onlyOwner(msg.sender)
+        onlyOwner
         txExists(msg.sender, txId)
-        notExecuted(msg.sender, txId)
+        notClosed(msg.sender, txId)
         notConfirmed(msg.sender, txId)
     {
-        _confirmTransaction(msg.sender, txId);
+        _confirmTransaction(msg.sender, txId, _caller());
     }
     
     /**
@@ -239,43 +410,125 @@ contract MultiSigPlugin is IPlugin, IValidationPlugin, IExecutionPlugin {
      */
     function revokeConfirmation(uint256 txId)
         external
-        onlyOwner(msg.sender)
+        onlyOwner
         txExists(msg.sender, txId)
-        notExecuted(msg.sender, txId)
+        isOpen(msg.sender, txId)
     {
-        require(confirmations[msg.sender][txId][tx.origin], "Not confirmed");
-        
-        confirmations[msg.sender][txId][tx.origin] = false;
-        transactions[msg.sender][txId].confirmations--;
+        address owner = _caller();
+        require(confirmations(msg.sender, txId, owner), "Not confirmed");
+        
+        Transaction storage txn = _transaction(msg.sender, txId);
+        delete confirmationTerms[msg.sender][txId][owner];
+        // Falling below the threshold restarts the timelock once it is reached again
+        if (_confirmedWeight(msg.sender, txId) < _transactionThreshold(msg.sender, txId)) {
+            txn.readyAt = 0;
+            txn.status = TransactionStatus.Pending;
+        }
         
-        emit ConfirmationRevoked(msg.sender, txId, tx.origin);
+        emit ConfirmationRevoked(msg.sender, txId, owner);
     }
     
     /**
-     * @notice Execute a confirmed transaction
+     * @notice Execute a confirmed transaction as the account, once its timelock has passed
+     * @dev A transaction that reached the threshold through a threshold change rather than a
+     *      confirmation only starts its timelock here; it executes right away without a delay.
+     *      If a call reverts, none of them take effect: the transaction is Failed for good,
+     *      with the revert data kept as its failureReason. Calls run out of gas revert the
+     *      execution instead, leaving the transaction to execute again with more gas.
      * @param txId Transaction ID to execute
      */
     function executeTransaction(uint256 txId)
         external
-        onlyOwner(msg.sender)
+        onlyOwner
         txExists(msg.sender, txId)
-        notExecuted(msg.sender, txId)
+        notClosed(msg.sender, txId)
     {
-        Transaction storage txn = transactions[msg.sender][txId];
-        AccountConfig storage config = accountConfigs[msg.sender];
+        Transaction storage txn = _transaction(msg.sender, txId);
+        uint256 executionDelay = _config(msg.sender).executionDelay;
         
-        require(txn.confirmations >= config.threshold, "Insufficient confirmations");
+        require(
+            _confirmedWeight(msg.sender, txId) >= _transactionThreshold(msg.sender, txId),
+            "Insufficient confirmations"
+        );
         
-        txn.executed = true;
+        if (txn.readyAt == 0) {
+            _markReady(msg.sender, txId);
+            if (executionDelay > 0) {
+                return;
+            }
+        }
+        require(block.timestamp >= txn.readyAt + executionDelay, "Timelock not expired");
         
-        (bool success, bytes memory result) = txn.to.call{value: txn.value}(txn.data);
+        _closeTransaction(msg.sender, txId, TransactionStatus.Executed);
         
-        if (success) {
-            emit TransactionExecuted(msg.sender, txId, true);
+        // A single call is made directly, several through executeBatch so they revert together
+        address to = msg.sender;
+        uint256 value = 0;
+        bytes memory data;
+        if (txn.targets.length == 1) {
+            (to, value, data) = (txn.targets[0], txn.values[0], txn.datas[0]);
         } else {
+            data = abi.encodeWithSelector(EXECUTE_BATCH_SELECTOR, txn.targets, txn.values, txn.datas);
+        }
+        
+        uint256 gasBefore = gasleft();
+        try IModularAccount(msg.sender).executeFromPlugin(to, value, data) {
+            emit TransactionExecuted(msg.sender, txId, true);
+        } catch (bytes memory result) {
+            // Running out of gas reverts without data and leaves only what each frame on the way
+            // (this one, the account, its executeBatch, ...) kept back: 1/64 of its gas. Revert then,
+            // so an owner sending too little gas cannot fail the transaction for good.
+            require(result.length > 0 || gasleft() > gasBefore / 8, "Not enough gas to execute");
+            txn.status = TransactionStatus.Failed;
+            txn.failureReason = result;
             emit TransactionFailed(msg.sender, txId, result);
-            // Revert the execution status to allow retry
-            txn.executed = false;
+        }
+    }
+    
+    /**
+     * @notice Cancel an open transaction right away
+     * @dev Its proposer can withdraw it, and the account itself (i.e. the threshold) can cancel
+     *      any. Expired transactions can be cancelled too, which takes them off the pending list.
+     * @param txId Transaction ID to cancel
+     */
+    function cancelTransaction(uint256 txId)
+        external
+        onlyInstalled
+        txExists(msg.sender, txId)
+        isOpen(msg.sender, txId)
+    {
+        address caller = _caller();
+        require(
+            caller == msg.sender
+                || (caller == _transaction(msg.sender, txId).proposer && _config(msg.sender).owners.isOwner[caller]),
+            "Not the proposer"
+        );
+        
+        _closeTransaction(msg.sender, txId, TransactionStatus.Cancelled);
+        emit TransactionCancelled(msg.sender, txId);
+    }
+    
+    /**
+     * @notice Vote to cancel a transaction; it is cancelled once owners holding the account's
+     *         threshold weight have voted, which lets them veto a transaction during its timelock
+     * @param txId Transaction ID to cancel
+     */
+    function voteToCancel(uint256 txId)
+        external
+        onlyOwner
+        txExists(msg.sender, txId)
+        notClosed(msg.sender, txId)
+    {
+        address owner = _caller();
+        require(!cancelVotes(msg.sender, txId, owner), "Already voted");
+        
+        AccountConfig storage config = _config(msg.sender);
+        cancelVoteTerms[msg.sender][txId][owner] = config.owners.terms[owner];
+        emit CancelVoteCast(msg.sender, txId, owner);
+        
+        if (config.owners.votedWeight(cancelVoteTerms[msg.sender][txId]) >= config.threshold) {
+            _closeTransaction(msg.sender, txId, TransactionStatus.Cancelled);
+            emit TransactionCancelled(msg.sender, txId);
         }
     }
     
@@ -284,49 +537,63 @@ contract MultiSigPlugin is IPlugin, IValidationPlugin, IExecutionPlugin {
     /**
      * @notice Add a new owner
      * @param owner Address to add as owner
+     * @param weight The owner's voting weight
      */
-    function addOwner(address owner) external onlyOwner(msg.sender) {
-        require(owner != address(0), "Invalid owner");
-        
-        AccountConfig storage config = accountConfigs[msg.sender];
-        require(!config.isOwner[owner], "Already an owner");
-        
-        config.owners.push(owner);
-        config.isOwner[owner] = true;
-        
-        emit OwnerAdded(msg.sender, owner);
+    function addOwner(address owner, uint256 weight) external onlyInstalled {
+        _config(msg.sender).owners.add(msg.sender, owner, weight);
+    }
+    
+    /**
+     * @notice Change an owner's voting weight
+     * @dev Lowering it must leave every threshold of the account reachable
+     * @param owner Owner address
+     * @param weight New voting weight
+     */
+    function setOwnerWeight(address owner, uint256 weight) external onlyInstalled {
+        AccountConfig storage config = _config(msg.sender);
+        config.owners.setWeight(msg.sender, owner, weight, config.policy.maxThreshold(config.threshold));
     }
     
     /**
      * @notice Remove an existing owner
+     * @dev Their confirmations and cancel votes stop counting, also should they be added back
      * @param owner Address to remove
      */
-    function removeOwner(address owner) external onlyOwner(msg.sender) {
-        AccountConfig storage config = accountConfigs[msg.sender];
-        require(config.isOwner[owner], "Not an owner");
-        require(config.owners.length - 1 >= config.threshold, "Would break threshold");
+    function removeOwner(address owner) external onlyInstalled {
+        AccountConfig storage config = _config(msg.sender);
+        config.owners.remove(msg.sender, owner, config.policy.maxThreshold(config.threshold));
+    }
+    
+    /**
+     * @notice Replace every owner and the threshold at once
+     * @dev Needs no current owner, so an account that lost its owner keys can reset them
+     *      (e.g. through a recovery plugin); the account authorizes the call as usual. The new
+     *      owners weigh 1 each and the threshold policy is cleared, as it was set for the old ones.
+     * @param owners New owner addresses
+     * @param threshold New confirmation threshold
+     */
+    function replaceOwners(address[] calldata owners, uint256 threshold) external onlyInstalled {
+        AccountConfig storage config = _config(msg.sender);
         
-        config.isOwner[owner] = false;
+        config.owners.clear(msg.sender);
+        config.policy.clear();
         
-        // Remove from array
-        for (uint256 i = 0; i < config.owners.length; i++) {
-            if (config.owners[i] == owner) {
-                config.owners[i] = config.owners[config.owners.length - 1];
-                config.owners.pop();
-                break;
-            }
+        for (uint256 i = 0; i < owners.length; i++) {
+            config.owners.add(msg.sender, owners[i], 1);
         }
+        _validateThreshold(config, threshold);
         
-        emit OwnerRemoved(msg.sender, owner);
+        emit ThresholdChanged(msg.sender, config.threshold, threshold);
+        config.threshold = threshold;
     }
     
     /**
-     * @notice Change the confirmation threshold
-     * @param newThreshold New threshold value
+     * @notice Change the confirmation threshold for operations the threshold policy does not cover
+     * @param newThreshold New threshold, in owner weight
      */
-    function changeThreshold(uint256 newThreshold) external onlyOwner(msg.sender) {
-        AccountConfig storage config = accountConfigs[msg.sender];
-        _validateOwnersAndThreshold(config.owners, newThreshold);
+    function changeThreshold(uint256 newThreshold) external onlyInstalled {
+        AccountConfig storage config = _config(msg.sender);
+        _validateThreshold(config, newThreshold);
         
         uint256 oldThreshold = config.threshold;
         config.threshold = newThreshold;
@@ -334,35 +601,137 @@ contract MultiSigPlugin is IPlugin, IValidationPlugin, IExecutionPlugin {
         emit ThresholdChanged(msg.sender, oldThreshold, newThreshold);
     }
     
+    /**
+     * @notice Set the review window for transactions and how long proposals stay open
+     * @dev Applies to pending transactions too; expiry is fixed when a transaction is submitted
+     * @param executionDelay Seconds between reaching the threshold and execution, 0 for none
+     * @param proposalLifetime Seconds a proposal stays open after submission, 0 for no expiry
+     */
+    function setTimelock(uint256 executionDelay, uint256 proposalLifetime) external onlyInstalled {
+        require(proposalLifetime == 0 || proposalLifetime > executionDelay, "Lifetime must exceed delay");
+        
+        AccountConfig storage config = _config(msg.sender);
+        config.executionDelay = executionDelay;
+        config.proposalLifetime = proposalLifetime;
+        
+        emit TimelockChanged(msg.sender, executionDelay, proposalLifetime);
+    }
+    
+    /**
+     * @notice Replace the account's threshold policy
+     * @dev Each threshold must be reachable with the current owner weights. A call matching
+     *      several rules needs the highest of their thresholds, so e.g. an upgrade selector at the
+     *      total weight is not lowered by a small-payment bracket.
+     * @param policy Thresholds per target, per selector and per value bracket
+     */
+    function setThresholdPolicy(ThresholdPolicies.ThresholdPolicy calldata policy) external onlyInstalled {
+        AccountConfig storage config = _config(msg.sender);
+        config.policy.set(msg.sender, policy, config.owners.totalWeight);
+    }
+    
     // ===================== View Functions =====================
     
     /**
      * @notice Get account configuration
      * @param account Account address
      * @return owners Array of owner addresses
-     * @return threshold Confirmation threshold
+     * @return threshold Confirmation threshold, in owner weight
      */
     function getAccountConfig(address account) 
         external 
         view 
         returns (address[] memory owners, uint256 threshold) 
     {
-        AccountConfig storage config = accountConfigs[account];
-        return (config.owners, config.threshold);
+        AccountConfig storage config = _config(account);
+        return (config.owners.list, config.threshold);
+    }
+    
+    /**
+     * @notice Get the owners' voting weights
+     * @param account Account address
+     * @return owners Array of owner addresses
+     * @return weights Weight of each owner
+     * @return totalWeight Sum of the weights
+     */
+    function getOwnerWeights(address account)
+        external
+        view
+        returns (address[] memory owners, uint256[] memory weights, uint256 totalWeight)
+    {
+        WeightedOwners.Set storage set = _config(account).owners;
+        (owners, weights) = set.getWeights();
+        return (owners, weights, set.totalWeight);
+    }
+    
+    /**
+     * @notice Get the account's threshold policy
+     * @param account Account address
+     * @return policy Thresholds per target, per selector and per value bracket
+     */
+    function getThresholdPolicy(address account)
+        external
+        view
+        returns (ThresholdPolicies.ThresholdPolicy memory policy)
+    {
+        return _config(account).policy.get();
+    }
+    
+    /**
+     * @notice Get the owner weight a UserOperation with this callData needs
+     * @param account Account address
+     * @param callData The op's callData: `execute`, `executeBatch` or a call to the account itself
+     * @return The required weight
+     */
+    function getRequiredWeight(address account, bytes calldata callData) external view returns (uint256) {
+        AccountConfig storage config = _config(account);
+        return config.policy.requiredWeight(config.threshold, account, callData);
+    }
+    
+    /**
+     * @notice Get the weight that confirmed a transaction and the weight it needs
+     * @param account Account address
+     * @param txId Transaction ID
+     * @return confirmed Weight of the owners who confirmed
+     * @return required Weight needed to execute it
+     */
+    function getConfirmationWeight(address account, uint256 txId)
+        external
+        view
+        returns (uint256 confirmed, uint256 required)
+    {
+        return (_confirmedWeight(account, txId), _transactionThreshold(account, txId));
+    }
+    
+    /**
+     * @notice Get the account's timelock settings
+     * @param account Account address
+     * @return executionDelay Seconds between reaching the threshold and execution
+     * @return proposalLifetime Seconds a proposal stays open after submission
+     */
+    function getTimelock(address account)
+        external
+        view
+        returns (uint256 executionDelay, uint256 proposalLifetime)
+    {
+        AccountConfig storage config = _config(account);
+        return (config.executionDelay, config.proposalLifetime);
     }
     
     /**
      * @notice Get transaction details
      * @param account Account address
      * @param txId Transaction ID
-     * @return Transaction details
+     * @return txn Transaction details
      */
     function getTransaction(address account, uint256 txId) 
         external 
         view 
-        returns (Transaction memory) 
+        returns (Transaction memory txn) 
     {
-        return transactions[account][txId];
+        txn = _transaction(account, txId);
+        WeightedOwners.Set storage owners = _config(account).owners;
+        txn.confirmations = owners.voters(confirmationTerms[account][txId]).length;
+        txn.cancelVotes = owners.voters(cancelVoteTerms[account][txId]).length;
     }
     
     /**
@@ -376,25 +745,29 @@ contract MultiSigPlugin is IPlugin, IValidationPlugin, IExecutionPlugin {
         view
         returns (address[] memory confirmedOwners)
     {
-        AccountConfig storage config = accountConfigs[account];
-        uint256 count = 0;
-        
-        // Count confirmations
-        for (uint256 i = 0; i < config.owners.length; i++) {
-            if (confirmations[account][txId][config.owners[i]]) {
-                count++;
-            }
-        }
-        
-        // Build array
-        confirmedOwners = new address[](count);
-        uint256 index = 0;
-        for (uint256 i = 0; i < config.owners.length; i++) {
-            if (confirmations[account][txId][config.owners[i]]) {
-                confirmedOwners[index] = config.owners[i];
-                index++;
-            }
-        }
+        return _config(account).owners.voters(confirmationTerms[account][txId]);
+    }
+    
+    /**
+     * @notice Check if an owner confirmed a transaction
+     * @param account Account address
+     * @param txId Transaction ID
+     * @param owner Owner address
+     * @return bool True if the owner's confirmation counts
+     */
+    function confirmations(address account, uint256 txId, address owner) public view returns (bool) {
+        return _config(account).owners.hasVoted(confirmationTerms[account][txId], owner);
+    }
+    
+    /**
+     * @notice Check if an owner voted to cancel a transaction
+     * @param account Account address
+     * @param txId Transaction ID
+     * @param owner Owner address
+     * @return bool True if the owner's vote counts
+     */
+    function cancelVotes(address account, uint256 txId, address owner) public view returns (bool) {
+        return _config(account).owners.hasVoted(cancelVoteTerms[account][txId], owner);
     }
     
     /**
@@ -404,25 +777,32 @@ contract MultiSigPlugin is IPlugin, IValidationPlugin, IExecutionPlugin {
      * @return bool True if owner
      */
     function isOwner(address account, address owner) external view returns (bool) {
-        return accountConfigs[account].isOwner[owner];
+        return _config(account).owners.isOwner[owner];
     }
     
     /**
-     * @notice Get pending transactions for an account
+     * @notice Get a page of an account's open transactions, leaving out expired ones
+     * @dev Pages over the open transactions in no fixed order: closing one moves the last into
+     *      its place. Cancelling expired transactions takes them off the list.
      * @param account Account address
-     * @return pendingTxIds Array of pending transaction IDs
+     * @param offset Index in the open transactions to start at
+     * @param limit Most open transactions to look at
+     * @return pendingTxIds Pending and Ready transaction IDs in the page that have not expired
+     * @return total Number of open transactions, expired ones included
      */
-    function getPendingTransactions(address account) 
+    function getPendingTransactions(address account, uint256 offset, uint256 limit)
         external 
         view 
-        returns (uint256[] memory pendingTxIds) 
+        returns (uint256[] memory pendingTxIds, uint256 total) 
     {
-        AccountConfig storage config = accountConfigs[account];
+        uint256[] storage open = _config(account).openTransactions;
+        total = open.length;
+        uint256 end = offset + limit < total ? offset + limit : total;
         uint256 pendingCount = 0;
         
         // Count pending transactions
-        for (uint256 i = 0; i < config.transactionCount; i++) {
-            if (!transactions[account][i].executed && transactions[account][i].to != address(0)) {
+        for (uint256 i = offset; i < end; i++) {
+            if (_isPending(account, open[i])) {
                 pendingCount++;
             }
         }
@@ -430,9 +810,9 @@ contract MultiSigPlugin is IPlugin, IValidationPlugin, IExecutionPlugin {
         // Build array
         pendingTxIds = new uint256[](pendingCount);
         uint256 index = 0;
-        for (uint256 i = 0; i < config.transactionCount; i++) {
-            if (!transactions[account][i].executed && transactions[account][i].to != address(0)) {
-                pendingTxIds[index] = i;
+        for (uint256 i = offset; i < end; i++) {
+            if (_isPending(account, open[i])) {
+                pendingTxIds[index] = open[i];
                 index++;
             }
         }
@@ -440,20 +820,184 @@ contract MultiSigPlugin is IPlugin, IValidationPlugin, IExecutionPlugin {
     
     // ===================== Internal Functions =====================
     
-    function _confirmTransaction(address account, uint256 txId) internal {
-        confirmations[account][txId][tx.origin] = true;
-        transactions[account][txId].confirmations++;
-        ownerTransactions[account][tx.origin].push(txId);
+    function _confirmTransaction(address account, uint256 txId, address owner) internal {
+        Transaction storage txn = _transaction(account, txId);
+        confirmationTerms[account][txId][owner] = _config(account).owners.terms[owner];
+        ownerTransactions[account][owner].push(txId);
+        
+        emit TransactionConfirmed(account, txId, owner);
+        
+        if (txn.readyAt == 0 && _confirmedWeight(account, txId) >= _transactionThreshold(account, txId)) {
+            _markReady(account, txId);
+        }
+    }
+    
+    // Starts the timelock of a transaction that reached the threshold
+    function _markReady(address account, uint256 txId) internal {
+        Transaction storage txn = _transaction(account, txId);
+        txn.readyAt = block.timestamp;
+        txn.status = TransactionStatus.Ready;
+        emit TransactionReady(account, txId, block.timestamp + _config(account).executionDelay);
+    }
+    
+    function _submit(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory datas
+    ) internal returns (uint256 txId) {
+        AccountConfig storage config = _config(msg.sender);
+        txId = transactionCounts[msg.sender]++;
+        
+        _storeTransaction(txId, targets, values, datas);
+        config.openTransactions.push(txId);
+        config.openIndex[txId] = config.openTransactions.length;
+        
+        emit TransactionSubmitted(msg.sender, txId, _caller(), targets, values, datas);
+        
+        // Auto-confirm for submitter
+        _confirmTransaction(msg.sender, txId, _caller());
+    }
+    
+    // Writes a new or replacing transaction of the calling account, proposed by the caller
+    function _storeTransaction(
+        uint256 txId,
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory datas
+    ) internal {
+        require(targets.length > 0, "No calls");
+        require(targets.length == values.length && targets.length == datas.length, "Mismatched arrays");
+        for (uint256 i = 0; i < targets.length; i++) {
+            require(targets[i] != address(0), "Invalid destination");
+        }
+        
+        Transaction storage txn = _transaction(msg.sender, txId);
+        txn.targets = targets;
+        txn.values = values;
+        txn.datas = datas;
+        txn.status = TransactionStatus.Pending;
+        txn.proposer = _caller();
+        txn.timestamp = block.timestamp;
+        txn.txHash = keccak256(abi.encode(msg.sender, txId, targets, values, datas));
+        txn.readyAt = 0;
+        uint256 lifetime = _config(msg.sender).proposalLifetime;
+        txn.expiresAt = lifetime > 0 ? block.timestamp + lifetime : 0;
+    }
+    
+    function _singleCall(address to, uint256 value, bytes memory data)
+        internal
+        pure
+        returns (address[] memory targets, uint256[] memory values, bytes[] memory datas)
+    {
+        targets = new address[](1);
+        values = new uint256[](1);
+        datas = new bytes[](1);
+        (targets[0], values[0], datas[0]) = (to, value, data);
+    }
+    
+    // Moves a transaction to a final status and off the open list
+    function _closeTransaction(address account, uint256 txId, TransactionStatus status) internal {
+        AccountConfig storage config = _config(account);
+        uint256 index = config.openIndex[txId];
+        uint256 last = config.openTransactions[config.openTransactions.length - 1];
         
-        emit TransactionConfirmed(account, txId, tx.origin);
+        config.openTransactions[index - 1] = last;
+        config.openIndex[last] = index;
+        config.openTransactions.pop();
+        delete config.openIndex[txId];
+        
+        _transaction(account, txId).status = status;
     }
     
-    function _validateOwnersAndThreshold(
-        address[] memory owners,
-        uint256 threshold
-    ) internal pure {
-        require(owners.length > 0, "No owners");
+    function _isPending(address account, uint256 txId) internal view returns (bool) {
+        Transaction storage txn = _transaction(account, txId);
+        return txn.status < TransactionStatus.Executed
+            && (txn.expiresAt == 0 || block.timestamp < txn.expiresAt);
+    }
+    
+    /**
+     * @dev A single owner's signature over the userOpHash, accepted for the proposal functions
+     *      only: submitting, replacing and cancelling one's own, confirming, revoking, executing
+     *      (once confirmed) and voting to cancel need no threshold
+     */
+    function _validateActingOwner(
+        UserOperation calldata userOp,
+        bytes32 userOpHash
+    ) internal view returns (uint256, address) {
+        bytes4 selector = userOp.callData.length >= 4 ? bytes4(userOp.callData[:4]) : bytes4(0);
+        if (
+            selector != this.submitTransaction.selector
+            && selector != this.submitBatchTransaction.selector
+            && selector != this.replaceTransaction.selector
+            && selector != this.cancelTransaction.selector
+            && selector != this.confirmTransaction.selector
+            && selector != this.revokeConfirmation.selector
+            && selector != this.executeTransaction.selector
+            && selector != this.voteToCancel.selector
+        ) {
+            return (SIG_VALIDATION_FAILED, address(0));
+        }
+        
+        address signer = ECDSA.recover(ECDSA.toEthSignedMessageHash(userOpHash), userOp.signature[1:]);
+        if (!_config(userOp.sender).owners.isOwner[signer]) {
+            return (SIG_VALIDATION_FAILED, address(0));
+        }
+        return (0, signer);
+    }
+    
+    /**
+     * @dev The caller the account appended to the calldata (ERC-2771). Accounts call the
+     *      plugin's functions through their fallback, which passes on the owner acting through
+     *      them; for UserOperations, the one validateUserOp proved.
+     */
+    function _caller() internal pure returns (address) {
+        require(msg.data.length >= 24, "No caller");
+        return address(bytes20(msg.data[msg.data.length - 20:]));
+    }
+    
+    // The account's config for its current install
+    function _config(address account) internal view returns (AccountConfig storage) {
+        return accountConfigs[account][installs[account]];
+    }
+    
+    function _transaction(address account, uint256 txId) internal view returns (Transaction storage) {
+        return transactions[account][installs[account]][txId];
+    }
+    
+    function _checkInstalled() internal view {
+        require(_config(msg.sender).initialized, "Not initialized");
+    }
+    
+    function _checkOwner() internal view {
+        require(_config(msg.sender).owners.isOwner[_caller()], "Not an owner");
+    }
+    
+    function _checkTxExists(address account, uint256 txId) internal view {
+        require(_transaction(account, txId).targets.length > 0, "Transaction does not exist");
+    }
+    
+    function _checkNotClosed(address account, uint256 txId) internal view {
+        Transaction storage txn = _transaction(account, txId);
+        require(txn.status != TransactionStatus.Executed, "Transaction already executed");
+        require(txn.status != TransactionStatus.Failed, "Transaction failed");
+        require(txn.status != TransactionStatus.Cancelled, "Transaction cancelled");
+        require(txn.expiresAt == 0 || block.timestamp < txn.expiresAt, "Transaction expired");
+    }
+    
+    function _validateThreshold(AccountConfig storage config, uint256 threshold) internal view {
+        require(config.owners.list.length > 0, "No owners");
         require(threshold > 0, "Invalid threshold");
-        require(threshold <= owners.length, "Threshold too high");
+        require(threshold <= config.owners.totalWeight, "Threshold too high");
+    }
+    
+    function _confirmedWeight(address account, uint256 txId) internal view returns (uint256) {
+        return _config(account).owners.votedWeight(confirmationTerms[account][txId]);
+    }
+    
+    // The weight a proposal needs for its calls, as an op making them would
+    function _transactionThreshold(address account, uint256 txId) internal view returns (uint256) {
+        Transaction storage txn = _transaction(account, txId);
+        AccountConfig storage config = _config(account);
+        return config.policy.callsThreshold(config.threshold, account, txn.targets, txn.values, txn.datas);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,321 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/IPlugin.sol";
+import "./interfaces/IValidationPlugin.sol";
+import "./interfaces/IModularAccount.sol";
+import "./libraries/ECDSA.sol";
+
+/**
+ * @title SessionKeyPlugin
+ * @notice ERC-6900 validation plugin for temporary keys with scoped permissions
+ * @dev Validates `execute` and `executeBatch`. Signatures starting with
+ *      SIGNATURE_MODE_SESSION_KEY are checked against the key's targets, functions, value
+ *      limits and validity window; any other signature goes to the account's owner check,
+ *      so the owner keeps full control of the account.
+ *      Validation only touches storage associated with the account (ERC-7562): everything it
+ *      reads or writes is keyed by the account last, so each slot derives from keccak(account ++ x).
+ */
+contract SessionKeyPlugin is IPlugin, IValidationPlugin {
+    // ===================== Constants =====================
+
+    // userOp.signature = 0x02 ++ sig(sessionKey), eth_sign over the userOpHash
+    uint8 public constant SIGNATURE_MODE_SESSION_KEY = 0x02;
+    uint256 private constant SIG_VALIDATION_FAILED = 1;
+
+    bytes4 private constant EXECUTE_SELECTOR = bytes4(keccak256("execute(address,uint256,bytes)"));
+    bytes4 private constant EXECUTE_BATCH_SELECTOR = bytes4(keccak256("executeBatch(address[],uint256[],bytes[])"));
+
+    // ===================== Structs =====================
+
+    struct Permissions {
+        // Contracts (or EOAs) the key may call; never the account or this plugin
+        address[] targets;
+        // Functions it may call on them, empty for any; bytes4(0) allows calls without data
+        bytes4[] selectors;
+        // Most ETH a single call may send
+        uint256 valueLimit;
+        // Most ETH the key may spend in total: call values plus the gas the account prefunds
+        uint256 spendLimit;
+        uint48 validAfter;
+        uint48 validUntil;
+    }
+
+    struct SessionKey {
+        Permissions permissions;
+        uint256 spent;
+    }
+
+    // ===================== State Variables =====================
+
+    // Account => Plugin is installed
+    mapping(address => bool) public installed;
+
+    // Session key => Account => Permissions and spend so far
+    mapping(address => mapping(address => SessionKey)) private sessionKeys;
+
+    // Target => Session key => Account => In the key's permissions.targets
+    mapping(address => mapping(address => mapping(address => bool))) private allowedTargets;
+
+    // Selector => Session key => Account => In the key's permissions.selectors
+    mapping(bytes4 => mapping(address => mapping(address => bool))) private allowedSelectors;
+
+    // Account => Session keys currently granted
+    mapping(address => address[]) private sessionKeyList;
+
+    // ===================== Events =====================
+
+    event SessionKeyGranted(address indexed account, address indexed sessionKey, uint48 validAfter, uint48 validUntil);
+    event SessionKeyRevoked(address indexed account, address indexed sessionKey);
+    event SessionKeyUsed(address indexed account, address indexed sessionKey, uint256 spend);
+
+    // ===================== Modifiers =====================
+
+    modifier onlyInstalled() {
+        require(installed[msg.sender], "Not installed");
+        _;
+    }
+
+    // ===================== Plugin Installation =====================
+
+    /**
+     * @param data Empty, or abi.encode(address[] sessionKeys, Permissions[] permissions) to grant
+     */
+    function onInstall(bytes calldata data) external override {
+        require(!installed[msg.sender], "Already installed");
+        installed[msg.sender] = true;
+
+        if (data.length > 0) {
+            (address[] memory keys, Permissions[] memory permissions) = abi.decode(data, (address[], Permissions[]));
+            require(keys.length == permissions.length, "Mismatched arrays");
+            for (uint256 i = 0; i < keys.length; i++) {
+                _grantSessionKey(keys[i], permissions[i]);
+            }
+        }
+    }
+
+    /**
+     * @notice Revokes every session key
+     */
+    function onUninstall(bytes calldata /* data */) external override onlyInstalled {
+        delete installed[msg.sender];
+
+        address[] storage keys = sessionKeyList[msg.sender];
+        while (keys.length > 0) {
+            _revokeSessionKey(keys[keys.length - 1]);
+        }
+    }
+
+    /**
+     * @notice Validates `execute` and `executeBatch`; the account manages its keys through the rest
+     */
+    function pluginManifest() external pure override returns (PluginManifest memory manifest) {
+        manifest.executionFunctions = new bytes4[](2);
+        manifest.executionFunctions[0] = this.grantSessionKey.selector;
+        manifest.executionFunctions[1] = this.revokeSessionKey.selector;
+
+        manifest.validationFunctions = new bytes4[](2);
+        manifest.validationFunctions[0] = EXECUTE_SELECTOR;
+        manifest.validationFunctions[1] = EXECUTE_BATCH_SELECTOR;
+    }
+
+    function supportsInterface(bytes4 interfaceId) external pure override returns (bool) {
+        return interfaceId == type(IPlugin).interfaceId
+            || interfaceId == type(IValidationPlugin).interfaceId
+            || interfaceId == type(IERC165).interfaceId;
+    }
+
+    // ===================== Validation Functions =====================
+
+    /**
+     * @notice Validate an op signed by a session key, or by the owner through the account
+     * @dev A session key outside its permissions reverts with the reason; an unknown key or a
+     *      bad signature fails the signature check so simulation can still estimate gas.
+     *      The spend is recorded here, as the call's outcome is not known to the plugin.
+     * @return validationData 0 or SIG_VALIDATION_FAILED, with the key's validity window
+     * @return caller The session key, or the owner for ops the owner signed
+     */
+    function validateUserOp(
+        UserOperation calldata userOp,
+        bytes32 userOpHash
+    ) external override returns (uint256 validationData, address caller) {
+        // Only the account may record spends against its keys
+        require(msg.sender == userOp.sender, "Only account");
+
+        // The length keeps 65-byte owner signatures that happen to start with the mode byte apart
+        if (userOp.signature.length != 66 || uint8(userOp.signature[0]) != SIGNATURE_MODE_SESSION_KEY) {
+            return IModularAccount(msg.sender).validateOwnerSignature(userOp, userOpHash);
+        }
+
+        address key = ECDSA.recover(ECDSA.toEthSignedMessageHash(userOpHash), userOp.signature[1:]);
+        SessionKey storage session = sessionKeys[key][msg.sender];
+        Permissions storage permissions = session.permissions;
+        if (key == address(0) || permissions.validUntil == 0) {
+            return (SIG_VALIDATION_FAILED, address(0));
+        }
+
+        uint256 spend = _checkCalls(key, permissions, userOp.callData);
+        if (userOp.paymasterAndData.length == 0) {
+            // The most the account can pay for this op's gas (EntryPoint prefund without a paymaster)
+            spend += (userOp.callGasLimit + userOp.verificationGasLimit + userOp.preVerificationGas)
+                * userOp.maxFeePerGas;
+        }
+        require(session.spent + spend <= permissions.spendLimit, "Session spend limit exceeded");
+        session.spent += spend;
+
+        emit SessionKeyUsed(msg.sender, key, spend);
+        return (_packValidationData(permissions.validUntil, permissions.validAfter), key);
+    }
+
+    // ===================== Session Key Management =====================
+
+    /**
+     * @notice Grant a session key, replacing any permissions (and spend) it had
+     * @param sessionKey Address of the key
+     * @param permissions What the key may do and when
+     */
+    function grantSessionKey(address sessionKey, Permissions calldata permissions) external onlyInstalled {
+        _grantSessionKey(sessionKey, permissions);
+    }
+
+    /**
+     * @notice Revoke a session key before it expires
+     * @param sessionKey Address of the key
+     */
+    function revokeSessionKey(address sessionKey) external onlyInstalled {
+        require(sessionKeys[sessionKey][msg.sender].permissions.validUntil != 0, "Session key not found");
+        _revokeSessionKey(sessionKey);
+    }
+
+    // ===================== View Functions =====================
+
+    /**
+     * @notice Get the session keys granted by an account, including expired ones not yet revoked
+     * @param account Account address
+     * @return Array of session key addresses
+     */
+    function getSessionKeys(address account) external view returns (address[] memory) {
+        return sessionKeyList[account];
+    }
+
+    /**
+     * @notice Get a session key's permissions and what it has spent
+     * @param account Account address
+     * @param sessionKey Address of the key
+     * @return permissions Permissions (validUntil is 0 if the key is not granted)
+     * @return spent ETH spent against spendLimit so far
+     */
+    function getSessionKey(address account, address sessionKey)
+        external
+        view
+        returns (Permissions memory permissions, uint256 spent)
+    {
+        SessionKey storage session = sessionKeys[sessionKey][account];
+        return (session.permissions, session.spent);
+    }
+
+    // ===================== Internal Functions =====================
+
+    function _grantSessionKey(address sessionKey, Permissions memory permissions) internal {
+        require(sessionKey != address(0), "Invalid session key");
+        require(permissions.targets.length > 0, "No targets");
+        require(
+            permissions.validUntil > permissions.validAfter && permissions.validUntil > block.timestamp,
+            "Invalid validity window"
+        );
+        for (uint256 i = 0; i < permissions.targets.length; i++) {
+            address target = permissions.targets[i];
+            require(target != msg.sender && target != address(this) && !_isInstalledPlugin(target), "Invalid target");
+        }
+
+        SessionKey storage session = sessionKeys[sessionKey][msg.sender];
+        if (session.permissions.validUntil == 0) {
+            sessionKeyList[msg.sender].push(sessionKey);
+        } else {
+            _setScope(sessionKey, session.permissions, false);
+        }
+        session.permissions = permissions;
+        session.spent = 0;
+        _setScope(sessionKey, session.permissions, true);
+
+        emit SessionKeyGranted(msg.sender, sessionKey, permissions.validAfter, permissions.validUntil);
+    }
+
+    function _revokeSessionKey(address sessionKey) internal {
+        _setScope(sessionKey, sessionKeys[sessionKey][msg.sender].permissions, false);
+        delete sessionKeys[sessionKey][msg.sender];
+
+        address[] storage keys = sessionKeyList[msg.sender];
+        for (uint256 i = 0; i < keys.length; i++) {
+            if (keys[i] == sessionKey) {
+                keys[i] = keys[keys.length - 1];
+                keys.pop();
+                break;
+            }
+        }
+
+        emit SessionKeyRevoked(msg.sender, sessionKey);
+    }
+
+    // Mirror the key's targets and selectors into the lookups validation reads
+    function _setScope(address sessionKey, Permissions storage permissions, bool allowed) internal {
+        for (uint256 i = 0; i < permissions.targets.length; i++) {
+            allowedTargets[permissions.targets[i]][sessionKey][msg.sender] = allowed;
+        }
+        for (uint256 i = 0; i < permissions.selectors.length; i++) {
+            allowedSelectors[permissions.selectors[i]][sessionKey][msg.sender] = allowed;
+        }
+    }
+
+    /**
+     * @dev Check every call of an execute/executeBatch op against the key's permissions
+     * @return value Total ETH the calls send
+     */
+    function _checkCalls(address key, Permissions storage permissions, bytes calldata callData)
+        internal
+        view
+        returns (uint256 value)
+    {
+        bytes4 selector = callData.length >= 4 ? bytes4(callData[:4]) : bytes4(0);
+
+        if (selector == EXECUTE_SELECTOR) {
+            (address to, uint256 callValue, bytes memory data) = abi.decode(callData[4:], (address, uint256, bytes));
+            _checkCall(key, permissions, to, callValue, data);
+            return callValue;
+        }
+
+        require(selector == EXECUTE_BATCH_SELECTOR, "Unsupported session call");
+        (address[] memory targets, uint256[] memory values, bytes[] memory datas) =
+            abi.decode(callData[4:], (address[], uint256[], bytes[]));
+        require(targets.length == values.length && targets.length == datas.length, "Mismatched arrays");
+        for (uint256 i = 0; i < targets.length; i++) {
+            _checkCall(key, permissions, targets[i], values[i], datas[i]);
+            value += values[i];
+        }
+    }
+
+    function _checkCall(address key, Permissions storage permissions, address to, uint256 value, bytes memory data)
+        internal
+        view
+    {
+        require(allowedTargets[to][key][msg.sender], "Target not allowed");
+        // Checked again here for plugins the account installed after granting the key
+        require(!_isInstalledPlugin(to), "Invalid target");
+        require(value <= permissions.valueLimit, "Value above session limit");
+
+        if (permissions.selectors.length > 0) {
+            require(data.length == 0 || data.length >= 4, "Function not allowed");
+            require(allowedSelectors[bytes4(data)][key][msg.sender], "Function not allowed");
+        }
+    }
+
+    // Installed plugins act for the account, so a key calling them would reach past its scope
+    function _isInstalledPlugin(address target) internal view returns (bool) {
+        (bytes32 manifestHash,,) = IModularAccount(msg.sender).getPluginData(target);
+        return manifestHash != bytes32(0);
+    }
+
+    function _packValidationData(uint48 validUntil, uint48 validAfter) internal pure returns (uint256) {
+        return (uint256(validUntil) << 160) | (uint256(validAfter) << 208);
+    }
+}
@@ -12,18 +12,25 @@ contract SmartAccountFactory {
         entryPoint = _entryPoint;
     }
     
+    // Returns the existing account if it is already deployed, so initCode stays idempotent
     function createAccount(address owner, uint256 salt) external returns (address) {
-        address account = address(new ModularSmartAccount{salt: bytes32(salt)}(entryPoint));
+        address predicted = getAddress(owner, salt);
+        if (predicted.code.length > 0) {
+            return predicted;
+        }
+        
+        address account = address(new ModularSmartAccount{salt: bytes32(salt)}(entryPoint, owner));
         emit AccountCreated(account, owner, salt);
         return account;
     }
     
-    function getAddress(address owner, uint256 salt) external view returns (address) {
+    // The owner is a constructor argument, so it is part of the CREATE2 init code hash
+    function getAddress(address owner, uint256 salt) public view returns (address) {
         return address(uint160(uint(keccak256(abi.encodePacked(
             bytes1(0xff),
             address(this),
             salt,
-            keccak256(abi.encodePacked(type(ModularSmartAccount).creationCode, abi.encode(entryPoint)))
+            keccak256(abi.encodePacked(type(ModularSmartAccount).creationCode, abi.encode(entryPoint, owner)))
         )))));
     }
 }
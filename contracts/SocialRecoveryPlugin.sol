@@ -0,0 +1,457 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/IPlugin.sol";
+import "./interfaces/IModularAccount.sol";
+import "./libraries/ECDSA.sol";
+
+/**
+ * @title SocialRecoveryPlugin
+ * @notice ERC-6900 plugin letting guardians replace an account's owner or its MultiSigPlugin owners
+ * @dev Guardians initiate and approve a recovery on-chain, or sign it off-chain for anyone to
+ *      submit. Once threshold guardians approve, the recovery can be executed after the account's
+ *      delay; until then the current owners can cancel it through the account, and threshold
+ *      guardians by voting, so one guardian cannot block recoveries with a bogus one. Execution
+ *      goes through the account's executeFromPlugin: a new default signer takes over at once
+ *      through recoverOwnership, leaving the recovered-from owner no window to nominate another.
+ */
+contract SocialRecoveryPlugin is IPlugin {
+    // ===================== Constants =====================
+
+    bytes4 private constant RECOVER_OWNERSHIP_SELECTOR = bytes4(keccak256("recoverOwnership(address)"));
+    bytes4 private constant REPLACE_OWNERS_SELECTOR = bytes4(keccak256("replaceOwners(address[],uint256)"));
+
+    // The MultiSigPlugin whose owners recoveries may replace, or address(0) for none. The manifest
+    // must be the same for every account, so the only external call it permits is fixed here.
+    address public immutable supportedMultiSigPlugin;
+
+    // ===================== Structs =====================
+
+    struct GuardianConfig {
+        address[] guardians;
+        mapping(address => bool) isGuardian;
+        uint256 threshold;
+        // Seconds between reaching threshold approvals and execution
+        uint256 delay;
+        // MultiSigPlugin whose owners a recovery may replace, or address(0)
+        address multiSigPlugin;
+        bool initialized;
+    }
+
+    // Either newOwner (the account's default signer) or newOwners/newThreshold (the multi-sig) is set
+    struct Recovery {
+        address newOwner;
+        address[] newOwners;
+        uint256 newThreshold;
+        uint256 approvals;
+        uint256 initiatedAt;
+        // 0 until threshold guardians have approved
+        uint256 executeAfter;
+    }
+
+    // ===================== State Variables =====================
+
+    // Account => Guardian configuration
+    mapping(address => GuardianConfig) private guardianConfigs;
+
+    // Account => Pending recovery (initiatedAt is 0 if there is none)
+    mapping(address => Recovery) private recoveries;
+
+    // Account => Id of the current or next recovery; bumped whenever one ends
+    mapping(address => uint256) public recoveryNonces;
+
+    // Account => Recovery id => Guardian => Approved
+    mapping(address => mapping(uint256 => mapping(address => bool))) public recoveryApprovals;
+
+    // Account => Recovery id => Guardian => Voted to cancel
+    mapping(address => mapping(uint256 => mapping(address => bool))) public recoveryCancelVotes;
+
+    // ===================== Events =====================
+
+    event GuardiansChanged(address indexed account, address[] guardians, uint256 threshold);
+    event RecoveryDelayChanged(address indexed account, uint256 oldDelay, uint256 newDelay);
+    event RecoveryInitiated(
+        address indexed account,
+        uint256 indexed nonce,
+        address indexed guardian,
+        address newOwner,
+        address[] newOwners,
+        uint256 newThreshold
+    );
+    event RecoveryApproved(address indexed account, uint256 indexed nonce, address indexed guardian);
+    event RecoveryThresholdReached(address indexed account, uint256 indexed nonce, uint256 executeAfter);
+    event RecoveryCancelVoteCast(address indexed account, uint256 indexed nonce, address indexed guardian);
+    event RecoveryExecuted(address indexed account, uint256 indexed nonce);
+    event RecoveryCancelled(address indexed account, uint256 indexed nonce);
+
+    // ===================== Constructor =====================
+
+    constructor(address _multiSigPlugin) {
+        supportedMultiSigPlugin = _multiSigPlugin;
+    }
+
+    // ===================== Modifiers =====================
+
+    modifier onlyGuardian(address account) {
+        require(guardianConfigs[account].isGuardian[msg.sender], "Not a guardian");
+        _;
+    }
+
+    modifier onlyInstalled() {
+        require(guardianConfigs[msg.sender].initialized, "Not installed");
+        _;
+    }
+
+    modifier pendingRecovery(address account) {
+        require(recoveries[account].initiatedAt != 0, "No pending recovery");
+        _;
+    }
+
+    // ===================== Plugin Installation =====================
+
+    /**
+     * @notice Configure the account's guardians
+     * @param data abi.encode(address[] guardians, uint256 threshold, uint256 delay, address multiSigPlugin);
+     *        multiSigPlugin is supportedMultiSigPlugin to let recoveries replace its owners, or address(0)
+     */
+    function onInstall(bytes calldata data) external override {
+        GuardianConfig storage config = guardianConfigs[msg.sender];
+        require(!config.initialized, "Already installed");
+
+        (address[] memory guardians, uint256 threshold, uint256 delay, address multiSigPlugin) =
+            abi.decode(data, (address[], uint256, uint256, address));
+        require(delay > 0, "Invalid delay");
+        require(
+            multiSigPlugin == address(0) || multiSigPlugin == supportedMultiSigPlugin,
+            "Unsupported MultiSigPlugin"
+        );
+
+        config.initialized = true;
+        config.delay = delay;
+        config.multiSigPlugin = multiSigPlugin;
+        _setGuardians(guardians, threshold);
+
+        emit RecoveryDelayChanged(msg.sender, 0, delay);
+    }
+
+    /**
+     * @notice Remove the guardians and any pending recovery
+     */
+    function onUninstall(bytes calldata /* data */) external override onlyInstalled {
+        GuardianConfig storage config = guardianConfigs[msg.sender];
+        for (uint256 i = 0; i < config.guardians.length; i++) {
+            delete config.isGuardian[config.guardians[i]];
+        }
+        delete guardianConfigs[msg.sender];
+
+        if (recoveries[msg.sender].initiatedAt != 0) {
+            _endRecovery(msg.sender);
+            emit RecoveryCancelled(msg.sender, recoveryNonces[msg.sender] - 1);
+        }
+    }
+
+    /**
+     * @notice Validates and hooks nothing; lets recoveries call recoverOwnership on the account
+     *         and replaceOwners on supportedMultiSigPlugin, and nothing else
+     */
+    function pluginManifest() external view override returns (PluginManifest memory manifest) {
+        manifest.executionFunctions = new bytes4[](3);
+        manifest.executionFunctions[0] = this.cancelRecovery.selector;
+        manifest.executionFunctions[1] = this.setGuardians.selector;
+        manifest.executionFunctions[2] = this.setRecoveryDelay.selector;
+
+        manifest.permittedExecutionSelectors = new bytes4[](1);
+        manifest.permittedExecutionSelectors[0] = RECOVER_OWNERSHIP_SELECTOR;
+
+        if (supportedMultiSigPlugin != address(0)) {
+            manifest.permittedExternalCalls = new ManifestExternalCallPermission[](1);
+            manifest.permittedExternalCalls[0].externalAddress = supportedMultiSigPlugin;
+            manifest.permittedExternalCalls[0].selectors = new bytes4[](1);
+            manifest.permittedExternalCalls[0].selectors[0] = REPLACE_OWNERS_SELECTOR;
+        }
+    }
+
+    function supportsInterface(bytes4 interfaceId) external pure override returns (bool) {
+        return interfaceId == type(IPlugin).interfaceId || interfaceId == type(IERC165).interfaceId;
+    }
+
+    // ===================== Recovery =====================
+
+    /**
+     * @notice Start a recovery as a guardian, counting as its first approval
+     * @param account Account to recover
+     * @param newOwner New default signer, or address(0) to replace the multi-sig owners instead
+     * @param newOwners New MultiSigPlugin owners (empty when newOwner is set)
+     * @param newThreshold New MultiSigPlugin threshold (0 when newOwner is set)
+     */
+    function initiateRecovery(
+        address account,
+        address newOwner,
+        address[] calldata newOwners,
+        uint256 newThreshold
+    ) external onlyGuardian(account) {
+        require(recoveries[account].initiatedAt == 0, "Recovery already pending");
+        if (newOwner != address(0)) {
+            require(newOwners.length == 0 && newThreshold == 0, "Invalid recovery");
+            require(newOwner != account, "Invalid owner");
+        } else {
+            require(guardianConfigs[account].multiSigPlugin != address(0), "No owner set to recover");
+            require(newOwners.length > 0, "Invalid recovery");
+            require(newThreshold > 0 && newThreshold <= newOwners.length, "Invalid threshold");
+            _checkNewOwners(account, newOwners);
+        }
+
+        Recovery storage recovery = recoveries[account];
+        recovery.newOwner = newOwner;
+        recovery.newOwners = newOwners;
+        recovery.newThreshold = newThreshold;
+        recovery.initiatedAt = block.timestamp;
+
+        emit RecoveryInitiated(account, recoveryNonces[account], msg.sender, newOwner, newOwners, newThreshold);
+        _approve(account, msg.sender);
+    }
+
+    /**
+     * @notice Approve the pending recovery as a guardian
+     * @param account Account being recovered
+     */
+    function approveRecovery(address account) external onlyGuardian(account) pendingRecovery(account) {
+        require(!recoveryApprovals[account][recoveryNonces[account]][msg.sender], "Already approved");
+        _approve(account, msg.sender);
+    }
+
+    /**
+     * @notice Submit guardian approvals signed off-chain; anyone may relay them
+     * @dev Each guardian signs getRecoveryHash(account) with eth_sign. Signatures are 65 bytes
+     *      each, sorted by signer ascending; guardians that already approved are skipped.
+     * @param account Account being recovered
+     * @param signatures Concatenated guardian signatures
+     */
+    function approveRecoveryWithSignatures(address account, bytes calldata signatures)
+        external
+        pendingRecovery(account)
+    {
+        require(signatures.length > 0 && signatures.length % 65 == 0, "Invalid signatures");
+
+        GuardianConfig storage config = guardianConfigs[account];
+        mapping(address => bool) storage approved = recoveryApprovals[account][recoveryNonces[account]];
+        bytes32 hash = ECDSA.toEthSignedMessageHash(getRecoveryHash(account));
+
+        address lastSigner = address(0);
+        for (uint256 i = 0; i < signatures.length / 65; i++) {
+            address signer = ECDSA.recover(hash, signatures[i * 65:(i + 1) * 65]);
+            require(signer > lastSigner && config.isGuardian[signer], "Invalid guardian signature");
+            lastSigner = signer;
+
+            if (!approved[signer]) {
+                _approve(account, signer);
+            }
+        }
+    }
+
+    /**
+     * @notice Carry out an approved recovery once its delay is over; anyone may call
+     * @param account Account being recovered
+     */
+    function executeRecovery(address account) external pendingRecovery(account) {
+        Recovery storage recovery = recoveries[account];
+        require(recovery.executeAfter != 0, "Not enough approvals");
+        require(block.timestamp >= recovery.executeAfter, "Recovery delay not over");
+
+        address newOwner = recovery.newOwner;
+        address[] memory newOwners = recovery.newOwners;
+        uint256 newThreshold = recovery.newThreshold;
+        uint256 nonce = recoveryNonces[account];
+        _endRecovery(account);
+
+        if (newOwner != address(0)) {
+            IModularAccount(account).executeFromPlugin(
+                account,
+                0,
+                abi.encodeWithSelector(RECOVER_OWNERSHIP_SELECTOR, newOwner)
+            );
+        } else {
+            IModularAccount(account).executeFromPlugin(
+                guardianConfigs[account].multiSigPlugin,
+                0,
+                abi.encodeWithSelector(REPLACE_OWNERS_SELECTOR, newOwners, newThreshold)
+            );
+        }
+
+        emit RecoveryExecuted(account, nonce);
+    }
+
+    /**
+     * @notice Cancel the pending recovery; called by the account, i.e. its current owners
+     */
+    function cancelRecovery() external onlyInstalled pendingRecovery(msg.sender) {
+        _endRecovery(msg.sender);
+        emit RecoveryCancelled(msg.sender, recoveryNonces[msg.sender] - 1);
+    }
+
+    /**
+     * @notice Vote to cancel the pending recovery as a guardian; threshold votes cancel it,
+     *         after which a guardian may initiate a different one
+     * @param account Account being recovered
+     */
+    function voteToCancelRecovery(address account) external onlyGuardian(account) pendingRecovery(account) {
+        uint256 nonce = recoveryNonces[account];
+        mapping(address => bool) storage votes = recoveryCancelVotes[account][nonce];
+        require(!votes[msg.sender], "Already voted");
+        votes[msg.sender] = true;
+        emit RecoveryCancelVoteCast(account, nonce, msg.sender);
+
+        GuardianConfig storage config = guardianConfigs[account];
+        uint256 count = 0;
+        for (uint256 i = 0; i < config.guardians.length; i++) {
+            if (votes[config.guardians[i]]) {
+                count++;
+            }
+        }
+        if (count >= config.threshold) {
+            _endRecovery(account);
+            emit RecoveryCancelled(account, nonce);
+        }
+    }
+
+    // ===================== Guardian Management =====================
+
+    /**
+     * @notice Replace the account's guardians; cancels a pending recovery
+     * @param guardians New guardian addresses
+     * @param threshold Approvals a recovery needs
+     */
+    function setGuardians(address[] calldata guardians, uint256 threshold) external onlyInstalled {
+        GuardianConfig storage config = guardianConfigs[msg.sender];
+        for (uint256 i = 0; i < config.guardians.length; i++) {
+            delete config.isGuardian[config.guardians[i]];
+        }
+        delete config.guardians;
+        _setGuardians(guardians, threshold);
+
+        if (recoveries[msg.sender].initiatedAt != 0) {
+            _endRecovery(msg.sender);
+            emit RecoveryCancelled(msg.sender, recoveryNonces[msg.sender] - 1);
+        }
+    }
+
+    /**
+     * @notice Change the delay; applies to recoveries that reach threshold afterwards
+     * @param delay Seconds between threshold approvals and execution
+     */
+    function setRecoveryDelay(uint256 delay) external onlyInstalled {
+        require(delay > 0, "Invalid delay");
+        GuardianConfig storage config = guardianConfigs[msg.sender];
+        emit RecoveryDelayChanged(msg.sender, config.delay, delay);
+        config.delay = delay;
+    }
+
+    // ===================== View Functions =====================
+
+    /**
+     * @notice Get the account's guardian configuration
+     * @param account Account address
+     * @return guardians Guardian addresses
+     * @return threshold Approvals a recovery needs
+     * @return delay Seconds between threshold approvals and execution
+     * @return multiSigPlugin MultiSigPlugin a recovery may reset, or address(0)
+     */
+    function getGuardianConfig(address account)
+        external
+        view
+        returns (address[] memory guardians, uint256 threshold, uint256 delay, address multiSigPlugin)
+    {
+        GuardianConfig storage config = guardianConfigs[account];
+        return (config.guardians, config.threshold, config.delay, config.multiSigPlugin);
+    }
+
+    /**
+     * @notice Check if an address is one of the account's guardians
+     * @param account Account address
+     * @param guardian Address to check
+     * @return bool True if guardian
+     */
+    function isGuardian(address account, address guardian) external view returns (bool) {
+        return guardianConfigs[account].isGuardian[guardian];
+    }
+
+    /**
+     * @notice Get the account's pending recovery
+     * @param account Account address
+     * @return recovery The recovery (initiatedAt is 0 if there is none)
+     * @return nonce Its id, which approvals and guardian signatures are bound to
+     */
+    function getRecovery(address account) external view returns (Recovery memory recovery, uint256 nonce) {
+        return (recoveries[account], recoveryNonces[account]);
+    }
+
+    /**
+     * @notice Hash guardians sign (with eth_sign) to approve the account's pending recovery
+     * @param account Account being recovered
+     */
+    function getRecoveryHash(address account) public view returns (bytes32) {
+        Recovery storage recovery = recoveries[account];
+        return keccak256(abi.encode(
+            block.chainid,
+            address(this),
+            account,
+            recoveryNonces[account],
+            recovery.newOwner,
+            keccak256(abi.encodePacked(recovery.newOwners)),
+            recovery.newThreshold
+        ));
+    }
+
+    // ===================== Internal Functions =====================
+
+    // Owners MultiSigPlugin.replaceOwners would reject, plus the account itself as for a single
+    // owner, caught before a recovery that cannot execute sits pending until guardians cancel it
+    function _checkNewOwners(address account, address[] calldata newOwners) internal pure {
+        for (uint256 i = 0; i < newOwners.length; i++) {
+            require(newOwners[i] != address(0), "Invalid owner address");
+            require(newOwners[i] != account, "Invalid owner");
+            for (uint256 j = 0; j < i; j++) {
+                require(newOwners[j] != newOwners[i], "Duplicate owner");
+            }
+        }
+    }
+
+    function _setGuardians(address[] memory guardians, uint256 threshold) internal {
+        require(guardians.length > 0, "No guardians");
+        require(threshold > 0 && threshold <= guardians.length, "Invalid threshold");
+
+        GuardianConfig storage config = guardianConfigs[msg.sender];
+        for (uint256 i = 0; i < guardians.length; i++) {
+            address guardian = guardians[i];
+            require(guardian != address(0) && guardian != msg.sender, "Invalid guardian");
+            require(!config.isGuardian[guardian], "Duplicate guardian");
+
+            config.guardians.push(guardian);
+            config.isGuardian[guardian] = true;
+        }
+        config.threshold = threshold;
+
+        emit GuardiansChanged(msg.sender, guardians, threshold);
+    }
+
+    function _approve(address account, address guardian) internal {
+        uint256 nonce = recoveryNonces[account];
+        Recovery storage recovery = recoveries[account];
+
+        recoveryApprovals[account][nonce][guardian] = true;
+        recovery.approvals++;
+        emit RecoveryApproved(account, nonce, guardian);
+
+        GuardianConfig storage config = guardianConfigs[account];
+        if (recovery.executeAfter == 0 && recovery.approvals >= config.threshold) {
+            recovery.executeAfter = block.timestamp + config.delay;
+            emit RecoveryThresholdReached(account, nonce, recovery.executeAfter);
+        }
+    }
+
+    // Clears the recovery and retires its id, so its approvals and signatures no longer count
+    function _endRecovery(address account) internal {
+        delete recoveries[account];
+        recoveryNonces[account]++;
+    }
+}
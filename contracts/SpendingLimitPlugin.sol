@@ -0,0 +1,428 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/IPlugin.sol";
+import "./interfaces/IExecutionHookPlugin.sol";
+import "./interfaces/IERC20.sol";
+import "./interfaces/IModularAccount.sol";
+
+/**
+ * @title SpendingLimitPlugin
+ * @notice ERC-6900 execution hook enforcing per-token spending limits and target lists
+ * @dev Runs as a pre-execution hook of `execute`, `executeBatch` and `executeFromPlugin`, so it
+ *      applies whoever signed the op and to calls plugins make as the account, such as executed
+ *      MultiSigPlugin proposals. Each call is checked against the
+ *      denylist and, when enabled, the allowlist; ETH sent and ERC-20 transfer/transferFrom/approve
+ *      amounts count against the token's limit for the current period. Calls to the account itself
+ *      and to this plugin are exempt so the account can always reconfigure or uninstall it; pair it
+ *      with MultiSigPlugin when changing the limits should take more than one signer. Calls to other
+ *      installed plugins are exempt too, as they configure the account rather than pay anyone: this
+ *      lets SocialRecoveryPlugin replace MultiSigPlugin's owners while the allowlist is enabled.
+ */
+contract SpendingLimitPlugin is IPlugin, IExecutionHookPlugin {
+    // ===================== Constants =====================
+
+    // Token address standing for native ETH
+    address public constant NATIVE_TOKEN = address(0);
+
+    bytes4 private constant EXECUTE_SELECTOR = bytes4(keccak256("execute(address,uint256,bytes)"));
+    bytes4 private constant EXECUTE_BATCH_SELECTOR = bytes4(keccak256("executeBatch(address[],uint256[],bytes[])"));
+    bytes4 private constant EXECUTE_FROM_PLUGIN_SELECTOR = bytes4(keccak256("executeFromPlugin(address,uint256,bytes)"));
+
+    // ===================== Structs =====================
+
+    struct SpendingLimit {
+        // Most that may be spent per period; 0 with period 0 means no limit is set
+        uint256 limit;
+        // Length of a period in seconds, e.g. 1 days or 7 days
+        uint48 period;
+        // Start of the current period; periods follow each other from the first one
+        uint48 periodStart;
+        uint256 spent;
+    }
+
+    // ===================== State Variables =====================
+
+    // Account => Plugin is installed
+    mapping(address => bool) public installed;
+
+    // Account => Token (NATIVE_TOKEN for ETH) => Limit
+    mapping(address => mapping(address => SpendingLimit)) private spendingLimits;
+
+    // Account => Tokens with a limit
+    mapping(address => address[]) private limitedTokens;
+
+    // Account => Addresses on the allowlist / denylist
+    mapping(address => address[]) private allowlists;
+    mapping(address => address[]) private denylists;
+
+    // Account => Address => On the allowlist / denylist
+    mapping(address => mapping(address => bool)) public allowlisted;
+    mapping(address => mapping(address => bool)) public denylisted;
+
+    // Account => Only allowlisted targets and recipients may be called or paid
+    mapping(address => bool) public allowlistEnabled;
+
+    // ===================== Events =====================
+
+    event SpendingLimitSet(address indexed account, address indexed token, uint256 limit, uint48 period);
+    event SpendingLimitRemoved(address indexed account, address indexed token);
+    event AllowlistUpdated(address indexed account, address indexed target, bool allowed);
+    event DenylistUpdated(address indexed account, address indexed target, bool denied);
+    event AllowlistEnabled(address indexed account, bool enabled);
+    event Spent(address indexed account, address indexed token, uint256 amount, uint256 spentInPeriod);
+
+    // ===================== Modifiers =====================
+
+    modifier onlyInstalled() {
+        require(installed[msg.sender], "Not installed");
+        _;
+    }
+
+    // ===================== Plugin Installation =====================
+
+    /**
+     * @param data Empty, or abi.encode(address[] tokens, uint256[] limits, uint48[] periods)
+     */
+    function onInstall(bytes calldata data) external override {
+        require(!installed[msg.sender], "Already installed");
+        installed[msg.sender] = true;
+
+        if (data.length > 0) {
+            (address[] memory tokens, uint256[] memory limits, uint48[] memory periods) =
+                abi.decode(data, (address[], uint256[], uint48[]));
+            require(tokens.length == limits.length && tokens.length == periods.length, "Mismatched arrays");
+            for (uint256 i = 0; i < tokens.length; i++) {
+                _setSpendingLimit(tokens[i], limits[i], periods[i]);
+            }
+        }
+    }
+
+    /**
+     * @notice Clears the account's limits and lists
+     */
+    function onUninstall(bytes calldata /* data */) external override onlyInstalled {
+        delete installed[msg.sender];
+
+        address[] storage tokens = limitedTokens[msg.sender];
+        while (tokens.length > 0) {
+            _removeSpendingLimit(tokens[tokens.length - 1]);
+        }
+
+        address[] storage allowed = allowlists[msg.sender];
+        while (allowed.length > 0) {
+            _updateList(allowlists, allowlisted, allowed[allowed.length - 1], false);
+        }
+        address[] storage denied = denylists[msg.sender];
+        while (denied.length > 0) {
+            _updateList(denylists, denylisted, denied[denied.length - 1], false);
+        }
+        delete allowlistEnabled[msg.sender];
+    }
+
+    /**
+     * @notice Hooks `execute`, `executeBatch` and `executeFromPlugin`; the account configures limits
+     *         and lists through the rest
+     */
+    function pluginManifest() external pure override returns (PluginManifest memory manifest) {
+        manifest.executionFunctions = new bytes4[](5);
+        manifest.executionFunctions[0] = this.setSpendingLimit.selector;
+        manifest.executionFunctions[1] = this.removeSpendingLimit.selector;
+        manifest.executionFunctions[2] = this.setAllowlisted.selector;
+        manifest.executionFunctions[3] = this.setDenylisted.selector;
+        manifest.executionFunctions[4] = this.setAllowlistEnabled.selector;
+
+        manifest.executionHooks = new ManifestExecutionHook[](3);
+        manifest.executionHooks[0] = ManifestExecutionHook(EXECUTE_SELECTOR, true, false);
+        manifest.executionHooks[1] = ManifestExecutionHook(EXECUTE_BATCH_SELECTOR, true, false);
+        manifest.executionHooks[2] = ManifestExecutionHook(EXECUTE_FROM_PLUGIN_SELECTOR, true, false);
+    }
+
+    function supportsInterface(bytes4 interfaceId) external pure override returns (bool) {
+        return interfaceId == type(IPlugin).interfaceId
+            || interfaceId == type(IExecutionHookPlugin).interfaceId
+            || interfaceId == type(IERC165).interfaceId;
+    }
+
+    // ===================== Execution Hook =====================
+
+    /**
+     * @notice Check every call the account is about to make and record what it spends
+     * @dev Reverts with the reason when a call is not allowed or goes over a limit
+     */
+    function preExecutionHook(address /* sender */, uint256 /* value */, bytes calldata data)
+        external
+        override
+        onlyInstalled
+        returns (bytes memory)
+    {
+        bytes4 selector = data.length >= 4 ? bytes4(data[:4]) : bytes4(0);
+
+        // executeFromPlugin takes the same arguments as execute. A plugin's batch runs through
+        // executeFromPlugin(account, 0, executeBatch(...)), which is hooked in turn.
+        if (selector == EXECUTE_SELECTOR || selector == EXECUTE_FROM_PLUGIN_SELECTOR) {
+            (address to, uint256 callValue, bytes memory callData) = abi.decode(data[4:], (address, uint256, bytes));
+            _checkCall(to, callValue, callData);
+            return "";
+        }
+
+        require(selector == EXECUTE_BATCH_SELECTOR, "Unsupported execution function");
+        (address[] memory targets, uint256[] memory values, bytes[] memory datas) =
+            abi.decode(data[4:], (address[], uint256[], bytes[]));
+        require(targets.length == values.length && targets.length == datas.length, "Mismatched arrays");
+        for (uint256 i = 0; i < targets.length; i++) {
+            _checkCall(targets[i], values[i], datas[i]);
+        }
+        return "";
+    }
+
+    // The manifest registers pre-execution hooks only, so the account never calls this
+    function postExecutionHook(bytes calldata /* preExecHookData */) external pure override {}
+
+    // ===================== Configuration =====================
+
+    /**
+     * @notice Set (or replace) a token's limit; the current period's spend is kept
+     * @param token ERC-20 address, or NATIVE_TOKEN for ETH
+     * @param limit Most that may be spent per period
+     * @param period Period length in seconds, e.g. 1 days or 7 days
+     */
+    function setSpendingLimit(address token, uint256 limit, uint48 period) external onlyInstalled {
+        _setSpendingLimit(token, limit, period);
+    }
+
+    function removeSpendingLimit(address token) external onlyInstalled {
+        require(spendingLimits[msg.sender][token].period != 0, "No spending limit");
+        _removeSpendingLimit(token);
+    }
+
+    function setAllowlisted(address[] calldata targets, bool allowed) external onlyInstalled {
+        for (uint256 i = 0; i < targets.length; i++) {
+            _updateList(allowlists, allowlisted, targets[i], allowed);
+            emit AllowlistUpdated(msg.sender, targets[i], allowed);
+        }
+    }
+
+    function setDenylisted(address[] calldata targets, bool denied) external onlyInstalled {
+        for (uint256 i = 0; i < targets.length; i++) {
+            _updateList(denylists, denylisted, targets[i], denied);
+            emit DenylistUpdated(msg.sender, targets[i], denied);
+        }
+    }
+
+    // While enabled, every call target and token recipient must be allowlisted
+    function setAllowlistEnabled(bool enabled) external onlyInstalled {
+        allowlistEnabled[msg.sender] = enabled;
+        emit AllowlistEnabled(msg.sender, enabled);
+    }
+
+    // ===================== View Functions =====================
+
+    /**
+     * @notice Get a token's limit as of now
+     * @param account Account address
+     * @param token ERC-20 address, or NATIVE_TOKEN for ETH
+     * @return limit Most that may be spent per period (0 if no limit is set)
+     * @return period Period length in seconds (0 if no limit is set)
+     * @return spent Spent in the current period
+     * @return resetsAt When the current period ends
+     */
+    function getSpendingLimit(address account, address token)
+        external
+        view
+        returns (uint256 limit, uint48 period, uint256 spent, uint256 resetsAt)
+    {
+        SpendingLimit memory spendingLimit = spendingLimits[account][token];
+        if (spendingLimit.period == 0) {
+            return (0, 0, 0, 0);
+        }
+
+        (uint48 periodStart, bool expired) = _currentPeriod(spendingLimit);
+        return (
+            spendingLimit.limit,
+            spendingLimit.period,
+            expired ? 0 : spendingLimit.spent,
+            uint256(periodStart) + spendingLimit.period
+        );
+    }
+
+    /**
+     * @notice Get the tokens an account has limits for
+     * @param account Account address
+     * @return Token addresses (NATIVE_TOKEN for ETH)
+     */
+    function getLimitedTokens(address account) external view returns (address[] memory) {
+        return limitedTokens[account];
+    }
+
+    /**
+     * @notice Get the account's allowlist and denylist
+     * @param account Account address
+     * @return allowed Allowlisted addresses (enforced only while allowlistEnabled)
+     * @return denied Denylisted addresses
+     */
+    function getTargetLists(address account)
+        external
+        view
+        returns (address[] memory allowed, address[] memory denied)
+    {
+        return (allowlists[account], denylists[account]);
+    }
+
+    /**
+     * @notice Check whether the account may currently call or pay an address
+     * @param account Account address
+     * @param target Call target or token recipient
+     * @return bool False if denylisted, or not allowlisted while the allowlist is enabled
+     */
+    function isTargetPermitted(address account, address target) public view returns (bool) {
+        if (denylisted[account][target]) {
+            return false;
+        }
+        return !allowlistEnabled[account] || allowlisted[account][target];
+    }
+
+    // ===================== Internal Functions =====================
+
+    function _checkCall(address to, uint256 value, bytes memory data) internal {
+        // The account calling itself (its own execute, plugin installs) or configuring a plugin
+        if (value == 0 && (to == msg.sender || to == address(this) || _isInstalledPlugin(to))) {
+            return;
+        }
+
+        require(!denylisted[msg.sender][to], "Target is denylisted");
+        require(!allowlistEnabled[msg.sender] || allowlisted[msg.sender][to], "Target is not allowlisted");
+
+        if (value > 0) {
+            _spend(NATIVE_TOKEN, value);
+        }
+
+        // Revoking an approval (amount 0) is always possible
+        (address recipient, uint256 amount) = _decodeTokenSpend(data);
+        if (amount > 0) {
+            require(!denylisted[msg.sender][recipient], "Recipient is denylisted");
+            require(!allowlistEnabled[msg.sender] || allowlisted[msg.sender][recipient], "Recipient is not allowlisted");
+            _spend(to, amount);
+        }
+    }
+
+    function _isInstalledPlugin(address target) internal view returns (bool) {
+        (bytes32 manifestHash,,) = IModularAccount(msg.sender).getPluginData(target);
+        return manifestHash != bytes32(0);
+    }
+
+    // Recipient (or spender) and amount of an ERC-20 transfer, approve or transferFrom out of the
+    // account; (0, 0) for any other call
+    function _decodeTokenSpend(bytes memory data) internal view returns (address recipient, uint256 amount) {
+        if (data.length < 4) {
+            return (address(0), 0);
+        }
+
+        bytes4 selector = bytes4(data);
+        if ((selector == IERC20.transfer.selector || selector == IERC20.approve.selector) && data.length >= 68) {
+            assembly {
+                recipient := mload(add(data, 36))
+                amount := mload(add(data, 68))
+            }
+        } else if (selector == IERC20.transferFrom.selector && data.length >= 100) {
+            address from;
+            assembly {
+                from := mload(add(data, 36))
+                recipient := mload(add(data, 68))
+                amount := mload(add(data, 100))
+            }
+            if (from != msg.sender) {
+                return (address(0), 0);
+            }
+        }
+    }
+
+    function _spend(address token, uint256 amount) internal {
+        SpendingLimit storage spendingLimit = spendingLimits[msg.sender][token];
+        if (spendingLimit.period == 0) {
+            return;
+        }
+
+        (uint48 periodStart, bool expired) = _currentPeriod(spendingLimit);
+        if (expired) {
+            spendingLimit.periodStart = periodStart;
+            spendingLimit.spent = 0;
+        }
+
+        uint256 spent = spendingLimit.spent + amount;
+        require(spent <= spendingLimit.limit, token == NATIVE_TOKEN
+            ? "ETH spending limit exceeded"
+            : "Token spending limit exceeded");
+        spendingLimit.spent = spent;
+
+        emit Spent(msg.sender, token, amount, spent);
+    }
+
+    // Start of the period containing now, and whether it is later than the stored one
+    function _currentPeriod(SpendingLimit memory spendingLimit) internal view returns (uint48, bool) {
+        uint256 elapsed = block.timestamp - spendingLimit.periodStart;
+        if (elapsed < spendingLimit.period) {
+            return (spendingLimit.periodStart, false);
+        }
+        return (uint48(block.timestamp - elapsed % spendingLimit.period), true);
+    }
+
+    function _setSpendingLimit(address token, uint256 limit, uint48 period) internal {
+        require(period > 0, "Invalid period");
+
+        SpendingLimit storage spendingLimit = spendingLimits[msg.sender][token];
+        if (spendingLimit.period == 0) {
+            limitedTokens[msg.sender].push(token);
+            spendingLimit.periodStart = uint48(block.timestamp);
+        } else if (spendingLimit.period != period) {
+            // A new period length starts a new period
+            spendingLimit.periodStart = uint48(block.timestamp);
+            spendingLimit.spent = 0;
+        }
+        spendingLimit.limit = limit;
+        spendingLimit.period = period;
+
+        emit SpendingLimitSet(msg.sender, token, limit, period);
+    }
+
+    // Adds or removes target on one of the account's lists, keeping its array in sync
+    function _updateList(
+        mapping(address => address[]) storage lists,
+        mapping(address => mapping(address => bool)) storage listed,
+        address target,
+        bool add
+    ) internal {
+        if (listed[msg.sender][target] == add) {
+            return;
+        }
+        listed[msg.sender][target] = add;
+
+        address[] storage list = lists[msg.sender];
+        if (add) {
+            list.push(target);
+            return;
+        }
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i] == target) {
+                list[i] = list[list.length - 1];
+                list.pop();
+                break;
+            }
+        }
+    }
+
+    function _removeSpendingLimit(address token) internal {
+        delete spendingLimits[msg.sender][token];
+
+        address[] storage tokens = limitedTokens[msg.sender];
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (tokens[i] == token) {
+                tokens[i] = tokens[tokens.length - 1];
+                tokens.pop();
+                break;
+            }
+        }
+
+        emit SpendingLimitRemoved(msg.sender, token);
+    }
+}
@@ -0,0 +1,292 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./BasePaymaster.sol";
+import "./interfaces/IERC20.sol";
+import "./interfaces/IPriceFeed.sol";
+
+/**
+ * @title TokenPaymaster
+ * @notice Lets accounts pay for gas in an ERC-20 token at the price feed's rate plus a markup
+ * @dev paymasterAndData = paymaster [++ abi.encode(uint256 maxTokenCost)].
+ *      Validation pre-charges the token cost of the op's maximum gas and postOp refunds what was
+ *      not used. An account without an allowance yet may instead start its callData with
+ *      executeBatch([token.approve(paymaster, amount), ...]); it is then charged in postOp,
+ *      after the approve has run. Should the op revert, revoke its approve or spend the tokens
+ *      first, the EntryPoint undoes its call and this paymaster's deposit pays for the gas; the
+ *      account then owes the cost and may only pay with an allowance it already has until someone
+ *      settles its debt. As fresh accounts can repeat this, at most maxUnpaidOps such ops go
+ *      unpaid per unpaidOpsPeriod: beyond that, ops approving in their batch are not valid until
+ *      the period ends.
+ */
+contract TokenPaymaster is BasePaymaster {
+    // ===================== Constants =====================
+
+    // priceMarkup is in these units: 1.1e6 charges 10% over the feed price
+    uint256 public constant PRICE_DENOMINATOR = 1e6;
+    uint256 private constant MAX_TOKEN_COST_OFFSET = 20;
+    bytes4 private constant EXECUTE_BATCH_SELECTOR = bytes4(keccak256("executeBatch(address[],uint256[],bytes[])"));
+
+    // ===================== State Variables =====================
+
+    IERC20 public immutable token;
+    uint256 private immutable tokenUnit;
+
+    // Quotes the price of 1 ETH in the currency the token tracks (e.g. ETH/USD for USDC)
+    IPriceFeed public priceFeed;
+    uint256 public priceMarkup;
+
+    // Gas of postOp itself, which actualGasCost leaves out; charged at the op's maxFeePerGas
+    uint256 public postOpGas = 50000;
+
+    // Feed answers older than this are not used
+    uint256 public maxPriceAge = 1 days;
+
+    // Token units per 1 ETH, before markup. Validation reads this cache rather than the feed,
+    // which is refreshed by updateCachedPrice and after each op; ops validated against a cache
+    // older than maxPriceAge expire.
+    uint256 public cachedPrice;
+    uint256 public cachedPriceTimestamp;
+
+    // Token cost owed by accounts whose op approved this paymaster in its own batch and then
+    // could not be charged
+    mapping(address => uint256) public debts;
+
+    // Unpaid ops allowed per period, and those of the current period
+    uint256 public maxUnpaidOps = 10;
+    uint256 public unpaidOpsPeriod = 1 days;
+    uint256 public unpaidOpsPeriodStart;
+    uint256 public unpaidOps;
+
+    // Ops approving in their batch are valid from this time on; set once maxUnpaidOps is reached
+    uint48 public approvalsPausedUntil;
+
+    // ===================== Events =====================
+
+    event PriceUpdated(uint256 price, uint256 updatedAt);
+    event PriceFeedChanged(address indexed previousFeed, address indexed newFeed);
+    event PriceMarkupChanged(uint256 oldMarkup, uint256 newMarkup);
+    event PostOpGasChanged(uint256 oldGas, uint256 newGas);
+    event MaxPriceAgeChanged(uint256 oldAge, uint256 newAge);
+    event GasPaidInTokens(address indexed account, uint256 tokenCost, uint256 actualGasCost);
+    event GasUnpaid(address indexed account, uint256 tokenCost, uint256 actualGasCost);
+    event DebtSettled(address indexed account, address indexed payer, uint256 amount);
+    event ApprovalsPaused(uint256 until);
+    event UnpaidOpsLimitChanged(uint256 maxUnpaidOps, uint256 period);
+
+    constructor(IEntryPoint _entryPoint, IERC20 _token, IPriceFeed _priceFeed, uint256 _priceMarkup)
+        BasePaymaster(_entryPoint)
+    {
+        require(_priceMarkup >= PRICE_DENOMINATOR && _priceMarkup <= 2 * PRICE_DENOMINATOR, "Invalid markup");
+        token = _token;
+        tokenUnit = 10 ** _token.decimals();
+        priceFeed = _priceFeed;
+        priceMarkup = _priceMarkup;
+        updateCachedPrice();
+    }
+
+    // ===================== Paymaster Functions =====================
+
+    /**
+     * @notice Pre-charges the token cost of the op's maximum gas, or checks that the op approves it
+     * @dev Reverts rather than failing the signature check: there is no signature to fail.
+     *      The op is valid until the cached price gets older than maxPriceAge, and an op approving
+     *      in its batch from approvalsPausedUntil on, which the EntryPoint enforces (validation
+     *      may not read the timestamp itself).
+     */
+    function validatePaymasterUserOp(
+        UserOperation calldata userOp,
+        bytes32 /* userOpHash */,
+        uint256 maxCost
+    ) external override onlyEntryPoint returns (bytes memory context, uint256 validationData) {
+        require(userOp.verificationGasLimit > postOpGas, "Gas too low for postOp");
+
+        uint256 rate = cachedPrice * priceMarkup;
+        uint256 preCharge = _tokenAmount(maxCost + postOpGas * userOp.maxFeePerGas, rate);
+        if (userOp.paymasterAndData.length >= MAX_TOKEN_COST_OFFSET + 32) {
+            uint256 maxTokenCost = abi.decode(userOp.paymasterAndData[MAX_TOKEN_COST_OFFSET:], (uint256));
+            require(preCharge <= maxTokenCost, "Token cost above maxTokenCost");
+        }
+
+        address account = userOp.sender;
+        uint48 validAfter = 0;
+        require(token.balanceOf(account) >= preCharge, "Insufficient token balance");
+        if (token.allowance(account, address(this)) >= preCharge) {
+            require(token.transferFrom(account, address(this), preCharge), "Token pre-charge failed");
+        } else {
+            require(
+                debts[account] == 0 && _approvesPaymaster(userOp.callData, preCharge),
+                "Insufficient token allowance"
+            );
+            preCharge = 0;
+            validAfter = approvalsPausedUntil;
+        }
+
+        uint256 validUntil = cachedPriceTimestamp + maxPriceAge;
+        if (validUntil > type(uint48).max) {
+            validUntil = type(uint48).max;
+        }
+        context = abi.encode(account, preCharge, rate, userOp.maxFeePerGas);
+        return (context, _packValidationData(false, uint48(validUntil), validAfter));
+    }
+
+    // Settles at the rate the op was validated with: refunds the unused pre-charge,
+    // or charges the full cost when the op approved the paymaster in its own batch
+    function postOp(PostOpMode mode, bytes calldata context, uint256 actualGasCost) external override onlyEntryPoint {
+        (address account, uint256 preCharge, uint256 rate, uint256 maxFeePerGas) =
+            abi.decode(context, (address, uint256, uint256, uint256));
+        uint256 tokenCost = _tokenAmount(actualGasCost + postOpGas * maxFeePerGas, rate);
+
+        bool paid = true;
+        if (preCharge > 0) {
+            if (preCharge > tokenCost) {
+                require(token.transfer(account, preCharge - tokenCost), "Token refund failed");
+            }
+        } else if (mode != PostOpMode.postOpReverted) {
+            // When the op undid its approve or spent the tokens, the EntryPoint undoes its
+            // call and tries again in postOpReverted mode
+            require(token.transferFrom(account, address(this), tokenCost), "Token charge failed");
+        } else {
+            // postOp may not revert in this mode: what the account cannot pay, the deposit does
+            paid = _tryTransferFrom(account, tokenCost);
+        }
+
+        if (paid) {
+            emit GasPaidInTokens(account, tokenCost, actualGasCost);
+        } else {
+            debts[account] += tokenCost;
+            _countUnpaidOp();
+            emit GasUnpaid(account, tokenCost, actualGasCost);
+        }
+        _refreshCachedPrice();
+    }
+
+    /**
+     * @notice Pay an account's debt, after which it may approve this paymaster in its batch again
+     * @dev Anyone may pay it, the account itself included; the tokens come from the caller
+     * @param account Account whose debt is paid
+     */
+    function settleDebt(address account) external {
+        uint256 debt = debts[account];
+        require(debt > 0, "No debt");
+        delete debts[account];
+        require(token.transferFrom(msg.sender, address(this), debt), "Token transfer failed");
+        emit DebtSettled(account, msg.sender, debt);
+    }
+
+    // ===================== Pricing =====================
+
+    // Token amount charged for ethAmount wei of gas, markup included (rounded up)
+    function getTokenAmount(uint256 ethAmount) external view returns (uint256) {
+        return _tokenAmount(ethAmount, cachedPrice * priceMarkup);
+    }
+
+    // Anyone may refresh the cached price; reverts if the feed has no usable answer
+    function updateCachedPrice() public returns (uint256) {
+        require(_refreshCachedPrice(), "Stale or invalid price");
+        return cachedPrice;
+    }
+
+    // ===================== Admin Functions =====================
+
+    function setPriceFeed(IPriceFeed newFeed) external onlyOwner {
+        emit PriceFeedChanged(address(priceFeed), address(newFeed));
+        priceFeed = newFeed;
+        cachedPriceTimestamp = 0;
+        updateCachedPrice();
+    }
+
+    function setPriceMarkup(uint256 newMarkup) external onlyOwner {
+        require(newMarkup >= PRICE_DENOMINATOR && newMarkup <= 2 * PRICE_DENOMINATOR, "Invalid markup");
+        emit PriceMarkupChanged(priceMarkup, newMarkup);
+        priceMarkup = newMarkup;
+    }
+
+    function setPostOpGas(uint256 newGas) external onlyOwner {
+        emit PostOpGasChanged(postOpGas, newGas);
+        postOpGas = newGas;
+    }
+
+    function setMaxPriceAge(uint256 newAge) external onlyOwner {
+        emit MaxPriceAgeChanged(maxPriceAge, newAge);
+        maxPriceAge = newAge;
+    }
+
+    // At most maxOps ops approving in their batch may go unpaid per period, plus those already
+    // validated in the bundle that reaches the limit
+    function setUnpaidOpsLimit(uint256 maxOps, uint256 period) external onlyOwner {
+        require(maxOps > 0 && period > 0, "Invalid limit");
+        maxUnpaidOps = maxOps;
+        unpaidOpsPeriod = period;
+        emit UnpaidOpsLimitChanged(maxOps, period);
+    }
+
+    // Collects the tokens paid for gas
+    function withdrawTokens(address to, uint256 amount) external onlyOwner {
+        require(token.transfer(to, amount), "Token transfer failed");
+    }
+
+    // ===================== Internal Functions =====================
+
+    // rate = token units per ETH * priceMarkup
+    function _tokenAmount(uint256 ethAmount, uint256 rate) internal pure returns (uint256) {
+        uint256 denominator = 1e18 * PRICE_DENOMINATOR;
+        return (ethAmount * rate + denominator - 1) / denominator;
+    }
+
+    // Takes the feed's answer if it is positive, fresh and newer than the cache
+    function _refreshCachedPrice() internal returns (bool) {
+        (, int256 answer,, uint256 updatedAt,) = priceFeed.latestRoundData();
+        if (answer <= 0 || updatedAt + maxPriceAge < block.timestamp) {
+            return false;
+        }
+        if (updatedAt > cachedPriceTimestamp) {
+            cachedPrice = uint256(answer) * tokenUnit / 10 ** priceFeed.decimals();
+            cachedPriceTimestamp = updatedAt;
+            emit PriceUpdated(cachedPrice, updatedAt);
+        }
+        return true;
+    }
+
+    // Starts a new period once the current one is over; pauses approvals once the limit is reached
+    function _countUnpaidOp() internal {
+        if (block.timestamp >= unpaidOpsPeriodStart + unpaidOpsPeriod) {
+            unpaidOpsPeriodStart = block.timestamp;
+            unpaidOps = 0;
+        }
+        unpaidOps++;
+        if (unpaidOps >= maxUnpaidOps) {
+            approvalsPausedUntil = uint48(unpaidOpsPeriodStart + unpaidOpsPeriod);
+            emit ApprovalsPaused(approvalsPausedUntil);
+        }
+    }
+
+    // transferFrom that reports failure instead of reverting, for tokens that revert or return false
+    function _tryTransferFrom(address from, uint256 amount) internal returns (bool) {
+        (bool success, bytes memory result) =
+            address(token).call(abi.encodeCall(IERC20.transferFrom, (from, address(this), amount)));
+        return success && (result.length == 0 || abi.decode(result, (bool)));
+    }
+
+    // True if callData is executeBatch whose first call approves this paymaster for at least amount
+    function _approvesPaymaster(bytes calldata callData, uint256 amount) internal view returns (bool) {
+        if (callData.length < 4 || bytes4(callData[:4]) != EXECUTE_BATCH_SELECTOR) {
+            return false;
+        }
+        (address[] memory to,, bytes[] memory data) = abi.decode(callData[4:], (address[], uint256[], bytes[]));
+        if (to.length == 0 || to[0] != address(token) || data[0].length < 68) {
+            return false;
+        }
+
+        bytes memory approveCall = data[0];
+        bytes4 selector;
+        uint256 spender;
+        uint256 approved;
+        assembly {
+            selector := mload(add(approveCall, 32))
+            spender := mload(add(approveCall, 36))
+            approved := mload(add(approveCall, 68))
+        }
+        return selector == IERC20.approve.selector && spender == uint256(uint160(address(this))) && approved >= amount;
+    }
+}
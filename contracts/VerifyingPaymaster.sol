@@ -0,0 +1,160 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./BasePaymaster.sol";
+import "./libraries/ECDSA.sol";
+
+/**
+ * @title VerifyingPaymaster
+ * @notice Sponsors gas for UserOperations approved by an off-chain signer
+ * @dev paymasterAndData = paymaster ++ abi.encode(uint48 validUntil, uint48 validAfter) ++ signature,
+ *      where the signer signs getHash(userOp, validUntil, validAfter) with eth_sign.
+ *      Sponsored gas is tracked per account against a spending limit. Validation reserves the
+ *      op's maxCost so several ops of one bundle cannot overrun it; postOp releases the unused part.
+ */
+contract VerifyingPaymaster is BasePaymaster {
+    // ===================== Constants =====================
+
+    uint256 private constant VALID_TIMESTAMP_OFFSET = 20;
+    uint256 private constant SIGNATURE_OFFSET = 84;
+
+    // ===================== State Variables =====================
+
+    address public verifyingSigner;
+
+    // Total gas cost (wei) an account may have sponsored, unless it has a limit of its own
+    uint256 public defaultSpendingLimit;
+
+    // Account => own spending limit (only read when hasSpendingLimit is set)
+    mapping(address => uint256) private spendingLimits;
+    mapping(address => bool) private hasSpendingLimit;
+
+    // Account => gas cost sponsored so far, plus maxCost of ops validated but not yet settled
+    mapping(address => uint256) public spent;
+
+    // ===================== Events =====================
+
+    event VerifyingSignerChanged(address indexed previousSigner, address indexed newSigner);
+    event DefaultSpendingLimitChanged(uint256 oldLimit, uint256 newLimit);
+    event SpendingLimitChanged(address indexed account, uint256 limit);
+    event SpendingLimitRemoved(address indexed account);
+    event GasSponsored(address indexed account, uint256 actualGasCost);
+
+    constructor(IEntryPoint _entryPoint, address _verifyingSigner, uint256 _defaultSpendingLimit)
+        BasePaymaster(_entryPoint)
+    {
+        require(_verifyingSigner != address(0), "Invalid signer");
+        verifyingSigner = _verifyingSigner;
+        defaultSpendingLimit = _defaultSpendingLimit;
+        emit VerifyingSignerChanged(address(0), _verifyingSigner);
+    }
+
+    // ===================== Paymaster Functions =====================
+
+    /**
+     * @notice Accepts the op if the verifying signer approved it and the account is within its limit
+     * @dev A wrong signature is reported through validationData so simulation can still estimate gas
+     */
+    function validatePaymasterUserOp(
+        UserOperation calldata userOp,
+        bytes32 /* userOpHash */,
+        uint256 maxCost
+    ) external override onlyEntryPoint returns (bytes memory context, uint256 validationData) {
+        (uint48 validUntil, uint48 validAfter, bytes calldata signature) =
+            parsePaymasterAndData(userOp.paymasterAndData);
+        require(signature.length == 65, "Invalid signature length");
+        require(spent[userOp.sender] + maxCost <= getSpendingLimit(userOp.sender), "Spending limit exceeded");
+
+        bytes32 hash = ECDSA.toEthSignedMessageHash(getHash(userOp, validUntil, validAfter));
+        if (ECDSA.recover(hash, signature) != verifyingSigner) {
+            return ("", _packValidationData(true, validUntil, validAfter));
+        }
+
+        spent[userOp.sender] += maxCost;
+        return (abi.encode(userOp.sender, maxCost), _packValidationData(false, validUntil, validAfter));
+    }
+
+    // Charges the account's allowance whatever the outcome of the call, since the gas was spent,
+    // and releases the rest of the reservation (actualGasCost never exceeds maxCost)
+    function postOp(PostOpMode, bytes calldata context, uint256 actualGasCost) external override onlyEntryPoint {
+        (address account, uint256 maxCost) = abi.decode(context, (address, uint256));
+        spent[account] = spent[account] - maxCost + actualGasCost;
+        emit GasSponsored(account, actualGasCost);
+    }
+
+    /**
+     * @notice Hash the verifying signer signs (with eth_sign) to sponsor an op
+     * @dev Covers every field except paymasterAndData and the signature, which cannot sign themselves
+     */
+    function getHash(UserOperation calldata userOp, uint48 validUntil, uint48 validAfter)
+        public
+        view
+        returns (bytes32)
+    {
+        return keccak256(abi.encode(
+            userOp.sender,
+            userOp.nonce,
+            keccak256(userOp.initCode),
+            keccak256(userOp.callData),
+            userOp.callGasLimit,
+            userOp.verificationGasLimit,
+            userOp.preVerificationGas,
+            userOp.maxFeePerGas,
+            userOp.maxPriorityFeePerGas,
+            block.chainid,
+            address(this),
+            validUntil,
+            validAfter
+        ));
+    }
+
+    function parsePaymasterAndData(bytes calldata paymasterAndData)
+        public
+        pure
+        returns (uint48 validUntil, uint48 validAfter, bytes calldata signature)
+    {
+        require(paymasterAndData.length >= SIGNATURE_OFFSET, "Invalid paymasterAndData");
+        (validUntil, validAfter) = abi.decode(
+            paymasterAndData[VALID_TIMESTAMP_OFFSET:SIGNATURE_OFFSET],
+            (uint48, uint48)
+        );
+        signature = paymasterAndData[SIGNATURE_OFFSET:];
+    }
+
+    // ===================== Spending Limits =====================
+
+    function getSpendingLimit(address account) public view returns (uint256) {
+        return hasSpendingLimit[account] ? spendingLimits[account] : defaultSpendingLimit;
+    }
+
+    function getRemainingSpend(address account) external view returns (uint256) {
+        uint256 limit = getSpendingLimit(account);
+        return spent[account] >= limit ? 0 : limit - spent[account];
+    }
+
+    function setDefaultSpendingLimit(uint256 limit) external onlyOwner {
+        emit DefaultSpendingLimitChanged(defaultSpendingLimit, limit);
+        defaultSpendingLimit = limit;
+    }
+
+    function setSpendingLimit(address account, uint256 limit) external onlyOwner {
+        spendingLimits[account] = limit;
+        hasSpendingLimit[account] = true;
+        emit SpendingLimitChanged(account, limit);
+    }
+
+    // Puts the account back on the default limit
+    function removeSpendingLimit(address account) external onlyOwner {
+        delete spendingLimits[account];
+        delete hasSpendingLimit[account];
+        emit SpendingLimitRemoved(account);
+    }
+
+    // ===================== Admin Functions =====================
+
+    function setVerifyingSigner(address newSigner) external onlyOwner {
+        require(newSigner != address(0), "Invalid signer");
+        emit VerifyingSignerChanged(verifyingSigner, newSigner);
+        verifyingSigner = newSigner;
+    }
+}
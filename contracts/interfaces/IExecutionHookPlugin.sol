@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+interface IExecutionHookPlugin {
+    // Called by the account before it runs an execution function the hook is declared for;
+    // data is the full calldata of that call (selector included). Reverting blocks the call.
+    // What it returns is passed to postExecutionHook.
+    function preExecutionHook(address sender, uint256 value, bytes calldata data) external returns (bytes memory);
+
+    // Called after the function has run, if the manifest declares a post hook for it
+    function postExecutionHook(bytes calldata preExecHookData) external;
+}
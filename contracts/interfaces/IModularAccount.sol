@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../IEntryPoint.sol";
+
+// What plugins may ask of the account that installed them
+interface IModularAccount {
+    // The account's default owner check: (0, owner) if the op is signed by the owner, (1, 0) otherwise
+    function validateOwnerSignature(
+        UserOperation calldata userOp,
+        bytes32 userOpHash
+    ) external view returns (uint256 validationData, address caller);
+
+    // The manifest hash a plugin was installed with (zero if it is not installed) and its dependencies
+    function getPluginData(address plugin)
+        external
+        view
+        returns (bytes32 manifestHash, address[] memory dependencies, uint256 dependentCount);
+
+    // Call `to` as the account; only plugins installed on the account may use it
+    function executeFromPlugin(address to, uint256 value, bytes calldata data) external returns (bytes memory);
+}
@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../IEntryPoint.sol";
+
+interface IPaymaster {
+    enum PostOpMode {
+        opSucceeded,
+        opReverted,
+        // postOp reverted in one of the modes above and is called again after the op was undone
+        postOpReverted
+    }
+
+    // Returns a context for postOp (empty skips it) and validationData packed like the account's
+    function validatePaymasterUserOp(
+        UserOperation calldata userOp,
+        bytes32 userOpHash,
+        uint256 maxCost
+    ) external returns (bytes memory context, uint256 validationData);
+
+    function postOp(PostOpMode mode, bytes calldata context, uint256 actualGasCost) external;
+}
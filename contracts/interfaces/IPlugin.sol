@@ -1,7 +1,43 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
-interface IPlugin {
+import "./IERC165.sol";
+
+// Hooks a plugin runs around one of the account's (or another plugin's) execution functions
+struct ManifestExecutionHook {
+    bytes4 executionSelector;
+    bool preExecHook;
+    bool postExecHook;
+}
+
+// A contract the plugin may call as the account through executeFromPlugin
+struct ManifestExternalCallPermission {
+    address externalAddress;
+    bool permitAnySelector;
+    bytes4[] selectors;
+}
+
+// Everything a plugin adds to the account; installPlugin wires it up and uninstallPlugin removes it
+struct PluginManifest {
+    // ERC-165 ids the plugin adds to the account
+    bytes4[] interfaceIds;
+    // ERC-165 id each dependency passed to installPlugin must support, in order
+    bytes4[] dependencyInterfaceIds;
+    // Functions the account routes to the plugin
+    bytes4[] executionFunctions;
+    // Selectors whose UserOperations the plugin validates
+    bytes4[] validationFunctions;
+    ManifestExecutionHook[] executionHooks;
+    // Account functions the plugin may call through executeFromPlugin
+    bytes4[] permittedExecutionSelectors;
+    bool permitAnyExternalAddress;
+    ManifestExternalCallPermission[] permittedExternalCalls;
+}
+
+interface IPlugin is IERC165 {
     function onInstall(bytes calldata data) external;
     function onUninstall(bytes calldata data) external;
+
+    // Must return the same manifest every time: the account checks it against its hash on install and uninstall
+    function pluginManifest() external view returns (PluginManifest memory);
 }
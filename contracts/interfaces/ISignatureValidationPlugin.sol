@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// A validation plugin that also decides which signatures the account accepts as its own (ERC-1271)
+interface ISignatureValidationPlugin {
+    // Called by the account with its EIP-712 wrapper of the signed hash, which binds it to the
+    // account and chain; the plugin checks `signature` for the calling account's signers
+    function validateSignature(bytes32 digest, bytes calldata signature) external view returns (bool);
+}
@@ -4,8 +4,10 @@ pragma solidity ^0.8.19;
 import "../IEntryPoint.sol";
 
 interface IValidationPlugin {
+    // caller: who the signature proves the op acts for, once it checks out. An op calling a plugin
+    // execution function must end with it; the account passes it on as the caller (ERC-2771).
     function validateUserOp(
         UserOperation calldata userOp,
         bytes32 userOpHash
-    ) external returns (uint256);
+    ) external returns (uint256 validationData, address caller);
 }
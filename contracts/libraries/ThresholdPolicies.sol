@@ -0,0 +1,236 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ThresholdPolicies
+ * @notice MultiSigPlugin's thresholds for particular operations: per target contract, per function
+ *         selector and per value bracket, in owner weight
+ * @dev Deployed once and linked, which keeps MultiSigPlugin under the contract size limit
+ */
+library ThresholdPolicies {
+    bytes4 private constant EXECUTE_SELECTOR = bytes4(keccak256("execute(address,uint256,bytes)"));
+    bytes4 private constant EXECUTE_BATCH_SELECTOR = bytes4(keccak256("executeBatch(address[],uint256[],bytes[])"));
+    bytes4 private constant EXECUTE_FROM_PLUGIN_SELECTOR = bytes4(keccak256("executeFromPlugin(address,uint256,bytes)"));
+    
+    // Plain transfers (value, no data) of at most maxValue in total need threshold weight
+    struct ValueBracket {
+        uint256 maxValue;
+        uint256 threshold;
+    }
+    
+    // A call needs the highest threshold among the rules it matches, and the account's
+    // threshold when it matches none
+    struct ThresholdPolicy {
+        address[] targets;
+        uint256[] targetThresholds;
+        bytes4[] selectors;
+        uint256[] selectorThresholds;
+        // Ascending by maxValue; a call matches the first bracket its value fits in
+        ValueBracket[] valueBrackets;
+    }
+    
+    // A ThresholdPolicy in storage; targets and selectors are listed to read and clear it
+    struct Policy {
+        address[] targets;
+        mapping(address => uint256) targetThresholds;
+        bytes4[] selectors;
+        mapping(bytes4 => uint256) selectorThresholds;
+        ValueBracket[] valueBrackets;
+    }
+    
+    event ThresholdPolicyChanged(address indexed account, ThresholdPolicy policy);
+    
+    /**
+     * @notice Replace a stored policy
+     * @param self The stored policy
+     * @param account The account the policy is for
+     * @param policy The new policy
+     * @param totalWeight The owners' total weight, which every threshold must be within
+     */
+    function set(
+        Policy storage self,
+        address account,
+        ThresholdPolicy calldata policy,
+        uint256 totalWeight
+    ) external {
+        require(
+            policy.targets.length == policy.targetThresholds.length
+                && policy.selectors.length == policy.selectorThresholds.length,
+            "Mismatched arrays"
+        );
+        
+        clear(self);
+        
+        for (uint256 i = 0; i < policy.targets.length; i++) {
+            require(self.targetThresholds[policy.targets[i]] == 0, "Duplicate target");
+            _validateThreshold(policy.targetThresholds[i], totalWeight);
+            self.targetThresholds[policy.targets[i]] = policy.targetThresholds[i];
+            self.targets.push(policy.targets[i]);
+        }
+        for (uint256 i = 0; i < policy.selectors.length; i++) {
+            require(self.selectorThresholds[policy.selectors[i]] == 0, "Duplicate selector");
+            _validateThreshold(policy.selectorThresholds[i], totalWeight);
+            self.selectorThresholds[policy.selectors[i]] = policy.selectorThresholds[i];
+            self.selectors.push(policy.selectors[i]);
+        }
+        for (uint256 i = 0; i < policy.valueBrackets.length; i++) {
+            require(i == 0 || policy.valueBrackets[i].maxValue > policy.valueBrackets[i - 1].maxValue, "Brackets not ascending");
+            _validateThreshold(policy.valueBrackets[i].threshold, totalWeight);
+            self.valueBrackets.push(policy.valueBrackets[i]);
+        }
+        
+        emit ThresholdPolicyChanged(account, policy);
+    }
+    
+    function clear(Policy storage self) public {
+        for (uint256 i = 0; i < self.targets.length; i++) {
+            delete self.targetThresholds[self.targets[i]];
+        }
+        for (uint256 i = 0; i < self.selectors.length; i++) {
+            delete self.selectorThresholds[self.selectors[i]];
+        }
+        delete self.targets;
+        delete self.selectors;
+        delete self.valueBrackets;
+    }
+    
+    function get(Policy storage self) external view returns (ThresholdPolicy memory policy) {
+        policy.targets = self.targets;
+        policy.targetThresholds = new uint256[](policy.targets.length);
+        for (uint256 i = 0; i < policy.targets.length; i++) {
+            policy.targetThresholds[i] = self.targetThresholds[policy.targets[i]];
+        }
+        policy.selectors = self.selectors;
+        policy.selectorThresholds = new uint256[](policy.selectors.length);
+        for (uint256 i = 0; i < policy.selectors.length; i++) {
+            policy.selectorThresholds[i] = self.selectorThresholds[policy.selectors[i]];
+        }
+        policy.valueBrackets = self.valueBrackets;
+    }
+    
+    // The highest threshold any operation can need, the account's `threshold` included
+    function maxThreshold(Policy storage self, uint256 threshold) public view returns (uint256 max) {
+        max = threshold;
+        for (uint256 i = 0; i < self.targets.length; i++) {
+            max = _max(max, self.targetThresholds[self.targets[i]]);
+        }
+        for (uint256 i = 0; i < self.selectors.length; i++) {
+            max = _max(max, self.selectorThresholds[self.selectors[i]]);
+        }
+        for (uint256 i = 0; i < self.valueBrackets.length; i++) {
+            max = _max(max, self.valueBrackets[i].threshold);
+        }
+    }
+    
+    /**
+     * @notice The weight a UserOperation needs for its calls: `execute` and `executeBatch` make
+     *         the calls they encode, any other selector is a call to the account itself (e.g.
+     *         replaceOwners routed to the plugin)
+     * @param self The account's policy
+     * @param threshold The account's threshold, for calls no rule matches
+     * @param account The account
+     * @param callData The op's callData
+     */
+    function requiredWeight(
+        Policy storage self,
+        uint256 threshold,
+        address account,
+        bytes calldata callData
+    ) external view returns (uint256) {
+        bytes4 selector = callData.length >= 4 ? bytes4(callData[:4]) : bytes4(0);
+        address[] memory targets;
+        uint256[] memory values;
+        bytes[] memory datas;
+        
+        if (selector == EXECUTE_BATCH_SELECTOR) {
+            (targets, values, datas) = abi.decode(callData[4:], (address[], uint256[], bytes[]));
+            require(targets.length == values.length && targets.length == datas.length, "Mismatched arrays");
+            return callsThreshold(self, threshold, account, targets, values, datas);
+        }
+        
+        targets = new address[](1);
+        values = new uint256[](1);
+        datas = new bytes[](1);
+        if (selector == EXECUTE_SELECTOR) {
+            (targets[0], values[0], datas[0]) = abi.decode(callData[4:], (address, uint256, bytes));
+        } else {
+            targets[0] = account;
+            datas[0] = callData;
+        }
+        return callsThreshold(self, threshold, account, targets, values, datas);
+    }
+    
+    /**
+     * @notice The highest threshold any of the calls needs. A call needs the highest threshold
+     *         among the rules it matches, or `threshold` if it matches none, so adding a call to a
+     *         batch never lowers what the others need.
+     * @dev Value brackets apply to the total value of the plain transfers (value, no data), so
+     *      splitting a payment within one op does not lower its threshold. Such a transfer matching
+     *      no other rule needs the bracket's threshold, or `threshold` if the total fits none.
+     *      A call to the account's own `execute`, `executeBatch` or `executeFromPlugin` makes calls
+     *      the rules never see, so it needs the highest threshold of all.
+     */
+    function callsThreshold(
+        Policy storage self,
+        uint256 threshold,
+        address account,
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory datas
+    ) public view returns (uint256 required) {
+        uint256 paymentValue = 0;
+        bool unmatchedPayment = false;
+        
+        for (uint256 i = 0; i < targets.length; i++) {
+            bytes4 selector = datas[i].length >= 4 ? bytes4(datas[i]) : bytes4(0);
+            if (targets[i] == account && _isExecution(selector)) {
+                return maxThreshold(self, threshold);
+            }
+            uint256 callRequired = _max(self.targetThresholds[targets[i]], self.selectorThresholds[selector]);
+            // Only plain transfers are payments: calls moving no value (owner management, token
+            // calls) are not, and a call with data can do anything, whatever value it sends
+            if (values[i] > 0 && datas[i].length == 0) {
+                paymentValue += values[i];
+                unmatchedPayment = unmatchedPayment || callRequired == 0;
+            } else if (callRequired == 0) {
+                callRequired = threshold;
+            }
+            required = _max(required, callRequired);
+        }
+        
+        if (paymentValue > 0) {
+            uint256 bracketThreshold = _bracketThreshold(self, paymentValue);
+            if (bracketThreshold == 0 && unmatchedPayment) {
+                bracketThreshold = threshold;
+            }
+            required = _max(required, bracketThreshold);
+        }
+        
+        return required == 0 ? threshold : required;
+    }
+    
+    function _isExecution(bytes4 selector) private pure returns (bool) {
+        return selector == EXECUTE_SELECTOR
+            || selector == EXECUTE_BATCH_SELECTOR
+            || selector == EXECUTE_FROM_PLUGIN_SELECTOR;
+    }
+    
+    // The threshold of the first bracket `value` fits in, 0 if it fits none
+    function _bracketThreshold(Policy storage self, uint256 value) private view returns (uint256) {
+        for (uint256 i = 0; i < self.valueBrackets.length; i++) {
+            if (value <= self.valueBrackets[i].maxValue) {
+                return self.valueBrackets[i].threshold;
+            }
+        }
+        return 0;
+    }
+    
+    function _validateThreshold(uint256 threshold, uint256 totalWeight) private pure {
+        require(threshold > 0, "Invalid threshold");
+        require(threshold <= totalWeight, "Threshold too high");
+    }
+    
+    function _max(uint256 a, uint256 b) private pure returns (uint256) {
+        return a > b ? a : b;
+    }
+}
@@ -0,0 +1,197 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./ECDSA.sol";
+
+/**
+ * @title WeightedOwners
+ * @notice MultiSigPlugin's owner set, where each owner votes with a weight
+ * @dev Deployed once and linked, which keeps MultiSigPlugin under the contract size limit.
+ *      Its events are emitted in the plugin's context, for the account passed in.
+ */
+library WeightedOwners {
+    struct Set {
+        address[] list;
+        mapping(address => bool) isOwner;
+        mapping(address => uint256) weights;
+        uint256 totalWeight;
+        // Times each address was added, kept through removals: a vote cast in an earlier term
+        // no longer counts, without having to find and delete it
+        mapping(address => uint256) terms;
+    }
+    
+    event OwnerAdded(address indexed account, address indexed owner);
+    event OwnerRemoved(address indexed account, address indexed owner);
+    event OwnerWeightChanged(address indexed account, address indexed owner, uint256 weight);
+    
+    function add(Set storage self, address account, address owner, uint256 weight) public {
+        require(owner != address(0), "Invalid owner address");
+        require(!self.isOwner[owner], "Duplicate owner");
+        require(weight > 0, "Invalid weight");
+        
+        self.list.push(owner);
+        self.isOwner[owner] = true;
+        self.weights[owner] = weight;
+        self.totalWeight += weight;
+        self.terms[owner]++;
+        
+        emit OwnerAdded(account, owner);
+        emit OwnerWeightChanged(account, owner, weight);
+    }
+    
+    /**
+     * @notice Remove an owner, keeping the rest able to reach `maxThreshold`
+     * @param self The owner set
+     * @param account The account the owners are for
+     * @param owner Owner to remove
+     * @param maxThreshold The highest threshold any operation of the account can need
+     */
+    function remove(Set storage self, address account, address owner, uint256 maxThreshold) external {
+        require(self.isOwner[owner], "Not an owner");
+        require(self.totalWeight - self.weights[owner] >= maxThreshold, "Would break threshold");
+        
+        self.isOwner[owner] = false;
+        self.totalWeight -= self.weights[owner];
+        delete self.weights[owner];
+        
+        // Remove from array
+        for (uint256 i = 0; i < self.list.length; i++) {
+            if (self.list[i] == owner) {
+                self.list[i] = self.list[self.list.length - 1];
+                self.list.pop();
+                break;
+            }
+        }
+        
+        emit OwnerRemoved(account, owner);
+    }
+    
+    // Change an owner's weight, keeping the owners able to reach `maxThreshold`
+    function setWeight(
+        Set storage self,
+        address account,
+        address owner,
+        uint256 weight,
+        uint256 maxThreshold
+    ) external {
+        require(self.isOwner[owner], "Not an owner");
+        require(weight > 0, "Invalid weight");
+        
+        self.totalWeight = self.totalWeight - self.weights[owner] + weight;
+        self.weights[owner] = weight;
+        require(self.totalWeight >= maxThreshold, "Would break threshold");
+        
+        emit OwnerWeightChanged(account, owner, weight);
+    }
+    
+    // Remove every owner
+    function clear(Set storage self, address account) external {
+        for (uint256 i = 0; i < self.list.length; i++) {
+            delete self.isOwner[self.list[i]];
+            delete self.weights[self.list[i]];
+            emit OwnerRemoved(account, self.list[i]);
+        }
+        delete self.list;
+        self.totalWeight = 0;
+    }
+    
+    function getWeights(Set storage self) external view returns (address[] memory owners, uint256[] memory weights) {
+        owners = self.list;
+        weights = new uint256[](owners.length);
+        for (uint256 i = 0; i < owners.length; i++) {
+            weights[i] = self.weights[owners[i]];
+        }
+    }
+    
+    // Whether `owner` voted in `votes` (confirmations, cancel votes), which keep each voter's term
+    function hasVoted(
+        Set storage self,
+        mapping(address => uint256) storage votes,
+        address owner
+    ) external view returns (bool) {
+        return self.isOwner[owner] && votes[owner] == self.terms[owner];
+    }
+    
+    // Total weight of the owners who voted in `votes`
+    function votedWeight(
+        Set storage self,
+        mapping(address => uint256) storage votes
+    ) external view returns (uint256 weight) {
+        for (uint256 i = 0; i < self.list.length; i++) {
+            if (votes[self.list[i]] == self.terms[self.list[i]]) {
+                weight += self.weights[self.list[i]];
+            }
+        }
+    }
+    
+    // The owners who voted in `votes`, in list order
+    function voters(
+        Set storage self,
+        mapping(address => uint256) storage votes
+    ) external view returns (address[] memory owners) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < self.list.length; i++) {
+            if (votes[self.list[i]] == self.terms[self.list[i]]) {
+                count++;
+            }
+        }
+        
+        owners = new address[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < self.list.length; i++) {
+            if (votes[self.list[i]] == self.terms[self.list[i]]) {
+                owners[index] = self.list[i];
+                index++;
+            }
+        }
+    }
+    
+    /**
+     * @notice Recover each 65-byte signature over the eth_sign hash of `hash` and require
+     *         distinct owners holding `required` weight; strictly ascending signers rule out duplicates
+     */
+    function checkSignatures(
+        Set storage self,
+        bytes32 hash,
+        bytes calldata signatures,
+        uint256 required
+    ) external view returns (bool) {
+        return _checkSigners(self, ECDSA.toEthSignedMessageHash(hash), signatures, required);
+    }
+    
+    // checkSignatures for signatures over `digest` itself, e.g. EIP-712 typed data
+    function checkDigestSignatures(
+        Set storage self,
+        bytes32 digest,
+        bytes calldata signatures,
+        uint256 required
+    ) external view returns (bool) {
+        return _checkSigners(self, digest, signatures, required);
+    }
+    
+    function _checkSigners(
+        Set storage self,
+        bytes32 digest,
+        bytes calldata signatures,
+        uint256 required
+    ) private view returns (bool) {
+        uint256 count = signatures.length / 65;
+        
+        if (signatures.length % 65 != 0 || required == 0) {
+            return false;
+        }
+        
+        address lastSigner = address(0);
+        uint256 weight = 0;
+        for (uint256 i = 0; i < count; i++) {
+            address signer = ECDSA.recover(digest, signatures[i * 65:(i + 1) * 65]);
+            if (signer <= lastSigner || !self.isOwner[signer]) {
+                return false;
+            }
+            lastSigner = signer;
+            weight += self.weights[signer];
+        }
+        
+        return weight >= required;
+    }
+}
@@ -0,0 +1,125 @@
+import React from 'react';
+import { ethers } from 'ethers';
+import { AlertCircle, CheckCircle, Eye, Loader2, XCircle } from 'lucide-react';
+import { describeCall } from '../utils/wallet';
+
+const formatChange = (change, format = (amount) => amount) => {
+  const amount = ethers.BigNumber.from(change);
+  return amount.isNegative() ? `-${format(amount.abs())}` : `+${format(amount)}`;
+};
+
+const formatEventArgs = (args) => Object.entries(args)
+  .map(([name, arg]) => `${name}: ${typeof arg === 'object' ? JSON.stringify(arg) : arg}`)
+  .join(', ');
+
+// A decoded call and, indented below it, the calls it makes (execute, proposals, batches)
+const CallTree = ({ call }) => (
+  <li>
+    <p className="font-mono text-xs break-all">{describeCall(call)}</p>
+    {call.calls.length > 0 && (
+      <ul className="ml-4 mt-1 pl-3 border-l border-gray-600 space-y-1">
+        {call.calls.map((nested, i) => <CallTree key={i} call={nested} />)}
+      </ul>
+    )}
+  </li>
+);
+
+// What signing for a proposal does: its decoded calls and, with a simulation node, the outcome
+// of a dry run. Nothing is signed until the owner approves it.
+const CallPreview = ({ preview, loading, onApprove, onCancel }) => {
+  const { label, calls, simulation } = preview;
+  const reverts = simulation && !simulation.success;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 mb-6 border border-blue-600">
+      <h2 className="text-xl font-semibold mb-4 flex items-center gap-2">
+        <Eye size={20} />
+        Review: {label}
+      </h2>
+
+      <h3 className="text-sm text-gray-400 mb-2">Calls</h3>
+      <ul className="space-y-2 mb-4">
+        {calls.map((call, i) => <CallTree key={i} call={call} />)}
+      </ul>
+
+      {!simulation && (
+        <p className="text-sm text-gray-400 mb-4">
+          No simulation node configured (REACT_APP_SIMULATION_RPC_URL); check the decoded calls above.
+        </p>
+      )}
+
+      {reverts && (
+        <div className="bg-red-900 rounded p-3 mb-4 text-sm flex items-center gap-2">
+          <AlertCircle size={16} />
+          Would revert: {simulation.revertReason || 'no reason given'}
+        </div>
+      )}
+
+      {simulation && simulation.success && (
+        <div className="space-y-4 mb-4">
+          <p className="text-sm text-green-400 flex items-center gap-2">
+            <CheckCircle size={16} />
+            Simulation succeeded ({simulation.gasUsed} gas)
+          </p>
+
+          <div>
+            <h3 className="text-sm text-gray-400 mb-2">Balance changes</h3>
+            {simulation.balanceChanges.length === 0 && simulation.tokenChanges.length === 0 ? (
+              <p className="text-xs text-gray-500">None</p>
+            ) : (
+              <ul className="space-y-1 font-mono text-xs">
+                {simulation.balanceChanges.map(({ address, change }) => (
+                  <li key={`eth:${address}`}>
+                    {address}: {formatChange(change, ethers.utils.formatEther)} ETH
+                  </li>
+                ))}
+                {simulation.tokenChanges.map(({ token, standard, holder, tokenId, change }) => (
+                  <li key={`${token}:${holder}:${tokenId}`}>
+                    {holder}: {formatChange(change, String)} {standard} {token}
+                    {tokenId !== null && ` #${tokenId}`}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-sm text-gray-400 mb-2">Events ({simulation.events.length})</h3>
+            <ul className="space-y-1 font-mono text-xs">
+              {simulation.events.map((event, i) => (
+                <li key={i} className="break-all">
+                  {event.name
+                    ? `${event.contract}.${event.name}(${formatEventArgs(event.args)})`
+                    : `Unknown event ${event.topics[0]}`}
+                  {' on '}
+                  {event.address}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          onClick={onApprove}
+          disabled={loading}
+          className={`${reverts ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'} px-4 py-2 rounded text-sm flex items-center gap-2`}
+        >
+          {loading ? <Loader2 className="animate-spin" size={16} /> : <CheckCircle size={16} />}
+          {reverts ? `${label} anyway` : label}
+        </button>
+        <button
+          onClick={onCancel}
+          disabled={loading}
+          className="bg-gray-600 hover:bg-gray-500 px-4 py-2 rounded text-sm flex items-center gap-2"
+        >
+          <XCircle size={16} />
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CallPreview;
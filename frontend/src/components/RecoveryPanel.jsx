@@ -0,0 +1,246 @@
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { Shield, CheckCircle, Loader2, Copy, Key, XCircle } from 'lucide-react';
+import { GuardianClient } from '../utils/recovery';
+
+// Guardian view of SocialRecoveryPlugin: look up an account, start or approve its recovery,
+// sign it off-chain for another guardian to relay, vote to cancel it, and execute it once the
+// delay is over.
+const RecoveryPanel = ({ pluginAddress, guardian, onLog }) => {
+  const [accountAddress, setAccountAddress] = useState('');
+  const [config, setConfig] = useState(null);
+  const [recovery, setRecovery] = useState(null);
+  const [approved, setApproved] = useState(false);
+  const [votedToCancel, setVotedToCancel] = useState(false);
+  const [newOwner, setNewOwner] = useState('');
+  const [signature, setSignature] = useState(null);
+  const [collected, setCollected] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const getClient = () => {
+    const provider = new ethers.providers.Web3Provider(window.ethereum);
+    return new GuardianClient(pluginAddress, provider.getSigner());
+  };
+
+  const isGuardian = config && guardian
+    && config.guardians.some((address) => address.toLowerCase() === guardian.toLowerCase());
+
+  const run = async (label, action) => {
+    try {
+      setLoading(true);
+      await action(getClient());
+      onLog(`${label}: done`, 'success');
+    } catch (error) {
+      onLog(`${label} failed: ${error.reason || error.message}`, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const refresh = async (client) => {
+    const target = ethers.utils.getAddress(accountAddress);
+    setConfig(await client.getGuardianConfig(target));
+    setRecovery(await client.getRecovery(target));
+    setApproved(await client.hasApproved(target));
+    setVotedToCancel(await client.hasVotedToCancel(target));
+    setSignature(null);
+  };
+
+  const load = () => run('Load recovery', refresh);
+
+  const initiate = () => run('Initiate recovery', async (client) => {
+    await client.initiateRecovery(accountAddress, { newOwner: ethers.utils.getAddress(newOwner) });
+    await refresh(client);
+  });
+
+  const approve = () => run('Approve recovery', async (client) => {
+    await client.approveRecovery(accountAddress);
+    await refresh(client);
+  });
+
+  const voteToCancel = () => run('Vote to cancel recovery', async (client) => {
+    await client.voteToCancelRecovery(accountAddress);
+    await refresh(client);
+  });
+
+  const sign = () => run('Sign recovery', async (client) => {
+    setSignature(await client.signRecovery(accountAddress));
+  });
+
+  // One JSON { signer, signature } per line, as produced by "Sign"
+  const submit = () => run('Submit signatures', async (client) => {
+    const signatures = collected.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+    await client.submitSignatures(accountAddress, signatures);
+    setCollected('');
+    await refresh(client);
+  });
+
+  const execute = () => run('Execute recovery', async (client) => {
+    await client.executeRecovery(accountAddress);
+    await refresh(client);
+  });
+
+  const countdown = (executeAfter) => {
+    const seconds = Math.max(0, executeAfter - Math.floor(Date.now() / 1000));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return `${hours}h ${minutes}m`;
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={accountAddress}
+          onChange={(e) => setAccountAddress(e.target.value)}
+          placeholder="Smart account to recover (0x...)"
+          className="flex-1 bg-gray-700 rounded px-3 py-2"
+        />
+        <button
+          onClick={load}
+          disabled={!guardian || loading || !ethers.utils.isAddress(accountAddress)}
+          className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-4 py-2 rounded flex items-center gap-2"
+        >
+          {loading ? <Loader2 className="animate-spin" size={16} /> : <Shield size={16} />}
+          Load
+        </button>
+      </div>
+
+      {config && (
+        <div className="bg-gray-700 rounded-lg p-4 text-sm">
+          <p className="text-gray-400">
+            Guardians: {config.guardians.length} · Threshold: {config.threshold} · Delay: {config.delay / 3600}h
+          </p>
+          <p className={isGuardian ? 'text-green-400' : 'text-yellow-400'}>
+            {isGuardian ? 'You are a guardian of this account' : 'The connected wallet is not a guardian'}
+          </p>
+        </div>
+      )}
+
+      {config && isGuardian && !recovery && (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={newOwner}
+            onChange={(e) => setNewOwner(e.target.value)}
+            placeholder="New owner (0x...)"
+            className="flex-1 bg-gray-700 rounded px-3 py-2"
+          />
+          <button
+            onClick={initiate}
+            disabled={loading || !ethers.utils.isAddress(newOwner)}
+            className="bg-green-600 hover:bg-green-700 disabled:bg-gray-600 px-4 py-2 rounded"
+          >
+            Initiate Recovery
+          </button>
+        </div>
+      )}
+
+      {recovery && (
+        <div className="bg-gray-700 rounded-lg p-4 space-y-3">
+          <div className="flex justify-between items-start">
+            <div className="text-sm">
+              <p className="font-semibold">Recovery #{recovery.nonce}</p>
+              {recovery.newOwner ? (
+                <p className="text-gray-400 font-mono text-xs">New owner: {recovery.newOwner}</p>
+              ) : (
+                <p className="text-gray-400">
+                  New owners: {recovery.newOwners.length}, threshold {recovery.newThreshold}
+                </p>
+              )}
+            </div>
+            {recovery.ready ? (
+              <span className="bg-green-600 px-3 py-1 rounded-full text-sm">Ready</span>
+            ) : recovery.executeAfter ? (
+              <span className="bg-yellow-600 px-3 py-1 rounded-full text-sm">
+                Executable in {countdown(recovery.executeAfter)}
+              </span>
+            ) : (
+              <span className="bg-yellow-600 px-3 py-1 rounded-full text-sm">
+                {recovery.approvals}/{config.threshold} approvals
+              </span>
+            )}
+          </div>
+
+          {isGuardian && !approved && (
+            <div className="flex gap-2">
+              <button
+                onClick={approve}
+                disabled={loading}
+                className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded text-sm flex items-center gap-2"
+              >
+                <CheckCircle size={16} />
+                Approve
+              </button>
+              <button
+                onClick={sign}
+                disabled={loading}
+                className="bg-gray-600 hover:bg-gray-500 px-4 py-2 rounded text-sm flex items-center gap-2"
+              >
+                <Key size={16} />
+                Sign (no gas)
+              </button>
+            </div>
+          )}
+
+          {isGuardian && !votedToCancel && (
+            <button
+              onClick={voteToCancel}
+              disabled={loading}
+              className="bg-red-600 hover:bg-red-700 px-4 py-2 rounded text-sm flex items-center gap-2"
+            >
+              <XCircle size={16} />
+              Vote to cancel
+            </button>
+          )}
+
+          {signature && (
+            <div className="flex gap-2 items-center">
+              <code className="flex-1 bg-gray-800 px-3 py-2 rounded text-xs break-all">
+                {JSON.stringify(signature)}
+              </code>
+              <button
+                onClick={() => navigator.clipboard.writeText(JSON.stringify(signature))}
+                className="text-gray-400 hover:text-white"
+              >
+                <Copy size={16} />
+              </button>
+            </div>
+          )}
+
+          {!recovery.executeAfter && (
+            <div className="space-y-2">
+              <textarea
+                value={collected}
+                onChange={(e) => setCollected(e.target.value)}
+                placeholder="Paste guardian signatures, one per line"
+                rows={3}
+                className="w-full bg-gray-800 rounded px-3 py-2 text-xs font-mono"
+              />
+              <button
+                onClick={submit}
+                disabled={loading || !collected.trim()}
+                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-4 py-2 rounded text-sm"
+              >
+                Submit Signatures
+              </button>
+            </div>
+          )}
+
+          {recovery.ready && (
+            <button
+              onClick={execute}
+              disabled={loading}
+              className="bg-green-600 hover:bg-green-700 px-4 py-2 rounded text-sm"
+            >
+              Execute Recovery
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecoveryPanel;
@@ -1,101 +1,80 @@
-import React, { useState, useEffect } from 'react';
-import { Wallet, Key, Users, Send, CheckCircle, AlertCircle, Loader2, Copy, ExternalLink } from 'lucide-react';
-
-// Mock addresses for demonstration (in production, these would be deployed contracts)
-const MOCK_ADDRESSES = {
-  entryPoint: '0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789',
-  factory: '0x1234567890123456789012345678901234567890',
-  multiSigPlugin: '0x2345678901234567890123456789012345678901'
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { Wallet, Key, Users, Send, CheckCircle, AlertCircle, Loader2, Copy, Clock, XCircle, RefreshCw, History } from 'lucide-react';
+import RecoveryPanel from './RecoveryPanel';
+import CallPreview from './CallPreview';
+import { SmartAccountWallet, UserOperationRevertedError, describeCall } from '../utils/wallet';
+// Written by scripts/deploy.js, keyed by chain ID
+import DEPLOYMENTS from '../addresses.json';
+
+const REFRESH_INTERVAL = 10000;
+// services/indexer, for history and the accounts an owner has; the dashboard works without it
+const INDEXER_URL = process.env.REACT_APP_INDEXER_URL;
+const HISTORY_PAGE_SIZE = 20;
+// A Hardhat or Anvil node (e.g. a fork of this chain) to dry-run proposals on before signing them;
+// without it the review only decodes them
+const SIMULATION_RPC_URL = process.env.REACT_APP_SIMULATION_RPC_URL;
+
+const PROPOSAL_STATUS_STYLES = {
+  open: 'bg-yellow-600',
+  executed: 'bg-green-600',
+  failed: 'bg-red-600',
+  cancelled: 'bg-gray-600'
 };
 
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+// Decoded transactions with the owners who confirmed each
+const withConfirmations = async (wallet, txs) => Promise.all(txs.map(async (tx) => ({
+  ...tx,
+  confirmedBy: await wallet.getMultiSigConfirmations(tx.txId)
+})));
+
 const SmartAccountDashboard = () => {
-  const [provider, setProvider] = useState(null);
+  const [smartWallet, setSmartWallet] = useState(null);
+  const [contracts, setContracts] = useState(null);
   const [signer, setSigner] = useState(null);
   const [account, setAccount] = useState(null);
-  const [balance, setBalance] = useState('0');
+  const [balance, setBalance] = useState(ethers.constants.Zero);
   const [owners, setOwners] = useState(['']);
   const [threshold, setThreshold] = useState(1);
+  const [salt, setSalt] = useState(0);
+  const [existingAccount, setExistingAccount] = useState('');
+  const [fundAmount, setFundAmount] = useState('');
+  const [executionDelay, setExecutionDelay] = useState(0);
+  const [proposalLifetime, setProposalLifetime] = useState(0);
   const [transactions, setTransactions] = useState([]);
+  const [pendingTotal, setPendingTotal] = useState(0);
+  const [nextOffset, setNextOffset] = useState(null);
+  const [ownedAccounts, setOwnedAccounts] = useState([]);
+  const [history, setHistory] = useState(null);
+  const [preview, setPreview] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [activeTab, setActiveTab] = useState('account');
+  const [activeTab, setActiveTab] = useState('send');
   const [logs, setLogs] = useState([]);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
 
   // Utility functions
-  const formatEther = (wei) => {
-    try {
-      return (parseInt(wei) / 1e18).toFixed(4);
-    } catch {
-      return '0.0000';
-    }
-  };
+  const formatEther = (wei) => Number(ethers.utils.formatEther(wei)).toFixed(4);
 
-  const parseEther = (ether) => {
-    try {
-      return (parseFloat(ether) * 1e18).toString();
-    } catch {
-      return '0';
-    }
-  };
+  const shortAddress = (address) => `${address.slice(0, 10)}...${address.slice(-8)}`;
 
-  const getAddress = (address) => {
-    // Simple address checksum (not full EIP-55, but good enough for demo)
-    return address.toLowerCase().replace(/^0x/, '0x');
-  };
-
-  const keccak256 = async (data) => {
-    const encoder = new TextEncoder();
-    const dataBytes = encoder.encode(data);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', dataBytes);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return '0x' + hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  };
-
-  // Initialize provider
-  useEffect(() => {
-    if (window.ethereum) {
-      setProvider(window.ethereum);
-    }
-  }, []);
-
-  // Connect wallet
-  const connectWallet = async () => {
-    try {
-      setLoading(true);
-      const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
-      setSigner(accounts[0]);
-      addLog(`Connected wallet: ${accounts[0]}`, 'success');
-    } catch (error) {
-      addLog(`Error connecting wallet: ${error.message}`, 'error');
-    } finally {
-      setLoading(false);
-    }
+  const formatDuration = (seconds) => {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = seconds % 60;
+    return h > 0 ? `${h}h ${m}m` : m > 0 ? `${m}m ${s}s` : `${s}s`;
   };
 
-  // Create smart account (simulated)
-  const createSmartAccount = async () => {
-    try {
-      setLoading(true);
-      // In production, this would interact with the factory contract
-      const timestamp = Date.now().toString();
-      const hash = await keccak256(timestamp);
-      const mockAccountAddress = '0x' + hash.slice(-40);
-      
-      setAccount({
-        address: mockAccountAddress,
-        owners: owners.filter(o => o),
-        threshold: threshold,
-        nonce: 0
-      });
-      
-      addLog(`Smart account created: ${mockAccountAddress}`, 'success');
-      
-      // Simulate initial balance
-      setBalance(parseEther('1.0'));
-    } catch (error) {
-      addLog(`Error creating account: ${error.message}`, 'error');
-    } finally {
-      setLoading(false);
+  // The status decodeMultiSigTransaction read at the last refresh, counted down to now
+  const getTxStatus = (tx) => {
+    if (tx.status === 'timelocked') {
+      return now < tx.executableAt
+        ? { status: 'timelocked', secondsLeft: tx.executableAt - now }
+        : { status: 'executable', secondsLeft: tx.expiresAt ? tx.expiresAt - now : null };
     }
+    if (tx.expiresAt && now >= tx.expiresAt) return { status: 'expired' };
+    return { status: tx.status, secondsLeft: tx.expiresAt ? tx.expiresAt - now : null };
   };
 
   // Add log entry
@@ -107,83 +86,229 @@ const SmartAccountDashboard = () => {
     }, ...prev].slice(0, 10));
   };
 
-  // Submit transaction (simulated)
-  const submitTransaction = async (to, value, data) => {
+  // Read the account, its MultiSigPlugin configuration and the first page of open proposals
+  const refresh = useCallback(async (wallet = smartWallet) => {
+    if (!wallet || !wallet.accountAddress) return;
+
+    const address = wallet.accountAddress;
+    const [accountBalance, deployed] = await Promise.all([
+      wallet.provider.getBalance(address),
+      wallet.isDeployed()
+    ]);
+    setBalance(accountBalance);
+
+    const multiSig = deployed ? await wallet.getMultiSigOwners() : null;
+    if (!multiSig || multiSig.owners.length === 0) {
+      setAccount({ address, deployed, installed: false });
+      setTransactions([]);
+      setPendingTotal(0);
+      setNextOffset(null);
+      return;
+    }
+
+    const timelock = await wallet.getMultiSigTimelock();
+    setAccount({ address, deployed, installed: true, ...multiSig, ...timelock });
+
+    const page = await wallet.getPendingMultiSigTransactions();
+    setTransactions(await withConfirmations(wallet, page.transactions));
+    setPendingTotal(page.total);
+    setNextOffset(page.nextOffset);
+    setNow(Math.floor(Date.now() / 1000));
+  }, [smartWallet]);
+
+  const loadMore = () => run('Load proposals', async () => {
+    const page = await smartWallet.getPendingMultiSigTransactions({ offset: nextOffset });
+    const more = await withConfirmations(smartWallet, page.transactions);
+    setTransactions(prev => [...prev, ...more.filter(tx => !prev.some(known => known.txId === tx.txId))]);
+    setPendingTotal(page.total);
+    setNextOffset(page.nextOffset);
+  }, { refresh: false });
+
+  // Tick the timelock countdowns
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Other owners confirm from their own browsers, so poll the chain
+  useEffect(() => {
+    if (!account) return undefined;
+    const timer = setInterval(() => refresh().catch(() => {}), REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [account, refresh]);
+
+  // Proposal, UserOperation and incoming token history from the indexer, re-read with every refresh of the account
+  useEffect(() => {
+    if (!INDEXER_URL || activeTab !== 'history' || !account) return;
+    Promise.all([
+      smartWallet.getMultiSigProposalHistory({ limit: HISTORY_PAGE_SIZE }),
+      smartWallet.getUserOperationHistory({ limit: HISTORY_PAGE_SIZE }),
+      smartWallet.getReceivedTokenHistory({ limit: HISTORY_PAGE_SIZE })
+    ])
+      .then(([proposals, userOperations, tokens]) => setHistory({ proposals, userOperations, tokens }))
+      .catch((error) => setHistory({ error: error.message }));
+  }, [activeTab, account, smartWallet]);
+
+  // Addresses are per chain, and the SDK caches the signer
+  useEffect(() => {
+    if (!window.ethereum || !window.ethereum.on) return undefined;
+    const reload = () => window.location.reload();
+    window.ethereum.on('chainChanged', reload);
+    window.ethereum.on('accountsChanged', reload);
+    return () => {
+      window.ethereum.removeListener('chainChanged', reload);
+      window.ethereum.removeListener('accountsChanged', reload);
+    };
+  }, []);
+
+  // Run an action against the chain, log its outcome and re-read the account
+  const run = async (label, action, { refresh: reread = true } = {}) => {
     try {
       setLoading(true);
-      const txId = transactions.length;
-      
-      const newTx = {
-        id: txId,
-        to,
-        value,
-        data,
-        confirmations: 1,
-        executed: false,
-        confirmedBy: [signer]
-      };
-      
-      setTransactions(prev => [...prev, newTx]);
-      addLog(`Transaction #${txId} submitted`, 'success');
-      
-      // Auto-execute if threshold is met
-      if (newTx.confirmations >= account.threshold) {
-        setTimeout(() => executeTransaction(txId), 1000);
-      }
+      const receipt = await action();
+      addLog(
+        receipt && receipt.transactionHash ? `${label}: done (tx ${receipt.transactionHash.slice(0, 10)}...)` : `${label}: done`,
+        'success'
+      );
+      if (reread) await refresh();
     } catch (error) {
-      addLog(`Error submitting transaction: ${error.message}`, 'error');
+      if (error instanceof UserOperationRevertedError) {
+        // Included all the same: the account paid for the op and its nonce moved on
+        addLog(`${label} reverted: ${error.reason || 'no reason given'} (tx ${error.receipt.transactionHash.slice(0, 10)}...)`, 'error');
+        if (reread) await refresh().catch(() => {});
+        return;
+      }
+      addLog(`${label} failed: ${error.reason || (error.data && error.data.message) || error.message}`, 'error');
     } finally {
       setLoading(false);
     }
   };
 
-  // Confirm transaction (simulated)
-  const confirmTransaction = async (txId) => {
+  // Connect the browser wallet and pick the contracts deployed on its chain
+  const connectWallet = async () => {
     try {
       setLoading(true);
-      
-      setTransactions(prev => prev.map(tx => {
-        if (tx.id === txId && !tx.confirmedBy.includes(signer)) {
-          const updated = {
-            ...tx,
-            confirmations: tx.confirmations + 1,
-            confirmedBy: [...tx.confirmedBy, signer]
-          };
-          
-          if (updated.confirmations >= account.threshold && !updated.executed) {
-            setTimeout(() => executeTransaction(txId), 1000);
-          }
-          
-          return updated;
+      if (!window.ethereum) {
+        throw new Error('No browser wallet found');
+      }
+      const provider = new ethers.providers.Web3Provider(window.ethereum);
+      await provider.send('eth_requestAccounts', []);
+
+      const { chainId } = await provider.getNetwork();
+      const deployment = DEPLOYMENTS[chainId];
+      if (!deployment || !deployment.factory) {
+        throw new Error(`No contracts on chain ${chainId}; run scripts/deploy.js against it first`);
+      }
+
+      const wallet = new SmartAccountWallet(
+        provider,
+        deployment.entryPoint,
+        deployment.factory,
+        deployment.multiSigPlugin,
+        {
+          recoveryPluginAddress: deployment.socialRecoveryPlugin,
+          indexerUrl: INDEXER_URL,
+          simulationRpcUrl: SIMULATION_RPC_URL
         }
-        return tx;
-      }));
-      
-      addLog(`Transaction #${txId} confirmed`, 'success');
+      );
+      const address = await wallet.connect(provider.getSigner());
+      if (INDEXER_URL) {
+        wallet.getOwnedAccounts()
+          .then(setOwnedAccounts)
+          .catch((error) => addLog(`Indexer unavailable: ${error.message}`, 'error'));
+      }
+      setSmartWallet(wallet);
+      setContracts(deployment);
+      setSigner(address);
+      setOwners([address]);
+      addLog(`Connected wallet: ${address} (chain ${chainId})`, 'success');
     } catch (error) {
-      addLog(`Error confirming transaction: ${error.message}`, 'error');
+      addLog(`Error connecting wallet: ${error.message}`, 'error');
     } finally {
       setLoading(false);
     }
   };
 
-  // Execute transaction (simulated)
-  const executeTransaction = async (txId) => {
-    setTransactions(prev => prev.map(tx => {
-      if (tx.id === txId) {
-        addLog(`Transaction #${txId} executed`, 'success');
-        return { ...tx, executed: true };
-      }
-      return tx;
-    }));
+  // The connected wallet's account for this salt; it is deployed with its first UserOperation
+  const computeAccount = () => run('Compute account address', async () => {
+    const address = await smartWallet.createAccount(salt);
+    addLog(`Smart account address: ${address}`, 'info');
+  });
+
+  // An account the connected wallet co-owns through MultiSigPlugin
+  const loadAccount = (address) => run('Load account', async () => {
+    setPreview(null);
+    smartWallet.loadAccount(address);
+  });
+
+  // The account pays for its own operations, its deployment included
+  const fundAccount = () => run(`Send ${fundAmount} ETH to the account`, async () => {
+    const tx = await smartWallet.signer.sendTransaction({
+      to: account.address,
+      value: ethers.utils.parseEther(fundAmount)
+    });
+    setFundAmount('');
+    return await tx.wait();
+  });
+
+  // Deploys the account (initCode) and installs MultiSigPlugin in one UserOperation
+  const createSmartAccount = () => run('Create multi-sig account', async () => {
+    const ownerAddresses = owners.filter(o => o).map((o) => ethers.utils.getAddress(o));
+    return await smartWallet.installMultiSigPlugin(ownerAddresses, threshold);
+  });
+
+  // Decode and dry-run what an owner is about to sign; `action` only runs once they approve the preview
+  const review = (label, load, action) => run(`Preview ${label}`, async () => {
+    const { calls, simulation } = await load();
+    setPreview({ label, calls, simulation, action });
+  }, { refresh: false });
+
+  const approvePreview = () => {
+    const { label, action } = preview;
+    setPreview(null);
+    run(label, action);
   };
 
+  const submitTransaction = (to, value, data) => {
+    const call = { to: ethers.utils.getAddress(to), value, data };
+    review(
+      'Submit transaction',
+      () => smartWallet.previewMultiSigCalls([call]),
+      () => smartWallet.submitMultiSigTransaction(call.to, call.value, call.data)
+    );
+  };
+
+  const confirmTransaction = (txId) => review(
+    `Confirm #${txId}`,
+    () => smartWallet.previewMultiSigTransaction(txId),
+    () => smartWallet.confirmMultiSigTransaction(txId)
+  );
+
+  // One line per call of a proposal, named from the wallet's ABIs
+  const describeProposalCall = (call) => describeCall(smartWallet.decodeCall(call.to, call.value, call.data));
+
+  const revokeConfirmation = (txId) => run(`Revoke #${txId}`, () => smartWallet.revokeMultiSigConfirmation(txId));
+
+  // With an execution delay, the first call once the threshold is reached starts the timelock
+  const executeTransaction = (txId) => run(`Execute #${txId}`, () => smartWallet.executeMultiSigTransaction(txId));
+
+  const voteToCancel = (txId) => run(`Vote to cancel #${txId}`, () => smartWallet.voteToCancelMultiSigTransaction(txId));
+
+  const cancelTransaction = (txId) => run(`Cancel #${txId}`, () => smartWallet.cancelMultiSigTransaction(txId));
+
+  // Timelock changes are proposals like any other call to the account
+  const proposeTimelock = () => run('Propose timelock', () =>
+    smartWallet.proposeMultiSigConfigChange('setTimelock', [executionDelay, proposalLifetime])
+  );
+
   // Copy to clipboard
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text);
     addLog('Copied to clipboard', 'info');
   };
 
+  const isOwner = Boolean(account && account.installed && account.owners.some(({ owner }) => sameAddress(owner, signer)));
+
   return (
     <div className="min-h-screen bg-gray-900 text-white p-6">
       <div className="max-w-7xl mx-auto">
@@ -194,7 +319,7 @@ const SmartAccountDashboard = () => {
             ERC-4337 & ERC-6900 Multi-Sig Wallet
           </h1>
           <p className="text-gray-400">
-            Test implementation of modular smart accounts with multi-signature functionality
+            Modular smart accounts with multi-signature functionality, on the contracts scripts/deploy.js deployed
           </p>
         </div>
 
@@ -225,6 +350,13 @@ const SmartAccountDashboard = () => {
                   >
                     <Copy size={16} />
                   </button>
+                  <button
+                    onClick={() => run('Refresh', async () => {})}
+                    disabled={loading}
+                    className="text-gray-400 hover:text-white"
+                  >
+                    <RefreshCw size={16} />
+                  </button>
                 </div>
               )}
             </div>
@@ -240,87 +372,236 @@ const SmartAccountDashboard = () => {
                 <Users size={20} />
                 Account Setup
               </h2>
-              
-              {!account ? (
+
+              {signer && !account && (
                 <div className="space-y-4">
                   <div>
-                    <label className="block text-sm text-gray-400 mb-2">Owners</label>
-                    {owners.map((owner, index) => (
-                      <div key={index} className="flex gap-2 mb-2">
-                        <input
-                          type="text"
-                          value={owner}
-                          onChange={(e) => {
-                            const newOwners = [...owners];
-                            newOwners[index] = e.target.value;
-                            setOwners(newOwners);
-                          }}
-                          placeholder="0x..."
-                          className="flex-1 bg-gray-700 rounded px-3 py-2 text-sm"
-                        />
-                        {index === owners.length - 1 && (
-                          <button
-                            onClick={() => setOwners([...owners, ''])}
-                            className="bg-blue-600 hover:bg-blue-700 px-3 py-2 rounded text-sm"
-                          >
-                            +
-                          </button>
-                        )}
-                      </div>
-                    ))}
-                  </div>
-                  
-                  <div>
-                    <label className="block text-sm text-gray-400 mb-2">Threshold</label>
+                    <label className="block text-sm text-gray-400 mb-2">Salt</label>
                     <input
                       type="number"
-                      value={threshold}
-                      onChange={(e) => setThreshold(Math.max(1, parseInt(e.target.value) || 1))}
-                      min="1"
-                      max={owners.filter(o => o).length || 1}
+                      value={salt}
+                      onChange={(e) => setSalt(Math.max(0, parseInt(e.target.value) || 0))}
+                      min="0"
                       className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
                     />
                   </div>
-                  
                   <button
-                    onClick={createSmartAccount}
-                    disabled={!signer || loading || owners.filter(o => o).length < threshold}
+                    onClick={computeAccount}
+                    disabled={loading}
                     className="w-full bg-green-600 hover:bg-green-700 disabled:bg-gray-600 px-4 py-2 rounded flex items-center justify-center gap-2 transition-colors"
                   >
                     {loading ? <Loader2 className="animate-spin" size={20} /> : <Wallet size={20} />}
-                    Create Smart Account
+                    Use My Smart Account
                   </button>
+
+                  <div className="border-t border-gray-700 pt-4">
+                    <label className="block text-sm text-gray-400 mb-2">Or open an account you co-own</label>
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={existingAccount}
+                        onChange={(e) => setExistingAccount(e.target.value)}
+                        placeholder="0x..."
+                        className="flex-1 bg-gray-700 rounded px-3 py-2 text-sm"
+                      />
+                      <button
+                        onClick={() => loadAccount(existingAccount)}
+                        disabled={loading || !ethers.utils.isAddress(existingAccount)}
+                        className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-3 py-2 rounded text-sm"
+                      >
+                        Open
+                      </button>
+                    </div>
+                  </div>
+
+                  {ownedAccounts.length > 0 && (
+                    <div className="border-t border-gray-700 pt-4">
+                      <label className="block text-sm text-gray-400 mb-2">Your accounts</label>
+                      {ownedAccounts.map(({ account: address, roles }) => (
+                        <button
+                          key={address}
+                          onClick={() => loadAccount(address)}
+                          disabled={loading}
+                          className="w-full bg-gray-700 hover:bg-gray-600 px-3 py-2 rounded text-left mb-2"
+                        >
+                          <p className="font-mono text-xs">{shortAddress(address)}</p>
+                          <p className="text-xs text-gray-400">{roles.join(', ')}</p>
+                        </button>
+                      ))}
+                    </div>
+                  )}
                 </div>
-              ) : (
+              )}
+
+              {account && (
                 <div className="space-y-4">
                   <div className="bg-gray-700 rounded p-4">
                     <p className="text-sm text-gray-400">Address</p>
                     <p className="font-mono text-xs break-all">{account.address}</p>
+                    {!account.deployed && (
+                      <p className="text-xs text-yellow-400 mt-1">Not deployed yet: its first operation deploys it</p>
+                    )}
                   </div>
-                  
+
                   <div className="bg-gray-700 rounded p-4">
                     <p className="text-sm text-gray-400">Balance</p>
                     <p className="text-2xl font-semibold">{formatEther(balance)} ETH</p>
+                    <div className="flex gap-2 mt-2">
+                      <input
+                        type="number"
+                        step="0.01"
+                        value={fundAmount}
+                        onChange={(e) => setFundAmount(e.target.value)}
+                        placeholder="0.0"
+                        className="flex-1 bg-gray-600 rounded px-3 py-1 text-sm"
+                      />
+                      <button
+                        onClick={fundAccount}
+                        disabled={loading || !(parseFloat(fundAmount) > 0)}
+                        className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-3 py-1 rounded text-sm"
+                      >
+                        Fund
+                      </button>
+                    </div>
                   </div>
-                  
-                  <div className="bg-gray-700 rounded p-4">
-                    <p className="text-sm text-gray-400 mb-2">Owners ({account.owners.length})</p>
-                    {account.owners.map((owner, i) => (
-                      <p key={i} className="font-mono text-xs">{owner}</p>
-                    ))}
-                  </div>
-                  
-                  <div className="bg-gray-700 rounded p-4">
-                    <p className="text-sm text-gray-400">Threshold</p>
-                    <p className="text-xl">{account.threshold} of {account.owners.length}</p>
-                  </div>
+
+                  {!account.installed ? (
+                    <>
+                      <div>
+                        <label className="block text-sm text-gray-400 mb-2">Owners</label>
+                        {owners.map((owner, index) => (
+                          <div key={index} className="flex gap-2 mb-2">
+                            <input
+                              type="text"
+                              value={owner}
+                              onChange={(e) => {
+                                const newOwners = [...owners];
+                                newOwners[index] = e.target.value;
+                                setOwners(newOwners);
+                              }}
+                              placeholder="0x..."
+                              className="flex-1 bg-gray-700 rounded px-3 py-2 text-sm"
+                            />
+                            {index === owners.length - 1 && (
+                              <button
+                                onClick={() => setOwners([...owners, ''])}
+                                className="bg-blue-600 hover:bg-blue-700 px-3 py-2 rounded text-sm"
+                              >
+                                +
+                              </button>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm text-gray-400 mb-2">Threshold</label>
+                        <input
+                          type="number"
+                          value={threshold}
+                          onChange={(e) => setThreshold(Math.max(1, parseInt(e.target.value) || 1))}
+                          min="1"
+                          max={owners.filter(o => o).length || 1}
+                          className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+                        />
+                      </div>
+
+                      {balance.isZero() && (
+                        <p className="text-xs text-yellow-400">Fund the account first: it pays for its own deployment</p>
+                      )}
+                      <button
+                        onClick={createSmartAccount}
+                        disabled={
+                          loading || balance.isZero() || owners.filter(o => o).length < threshold
+                          || owners.some(o => o && !ethers.utils.isAddress(o))
+                        }
+                        className="w-full bg-green-600 hover:bg-green-700 disabled:bg-gray-600 px-4 py-2 rounded flex items-center justify-center gap-2 transition-colors"
+                      >
+                        {loading ? <Loader2 className="animate-spin" size={20} /> : <Wallet size={20} />}
+                        {account.deployed ? 'Install Multi-Sig' : 'Create Smart Account'}
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <div className="bg-gray-700 rounded p-4">
+                        <p className="text-sm text-gray-400 mb-2">Owners ({account.owners.length})</p>
+                        {account.owners.map(({ owner, weight }) => (
+                          <p key={owner} className="font-mono text-xs">
+                            {owner}{weight !== 1 && ` (weight ${weight})`}
+                          </p>
+                        ))}
+                      </div>
+
+                      <div className="bg-gray-700 rounded p-4">
+                        <p className="text-sm text-gray-400">Threshold</p>
+                        <p className="text-xl">{account.threshold} of {account.totalWeight}</p>
+                      </div>
+
+                      <div className="bg-gray-700 rounded p-4">
+                        <p className="text-sm text-gray-400">Timelock</p>
+                        <p className="text-sm">
+                          Delay: {account.executionDelay ? formatDuration(account.executionDelay) : 'none'}
+                          {' · '}
+                          Expiry: {account.proposalLifetime ? formatDuration(account.proposalLifetime) : 'none'}
+                        </p>
+                        {isOwner && (
+                          <div className="mt-3 space-y-2">
+                            <div className="grid grid-cols-2 gap-2">
+                              <div>
+                                <label className="block text-xs text-gray-400 mb-1">Execution delay (s)</label>
+                                <input
+                                  type="number"
+                                  value={executionDelay}
+                                  onChange={(e) => setExecutionDelay(Math.max(0, parseInt(e.target.value) || 0))}
+                                  min="0"
+                                  className="w-full bg-gray-600 rounded px-3 py-1 text-sm"
+                                />
+                              </div>
+                              <div>
+                                <label className="block text-xs text-gray-400 mb-1">Proposal lifetime (s)</label>
+                                <input
+                                  type="number"
+                                  value={proposalLifetime}
+                                  onChange={(e) => setProposalLifetime(Math.max(0, parseInt(e.target.value) || 0))}
+                                  min="0"
+                                  placeholder="0 = no expiry"
+                                  className="w-full bg-gray-600 rounded px-3 py-1 text-sm"
+                                />
+                              </div>
+                            </div>
+                            <button
+                              onClick={proposeTimelock}
+                              disabled={loading || (proposalLifetime > 0 && proposalLifetime <= executionDelay)}
+                              className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-3 py-1 rounded text-sm"
+                            >
+                              Propose timelock
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    </>
+                  )}
                 </div>
               )}
+
+              {!signer && (
+                <p className="text-gray-400 text-sm">Connect a wallet on a chain scripts/deploy.js deployed to</p>
+              )}
             </div>
           </div>
 
           {/* Right Panel - Transactions */}
           <div className="lg:col-span-2">
+            {/* Review - what a submit or confirm would sign, before it is signed */}
+            {preview && (
+              <CallPreview
+                preview={preview}
+                loading={loading}
+                onApprove={approvePreview}
+                onCancel={() => setPreview(null)}
+              />
+            )}
+
             <div className="bg-gray-800 rounded-lg p-6">
               {/* Tabs */}
               <div className="flex gap-4 mb-6 border-b border-gray-700">
@@ -334,7 +615,21 @@ const SmartAccountDashboard = () => {
                   onClick={() => setActiveTab('transactions')}
                   className={`pb-3 px-1 ${activeTab === 'transactions' ? 'border-b-2 border-blue-500 text-blue-500' : 'text-gray-400'}`}
                 >
-                  Transactions ({transactions.length})
+                  Pending ({pendingTotal})
+                </button>
+                {INDEXER_URL && (
+                  <button
+                    onClick={() => setActiveTab('history')}
+                    className={`pb-3 px-1 ${activeTab === 'history' ? 'border-b-2 border-blue-500 text-blue-500' : 'text-gray-400'}`}
+                  >
+                    History
+                  </button>
+                )}
+                <button
+                  onClick={() => setActiveTab('recovery')}
+                  className={`pb-3 px-1 ${activeTab === 'recovery' ? 'border-b-2 border-blue-500 text-blue-500' : 'text-gray-400'}`}
+                >
+                  Guardian Recovery
                 </button>
                 <button
                   onClick={() => setActiveTab('logs')}
@@ -345,14 +640,16 @@ const SmartAccountDashboard = () => {
               </div>
 
               {/* Send Transaction Tab */}
-              {activeTab === 'send' && account && (
+              {activeTab === 'send' && (!isOwner ? (
+                <p className="text-gray-400 text-center py-8">Open a multi-sig account you own to propose transactions</p>
+              ) : (
                 <form
                   onSubmit={(e) => {
                     e.preventDefault();
                     const formData = new FormData(e.target);
                     submitTransaction(
                       formData.get('to'),
-                      parseEther(formData.get('value') || '0'),
+                      ethers.utils.parseEther(formData.get('value') || '0'),
                       formData.get('data') || '0x'
                     );
                     e.target.reset();
@@ -369,7 +666,7 @@ const SmartAccountDashboard = () => {
                       className="w-full bg-gray-700 rounded px-3 py-2"
                     />
                   </div>
-                  
+
                   <div>
                     <label className="block text-sm text-gray-400 mb-2">Value (ETH)</label>
                     <input
@@ -380,7 +677,7 @@ const SmartAccountDashboard = () => {
                       className="w-full bg-gray-700 rounded px-3 py-2"
                     />
                   </div>
-                  
+
                   <div>
                     <label className="block text-sm text-gray-400 mb-2">Data (optional)</label>
                     <input
@@ -390,7 +687,7 @@ const SmartAccountDashboard = () => {
                       className="w-full bg-gray-700 rounded px-3 py-2"
                     />
                   </div>
-                  
+
                   <button
                     type="submit"
                     disabled={loading}
@@ -400,52 +697,220 @@ const SmartAccountDashboard = () => {
                     Submit Transaction
                   </button>
                 </form>
-              )}
+              ))}
 
-              {/* Transactions Tab */}
+              {/* Transactions Tab - open proposals as the plugin reports them */}
               {activeTab === 'transactions' && (
                 <div className="space-y-4">
                   {transactions.length === 0 ? (
-                    <p className="text-gray-400 text-center py-8">No transactions yet</p>
+                    <p className="text-gray-400 text-center py-8">No pending transactions</p>
                   ) : (
-                    transactions.map(tx => (
-                      <div key={tx.id} className="bg-gray-700 rounded-lg p-4">
-                        <div className="flex justify-between items-start mb-3">
-                          <div>
-                            <p className="font-semibold">Transaction #{tx.id}</p>
-                            <p className="text-sm text-gray-400">To: {tx.to.slice(0, 10)}...{tx.to.slice(-8)}</p>
-                            <p className="text-sm text-gray-400">Value: {formatEther(tx.value)} ETH</p>
-                          </div>
-                          <div className="text-right">
-                            {tx.executed ? (
-                              <span className="bg-green-600 px-3 py-1 rounded-full text-sm flex items-center gap-1">
-                                <CheckCircle size={16} />
-                                Executed
-                              </span>
-                            ) : (
-                              <span className="bg-yellow-600 px-3 py-1 rounded-full text-sm">
-                                {tx.confirmations}/{account.threshold} confirmations
-                              </span>
-                            )}
+                    transactions.map(tx => ({ tx, ...getTxStatus(tx) })).map(({ tx, status, secondsLeft }) => {
+                      const confirmed = tx.confirmedBy.some((owner) => sameAddress(owner, signer));
+                      return (
+                        <div key={tx.txId} className="bg-gray-700 rounded-lg p-4">
+                          <div className="flex justify-between items-start mb-3">
+                            <div>
+                              <p className="font-semibold">Transaction #{tx.txId}</p>
+                              {tx.calls.map((call, i) => (
+                                <p key={i} className="text-sm text-gray-400 break-all">{describeProposalCall(call)}</p>
+                              ))}
+                              <p className="text-xs text-gray-500">Proposed by {shortAddress(tx.proposer)}</p>
+                            </div>
+                            <div className="text-right space-y-1">
+                              {status === 'expired' && (
+                                <span className="bg-gray-600 px-3 py-1 rounded-full text-sm flex items-center gap-1">
+                                  <XCircle size={16} />
+                                  Expired
+                                </span>
+                              )}
+                              {status === 'pending' && (
+                                <span className="bg-yellow-600 px-3 py-1 rounded-full text-sm">
+                                  {tx.confirmedWeight}/{tx.requiredWeight} confirmations
+                                </span>
+                              )}
+                              {status === 'timelocked' && (
+                                <span className="bg-orange-600 px-3 py-1 rounded-full text-sm flex items-center gap-1">
+                                  <Clock size={16} />
+                                  Executable in {formatDuration(secondsLeft)}
+                                </span>
+                              )}
+                              {status === 'executable' && (
+                                <span className="bg-blue-600 px-3 py-1 rounded-full text-sm">Ready to execute</span>
+                              )}
+                              {status !== 'timelocked' && secondsLeft > 0 && (
+                                <p className="text-xs text-gray-400">Expires in {formatDuration(secondsLeft)}</p>
+                              )}
+                              {tx.cancelVotes > 0 && (
+                                <p className="text-xs text-gray-400">
+                                  {tx.cancelVotes} vote{tx.cancelVotes === 1 ? '' : 's'} to cancel
+                                </p>
+                              )}
+                            </div>
                           </div>
+
+                          {isOwner && status !== 'expired' && (
+                            <div className="flex gap-2">
+                              {!confirmed && (
+                                <button
+                                  onClick={() => confirmTransaction(tx.txId)}
+                                  disabled={loading}
+                                  className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded text-sm flex items-center gap-2"
+                                >
+                                  <CheckCircle size={16} />
+                                  Confirm
+                                </button>
+                              )}
+                              {confirmed && status !== 'executable' && (
+                                <button
+                                  onClick={() => revokeConfirmation(tx.txId)}
+                                  disabled={loading}
+                                  className="bg-gray-600 hover:bg-gray-500 px-4 py-2 rounded text-sm"
+                                >
+                                  Revoke
+                                </button>
+                              )}
+                              {(status === 'executable' || (status === 'pending' && tx.confirmedWeight >= tx.requiredWeight)) && (
+                                <button
+                                  onClick={() => executeTransaction(tx.txId)}
+                                  disabled={loading}
+                                  className="bg-green-600 hover:bg-green-700 px-4 py-2 rounded text-sm flex items-center gap-2"
+                                >
+                                  <Send size={16} />
+                                  {status === 'executable' ? 'Execute' : 'Start timelock'}
+                                </button>
+                              )}
+                              <button
+                                onClick={() => voteToCancel(tx.txId)}
+                                disabled={loading}
+                                className="bg-red-600 hover:bg-red-700 px-4 py-2 rounded text-sm flex items-center gap-2"
+                              >
+                                <XCircle size={16} />
+                                Vote to cancel
+                              </button>
+                              {sameAddress(tx.proposer, signer) && (
+                                <button
+                                  onClick={() => cancelTransaction(tx.txId)}
+                                  disabled={loading}
+                                  className="bg-red-800 hover:bg-red-900 px-4 py-2 rounded text-sm"
+                                >
+                                  Withdraw
+                                </button>
+                              )}
+                            </div>
+                          )}
                         </div>
-                        
-                        {!tx.executed && !tx.confirmedBy.includes(signer) && (
-                          <button
-                            onClick={() => confirmTransaction(tx.id)}
-                            disabled={loading}
-                            className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded text-sm flex items-center gap-2"
-                          >
-                            <CheckCircle size={16} />
-                            Confirm
-                          </button>
-                        )}
-                      </div>
-                    ))
+                      );
+                    })
+                  )}
+                  {nextOffset !== null && (
+                    <button
+                      onClick={loadMore}
+                      disabled={loading}
+                      className="w-full bg-gray-700 hover:bg-gray-600 px-4 py-2 rounded text-sm"
+                    >
+                      Load more ({transactions.length} of {pendingTotal})
+                    </button>
                   )}
                 </div>
               )}
 
+              {/* History Tab - closed and open proposals, UserOperations and incoming tokens, from the indexer */}
+              {activeTab === 'history' && (!history || history.error ? (
+                <p className="text-gray-400 text-center py-8">
+                  {history ? `Indexer unavailable: ${history.error}` : account ? 'Loading history...' : 'Open an account to see its history'}
+                </p>
+              ) : (
+                <div className="space-y-6">
+                  <div className="space-y-2">
+                    <h3 className="font-semibold flex items-center gap-2">
+                      <History size={16} />
+                      Proposals ({history.proposals.total})
+                    </h3>
+                    {history.proposals.items.map((proposal) => (
+                      <div key={proposal.txId} className="bg-gray-700 rounded p-3 flex justify-between items-start">
+                        <div>
+                          <p className="text-sm font-semibold">Transaction #{proposal.txId}</p>
+                          {proposal.calls.map((call, i) => (
+                            <p key={i} className="text-xs text-gray-400 break-all">{describeProposalCall(call)}</p>
+                          ))}
+                          <p className="text-xs text-gray-500">
+                            Proposed by {shortAddress(proposal.proposer)}
+                            {' · '}
+                            {new Date(proposal.submittedAt.timestamp * 1000).toLocaleString()}
+                          </p>
+                        </div>
+                        <div className="text-right">
+                          <span className={`${PROPOSAL_STATUS_STYLES[proposal.status]} px-3 py-1 rounded-full text-xs`}>
+                            {proposal.status}
+                          </span>
+                          <p className="text-xs text-gray-400 mt-1">
+                            {proposal.confirmations.length} confirmation{proposal.confirmations.length === 1 ? '' : 's'}
+                          </p>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+
+                  <div className="space-y-2">
+                    <h3 className="font-semibold">UserOperations ({history.userOperations.total})</h3>
+                    {history.userOperations.items.map((op) => (
+                      <div key={op.userOpHash} className="bg-gray-700 rounded p-3 flex justify-between items-center">
+                        <div>
+                          <p className="font-mono text-xs">{shortAddress(op.userOpHash)}</p>
+                          <p className="text-xs text-gray-500">
+                            Nonce {op.nonce} · {formatEther(op.actualGasCost)} ETH gas
+                            {' · '}
+                            {new Date(op.timestamp * 1000).toLocaleString()}
+                          </p>
+                        </div>
+                        {op.success ? (
+                          <CheckCircle className="text-green-500" size={16} />
+                        ) : (
+                          <span className="text-xs text-red-400 flex items-center gap-1">
+                            <AlertCircle size={16} />
+                            Reverted
+                          </span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+
+                  <div className="space-y-2">
+                    <h3 className="font-semibold">Incoming tokens ({history.tokens.total})</h3>
+                    {history.tokens.items.map((receipt, index) => (
+                      <div key={`${receipt.transactionHash}:${index}`} className="bg-gray-700 rounded p-3">
+                        <p className="text-sm">
+                          {receipt.standard === 'ERC777'
+                            ? `${formatEther(receipt.amounts[0])} tokens`
+                            : receipt.tokenIds.map((id, i) => (
+                              receipt.standard === 'ERC721' ? `#${id}` : `${receipt.amounts[i]} × #${id}`
+                            )).join(', ')}
+                          {' '}
+                          <span className="text-gray-400">{receipt.standard} {shortAddress(receipt.token)}</span>
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          From {shortAddress(receipt.from)}
+                          {' · '}
+                          {new Date(receipt.timestamp * 1000).toLocaleString()}
+                        </p>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+
+              {/* Recovery Tab - guardians need no smart account of their own */}
+              {activeTab === 'recovery' && (contracts ? (
+                <RecoveryPanel
+                  pluginAddress={contracts.socialRecoveryPlugin}
+                  guardian={signer}
+                  onLog={addLog}
+                />
+              ) : (
+                <p className="text-gray-400 text-center py-8">Connect a wallet to act as a guardian</p>
+              ))}
+
               {/* Logs Tab */}
               {activeTab === 'logs' && (
                 <div className="space-y-2">
@@ -456,8 +921,8 @@ const SmartAccountDashboard = () => {
                       <div
                         key={i}
                         className={`flex items-start gap-3 p-3 rounded ${
-                          log.type === 'error' ? 'bg-red-900/20' : 
-                          log.type === 'success' ? 'bg-green-900/20' : 
+                          log.type === 'error' ? 'bg-red-900/20' :
+                          log.type === 'success' ? 'bg-green-900/20' :
                           'bg-gray-700/50'
                         }`}
                       >
@@ -507,6 +972,7 @@ const SmartAccountDashboard = () => {
                 <li>• Configurable threshold</li>
                 <li>• Multiple owner support</li>
                 <li>• Transaction queue</li>
+                <li>• Timelock, expiry and cancel votes</li>
               </ul>
             </div>
           </div>
@@ -516,4 +982,4 @@ const SmartAccountDashboard = () => {
   );
 };
 
-export default SmartAccountDashboard;
\ No newline at end of file
+export default SmartAccountDashboard;
@@ -0,0 +1,202 @@
+// bundler.js - Client for the ERC-4337 bundler JSON-RPC API
+import { ethers } from 'ethers';
+import { serializeUserOp } from './userOp';
+
+// Bundler RPC error codes that identify who rejected the op when the message has no AA code
+const RPC_ERROR_PAYMASTER_VALIDATION = -32501;
+const RPC_ERROR_PAYMASTER_REPUTATION = -32504;
+const RPC_ERROR_INVALID_SIGNATURE = -32507;
+
+// HTTP statuses worth retrying: rate limiting and gateway/server hiccups
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+class BundlerError extends Error {
+    constructor(message, { code = null, data = null, aaCode = null } = {}) {
+        super(message);
+        this.name = 'BundlerError';
+        this.code = code;
+        this.data = data;
+        this.aaCode = aaCode;
+    }
+}
+
+// AA1x: initCode / factory failed to deploy the sender
+class AccountCreationError extends BundlerError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'AccountCreationError';
+    }
+}
+
+// AA2x: the account rejected the op (signature, nonce, prefund, validity window)
+class AccountValidationError extends BundlerError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'AccountValidationError';
+    }
+}
+
+// AA3x: the paymaster rejected the op or cannot pay for it
+class PaymasterValidationError extends BundlerError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'PaymasterValidationError';
+    }
+}
+
+// AA4x: validation used more gas than the op allows
+class VerificationGasError extends BundlerError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'VerificationGasError';
+    }
+}
+
+class UserOperationTimeoutError extends BundlerError {
+    constructor(userOpHash, timeout) {
+        super(`UserOperation ${userOpHash} was not included within ${timeout}ms`);
+        this.name = 'UserOperationTimeoutError';
+        this.userOpHash = userOpHash;
+    }
+}
+
+const AA_ERROR_CLASSES = {
+    1: AccountCreationError,
+    2: AccountValidationError,
+    3: PaymasterValidationError,
+    4: VerificationGasError
+};
+
+// Turn a JSON-RPC error object into the most specific BundlerError
+function createBundlerError(error) {
+    const message = error.message || 'Bundler error';
+    const match = message.match(/\bAA(\d)(\d)\b/);
+    const aaCode = match ? `AA${match[1]}${match[2]}` : null;
+    const details = { code: error.code, data: error.data, aaCode };
+
+    if (match && AA_ERROR_CLASSES[match[1]]) {
+        return new AA_ERROR_CLASSES[match[1]](message, details);
+    }
+    if (error.code === RPC_ERROR_INVALID_SIGNATURE) {
+        return new AccountValidationError(message, details);
+    }
+    if (error.code === RPC_ERROR_PAYMASTER_VALIDATION || error.code === RPC_ERROR_PAYMASTER_REPUTATION) {
+        return new PaymasterValidationError(message, details);
+    }
+    return new BundlerError(message, details);
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Bundler client for submitting UserOperations
+class BundlerClient {
+    // bundlerUrl is the full JSON-RPC endpoint, e.g. http://127.0.0.1:3000 or https://host/rpc
+    constructor(bundlerUrl, options = {}) {
+        this.bundlerUrl = bundlerUrl;
+        this.retries = options.retries ?? 3;
+        this.retryDelay = options.retryDelay ?? 500;
+        this.requestTimeout = options.requestTimeout ?? 30000;
+        this.nextId = 1;
+    }
+
+    // One JSON-RPC call. Network failures and retryable HTTP statuses are retried with
+    // exponential backoff; JSON-RPC errors are not, since the bundler already decided.
+    async request(method, params = []) {
+        const id = this.nextId++;
+        const body = JSON.stringify({ jsonrpc: '2.0', id, method, params });
+
+        for (let attempt = 0; ; attempt++) {
+            let response;
+            try {
+                response = await fetch(this.bundlerUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body,
+                    signal: AbortSignal.timeout(this.requestTimeout)
+                });
+            } catch (error) {
+                if (attempt < this.retries) {
+                    await sleep(this.retryDelay * 2 ** attempt);
+                    continue;
+                }
+                throw new BundlerError(`Bundler request failed: ${error.message}`);
+            }
+
+            if (RETRYABLE_STATUSES.includes(response.status) && attempt < this.retries) {
+                await sleep(this.retryDelay * 2 ** attempt);
+                continue;
+            }
+            if (!response.ok) {
+                throw new BundlerError(`Bundler responded with HTTP ${response.status}`, { code: response.status });
+            }
+
+            const result = await response.json();
+            if (result.error) {
+                throw createBundlerError(result.error);
+            }
+            return result.result;
+        }
+    }
+
+    // Returns the userOpHash
+    async sendUserOperation(userOp, entryPoint) {
+        return this.request('eth_sendUserOperation', [serializeUserOp(userOp), entryPoint]);
+    }
+
+    // Gas limits as BigNumbers; the signature may be a placeholder of the right shape
+    async estimateUserOperationGas(userOp, entryPoint) {
+        const estimate = await this.request('eth_estimateUserOperationGas', [serializeUserOp(userOp), entryPoint]);
+
+        return {
+            preVerificationGas: ethers.BigNumber.from(estimate.preVerificationGas),
+            verificationGasLimit: ethers.BigNumber.from(estimate.verificationGasLimit),
+            callGasLimit: ethers.BigNumber.from(estimate.callGasLimit)
+        };
+    }
+
+    // null while the bundler has never seen the op
+    async getUserOperationByHash(userOpHash) {
+        return this.request('eth_getUserOperationByHash', [userOpHash]);
+    }
+
+    // null until the op is included on-chain
+    async getUserOperationReceipt(userOpHash) {
+        return this.request('eth_getUserOperationReceipt', [userOpHash]);
+    }
+
+    async waitForUserOperationReceipt(userOpHash, { timeout = 60000, interval = 1000 } = {}) {
+        const deadline = Date.now() + timeout;
+
+        for (;;) {
+            const receipt = await this.getUserOperationReceipt(userOpHash);
+            if (receipt) {
+                return receipt;
+            }
+            if (Date.now() + interval > deadline) {
+                throw new UserOperationTimeoutError(userOpHash, timeout);
+            }
+            await sleep(interval);
+        }
+    }
+
+    async supportedEntryPoints() {
+        return this.request('eth_supportedEntryPoints');
+    }
+
+    async chainId() {
+        return ethers.BigNumber.from(await this.request('eth_chainId')).toNumber();
+    }
+}
+
+export {
+    BundlerClient,
+    BundlerError,
+    AccountCreationError,
+    AccountValidationError,
+    PaymasterValidationError,
+    VerificationGasError,
+    UserOperationTimeoutError,
+    createBundlerError
+};
@@ -0,0 +1,327 @@
+// decoder.js - Human-readable calls and events from raw calldata and logs, by an ABI registry
+import { ethers } from 'ethers';
+import { MULTISIG_PLUGIN_ABI, THRESHOLD_POLICY_TUPLE } from './multisig';
+import { SESSION_KEY_PLUGIN_ABI } from './sessionKeys';
+import { SOCIAL_RECOVERY_PLUGIN_ABI } from './recovery';
+import { SPENDING_LIMIT_PLUGIN_ABI } from './spendingLimits';
+import { PLUGIN_MANAGER_ABI } from './plugins';
+
+const ACCOUNT_ABI = [
+    'function execute(address to, uint256 value, bytes data)',
+    'function executeBatch(address[] targets, uint256[] values, bytes[] datas)',
+    'function executeFromPlugin(address to, uint256 value, bytes data) returns (bytes)',
+    'function transferOwnership(address newOwner)',
+    'function acceptOwnership()',
+    'function recoverOwnership(address newOwner)',
+    ...PLUGIN_MANAGER_ABI,
+    'event PluginInstalled(address indexed plugin, bytes32 manifestHash, address[] dependencies)',
+    'event PluginUninstalled(address indexed plugin, bool onUninstallSucceeded)',
+    'event Received(address indexed sender, uint256 amount)',
+    'event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)',
+    'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+    'event ERC721Received(address indexed token, address indexed operator, address indexed from, uint256 tokenId)',
+    'event ERC1155Received(address indexed token, address indexed operator, address indexed from, uint256[] ids, uint256[] values)',
+    'event ERC777Received(address indexed token, address indexed operator, address indexed from, uint256 amount)'
+];
+
+const FACTORY_ABI = [
+    'function createAccount(address owner, uint256 salt) returns (address)',
+    'event AccountCreated(address indexed account, address indexed owner, uint256 salt)'
+];
+
+const ENTRY_POINT_ABI = [
+    'function depositTo(address account) payable',
+    'function withdrawTo(address withdrawAddress, uint256 withdrawAmount)',
+    'function addStake(uint32 unstakeDelaySec) payable',
+    'function unlockStake()',
+    'function withdrawStake(address withdrawAddress)',
+    'event Deposited(address indexed account, uint256 totalDeposit)',
+    'event Withdrawn(address indexed account, address withdrawAddress, uint256 amount)',
+    'event UserOperationEvent(bytes32 indexed userOpHash, address indexed sender, address indexed paymaster, uint256 nonce, bool success, uint256 actualGasCost, uint256 actualGasUsed)',
+    'event UserOperationRevertReason(bytes32 indexed userOpHash, address indexed sender, uint256 nonce, bytes revertReason)'
+];
+
+const MULTISIG_PLUGIN_EVENTS = [
+    'event PluginInstalled(address indexed account, address[] owners, uint256 threshold)',
+    'event PluginUninstalled(address indexed account)',
+    'event OwnerAdded(address indexed account, address indexed owner)',
+    'event OwnerRemoved(address indexed account, address indexed owner)',
+    'event OwnerWeightChanged(address indexed account, address indexed owner, uint256 weight)',
+    'event ThresholdChanged(address indexed account, uint256 oldThreshold, uint256 newThreshold)',
+    `event ThresholdPolicyChanged(address indexed account, ${THRESHOLD_POLICY_TUPLE} policy)`,
+    'event TransactionSubmitted(address indexed account, uint256 indexed txId, address indexed submitter, address[] targets, uint256[] values, bytes[] datas)',
+    'event TransactionReplaced(address indexed account, uint256 indexed txId, address indexed proposer, address[] targets, uint256[] values, bytes[] datas)',
+    'event TransactionConfirmed(address indexed account, uint256 indexed txId, address indexed owner)',
+    'event ConfirmationRevoked(address indexed account, uint256 indexed txId, address indexed owner)',
+    'event TransactionExecuted(address indexed account, uint256 indexed txId, bool success)',
+    'event TransactionFailed(address indexed account, uint256 indexed txId, bytes reason)',
+    'event TransactionReady(address indexed account, uint256 indexed txId, uint256 executableAt)',
+    'event CancelVoteCast(address indexed account, uint256 indexed txId, address indexed owner)',
+    'event TransactionCancelled(address indexed account, uint256 indexed txId)',
+    'event TimelockChanged(address indexed account, uint256 executionDelay, uint256 proposalLifetime)'
+];
+
+const SESSION_KEY_PLUGIN_EVENTS = [
+    'event SessionKeyGranted(address indexed account, address indexed sessionKey, uint48 validAfter, uint48 validUntil)',
+    'event SessionKeyRevoked(address indexed account, address indexed sessionKey)',
+    'event SessionKeyUsed(address indexed account, address indexed sessionKey, uint256 spend)'
+];
+
+const SOCIAL_RECOVERY_PLUGIN_EVENTS = [
+    'event GuardiansChanged(address indexed account, address[] guardians, uint256 threshold)',
+    'event RecoveryDelayChanged(address indexed account, uint256 oldDelay, uint256 newDelay)',
+    'event RecoveryInitiated(address indexed account, uint256 indexed nonce, address indexed guardian, address newOwner, address[] newOwners, uint256 newThreshold)',
+    'event RecoveryApproved(address indexed account, uint256 indexed nonce, address indexed guardian)',
+    'event RecoveryThresholdReached(address indexed account, uint256 indexed nonce, uint256 executeAfter)',
+    'event RecoveryCancelVoteCast(address indexed account, uint256 indexed nonce, address indexed guardian)',
+    'event RecoveryExecuted(address indexed account, uint256 indexed nonce)',
+    'event RecoveryCancelled(address indexed account, uint256 indexed nonce)'
+];
+
+const SPENDING_LIMIT_PLUGIN_EVENTS = [
+    'event SpendingLimitSet(address indexed account, address indexed token, uint256 limit, uint48 period)',
+    'event SpendingLimitRemoved(address indexed account, address indexed token)',
+    'event AllowlistUpdated(address indexed account, address indexed target, bool allowed)',
+    'event DenylistUpdated(address indexed account, address indexed target, bool denied)',
+    'event AllowlistEnabled(address indexed account, bool enabled)',
+    'event Spent(address indexed account, address indexed token, uint256 amount, uint256 spentInPeriod)'
+];
+
+const ERC20_ABI = [
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function transferFrom(address from, address to, uint256 amount) returns (bool)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event Approval(address indexed owner, address indexed spender, uint256 value)'
+];
+
+// transferFrom and approve share their selectors with ERC-20; register a collection's address
+// to have them decoded with ERC-721 names
+const ERC721_ABI = [
+    'function safeTransferFrom(address from, address to, uint256 tokenId)',
+    'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)',
+    'function transferFrom(address from, address to, uint256 tokenId)',
+    'function approve(address to, uint256 tokenId)',
+    'function setApprovalForAll(address operator, bool approved)',
+    'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+    'event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)',
+    'event ApprovalForAll(address indexed owner, address indexed operator, bool approved)'
+];
+
+const ERC1155_ABI = [
+    'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)',
+    'function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)',
+    'function setApprovalForAll(address operator, bool approved)',
+    'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+    'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+    'event ApprovalForAll(address indexed account, address indexed operator, bool approved)'
+];
+
+// The project's contracts, then the token standards. Earlier entries win when a selector or
+// event topic is shared; plugin execution functions are called on the account, so all of these
+// apply to any address.
+const DEFAULT_ABIS = {
+    ModularSmartAccount: ACCOUNT_ABI,
+    MultiSigPlugin: [...MULTISIG_PLUGIN_ABI, ...MULTISIG_PLUGIN_EVENTS],
+    SessionKeyPlugin: [...SESSION_KEY_PLUGIN_ABI, ...SESSION_KEY_PLUGIN_EVENTS],
+    SocialRecoveryPlugin: [...SOCIAL_RECOVERY_PLUGIN_ABI, ...SOCIAL_RECOVERY_PLUGIN_EVENTS],
+    SpendingLimitPlugin: [...SPENDING_LIMIT_PLUGIN_ABI, ...SPENDING_LIMIT_PLUGIN_EVENTS],
+    SmartAccountFactory: FACTORY_ABI,
+    EntryPoint: ENTRY_POINT_ABI,
+    ERC20: ERC20_ABI,
+    ERC721: ERC721_ABI,
+    ERC1155: ERC1155_ABI
+};
+
+// Functions whose arguments are calls of their own: what the account runs or a proposal holds
+const NESTED_CALLS = {
+    'execute(address,uint256,bytes)': ([to, value, data]) => [{ to, value, data }],
+    'executeFromPlugin(address,uint256,bytes)': ([to, value, data]) => [{ to, value, data }],
+    'submitTransaction(address,uint256,bytes)': ([to, value, data]) => [{ to, value, data }],
+    'executeBatch(address[],uint256[],bytes[])': ([targets, values, datas]) => zipCalls(targets, values, datas),
+    'submitBatchTransaction(address[],uint256[],bytes[])': ([targets, values, datas]) => zipCalls(targets, values, datas),
+    'replaceTransaction(uint256,address[],uint256[],bytes[])': ([, targets, values, datas]) => zipCalls(targets, values, datas)
+};
+
+// Calls inside calls are decoded this deep at most
+const MAX_NESTING_DEPTH = 4;
+
+function zipCalls(targets, values, datas) {
+    return targets.map((to, i) => ({ to, value: values[i], data: datas[i] }));
+}
+
+// Decoded values for display: BigNumbers as decimal strings, structs as objects
+function formatValue(value, param) {
+    if (param.baseType === 'array') {
+        return value.map((item) => formatValue(item, param.arrayChildren));
+    }
+    if (param.baseType === 'tuple') {
+        return formatArgs(param.components, value);
+    }
+    return ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+}
+
+function formatArgs(params, values) {
+    return Object.fromEntries(params.map((param, i) => [param.name || `arg${i}`, formatValue(values[i], param)]));
+}
+
+class AbiRegistry {
+    constructor() {
+        // lowercase address => { name, iface }, tried before the ABIs for any address
+        this.contracts = new Map();
+        this.abis = [];
+    }
+
+    // Decode calls to and events from `address` with this ABI, labelled `name`
+    registerContract(address, name, abi) {
+        this.contracts.set(address.toLowerCase(), { name, iface: new ethers.utils.Interface(abi) });
+        return this;
+    }
+
+    // An ABI tried for every address, after the registered contracts
+    registerAbi(name, abi) {
+        this.abis.push({ name, iface: new ethers.utils.Interface(abi) });
+        return this;
+    }
+
+    interfacesFor(address) {
+        const contract = address && this.contracts.get(address.toLowerCase());
+        return contract ? [contract, ...this.abis] : this.abis;
+    }
+
+    // { contract, name, signature, args } for calldata, or null when no ABI has its selector.
+    // Trailing bytes, like the caller appended to a plugin call, are ignored.
+    decodeFunction(address, data) {
+        if (!data || ethers.utils.hexDataLength(data) < 4) {
+            return null;
+        }
+        const selector = ethers.utils.hexDataSlice(data, 0, 4);
+        for (const { name, iface } of this.interfacesFor(address)) {
+            let fragment;
+            try {
+                fragment = iface.getFunction(selector);
+            } catch (error) {
+                continue;
+            }
+            try {
+                const values = iface.decodeFunctionData(fragment, data);
+                return {
+                    contract: name,
+                    name: fragment.name,
+                    signature: fragment.format(),
+                    args: formatArgs(fragment.inputs, values),
+                    values
+                };
+            } catch (error) {
+                // Same selector, other parameter layout: try the next ABI
+            }
+        }
+        return null;
+    }
+
+    // { contract, name, signature, args } for a log, or null when no ABI has its topic
+    decodeLog(log) {
+        for (const { name, iface } of this.interfacesFor(log.address)) {
+            try {
+                const parsed = iface.parseLog(log);
+                return {
+                    contract: name,
+                    name: parsed.name,
+                    signature: parsed.signature,
+                    args: formatArgs(parsed.eventFragment.inputs, parsed.args)
+                };
+            } catch (error) {
+                // Unknown topic, or the same topic with other indexed parameters (ERC-20 vs ERC-721 Transfer)
+            }
+        }
+        return null;
+    }
+}
+
+// A registry with the project's contracts and the token standards. `addresses` labels deployed
+// contracts, e.g. { multiSigPlugin: '0x...', entryPoint: '0x...' } as in scripts/addresses.json.
+function createAbiRegistry(addresses = {}) {
+    const registry = new AbiRegistry();
+    const labels = {
+        entryPoint: 'EntryPoint',
+        factory: 'SmartAccountFactory',
+        multiSigPlugin: 'MultiSigPlugin',
+        sessionKeyPlugin: 'SessionKeyPlugin',
+        socialRecoveryPlugin: 'SocialRecoveryPlugin',
+        spendingLimitPlugin: 'SpendingLimitPlugin',
+        paymasterToken: 'ERC20'
+    };
+    for (const [key, name] of Object.entries(labels)) {
+        if (addresses[key]) {
+            registry.registerContract(addresses[key], name, DEFAULT_ABIS[name]);
+        }
+    }
+    for (const [name, abi] of Object.entries(DEFAULT_ABIS)) {
+        registry.registerAbi(name, abi);
+    }
+    return registry;
+}
+
+/**
+ * Decode a call and, recursively, the calls it makes or proposes (execute, executeBatch,
+ * executeFromPlugin, submitTransaction, submitBatchTransaction, replaceTransaction)
+ * @returns { to, value, data, contract, function, signature, args, calls } with value in wei
+ *          as a string; contract, function, signature and args are null for unknown calldata
+ */
+function decodeCall(registry, { to, value = 0, data = '0x' }, depth = 0) {
+    const decoded = registry.decodeFunction(to, data);
+    const nested = decoded && NESTED_CALLS[decoded.signature];
+    return {
+        to: ethers.utils.getAddress(to),
+        value: ethers.BigNumber.from(value).toString(),
+        data: ethers.utils.hexlify(data),
+        contract: decoded ? decoded.contract : null,
+        function: decoded ? decoded.name : null,
+        signature: decoded ? decoded.signature : null,
+        args: decoded ? decoded.args : null,
+        calls: nested && depth < MAX_NESTING_DEPTH
+            ? nested(decoded.values).map((call) => decodeCall(registry, call, depth + 1))
+            : []
+    };
+}
+
+function formatArg(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(formatArg).join(', ')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{ ${Object.entries(value).map(([key, item]) => `${key}: ${formatArg(item)}`).join(', ')} }`;
+    }
+    if (typeof value === 'string' && ethers.utils.isHexString(value) && ethers.utils.hexDataLength(value) > 36) {
+        return `${value.slice(0, 10)}... (${ethers.utils.hexDataLength(value)} bytes)`;
+    }
+    return String(value);
+}
+
+// One line for a decoded call, without the calls nested in it, e.g.
+// 'ERC20.transfer(to: 0x..., amount: 1000) on 0x...' or 'Send 0.5 ETH to 0x...'
+function describeCall(call) {
+    const value = call.value !== '0' ? ` with ${ethers.utils.formatEther(call.value)} ETH` : '';
+    if (call.data === '0x') {
+        return `Send ${ethers.utils.formatEther(call.value)} ETH to ${call.to}`;
+    }
+    if (!call.function) {
+        return `Unknown call ${call.data.slice(0, 10)} on ${call.to}${value}`;
+    }
+    const args = Object.entries(call.args).map(([name, arg]) => `${name}: ${formatArg(arg)}`).join(', ');
+    return `${call.contract}.${call.function}(${args}) on ${call.to}${value}`;
+}
+
+export {
+    DEFAULT_ABIS,
+    ERC20_ABI,
+    ERC721_ABI,
+    ERC1155_ABI,
+    AbiRegistry,
+    createAbiRegistry,
+    decodeCall,
+    describeCall
+};
@@ -0,0 +1,192 @@
+// gas.js - Gas limits and fees for UserOperations
+import { ethers } from 'ethers';
+
+const USER_OP_TUPLE = 'tuple(address sender, uint256 nonce, bytes initCode, bytes callData, uint256 callGasLimit, uint256 verificationGasLimit, uint256 preVerificationGas, uint256 maxFeePerGas, uint256 maxPriorityFeePerGas, bytes paymasterAndData, bytes signature)';
+
+// Same overheads as services/bundler/gas.js, so the bundler accepts what the SDK computes
+const DEFAULT_GAS_OVERHEADS = {
+    fixed: 21000,
+    perUserOp: 18300,
+    perUserOpWord: 4,
+    zeroByte: 4,
+    nonZeroByte: 16,
+    bundleSize: 1
+};
+
+// Validation gas by route, measured against MockEntryPoint with ~15% headroom.
+// Includes the EntryPoint's own bookkeeping and the account paying its prefund.
+const VALIDATION_GAS = {
+    owner: 85000,
+    // MultiSigPlugin: ~91k plus ~9k per signature; decoding the call against a threshold
+    // policy adds up to ~6k for batches
+    multiSigBase: 110000,
+    multiSigPerSignature: 10000,
+    // SessionKeyPlugin: ~120k for a key's first op (scope checks, first spend write);
+    // owner signatures passed back to the account take ~85k
+    sessionKey: 140000,
+    // Plugins we know nothing about get a conservative flat limit
+    plugin: 150000,
+    // Added for sponsored ops: VerifyingPaymaster validation (~20k). Its postOp gets a
+    // separate verificationGasLimit budget, so it does not count here.
+    paymaster: 30000,
+    // TokenPaymaster validation: balance and allowance reads plus the pre-charge transfer
+    tokenPaymaster: 60000
+};
+
+// Execution measured by simulateHandleOp is padded like an eth_estimateGas result would be
+const CALL_GAS_MARGIN = 10000;
+const CALL_GAS_BUFFER_PERCENT = 10;
+
+// Used when a counterfactual account cannot be simulated (e.g. it holds no funds yet)
+const FALLBACK_CALL_GAS_LIMIT = 200000;
+
+// Gas limits the op carries while it is simulated for an estimate
+const SIMULATION_GAS_LIMIT = 5000000;
+
+// Placeholder for a gas field that is not known yet when pricing calldata
+const GAS_FIELD_PLACEHOLDER = '0xffffff';
+
+const DEFAULT_FEE_CONFIG = {
+    blockCount: 10,
+    rewardPercentile: 50,
+    // Room for the base fee to rise between signing and inclusion
+    baseFeeMultiplier: 2,
+    minPriorityFeePerGas: 0
+};
+
+const ENTRY_POINT_SIMULATION_ABI = [
+    `function simulateHandleOp(${USER_OP_TUPLE} op, address target, bytes targetCallData)`,
+    'error FailedOp(uint256 opIndex, string reason)',
+    'error ExecutionResult(uint256 preOpGas, uint256 paid, uint48 validAfter, uint48 validUntil, bool targetSuccess, bytes targetResult)'
+];
+
+// One recoverable-looking 65-byte ECDSA signature with no zero bytes
+const DUMMY_ECDSA_SIGNATURE = ethers.utils.hexConcat([
+    '0x' + '11'.repeat(32),
+    '0x' + '22'.repeat(32),
+    '0x1c'
+]);
+
+// Signature of the final length, for pricing and simulating an op before it is signed.
+// prefix: '0x01' for EIP-712 or MultiSigPlugin ECDSA mode; count: number of owner signatures.
+function getDummySignature(prefix = '0x', count = 1) {
+    return ethers.utils.hexConcat([prefix, ...Array(count).fill(DUMMY_ECDSA_SIGNATURE)]);
+}
+
+// Calldata cost of the op inside handleOps plus its share of the bundle transaction
+function calcPreVerificationGas(userOp, overheads = {}) {
+    const ov = { ...DEFAULT_GAS_OVERHEADS, ...overheads };
+    const op = { ...userOp };
+    for (const field of ['callGasLimit', 'verificationGasLimit', 'preVerificationGas']) {
+        if (ethers.BigNumber.from(op[field] || 0).isZero()) {
+            op[field] = GAS_FIELD_PLACEHOLDER;
+        }
+    }
+
+    // The leading offset word is not part of the op as it sits in handleOps calldata
+    const packed = ethers.utils.arrayify(ethers.utils.defaultAbiCoder.encode([USER_OP_TUPLE], [op])).slice(32);
+    const callDataCost = packed.reduce((sum, byte) => sum + (byte === 0 ? ov.zeroByte : ov.nonZeroByte), 0);
+    const lengthInWords = Math.ceil(packed.length / 32);
+
+    return Math.round(callDataCost + ov.fixed / ov.bundleSize + ov.perUserOp + ov.perUserOpWord * lengthInWords);
+}
+
+// EIP-1559 fees from eth_feeHistory: the chosen percentile of recent priority fees on top
+// of a multiple of the next block's base fee. Chains without feeHistory get eth_gasPrice for both.
+async function getFeeData(provider, config = {}) {
+    const { blockCount, rewardPercentile, baseFeeMultiplier, minPriorityFeePerGas } = {
+        ...DEFAULT_FEE_CONFIG,
+        ...config
+    };
+
+    let history;
+    try {
+        history = await provider.send('eth_feeHistory', [
+            ethers.utils.hexValue(blockCount),
+            'latest',
+            [rewardPercentile]
+        ]);
+    } catch (error) {
+        history = null;
+    }
+
+    if (!history || !history.baseFeePerGas || !history.reward) {
+        const gasPrice = await provider.getGasPrice();
+        return { maxFeePerGas: gasPrice, maxPriorityFeePerGas: gasPrice };
+    }
+
+    // Median over the window of each block's percentile, ignoring empty blocks
+    const rewards = history.reward
+        .map((reward) => ethers.BigNumber.from(reward[0]))
+        .filter((reward) => !reward.isZero())
+        .sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+    let maxPriorityFeePerGas = rewards.length > 0
+        ? rewards[Math.floor(rewards.length / 2)]
+        : ethers.BigNumber.from(0);
+    if (maxPriorityFeePerGas.lt(minPriorityFeePerGas)) {
+        maxPriorityFeePerGas = ethers.BigNumber.from(minPriorityFeePerGas);
+    }
+
+    // The last entry is the base fee of the next block
+    const baseFee = ethers.BigNumber.from(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+    const maxFeePerGas = baseFee.mul(baseFeeMultiplier).add(maxPriorityFeePerGas);
+
+    return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+// callGasLimit by simulating the call the EntryPoint will make. Deployed accounts are
+// estimated directly; counterfactual ones run the whole op through simulateHandleOp
+// at 1 wei per gas, where the amount charged is the gas used.
+async function estimateCallGasLimit(provider, entryPointAddress, userOp) {
+    if (userOp.callData === '0x') {
+        return ethers.BigNumber.from(0);
+    }
+
+    if ((await provider.getCode(userOp.sender)) !== '0x') {
+        return await provider.estimateGas({
+            from: entryPointAddress,
+            to: userOp.sender,
+            data: userOp.callData
+        });
+    }
+
+    const entryPoint = new ethers.utils.Interface(ENTRY_POINT_SIMULATION_ABI);
+    const simulationOp = {
+        ...userOp,
+        callGasLimit: SIMULATION_GAS_LIMIT,
+        preVerificationGas: userOp.preVerificationGas || 0,
+        maxFeePerGas: 1,
+        maxPriorityFeePerGas: 1
+    };
+
+    let result;
+    try {
+        const revertData = await provider.call({
+            to: entryPointAddress,
+            data: entryPoint.encodeFunctionData('simulateHandleOp', [
+                simulationOp,
+                ethers.constants.AddressZero,
+                '0x'
+            ])
+        });
+        result = entryPoint.decodeErrorResult('ExecutionResult', revertData);
+    } catch (error) {
+        return ethers.BigNumber.from(FALLBACK_CALL_GAS_LIMIT);
+    }
+
+    return result.paid
+        .sub(result.preOpGas)
+        .add(CALL_GAS_MARGIN)
+        .mul(100 + CALL_GAS_BUFFER_PERCENT)
+        .div(100);
+}
+
+export {
+    DEFAULT_GAS_OVERHEADS,
+    DEFAULT_FEE_CONFIG,
+    VALIDATION_GAS,
+    getDummySignature,
+    calcPreVerificationGas,
+    getFeeData,
+    estimateCallGasLimit
+};
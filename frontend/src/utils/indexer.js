@@ -0,0 +1,72 @@
+// indexer.js - Client for the event indexer's query API (services/indexer)
+
+// Query string from the options that are set, e.g. { status: 'open', offset: 0 } => '?status=open&offset=0'
+function toQuery(options = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(options)) {
+        if (value !== undefined && value !== null) {
+            params.set(key, String(value));
+        }
+    }
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+class IndexerClient {
+    constructor(indexerUrl) {
+        this.indexerUrl = indexerUrl.replace(/\/$/, '');
+    }
+
+    async request(path) {
+        const response = await fetch(`${this.indexerUrl}${path}`);
+
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Indexer error (${response.status})`);
+        }
+
+        return result;
+    }
+
+    // { chainId, contracts, syncedBlock }
+    async getStatus() {
+        return this.request('/status');
+    }
+
+    // Accounts the address owns directly or as a MultiSigPlugin owner
+    async getAccountsByOwner(owner) {
+        return this.request(`/owners/${owner}/accounts`);
+    }
+
+    // { items, total } of an owner's confirmations, revocations and cancel votes, newest first
+    async getConfirmationsByOwner(owner, { account, offset, limit } = {}) {
+        return this.request(`/owners/${owner}/confirmations${toQuery({ account, offset, limit })}`);
+    }
+
+    // { items, total } of MultiSigPlugin proposals, newest first; status is 'open',
+    // 'executed', 'failed' or 'cancelled'
+    async getProposals(account, { status, offset, limit } = {}) {
+        return this.request(`/accounts/${account}/proposals${toQuery({ status, offset, limit })}`);
+    }
+
+    // Every event of one proposal, oldest first
+    async getProposalTimeline(account, txId) {
+        return this.request(`/accounts/${account}/proposals/${txId}`);
+    }
+
+    async getUserOperations(account, { offset, limit } = {}) {
+        return this.request(`/accounts/${account}/user-operations${toQuery({ offset, limit })}`);
+    }
+
+    // { items, total } of tokens received through the account's ERC-721, ERC-1155 and ERC-777
+    // callbacks: { standard, token, operator, from, tokenIds, amounts, ... }
+    async getReceivedTokens(account, { offset, limit } = {}) {
+        return this.request(`/accounts/${account}/tokens${toQuery({ offset, limit })}`);
+    }
+
+    async getAccountHistory(account, { offset, limit } = {}) {
+        return this.request(`/accounts/${account}/history${toQuery({ offset, limit })}`);
+    }
+}
+
+export { IndexerClient };
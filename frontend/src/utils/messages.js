@@ -0,0 +1,65 @@
+// messages.js - Signing messages and typed data as the smart account (ERC-1271)
+//
+// The account checks signatures over its EIP-712 wrapper of the hash, AccountMessage(hash) in its
+// own domain, so a signer's signature for one account is not valid for another.
+import { ethers } from 'ethers';
+import { EIP712_DOMAIN_NAME, EIP712_DOMAIN_VERSION } from './userOp';
+
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+
+const ERC1271_ABI = [
+    'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)',
+    'function getMessageHash(bytes32 hash) view returns (bytes32)'
+];
+
+const ACCOUNT_MESSAGE_TYPES = {
+    AccountMessage: [
+        { name: 'hash', type: 'bytes32' }
+    ]
+};
+
+// EIP-712 payload for signer._signTypedData / eth_signTypedData_v4, so wallets show the hash and account
+function getAccountMessageTypedData(accountAddress, chainId, hash) {
+    const domain = {
+        name: EIP712_DOMAIN_NAME,
+        version: EIP712_DOMAIN_VERSION,
+        chainId: chainId,
+        verifyingContract: accountAddress
+    };
+    return { domain, types: ACCOUNT_MESSAGE_TYPES, value: { hash } };
+}
+
+// Same value as ModularSmartAccount.getMessageHash
+function getAccountMessageHash(accountAddress, chainId, hash) {
+    const { domain, types, value } = getAccountMessageTypedData(accountAddress, chainId, hash);
+    return ethers.utils._TypedDataEncoder.hash(domain, types, value);
+}
+
+// The hash a dApp checks with isValidSignature: EIP-191 for messages, EIP-712 for typed data
+function hashMessage(message) {
+    return ethers.utils.hashMessage(message);
+}
+
+function hashTypedData(domain, types, value) {
+    return ethers.utils._TypedDataEncoder.hash(domain, types, value);
+}
+
+// One signer's signature of the account's wrapper of `hash`, as { signer, signature }
+async function signAccountMessage(signer, accountAddress, chainId, hash) {
+    const { domain, types, value } = getAccountMessageTypedData(accountAddress, chainId, hash);
+    return {
+        signer: await signer.getAddress(),
+        signature: await signer._signTypedData(domain, types, value)
+    };
+}
+
+export {
+    ERC1271_MAGIC_VALUE,
+    ERC1271_ABI,
+    ACCOUNT_MESSAGE_TYPES,
+    getAccountMessageTypedData,
+    getAccountMessageHash,
+    hashMessage,
+    hashTypedData,
+    signAccountMessage
+};
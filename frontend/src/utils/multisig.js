@@ -0,0 +1,270 @@
+// multisig.js - Off-chain owner signatures for MultiSigPlugin
+import { ethers } from 'ethers';
+
+// Leading byte of userOp.signature selecting MultiSigPlugin's ECDSA mode
+const MULTISIG_SIGNATURE_PREFIX = '0x01';
+// Leading byte for one owner acting alone on an on-chain proposal (submit, confirm, revoke, execute)
+const MULTISIG_OWNER_SIGNATURE_PREFIX = '0x02';
+
+const MULTISIG_TRANSACTION_TUPLE = 'tuple(' + [
+    'address[] targets',
+    'uint256[] values',
+    'bytes[] datas',
+    'uint8 status',
+    'address proposer',
+    'uint256 confirmations',
+    'uint256 timestamp',
+    'bytes32 txHash',
+    'uint256 readyAt',
+    'uint256 expiresAt',
+    'uint256 cancelVotes',
+    'bytes failureReason'
+].join(', ') + ')';
+
+// MultiSigPlugin.TransactionStatus, by value
+const MULTISIG_TRANSACTION_STATUS = ['pending', 'ready', 'executed', 'failed', 'cancelled'];
+
+// Page size for getPendingTransactions
+const PENDING_PAGE_SIZE = 50;
+
+// ThresholdPolicy from contracts/MultiSigPlugin.sol
+const THRESHOLD_POLICY_TUPLE = 'tuple(' + [
+    'address[] targets',
+    'uint256[] targetThresholds',
+    'bytes4[] selectors',
+    'uint256[] selectorThresholds',
+    'tuple(uint256 maxValue, uint256 threshold)[] valueBrackets'
+].join(', ') + ')';
+
+const MULTISIG_PLUGIN_ABI = [
+    'function submitTransaction(address to, uint256 value, bytes data) returns (uint256)',
+    'function submitBatchTransaction(address[] targets, uint256[] values, bytes[] datas) returns (uint256)',
+    'function replaceTransaction(uint256 txId, address[] targets, uint256[] values, bytes[] datas)',
+    'function cancelTransaction(uint256 txId)',
+    'function confirmTransaction(uint256 txId)',
+    'function revokeConfirmation(uint256 txId)',
+    'function executeTransaction(uint256 txId)',
+    'function voteToCancel(uint256 txId)',
+    'function setTimelock(uint256 executionDelay, uint256 proposalLifetime)',
+    'function addOwner(address owner, uint256 weight)',
+    'function removeOwner(address owner)',
+    'function setOwnerWeight(address owner, uint256 weight)',
+    'function changeThreshold(uint256 newThreshold)',
+    `function setThresholdPolicy(${THRESHOLD_POLICY_TUPLE} policy)`,
+    'function getAccountConfig(address account) view returns (address[] owners, uint256 threshold)',
+    'function getOwnerWeights(address account) view returns (address[] owners, uint256[] weights, uint256 totalWeight)',
+    `function getThresholdPolicy(address account) view returns (${THRESHOLD_POLICY_TUPLE} policy)`,
+    'function getRequiredWeight(address account, bytes callData) view returns (uint256)',
+    'function getConfirmationWeight(address account, uint256 txId) view returns (uint256 confirmed, uint256 required)',
+    'function getTimelock(address account) view returns (uint256 executionDelay, uint256 proposalLifetime)',
+    `function getTransaction(address account, uint256 txId) view returns (${MULTISIG_TRANSACTION_TUPLE})`,
+    'function getConfirmations(address account, uint256 txId) view returns (address[])',
+    'function getPendingTransactions(address account, uint256 offset, uint256 limit) view returns (uint256[] pendingTxIds, uint256 total)'
+];
+
+// onInstall data; weights defaults to 1 for every owner, and threshold is a weight sum
+function encodeMultiSigInstallData(owners, threshold, weights = []) {
+    if (weights.length > 0 && weights.length !== owners.length) {
+        throw new Error('One weight per owner expected');
+    }
+    return ethers.utils.defaultAbiCoder.encode(
+        ['address[]', 'uint256[]', 'uint256'],
+        [owners, weights, threshold]
+    );
+}
+
+// [{ to, value, data }] as the [targets, values, datas] arrays a batch proposal takes;
+// value defaults to 0 and data to '0x'
+function encodeMultiSigCalls(calls) {
+    if (calls.length === 0) {
+        throw new Error('At least one call expected');
+    }
+    return [
+        calls.map(({ to }) => to),
+        calls.map(({ value = 0 }) => value),
+        calls.map(({ data = '0x' }) => data)
+    ];
+}
+
+// 4-byte selector from a function signature ('transfer(address,uint256)') or a selector itself
+function toSelector(selector) {
+    return ethers.utils.isHexString(selector, 4) ? selector : ethers.utils.id(selector).slice(0, 10);
+}
+
+// setThresholdPolicy argument from
+// { targets: [{ target, threshold }], selectors: [{ selector, threshold }], valueBrackets: [{ maxValue, threshold }] }.
+// A call needs the highest threshold among the rules it matches, or the account's threshold if none;
+// value brackets are sorted ascending and matched against the total value of the op's plain transfers.
+function encodeThresholdPolicy({ targets = [], selectors = [], valueBrackets = [] } = {}) {
+    const brackets = [...valueBrackets]
+        .map(({ maxValue, threshold }) => ({ maxValue: ethers.BigNumber.from(maxValue), threshold }))
+        .sort((a, b) => (a.maxValue.lt(b.maxValue) ? -1 : a.maxValue.gt(b.maxValue) ? 1 : 0));
+
+    return {
+        targets: targets.map(({ target }) => ethers.utils.getAddress(target)),
+        targetThresholds: targets.map(({ threshold }) => threshold),
+        selectors: selectors.map(({ selector }) => toSelector(selector)),
+        selectorThresholds: selectors.map(({ threshold }) => threshold),
+        valueBrackets: brackets
+    };
+}
+
+// The contract's ThresholdPolicy in the form encodeThresholdPolicy takes
+function decodeThresholdPolicy(policy) {
+    return {
+        targets: policy.targets.map((target, i) => ({
+            target,
+            threshold: policy.targetThresholds[i].toNumber()
+        })),
+        selectors: policy.selectors.map((selector, i) => ({
+            selector,
+            threshold: policy.selectorThresholds[i].toNumber()
+        })),
+        valueBrackets: policy.valueBrackets.map(({ maxValue, threshold }) => ({
+            maxValue,
+            threshold: threshold.toNumber()
+        }))
+    };
+}
+
+// The most signatures a set of owners reaching `required` weight can need without a
+// redundant signer: the lightest owners first. Sizes gas and dummy signatures.
+function countSignaturesNeeded(weights, required) {
+    const ascending = weights
+        .map((weight) => ethers.BigNumber.from(weight))
+        .sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+    let total = ethers.constants.Zero;
+    for (let i = 0; i < ascending.length; i++) {
+        total = total.add(ascending[i]);
+        if (total.gte(required)) {
+            return i + 1;
+        }
+    }
+    return ascending.length;
+}
+
+// Error(string) revert data as its message; other revert data stays hex, none is null
+function decodeFailureReason(data) {
+    if (!data || data === '0x') {
+        return null;
+    }
+    if (data.startsWith('0x08c379a0')) {
+        try {
+            return ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(data, 4))[0];
+        } catch (error) {
+            return data;
+        }
+    }
+    return data;
+}
+
+// The plugin's view of a transaction at `now` (seconds), with its confirmed and required weight
+// ({ confirmed, required } from getConfirmationWeight) and the account's execution delay.
+// state is the status the plugin recorded (MULTISIG_TRANSACTION_STATUS); status is one of:
+//   pending     below the threshold (or at it through a threshold change, until executed once)
+//   timelocked  at the threshold, waiting out the delay until executableAt
+//   executable  executeTransaction would run it
+//   expired / cancelled / executed
+//   failed      a call reverted; failureReason has the revert message or data
+// secondsLeft counts down to executableAt while timelocked, otherwise to expiresAt (null if none).
+function decodeMultiSigTransaction(txId, txn, weight, executionDelay, now = Math.floor(Date.now() / 1000)) {
+    // By position: ethers leaves `values` as the Array method on a decoded struct
+    const [targets, values, datas] = txn;
+    const state = MULTISIG_TRANSACTION_STATUS[txn.status];
+    const readyAt = txn.readyAt.toNumber();
+    const expiresAt = txn.expiresAt.toNumber() || null;
+    const executableAt = readyAt ? readyAt + Number(executionDelay) : null;
+
+    let status;
+    if (state === 'executed' || state === 'failed' || state === 'cancelled') {
+        status = state;
+    } else if (expiresAt !== null && now >= expiresAt) {
+        status = 'expired';
+    } else if (weight.confirmed.lt(weight.required) || (executableAt === null && Number(executionDelay) > 0)) {
+        status = 'pending';
+    } else if (executableAt !== null && now < executableAt) {
+        status = 'timelocked';
+    } else {
+        status = 'executable';
+    }
+
+    let secondsLeft = null;
+    if (status === 'timelocked') {
+        secondsLeft = executableAt - now;
+    } else if (expiresAt !== null && (status === 'pending' || status === 'executable')) {
+        secondsLeft = expiresAt - now;
+    }
+
+    return {
+        txId: Number(txId),
+        calls: targets.map((to, i) => ({ to, value: values[i], data: datas[i] })),
+        proposer: txn.proposer,
+        state,
+        confirmations: txn.confirmations.toNumber(),
+        confirmedWeight: weight.confirmed.toNumber(),
+        requiredWeight: weight.required.toNumber(),
+        cancelVotes: txn.cancelVotes.toNumber(),
+        submittedAt: txn.timestamp.toNumber(),
+        executableAt,
+        expiresAt,
+        status,
+        secondsLeft,
+        failureReason: decodeFailureReason(txn.failureReason)
+    };
+}
+
+// Sign a hash as one owner (eth_sign over the 32 bytes, as the plugin expects)
+async function signAsOwner(signer, hash) {
+    return {
+        signer: await signer.getAddress(),
+        signature: await signer.signMessage(ethers.utils.arrayify(hash))
+    };
+}
+
+// Collect signatures over a hash from several owners' signers
+async function collectOwnerSignatures(signers, hash) {
+    return Promise.all(signers.map((signer) => signAsOwner(signer, hash)));
+}
+
+// Combine { signer, signature } entries into the plugin format:
+// prefix ++ signatures sorted by signer address, duplicates dropped
+function aggregateSignatures(signatures) {
+    return ethers.utils.hexConcat([MULTISIG_SIGNATURE_PREFIX, concatSortedSignatures(signatures)]);
+}
+
+// Concatenate { signer, signature } entries sorted by signer address, duplicates dropped,
+// as plugins checking several signers in one pass expect them
+function concatSortedSignatures(signatures) {
+    const bySigner = new Map();
+    for (const { signer, signature } of signatures) {
+        const address = ethers.utils.getAddress(signer);
+        if (ethers.utils.hexDataLength(signature) !== 65) {
+            throw new Error(`Invalid signature length for ${address}`);
+        }
+        bySigner.set(address.toLowerCase(), signature);
+    }
+
+    const sorted = [...bySigner.keys()].sort();
+    return ethers.utils.hexConcat(sorted.map((address) => bySigner.get(address)));
+}
+
+export {
+    MULTISIG_SIGNATURE_PREFIX,
+    MULTISIG_OWNER_SIGNATURE_PREFIX,
+    MULTISIG_TRANSACTION_TUPLE,
+    MULTISIG_TRANSACTION_STATUS,
+    PENDING_PAGE_SIZE,
+    THRESHOLD_POLICY_TUPLE,
+    MULTISIG_PLUGIN_ABI,
+    encodeMultiSigInstallData,
+    encodeMultiSigCalls,
+    encodeThresholdPolicy,
+    decodeThresholdPolicy,
+    countSignaturesNeeded,
+    decodeMultiSigTransaction,
+    decodeFailureReason,
+    signAsOwner,
+    collectOwnerSignatures,
+    aggregateSignatures,
+    concatSortedSignatures
+};
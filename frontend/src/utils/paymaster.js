@@ -0,0 +1,210 @@
+// paymaster.js - Paymaster clients that sponsor UserOperations by filling paymasterAndData
+//
+// SmartAccountWallet accepts any object with these two methods as its `paymaster`:
+//   getDummyPaymasterAndData(userOp)       paymasterAndData of the final size, for gas estimation
+//   sponsorUserOperation(userOp, entryPoint) { paymasterAndData, ...any gas fields it changed },
+//                                           called once the op's gas fields are final
+// and optionally:
+//   validationGas                          verification gas the paymaster adds to the op
+//   getApprovalCall(account)               { to, value, data } to run first in the op, or null
+import { ethers } from 'ethers';
+import { serializeUserOp } from './userOp';
+import { BundlerClient } from './bundler';
+import { VALIDATION_GAS, getDummySignature } from './gas';
+
+// How long a VerifyingPaymaster sponsorship stays valid, in seconds
+const DEFAULT_SPONSORSHIP_VALIDITY = 600;
+
+// Everything the VerifyingPaymaster's signer commits to, in contract order
+const VERIFYING_PAYMASTER_HASH_TYPES = [
+    'address', 'uint256', 'bytes32', 'bytes32', 'uint256', 'uint256', 'uint256', 'uint256', 'uint256',
+    'uint256', 'address', 'uint48', 'uint48'
+];
+
+// Same value as VerifyingPaymaster.getHash
+function getVerifyingPaymasterHash(userOp, paymasterAddress, chainId, validUntil, validAfter) {
+    return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(VERIFYING_PAYMASTER_HASH_TYPES, [
+        userOp.sender,
+        userOp.nonce,
+        ethers.utils.keccak256(userOp.initCode),
+        ethers.utils.keccak256(userOp.callData),
+        userOp.callGasLimit,
+        userOp.verificationGasLimit,
+        userOp.preVerificationGas,
+        userOp.maxFeePerGas,
+        userOp.maxPriorityFeePerGas,
+        chainId,
+        paymasterAddress,
+        validUntil,
+        validAfter
+    ]));
+}
+
+// paymaster ++ abi.encode(uint48 validUntil, uint48 validAfter) ++ signature
+function encodeVerifyingPaymasterAndData(paymasterAddress, validUntil, validAfter, signature) {
+    return ethers.utils.hexConcat([
+        paymasterAddress,
+        ethers.utils.defaultAbiCoder.encode(['uint48', 'uint48'], [validUntil, validAfter]),
+        signature
+    ]);
+}
+
+// Sponsors ops through a VerifyingPaymaster by signing them with its verifying key.
+// The key should live with whoever decides what gets sponsored (e.g. an onboarding backend);
+// holding it in a browser lets anyone spend the paymaster's deposit up to the account limits.
+class VerifyingPaymasterClient {
+    constructor(paymasterAddress, sponsorSigner, options = {}) {
+        this.paymasterAddress = ethers.utils.getAddress(paymasterAddress);
+        this.sponsorSigner = sponsorSigner;
+        this.validFor = options.validFor ?? DEFAULT_SPONSORSHIP_VALIDITY;
+    }
+
+    getDummyPaymasterAndData() {
+        return encodeVerifyingPaymasterAndData(this.paymasterAddress, 0, 0, getDummySignature());
+    }
+
+    // The window defaults to [0, now + validFor], with now taken from the chain when the signer has a provider
+    async sponsorUserOperation(userOp, entryPoint, { validUntil, validAfter = 0 } = {}) {
+        if (validUntil === undefined) {
+            validUntil = (await this.getTimestamp()) + this.validFor;
+        }
+
+        const chainId = await this.sponsorSigner.getChainId();
+        const hash = getVerifyingPaymasterHash(userOp, this.paymasterAddress, chainId, validUntil, validAfter);
+        const signature = await this.sponsorSigner.signMessage(ethers.utils.arrayify(hash));
+
+        return {
+            paymasterAndData: encodeVerifyingPaymasterAndData(this.paymasterAddress, validUntil, validAfter, signature)
+        };
+    }
+
+    async getTimestamp() {
+        if (this.sponsorSigner.provider) {
+            const block = await this.sponsorSigner.provider.getBlock('latest');
+            return block.timestamp;
+        }
+        return Math.floor(Date.now() / 1000);
+    }
+}
+
+// Requests sponsorship from a paymaster service over JSON-RPC (pm_sponsorUserOperation,
+// as offered by hosted paymasters). The service may also adjust gas fields it signed over.
+class PaymasterRpcClient {
+    // dummyPaymasterAndData must have the size of the service's real paymasterAndData;
+    // pass paymasterAddress instead when the service fronts a VerifyingPaymaster.
+    // context is service-specific, e.g. { sponsorshipPolicyId }.
+    constructor(url, options = {}) {
+        this.rpc = new BundlerClient(url, options);
+        this.context = options.context ?? null;
+        this.dummyPaymasterAndData = options.dummyPaymasterAndData
+            || (options.paymasterAddress
+                ? encodeVerifyingPaymasterAndData(options.paymasterAddress, 0, 0, getDummySignature())
+                : null);
+    }
+
+    getDummyPaymasterAndData() {
+        if (!this.dummyPaymasterAndData) {
+            throw new Error('PaymasterRpcClient needs options.dummyPaymasterAndData or options.paymasterAddress');
+        }
+        return this.dummyPaymasterAndData;
+    }
+
+    async sponsorUserOperation(userOp, entryPoint) {
+        const params = [serializeUserOp(userOp), entryPoint];
+        if (this.context) {
+            params.push(this.context);
+        }
+
+        const result = await this.rpc.request('pm_sponsorUserOperation', params);
+        return typeof result === 'string' ? { paymasterAndData: result } : result;
+    }
+}
+
+const TOKEN_PAYMASTER_ABI = [
+    'function token() view returns (address)',
+    'function postOpGas() view returns (uint256)',
+    'function getTokenAmount(uint256 ethAmount) view returns (uint256)'
+];
+
+const ERC20_ABI = [
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+// Pays for gas in an ERC-20 through a TokenPaymaster. While the account's allowance is below
+// half of approvalAmount, the wallet runs token.approve(paymaster, approvalAmount) first in the op.
+class TokenPaymasterClient {
+    constructor(paymasterAddress, provider, options = {}) {
+        this.paymasterAddress = ethers.utils.getAddress(paymasterAddress);
+        this.paymaster = new ethers.Contract(this.paymasterAddress, TOKEN_PAYMASTER_ABI, provider);
+        this.provider = provider;
+        this.approvalAmount = ethers.BigNumber.from(options.approvalAmount ?? ethers.constants.MaxUint256);
+        // Price movement accepted between the quote and validation, in percent
+        this.maxSlippagePercent = options.maxSlippagePercent ?? 5;
+        this.validationGas = options.validationGas ?? VALIDATION_GAS.tokenPaymaster;
+        this.tokenAddress = null;
+    }
+
+    async getTokenAddress() {
+        if (!this.tokenAddress) {
+            this.tokenAddress = await this.paymaster.token();
+        }
+        return this.tokenAddress;
+    }
+
+    getDummyPaymasterAndData() {
+        return encodeTokenPaymasterAndData(this.paymasterAddress, ethers.constants.MaxUint256);
+    }
+
+    async getApprovalCall(accountAddress) {
+        const token = new ethers.Contract(await this.getTokenAddress(), ERC20_ABI, this.provider);
+        const allowance = await token.allowance(accountAddress, this.paymasterAddress);
+        if (allowance.gte(this.approvalAmount.div(2))) {
+            return null;
+        }
+
+        return {
+            to: token.address,
+            value: 0,
+            data: token.interface.encodeFunctionData('approve', [this.paymasterAddress, this.approvalAmount])
+        };
+    }
+
+    // Most the op can cost in tokens: its maximum gas (as the EntryPoint prefunds it with a
+    // paymaster) plus postOp, at the paymaster's current rate
+    async getMaxTokenCost(userOp) {
+        const maxGas = ethers.BigNumber.from(userOp.verificationGasLimit)
+            .mul(3)
+            .add(userOp.callGasLimit)
+            .add(userOp.preVerificationGas)
+            .add(await this.paymaster.postOpGas());
+        return await this.paymaster.getTokenAmount(maxGas.mul(userOp.maxFeePerGas));
+    }
+
+    // paymasterAndData caps the pre-charge at the quote plus slippage
+    async sponsorUserOperation(userOp) {
+        const maxTokenCost = (await this.getMaxTokenCost(userOp))
+            .mul(100 + this.maxSlippagePercent)
+            .div(100);
+
+        return { paymasterAndData: encodeTokenPaymasterAndData(this.paymasterAddress, maxTokenCost) };
+    }
+}
+
+// paymaster ++ abi.encode(uint256 maxTokenCost)
+function encodeTokenPaymasterAndData(paymasterAddress, maxTokenCost) {
+    return ethers.utils.hexConcat([
+        paymasterAddress,
+        ethers.utils.defaultAbiCoder.encode(['uint256'], [maxTokenCost])
+    ]);
+}
+
+export {
+    DEFAULT_SPONSORSHIP_VALIDITY,
+    VerifyingPaymasterClient,
+    PaymasterRpcClient,
+    TokenPaymasterClient,
+    encodeTokenPaymasterAndData,
+    getVerifyingPaymasterHash,
+    encodeVerifyingPaymasterAndData
+};
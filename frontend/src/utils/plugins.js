@@ -0,0 +1,113 @@
+// plugins.js - Reading plugin manifests and checking them against an account before installing
+import { ethers } from 'ethers';
+
+// PluginManifest from contracts/interfaces/IPlugin.sol
+const PLUGIN_MANIFEST_TYPE = 'tuple(' + [
+    'bytes4[] interfaceIds',
+    'bytes4[] dependencyInterfaceIds',
+    'bytes4[] executionFunctions',
+    'bytes4[] validationFunctions',
+    'tuple(bytes4 executionSelector, bool preExecHook, bool postExecHook)[] executionHooks',
+    'bytes4[] permittedExecutionSelectors',
+    'bool permitAnyExternalAddress',
+    'tuple(address externalAddress, bool permitAnySelector, bytes4[] selectors)[] permittedExternalCalls'
+].join(', ') + ')';
+
+const PLUGIN_ABI = [
+    `function pluginManifest() view returns (${PLUGIN_MANIFEST_TYPE} manifest)`,
+    'function supportsInterface(bytes4 interfaceId) view returns (bool)'
+];
+
+const PLUGIN_MANAGER_ABI = [
+    'function installPlugin(address plugin, bytes32 manifestHash, bytes pluginInstallData, address[] dependencies)',
+    'function uninstallPlugin(address plugin, bytes config, bytes pluginUninstallData)',
+    'function getInstalledPlugins() view returns (address[])',
+    'function getPluginData(address plugin) view returns (bytes32 manifestHash, address[] dependencies, uint256 dependentCount)',
+    'function plugins(bytes4 selector) view returns (address)',
+    'function executionFunctions(bytes4 selector) view returns (address)',
+    'function getExecutionHooks(bytes4 selector) view returns (tuple(address plugin, bool preExecHook, bool postExecHook)[])'
+];
+
+// ERC-165 id of an interface: the XOR of its function selectors
+function getInterfaceId(signatures) {
+    const id = signatures
+        .map((signature) => ethers.BigNumber.from(ethers.utils.id(signature).slice(0, 10)))
+        .reduce((acc, selector) => acc.xor(selector), ethers.constants.Zero);
+    return ethers.utils.hexZeroPad(id.toHexString(), 4);
+}
+
+const IPLUGIN_INTERFACE_ID = getInterfaceId(['onInstall(bytes)', 'onUninstall(bytes)', 'pluginManifest()']);
+
+function encodePluginManifest(manifest) {
+    return ethers.utils.defaultAbiCoder.encode([PLUGIN_MANIFEST_TYPE], [manifest]);
+}
+
+// The manifestHash installPlugin expects: keccak256(abi.encode(manifest))
+function hashPluginManifest(manifest) {
+    return ethers.utils.keccak256(encodePluginManifest(manifest));
+}
+
+async function getPluginManifest(provider, pluginAddress) {
+    const plugin = new ethers.Contract(pluginAddress, PLUGIN_ABI, provider);
+    return await plugin.pluginManifest();
+}
+
+// The reasons installPlugin would revert for, checked up front so the op is not sent (and paid for)
+// in vain. Returns { manifest, manifestHash }.
+async function checkPluginInstall(provider, accountAddress, pluginAddress, dependencies = []) {
+    const plugin = new ethers.Contract(pluginAddress, PLUGIN_ABI, provider);
+    const supportsPlugin = await plugin.supportsInterface(IPLUGIN_INTERFACE_ID).catch(() => false);
+    if (!supportsPlugin) {
+        throw new Error(`${pluginAddress} does not support IPlugin`);
+    }
+
+    const manifest = await plugin.pluginManifest();
+    if (manifest.dependencyInterfaceIds.length !== dependencies.length) {
+        throw new Error(
+            `Plugin needs ${manifest.dependencyInterfaceIds.length} dependencies, ${dependencies.length} given`
+        );
+    }
+
+    // A counterfactual account has nothing installed yet
+    if ((await provider.getCode(accountAddress)) !== '0x') {
+        const account = new ethers.Contract(accountAddress, PLUGIN_MANAGER_ABI, provider);
+
+        const { manifestHash } = await account.getPluginData(pluginAddress);
+        if (manifestHash !== ethers.constants.HashZero) {
+            throw new Error('Plugin already installed');
+        }
+
+        for (const selector of manifest.executionFunctions) {
+            const installed = await account.executionFunctions(selector);
+            if (installed !== ethers.constants.AddressZero) {
+                throw new Error(`Execution function ${selector} is already provided by ${installed}`);
+            }
+        }
+        for (const selector of manifest.validationFunctions) {
+            const installed = await account.plugins(selector);
+            if (installed !== ethers.constants.AddressZero) {
+                throw new Error(`Selector ${selector} is already validated by ${installed}`);
+            }
+        }
+        for (const dependency of dependencies) {
+            const data = await account.getPluginData(dependency);
+            if (data.manifestHash === ethers.constants.HashZero) {
+                throw new Error(`Dependency ${dependency} is not installed`);
+            }
+        }
+    }
+
+    return { manifest, manifestHash: hashPluginManifest(manifest) };
+}
+
+export {
+    PLUGIN_MANIFEST_TYPE,
+    PLUGIN_ABI,
+    PLUGIN_MANAGER_ABI,
+    IPLUGIN_INTERFACE_ID,
+    getInterfaceId,
+    encodePluginManifest,
+    hashPluginManifest,
+    getPluginManifest,
+    checkPluginInstall
+};
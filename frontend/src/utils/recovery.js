@@ -0,0 +1,139 @@
+// recovery.js - Guardian-driven account recovery through SocialRecoveryPlugin
+import { ethers } from 'ethers';
+import { signAsOwner, concatSortedSignatures } from './multisig';
+
+const RECOVERY_TUPLE = 'tuple(address newOwner, address[] newOwners, uint256 newThreshold, uint256 approvals, uint256 initiatedAt, uint256 executeAfter)';
+
+const SOCIAL_RECOVERY_PLUGIN_ABI = [
+    'function initiateRecovery(address account, address newOwner, address[] newOwners, uint256 newThreshold)',
+    'function approveRecovery(address account)',
+    'function approveRecoveryWithSignatures(address account, bytes signatures)',
+    'function executeRecovery(address account)',
+    'function voteToCancelRecovery(address account)',
+    'function cancelRecovery()',
+    'function setGuardians(address[] guardians, uint256 threshold)',
+    'function setRecoveryDelay(uint256 delay)',
+    'function getGuardianConfig(address account) view returns (address[] guardians, uint256 threshold, uint256 delay, address multiSigPlugin)',
+    'function isGuardian(address account, address guardian) view returns (bool)',
+    `function getRecovery(address account) view returns (${RECOVERY_TUPLE} recovery, uint256 nonce)`,
+    'function getRecoveryHash(address account) view returns (bytes32)',
+    'function recoveryApprovals(address account, uint256 nonce, address guardian) view returns (bool)',
+    'function recoveryCancelVotes(address account, uint256 nonce, address guardian) view returns (bool)'
+];
+
+// onInstall data; multiSigPlugin is the MultiSigPlugin whose owners recoveries may replace
+function encodeRecoveryInstallData(guardians, threshold, delay, multiSigPlugin = null) {
+    return ethers.utils.defaultAbiCoder.encode(
+        ['address[]', 'uint256', 'uint256', 'address'],
+        [guardians, threshold, delay, multiSigPlugin || ethers.constants.AddressZero]
+    );
+}
+
+function decodeGuardianConfig({ guardians, threshold, delay, multiSigPlugin }) {
+    return {
+        guardians,
+        threshold: threshold.toNumber(),
+        delay: delay.toNumber(),
+        multiSigPlugin: multiSigPlugin === ethers.constants.AddressZero ? null : multiSigPlugin
+    };
+}
+
+// The plugin's view of a recovery; null when none is pending.
+// ready: threshold guardians approved and the delay is over at `now` (seconds).
+function decodeRecovery(recovery, nonce, now = Math.floor(Date.now() / 1000)) {
+    if (recovery.initiatedAt.isZero()) {
+        return null;
+    }
+
+    const executeAfter = recovery.executeAfter.toNumber();
+    return {
+        nonce: nonce.toNumber(),
+        newOwner: recovery.newOwner === ethers.constants.AddressZero ? null : recovery.newOwner,
+        newOwners: recovery.newOwners,
+        newThreshold: recovery.newThreshold.toNumber(),
+        approvals: recovery.approvals.toNumber(),
+        initiatedAt: recovery.initiatedAt.toNumber(),
+        executeAfter: executeAfter || null,
+        ready: executeAfter !== 0 && now >= executeAfter
+    };
+}
+
+// Acts for one guardian: guardians use their own key, not the account's
+class GuardianClient {
+    constructor(pluginAddress, signer) {
+        this.plugin = new ethers.Contract(pluginAddress, SOCIAL_RECOVERY_PLUGIN_ABI, signer);
+        this.signer = signer;
+    }
+
+    async getGuardianConfig(account) {
+        return decodeGuardianConfig(await this.plugin.getGuardianConfig(account));
+    }
+
+    async getRecovery(account) {
+        const [{ recovery, nonce }, block] = await Promise.all([
+            this.plugin.getRecovery(account),
+            this.signer.provider.getBlock('latest')
+        ]);
+        return decodeRecovery(recovery, nonce, block.timestamp);
+    }
+
+    async hasApproved(account, guardian = null) {
+        const { nonce } = await this.plugin.getRecovery(account);
+        return await this.plugin.recoveryApprovals(account, nonce, guardian || await this.signer.getAddress());
+    }
+    // Start a recovery that makes newOwner the account's owner,
+    // Start a recovery that nominates newOwner as the account's owner,
+    // or replaces its MultiSigPlugin owners with newOwners/newThreshold
+    async initiateRecovery(account, { newOwner = null, newOwners = [], newThreshold = 0 }) {
+        const tx = await this.plugin.initiateRecovery(
+            account,
+            newOwner || ethers.constants.AddressZero,
+            newOwners,
+            newThreshold
+        );
+        return await tx.wait();
+    }
+
+    async approveRecovery(account) {
+        const tx = await this.plugin.approveRecovery(account);
+        return await tx.wait();
+    }
+
+    // Approve off-chain: returns { signer, signature } for whoever relays the approvals
+    async signRecovery(account) {
+        if (!(await this.getRecovery(account))) {
+            throw new Error('No pending recovery to sign');
+        }
+        return await signAsOwner(this.signer, await this.plugin.getRecoveryHash(account));
+    }
+
+    // Relay guardian signatures collected with signRecovery; the sender need not be a guardian
+    async submitSignatures(account, signatures) {
+        const tx = await this.plugin.approveRecoveryWithSignatures(account, concatSortedSignatures(signatures));
+        return await tx.wait();
+    }
+
+    async executeRecovery(account) {
+        const tx = await this.plugin.executeRecovery(account);
+        return await tx.wait();
+    }
+
+    // Threshold guardian votes cancel the pending recovery, e.g. one a single guardian opened alone
+    async voteToCancelRecovery(account) {
+        const tx = await this.plugin.voteToCancelRecovery(account);
+        return await tx.wait();
+    }
+
+    async hasVotedToCancel(account, guardian = null) {
+        const { nonce } = await this.plugin.getRecovery(account);
+        return await this.plugin.recoveryCancelVotes(account, nonce, guardian || await this.signer.getAddress());
+    }
+}
+
+export {
+    SOCIAL_RECOVERY_PLUGIN_ABI,
+    GuardianClient,
+    encodeRecoveryInstallData,
+    decodeGuardianConfig,
+    decodeRecovery
+};
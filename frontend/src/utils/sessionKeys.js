@@ -0,0 +1,73 @@
+// sessionKeys.js - Scoped, expiring keys for SessionKeyPlugin
+import { ethers } from 'ethers';
+
+// Leading byte of userOp.signature selecting SessionKeyPlugin's session-key mode
+const SESSION_KEY_SIGNATURE_PREFIX = '0x02';
+
+const PERMISSIONS_TUPLE = 'tuple(address[] targets, bytes4[] selectors, uint256 valueLimit, uint256 spendLimit, uint48 validAfter, uint48 validUntil)';
+
+const SESSION_KEY_PLUGIN_ABI = [
+    `function grantSessionKey(address sessionKey, ${PERMISSIONS_TUPLE} permissions)`,
+    'function revokeSessionKey(address sessionKey)',
+    'function getSessionKeys(address account) view returns (address[])',
+    `function getSessionKey(address account, address sessionKey) view returns (${PERMISSIONS_TUPLE} permissions, uint256 spent)`
+];
+
+// Selectors may be given as '0xa9059cbb' or as a signature like 'transfer(address,uint256)'
+function toSelector(selector) {
+    return selector.includes('(') ? ethers.utils.id(selector).slice(0, 10) : ethers.utils.hexlify(selector);
+}
+
+// Permissions in the plugin's tuple order. validUntil is required: session keys always expire.
+function encodeSessionKeyPermissions({
+    targets,
+    selectors = [],
+    valueLimit = 0,
+    spendLimit = 0,
+    validAfter = 0,
+    validUntil
+}) {
+    if (!targets || targets.length === 0) {
+        throw new Error('Session key permissions need at least one target');
+    }
+    if (!validUntil) {
+        throw new Error('Session key permissions need a validUntil timestamp');
+    }
+
+    return {
+        targets: targets.map((target) => ethers.utils.getAddress(target)),
+        selectors: selectors.map(toSelector),
+        valueLimit: ethers.BigNumber.from(valueLimit),
+        spendLimit: ethers.BigNumber.from(spendLimit),
+        validAfter,
+        validUntil
+    };
+}
+
+// The plugin's view of a key, with numbers as plain timestamps
+function decodeSessionKey(sessionKey, permissions, spent) {
+    return {
+        sessionKey,
+        targets: permissions.targets,
+        selectors: permissions.selectors,
+        valueLimit: permissions.valueLimit,
+        spendLimit: permissions.spendLimit,
+        spent,
+        validAfter: permissions.validAfter,
+        validUntil: permissions.validUntil
+    };
+}
+
+// Sign a userOpHash with a session key (eth_sign, as the plugin expects)
+async function signAsSessionKey(sessionSigner, userOpHash) {
+    const signature = await sessionSigner.signMessage(ethers.utils.arrayify(userOpHash));
+    return ethers.utils.hexConcat([SESSION_KEY_SIGNATURE_PREFIX, signature]);
+}
+
+export {
+    SESSION_KEY_SIGNATURE_PREFIX,
+    SESSION_KEY_PLUGIN_ABI,
+    encodeSessionKeyPermissions,
+    decodeSessionKey,
+    signAsSessionKey
+};
@@ -0,0 +1,46 @@
+// signatureService.js - Client for the off-chain multisig signature collection service
+import { serializeUserOp } from './userOp';
+
+class SignatureServiceClient {
+    constructor(serviceUrl) {
+        this.serviceUrl = serviceUrl.replace(/\/$/, '');
+    }
+
+    async request(method, path, body) {
+        const response = await fetch(`${this.serviceUrl}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Signature service error (${response.status})`);
+        }
+
+        return result;
+    }
+
+    // Post a new proposal with the proposer's own signature, which the service requires
+    async propose(userOp, signature, description = '') {
+        return this.request('POST', '/proposals', {
+            userOp: serializeUserOp(userOp),
+            signature,
+            description
+        });
+    }
+
+    async getProposal(id) {
+        return this.request('GET', `/proposals/${id}`);
+    }
+
+    async getPendingProposals(accountAddress) {
+        return this.request('GET', `/accounts/${accountAddress}/proposals`);
+    }
+
+    async addSignature(id, signature) {
+        return this.request('POST', `/proposals/${id}/signatures`, { signature });
+    }
+}
+
+export { SignatureServiceClient, serializeUserOp };
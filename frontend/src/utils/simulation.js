@@ -0,0 +1,194 @@
+// simulation.js - Dry runs of account calls on a fork or local node, rolled back afterwards
+import { ethers } from 'ethers';
+import { decodeFailureReason } from './multisig';
+
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Revert data sits at different depths depending on the provider that relayed the error
+function getRevertData(error) {
+    for (let e = error; e; e = e.error) {
+        if (typeof e.data === 'string' && e.data.startsWith('0x')) {
+            return e.data;
+        }
+        if (e.data && typeof e.data.data === 'string') {
+            return e.data.data;
+        }
+    }
+    if (typeof error.body === 'string') {
+        try {
+            return getRevertData(JSON.parse(error.body));
+        } catch (parseError) {
+            return null;
+        }
+    }
+    return null;
+}
+
+// Error(string) as its message, Panic(uint256) as its code, anything else as hex
+function decodeRevertReason(data) {
+    if (data && data.startsWith(PANIC_SELECTOR)) {
+        const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], ethers.utils.hexDataSlice(data, 4));
+        return `Panic(0x${code.toNumber().toString(16)})`;
+    }
+    return decodeFailureReason(data);
+}
+
+const TOKEN_EVENTS = new ethers.utils.Interface([
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+    'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)'
+]);
+const TRANSFER_TOPIC = TOKEN_EVENTS.getEventTopic('Transfer');
+const TRANSFER_SINGLE_TOPIC = TOKEN_EVENTS.getEventTopic('TransferSingle');
+const TRANSFER_BATCH_TOPIC = TOKEN_EVENTS.getEventTopic('TransferBatch');
+
+// Token balance changes from the transfer logs of ERC-20, ERC-721 and ERC-1155 contracts, as
+// [{ token, standard, holder, tokenId, change }] with change as a signed decimal string.
+// ERC-20 and ERC-721 Transfer share a topic; the ERC-721 one indexes its token ID too.
+function tokenBalanceChanges(logs) {
+    const changes = new Map();
+    const add = (token, standard, holder, tokenId, amount) => {
+        if (holder === ethers.constants.AddressZero) {
+            return;
+        }
+        const key = [token, holder, tokenId].join(':');
+        const entry = changes.get(key) || { token, standard, holder, tokenId, change: ethers.constants.Zero };
+        entry.change = entry.change.add(amount);
+        changes.set(key, entry);
+    };
+    const move = (token, standard, from, to, tokenId, amount) => {
+        add(token, standard, from, tokenId, ethers.constants.Zero.sub(amount));
+        add(token, standard, to, tokenId, amount);
+    };
+    const topicAddress = (topic) => ethers.utils.getAddress(ethers.utils.hexDataSlice(topic, 12));
+
+    for (const { address, topics, data } of logs) {
+        if (topics[0] === TRANSFER_TOPIC && topics.length === 3) {
+            move(address, 'ERC20', topicAddress(topics[1]), topicAddress(topics[2]), null, ethers.BigNumber.from(data));
+        } else if (topics[0] === TRANSFER_TOPIC && topics.length === 4) {
+            const tokenId = ethers.BigNumber.from(topics[3]).toString();
+            move(address, 'ERC721', topicAddress(topics[1]), topicAddress(topics[2]), tokenId, 1);
+        } else if (topics[0] === TRANSFER_SINGLE_TOPIC) {
+            const { from, to, id, value } = TOKEN_EVENTS.parseLog({ topics, data }).args;
+            move(address, 'ERC1155', from, to, id.toString(), value);
+        } else if (topics[0] === TRANSFER_BATCH_TOPIC) {
+            const { from, to, ids, values } = TOKEN_EVENTS.parseLog({ topics, data }).args;
+            ids.forEach((id, i) => move(address, 'ERC1155', from, to, id.toString(), values[i]));
+        }
+    }
+
+    return [...changes.values()]
+        .filter((entry) => !entry.change.isZero())
+        .map((entry) => ({ ...entry, change: entry.change.toString() }));
+}
+
+/**
+ * Runs a call on a Hardhat or Anvil node, ideally a fork of the live chain, from any address
+ * (impersonated, with gas at a zero base fee) and reverts the node to where it was. Anything else
+ * sent to the node during the run is rolled back with it, so point it at a node of its own.
+ */
+class Simulator {
+    constructor(provider, registry) {
+        this.provider = provider;
+        this.registry = registry;
+        this.rpcPrefix = null;
+    }
+
+    // Node-specific methods are hardhat_* or anvil_*; whichever the node answers is kept
+    async nodeRpc(method, params) {
+        if (this.rpcPrefix) {
+            return this.provider.send(`${this.rpcPrefix}_${method}`, params);
+        }
+        for (const prefix of ['hardhat', 'anvil']) {
+            try {
+                const result = await this.provider.send(`${prefix}_${method}`, params);
+                this.rpcPrefix = prefix;
+                return result;
+            } catch (error) {
+                if (!/not (found|supported|available)|does not exist|unsupported/i.test(error.message)) {
+                    throw error;
+                }
+            }
+        }
+        throw new Error('Simulation needs a Hardhat or Anvil node (e.g. a fork of the chain)');
+    }
+
+    /**
+     * Simulate `to.call{value}(data)` sent by `from`
+     * @param watch Addresses to report ETH balance changes for
+     * @returns { success, revertReason, gasUsed, events, balanceChanges, tokenChanges };
+     *          events are decoded by the registry where it knows them ({ address, contract, name, args }),
+     *          balanceChanges are ETH as [{ address, change }] in wei
+     */
+    async simulate({ from, to, value = 0, data = '0x' }, { watch = [] } = {}) {
+        const tx = {
+            from,
+            to,
+            value: ethers.utils.hexValue(ethers.BigNumber.from(value)),
+            data
+        };
+
+        // A revert has no events or balance changes to show, only its reason
+        try {
+            await this.provider.send('eth_call', [tx, 'latest']);
+        } catch (error) {
+            const revertData = getRevertData(error);
+            return {
+                success: false,
+                revertReason: revertData ? decodeRevertReason(revertData) : error.message,
+                gasUsed: null,
+                events: [],
+                balanceChanges: [],
+                tokenChanges: []
+            };
+        }
+
+        const snapshot = await this.provider.send('evm_snapshot', []);
+        try {
+            const blockBefore = await this.provider.getBlockNumber();
+            const { gasLimit } = await this.provider.getBlock(blockBefore);
+            await this.nodeRpc('impersonateAccount', [from]);
+            await this.nodeRpc('setNextBlockBaseFeePerGas', ['0x0']);
+
+            const hash = await this.provider.send('eth_sendTransaction', [{
+                ...tx,
+                gas: ethers.utils.hexValue(gasLimit),
+                maxFeePerGas: '0x0',
+                maxPriorityFeePerGas: '0x0'
+            }]);
+            let receipt = await this.provider.getTransactionReceipt(hash);
+            if (!receipt) {
+                await this.provider.send('evm_mine', []);
+                receipt = await this.provider.getTransactionReceipt(hash);
+            }
+
+            const events = receipt.logs.map((log) => ({
+                address: log.address,
+                ...(this.registry.decodeLog(log) || { contract: null, name: null, args: null, topics: log.topics, data: log.data })
+            }));
+
+            const addresses = [...new Set([to, ...watch].map((address) => ethers.utils.getAddress(address)))];
+            const balanceChanges = (await Promise.all(addresses.map(async (address) => {
+                const [before, after] = await Promise.all([
+                    this.provider.getBalance(address, blockBefore),
+                    this.provider.getBalance(address, receipt.blockNumber)
+                ]);
+                return { address, change: after.sub(before).toString() };
+            }))).filter(({ change }) => change !== '0');
+
+            return {
+                success: receipt.status === 1,
+                revertReason: null,
+                gasUsed: receipt.gasUsed.toString(),
+                events,
+                balanceChanges,
+                tokenChanges: tokenBalanceChanges(receipt.logs)
+            };
+        } finally {
+            await this.provider.send('evm_revert', [snapshot]);
+            await this.nodeRpc('stopImpersonatingAccount', [from]).catch(() => {});
+        }
+    }
+}
+
+export { Simulator, getRevertData, decodeRevertReason, tokenBalanceChanges };
@@ -0,0 +1,69 @@
+// spendingLimits.js - Spending limits and target lists enforced by SpendingLimitPlugin
+import { ethers } from 'ethers';
+
+// Token address SpendingLimitPlugin uses for native ETH
+const NATIVE_TOKEN = ethers.constants.AddressZero;
+
+// Period lengths in seconds
+const SPENDING_PERIODS = {
+    daily: 86400,
+    weekly: 7 * 86400
+};
+
+const SPENDING_LIMIT_PLUGIN_ABI = [
+    'function setSpendingLimit(address token, uint256 limit, uint48 period)',
+    'function removeSpendingLimit(address token)',
+    'function setAllowlisted(address[] targets, bool allowed)',
+    'function setDenylisted(address[] targets, bool denied)',
+    'function setAllowlistEnabled(bool enabled)',
+    'function getSpendingLimit(address account, address token) view returns (uint256 limit, uint48 period, uint256 spent, uint256 resetsAt)',
+    'function getLimitedTokens(address account) view returns (address[])',
+    'function getTargetLists(address account) view returns (address[] allowed, address[] denied)',
+    'function allowlistEnabled(address account) view returns (bool)',
+    'function isTargetPermitted(address account, address target) view returns (bool)'
+];
+
+// period may be 'daily', 'weekly' or a number of seconds
+function toPeriod(period) {
+    const seconds = typeof period === 'string' ? SPENDING_PERIODS[period] : period;
+    if (!seconds || seconds <= 0) {
+        throw new Error(`Invalid spending period: ${period}`);
+    }
+    return seconds;
+}
+
+// onInstall data for limits given as [{ token, limit, period }]; token null or omitted means ETH
+function encodeSpendingLimitInstallData(limits = []) {
+    if (limits.length === 0) {
+        return '0x';
+    }
+    return ethers.utils.defaultAbiCoder.encode(
+        ['address[]', 'uint256[]', 'uint48[]'],
+        [
+            limits.map(({ token }) => token || NATIVE_TOKEN),
+            limits.map(({ limit }) => limit),
+            limits.map(({ period }) => toPeriod(period))
+        ]
+    );
+}
+
+// A token's limit as of now, with `remaining` for convenience
+function decodeSpendingLimit(token, { limit, period, spent, resetsAt }) {
+    return {
+        token,
+        limit,
+        period,
+        spent,
+        remaining: limit.gt(spent) ? limit.sub(spent) : ethers.constants.Zero,
+        resetsAt: resetsAt.toNumber()
+    };
+}
+
+export {
+    NATIVE_TOKEN,
+    SPENDING_PERIODS,
+    SPENDING_LIMIT_PLUGIN_ABI,
+    toPeriod,
+    encodeSpendingLimitInstallData,
+    decodeSpendingLimit
+};
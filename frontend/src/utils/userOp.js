@@ -0,0 +1,131 @@
+// userOp.js - Canonical UserOperation hashing (ERC-4337 v0.6)
+//
+// The same scheme is implemented by MockEntryPoint.getUserOpHash and
+// ModularSmartAccount.getUserOpTypedDataHash; test/vectors/userOpHash.json
+// pins all three to the same values.
+import { ethers } from 'ethers';
+
+const SIGNATURE_MODE_EIP191 = 'eip191';
+const SIGNATURE_MODE_EIP712 = 'eip712';
+
+// Leading byte that tells ModularSmartAccount the signature is over EIP-712 typed data
+const EIP712_SIGNATURE_PREFIX = '0x01';
+
+const EIP712_DOMAIN_NAME = 'ModularSmartAccount';
+const EIP712_DOMAIN_VERSION = '1';
+
+const USER_OPERATION_TYPES = {
+    UserOperation: [
+        { name: 'sender', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'initCode', type: 'bytes' },
+        { name: 'callData', type: 'bytes' },
+        { name: 'callGasLimit', type: 'uint256' },
+        { name: 'verificationGasLimit', type: 'uint256' },
+        { name: 'preVerificationGas', type: 'uint256' },
+        { name: 'maxFeePerGas', type: 'uint256' },
+        { name: 'maxPriorityFeePerGas', type: 'uint256' },
+        { name: 'paymasterAndData', type: 'bytes' },
+        { name: 'entryPoint', type: 'address' }
+    ]
+};
+
+// UserOperation as JSON: quantities as hex strings
+function serializeUserOp(userOp) {
+    const serialized = {};
+    for (const [key, value] of Object.entries(userOp)) {
+        serialized[key] = ethers.BigNumber.isBigNumber(value) || typeof value === 'number'
+            ? ethers.BigNumber.from(value).toHexString()
+            : value;
+    }
+    return serialized;
+}
+
+// keccak256 of the ABI-encoded op without its signature
+function packUserOp(userOp) {
+    const packed = ethers.utils.defaultAbiCoder.encode(
+        [
+            'address',
+            'uint256',
+            'bytes32',
+            'bytes32',
+            'uint256',
+            'uint256',
+            'uint256',
+            'uint256',
+            'uint256',
+            'bytes32'
+        ],
+        [
+            userOp.sender,
+            userOp.nonce,
+            ethers.utils.keccak256(userOp.initCode),
+            ethers.utils.keccak256(userOp.callData),
+            userOp.callGasLimit,
+            userOp.verificationGasLimit,
+            userOp.preVerificationGas,
+            userOp.maxFeePerGas,
+            userOp.maxPriorityFeePerGas,
+            ethers.utils.keccak256(userOp.paymasterAndData)
+        ]
+    );
+
+    return ethers.utils.keccak256(packed);
+}
+
+// keccak256(abi.encode(packUserOp(userOp), entryPoint, chainId))
+function getUserOpHash(userOp, entryPointAddress, chainId) {
+    const encoded = ethers.utils.defaultAbiCoder.encode(
+        ['bytes32', 'address', 'uint256'],
+        [packUserOp(userOp), entryPointAddress, chainId]
+    );
+
+    return ethers.utils.keccak256(encoded);
+}
+
+// EIP-712 payload for signer._signTypedData / eth_signTypedData_v4.
+// The account itself is the verifying contract, so the sender must be known up front.
+function getUserOpTypedData(userOp, entryPointAddress, chainId) {
+    const domain = {
+        name: EIP712_DOMAIN_NAME,
+        version: EIP712_DOMAIN_VERSION,
+        chainId: chainId,
+        verifyingContract: userOp.sender
+    };
+
+    const value = {
+        sender: userOp.sender,
+        nonce: userOp.nonce,
+        initCode: userOp.initCode,
+        callData: userOp.callData,
+        callGasLimit: userOp.callGasLimit,
+        verificationGasLimit: userOp.verificationGasLimit,
+        preVerificationGas: userOp.preVerificationGas,
+        maxFeePerGas: userOp.maxFeePerGas,
+        maxPriorityFeePerGas: userOp.maxPriorityFeePerGas,
+        paymasterAndData: userOp.paymasterAndData,
+        entryPoint: entryPointAddress
+    };
+
+    return { domain, types: USER_OPERATION_TYPES, value };
+}
+
+// Digest the account recovers EIP-712 signatures against
+function getUserOpTypedDataHash(userOp, entryPointAddress, chainId) {
+    const { domain, types, value } = getUserOpTypedData(userOp, entryPointAddress, chainId);
+    return ethers.utils._TypedDataEncoder.hash(domain, types, value);
+}
+
+export {
+    EIP712_DOMAIN_NAME,
+    EIP712_DOMAIN_VERSION,
+    SIGNATURE_MODE_EIP191,
+    SIGNATURE_MODE_EIP712,
+    EIP712_SIGNATURE_PREFIX,
+    USER_OPERATION_TYPES,
+    serializeUserOp,
+    packUserOp,
+    getUserOpHash,
+    getUserOpTypedData,
+    getUserOpTypedDataHash
+};
@@ -1,14 +1,144 @@
 // wallet.js - ERC-4337 Smart Account Wallet Implementation
 import { ethers } from 'ethers';
+import {
+    SIGNATURE_MODE_EIP191,
+    SIGNATURE_MODE_EIP712,
+    EIP712_SIGNATURE_PREFIX,
+    getUserOpHash,
+    getUserOpTypedData
+} from './userOp';
+import {
+    MULTISIG_SIGNATURE_PREFIX,
+    MULTISIG_OWNER_SIGNATURE_PREFIX,
+    MULTISIG_PLUGIN_ABI,
+    PENDING_PAGE_SIZE,
+    encodeMultiSigInstallData,
+    encodeMultiSigCalls,
+    encodeThresholdPolicy,
+    decodeThresholdPolicy,
+    countSignaturesNeeded,
+    decodeMultiSigTransaction,
+    signAsOwner,
+    collectOwnerSignatures,
+    aggregateSignatures,
+    concatSortedSignatures
+} from './multisig';
+import {
+    SESSION_KEY_SIGNATURE_PREFIX,
+    SESSION_KEY_PLUGIN_ABI,
+    encodeSessionKeyPermissions,
+    decodeSessionKey,
+    signAsSessionKey
+} from './sessionKeys';
+import {
+    SOCIAL_RECOVERY_PLUGIN_ABI,
+    GuardianClient,
+    encodeRecoveryInstallData,
+    decodeGuardianConfig,
+    decodeRecovery
+} from './recovery';
+import {
+    NATIVE_TOKEN,
+    SPENDING_LIMIT_PLUGIN_ABI,
+    toPeriod,
+    encodeSpendingLimitInstallData,
+    decodeSpendingLimit
+} from './spendingLimits';
+import { PLUGIN_MANAGER_ABI, getPluginManifest, checkPluginInstall, encodePluginManifest } from './plugins';
+import {
+    ERC1271_MAGIC_VALUE,
+    ERC1271_ABI,
+    getAccountMessageHash,
+    hashMessage,
+    hashTypedData,
+    signAccountMessage
+} from './messages';
+import { SignatureServiceClient } from './signatureService';
+import { IndexerClient } from './indexer';
+import { createAbiRegistry, decodeCall, describeCall } from './decoder';
+import { Simulator, decodeRevertReason } from './simulation';
+import { BundlerClient, BundlerError, UserOperationTimeoutError } from './bundler';
+import { VerifyingPaymasterClient, PaymasterRpcClient, TokenPaymasterClient } from './paymaster';
+import {
+    VALIDATION_GAS,
+    getDummySignature,
+    calcPreVerificationGas,
+    getFeeData,
+    estimateCallGasLimit
+} from './gas';
+
+// Fields a paymaster may set when it sponsors an op
+const SPONSORED_FIELDS = [
+    'paymasterAndData',
+    'callGasLimit',
+    'verificationGasLimit',
+    'preVerificationGas',
+    'maxFeePerGas',
+    'maxPriorityFeePerGas'
+];
+
+const EXECUTE_SELECTOR = ethers.utils.id('execute(address,uint256,bytes)').slice(0, 10);
+
+// What the EntryPoint logs about each op it executes
+const USER_OPERATION_EVENTS = new ethers.utils.Interface([
+    'event UserOperationEvent(bytes32 indexed userOpHash, address indexed sender, address indexed paymaster, uint256 nonce, bool success, uint256 actualGasCost, uint256 actualGasUsed)',
+    'event UserOperationRevertReason(bytes32 indexed userOpHash, address indexed sender, uint256 nonce, bytes revertReason)'
+]);
+
+// An op that was included but whose call reverted: its nonce is used and its gas paid all the same
+class UserOperationRevertedError extends Error {
+    constructor(userOpHash, receipt, reason) {
+        super(`UserOperation ${userOpHash} reverted: ${reason || 'no reason given'}`);
+        this.name = 'UserOperationRevertedError';
+        this.userOpHash = userOpHash;
+        this.receipt = receipt;
+        this.reason = reason;
+    }
+}
 
 class SmartAccountWallet {
-    constructor(provider, entryPointAddress, factoryAddress, multiSigPluginAddress) {
+    constructor(provider, entryPointAddress, factoryAddress, multiSigPluginAddress, options = {}) {
         this.provider = provider;
         this.entryPointAddress = entryPointAddress;
         this.factoryAddress = factoryAddress;
         this.multiSigPluginAddress = multiSigPluginAddress;
+        this.sessionKeyPluginAddress = options.sessionKeyPluginAddress || null;
+        this.recoveryPluginAddress = options.recoveryPluginAddress || null;
+        this.spendingLimitPluginAddress = options.spendingLimitPluginAddress || null;
         this.signer = null;
         this.accountAddress = null;
+        // Factory arguments the account was created with; initCode is built from them
+        this.accountOwner = null;
+        this.accountSalt = 0;
+        this.signingMode = options.signingMode || SIGNATURE_MODE_EIP191;
+        this.signatureService = options.signatureServiceUrl
+            ? new SignatureServiceClient(options.signatureServiceUrl)
+            : null;
+        // Names the project's contracts in decoded calls; registerContract adds others, e.g. tokens
+        this.abiRegistry = options.abiRegistry || createAbiRegistry({
+            entryPoint: entryPointAddress,
+            factory: factoryAddress,
+            multiSigPlugin: multiSigPluginAddress,
+            sessionKeyPlugin: this.sessionKeyPluginAddress,
+            socialRecoveryPlugin: this.recoveryPluginAddress,
+            spendingLimitPlugin: this.spendingLimitPluginAddress
+        });
+        // Previews dry-run calls on a Hardhat or Anvil node (a fork of the chain); without one they only decode
+        const simulationProvider = options.simulationProvider
+            || (options.simulationRpcUrl ? new ethers.providers.JsonRpcProvider(options.simulationRpcUrl) : null);
+        this.simulator = simulationProvider ? new Simulator(simulationProvider, this.abiRegistry) : null;
+        // Event history comes from the indexer, when one is configured
+        this.indexer = options.indexerUrl ? new IndexerClient(options.indexerUrl) : null;
+        // With a bundler, ops go through eth_sendUserOperation instead of handleOps from the signer
+        this.bundler = options.bundler
+            || (options.bundlerUrl ? new BundlerClient(options.bundlerUrl) : null);
+        this.receiptTimeout = options.receiptTimeout || 60000;
+        // eth_feeHistory settings: { blockCount, rewardPercentile, baseFeeMultiplier, minPriorityFeePerGas }
+        this.feeConfig = options.fees || {};
+        // Sponsors every op unless createUserOperation is given another (or null)
+        this.paymaster = options.paymaster
+            || (options.paymasterUrl ? new PaymasterRpcClient(options.paymasterUrl, options.paymasterOptions) : null);
+        this.chainId = null;
     }
 
     // Initialize wallet with a signer
@@ -17,137 +147,378 @@ class SmartAccountWallet {
         return this.signer.address;
     }
 
-    // Create a new smart account
+    // Sign with a signer held elsewhere, e.g. a browser wallet's (EIP-1193) Web3Provider signer
+    async connect(signer) {
+        this.signer = signer;
+        return await signer.getAddress();
+    }
+
+    // Compute the counterfactual smart account address.
+    // Nothing is deployed here: the first UserOperation carries the initCode
+    // and the EntryPoint deploys the account, paid from its balance or deposit.
     async createAccount(salt = 0) {
-        const factory = new ethers.Contract(
-            this.factoryAddress,
-            [
-                'function createAccount(address owner, uint256 salt) returns (address)',
-                'function getAddress(address owner, uint256 salt) view returns (address)'
-            ],
-            this.signer
-        );
+        const factory = this.getFactoryContract();
+
+        this.accountOwner = await this.signer.getAddress();
+        this.accountSalt = salt;
+        this.accountAddress = await factory.getAddress(this.accountOwner, salt);
+
+        return this.accountAddress;
+    }
+
+    // Use an existing smart account, e.g. one where this signer is a co-owner.
+    // An account not deployed yet needs the owner and salt the factory derives its address from.
+    loadAccount(accountAddress, { owner = null, salt = 0 } = {}) {
+        this.accountAddress = ethers.utils.getAddress(accountAddress);
+        this.accountOwner = owner;
+        this.accountSalt = salt;
+        return this.accountAddress;
+    }
 
-        // Get predicted address
-        this.accountAddress = await factory.getAddress(this.signer.address, salt);
-        
-        // Check if already deployed
+    // Check whether the smart account has been deployed yet
+    async isDeployed() {
         const code = await this.provider.getCode(this.accountAddress);
-        if (code === '0x') {
-            // Deploy the account
-            const tx = await factory.createAccount(this.signer.address, salt);
-            await tx.wait();
+        return code !== '0x';
+    }
+
+    // initCode for the first UserOperation: factory address + createAccount calldata
+    async getInitCode() {
+        if (await this.isDeployed()) {
+            return '0x';
         }
 
-        return this.accountAddress;
+        // Another owner or salt would deploy an account at a different address (AA14)
+        const factory = this.getFactoryContract();
+        const owner = this.accountOwner || await this.signer.getAddress();
+        const salt = this.accountSalt || 0;
+        if (await factory.getAddress(owner, salt) !== this.accountAddress) {
+            throw new Error('Account is not deployed and its owner and salt are unknown: pass them to loadAccount');
+        }
+
+        return ethers.utils.hexConcat([
+            this.factoryAddress,
+            factory.interface.encodeFunctionData('createAccount', [owner, salt])
+        ]);
     }
 
-    // Install multi-sig plugin
-    async installMultiSigPlugin(owners, threshold) {
-        const account = new ethers.Contract(
-            this.accountAddress,
+    getFactoryContract() {
+        return new ethers.Contract(
+            this.factoryAddress,
             [
-                'function installPlugin(bytes4 selector, address plugin, bytes data)'
+                'function createAccount(address owner, uint256 salt) returns (address)',
+                'function getAddress(address owner, uint256 salt) view returns (address)'
             ],
-            this.signer
+            this.signer || this.provider
         );
+    }
 
-        // Selector for multi-sig validation
-        const selector = '0x00000000'; // Custom selector for multi-sig operations
-        
-        // Encode installation data
-        const installData = ethers.utils.defaultAbiCoder.encode(
-            ['address[]', 'uint256'],
-            [owners, threshold]
+    // Install a plugin with everything its manifest declares. The manifest is read and checked
+    // against the account first; its hash pins it, so the account rejects a manifest that changed since.
+    // dependencies: installed plugins, one per manifest.dependencyInterfaceIds entry.
+    async installPlugin(pluginAddress, installData = '0x', dependencies = []) {
+        const { manifestHash } = await checkPluginInstall(
+            this.provider,
+            this.accountAddress,
+            pluginAddress,
+            dependencies
         );
+        const account = this.getPluginManager();
 
-        const userOp = await this.createUserOperation(
-            account.interface.encodeFunctionData('installPlugin', [
-                selector,
-                this.multiSigPluginAddress,
-                installData
-            ])
-        );
+        // installPlugin is onlySelf, so the account calls itself
+        const installCallData = account.interface.encodeFunctionData('installPlugin', [
+            pluginAddress,
+            manifestHash,
+            installData,
+            dependencies
+        ]);
+        return await this.execute(this.accountAddress, 0, installCallData);
+    }
 
-        return await this.sendUserOperation(userOp);
+    // manifest: the one the plugin was installed with, needed once the plugin's own has changed;
+    // by default the account reads it from the plugin
+    async uninstallPlugin(pluginAddress, uninstallData = '0x', manifest = null) {
+        const account = this.getPluginManager();
+        const uninstallCallData = account.interface.encodeFunctionData('uninstallPlugin', [
+            pluginAddress,
+            manifest ? encodePluginManifest(manifest) : '0x',
+            uninstallData
+        ]);
+        return await this.execute(this.accountAddress, 0, uninstallCallData);
+    }
+
+    async getPluginManifest(pluginAddress) {
+        return await getPluginManifest(this.provider, pluginAddress);
+    }
+
+    async getInstalledPlugins() {
+        if (!(await this.isDeployed())) {
+            return [];
+        }
+        return await this.getPluginManager().getInstalledPlugins();
+    }
+
+    getPluginManager() {
+        return new ethers.Contract(this.accountAddress, PLUGIN_MANAGER_ABI, this.provider);
     }
 
-    // Create a UserOperation
+    // Install multi-sig plugin; its manifest has it validate `execute` and `executeBatch`.
+    // threshold is a sum of owner weights; weights defaults to 1 for every owner.
+    async installMultiSigPlugin(owners, threshold, weights = []) {
+        return await this.installPlugin(
+            this.multiSigPluginAddress,
+            encodeMultiSigInstallData(owners, threshold, weights)
+        );
+    }
+
+    // Create a UserOperation. Gas limits are estimated for the validation route the
+    // callData will take and fees come from eth_feeHistory; any of them can be given in options.
+    // With a paymaster, the op is sponsored once its gas fields are final.
+    // options.sessionKey: a session key signer to sign with instead of the owner.
     async createUserOperation(callData, options = {}) {
-        const account = new ethers.Contract(
-            this.accountAddress,
-            ['function nonce() view returns (uint256)'],
+        const entryPoint = new ethers.Contract(
+            this.entryPointAddress,
+            ['function getNonce(address sender, uint192 key) view returns (uint256)'],
             this.provider
         );
 
-        const nonce = await account.nonce();
-        
+        // The EntryPoint tracks nonces, so this also works before the account is deployed
+        const nonce = await entryPoint.getNonce(this.accountAddress, 0);
+        const initCode = options.initCode || await this.getInitCode();
+        const paymaster = options.paymaster !== undefined ? options.paymaster : this.paymaster;
+
+        // e.g. a token paymaster that needs an allowance before it can charge the account
+        if (paymaster && paymaster.getApprovalCall) {
+            const approval = await paymaster.getApprovalCall(this.accountAddress);
+            if (approval) {
+                callData = this.prependCall(callData, approval);
+            }
+        }
+
+        const fees = options.maxFeePerGas && options.maxPriorityFeePerGas
+            ? options
+            : await getFeeData(this.provider, this.feeConfig);
+
         const userOp = {
             sender: this.accountAddress,
             nonce: nonce,
-            initCode: '0x',
+            initCode: initCode,
             callData: callData,
-            callGasLimit: options.callGasLimit || 200000,
-            verificationGasLimit: options.verificationGasLimit || 100000,
-            preVerificationGas: options.preVerificationGas || 50000,
-            maxFeePerGas: options.maxFeePerGas || ethers.utils.parseUnits('30', 'gwei'),
-            maxPriorityFeePerGas: options.maxPriorityFeePerGas || ethers.utils.parseUnits('2', 'gwei'),
+            callGasLimit: 0,
+            verificationGasLimit: 0,
+            preVerificationGas: 0,
+            maxFeePerGas: options.maxFeePerGas || fees.maxFeePerGas,
+            maxPriorityFeePerGas: options.maxPriorityFeePerGas || fees.maxPriorityFeePerGas,
             paymasterAndData: '0x',
             signature: '0x'
         };
 
-        // Sign the operation
-        userOp.signature = await this.signUserOperation(userOp);
+        // Estimate with placeholders of the final signature's and paymasterAndData's size
+        const validation = await this.getValidationRoute(callData, { sessionKey: Boolean(options.sessionKey) });
+        userOp.signature = validation.dummySignature;
+        if (paymaster) {
+            userOp.paymasterAndData = paymaster.getDummyPaymasterAndData(userOp);
+        }
+
+        userOp.verificationGasLimit = options.verificationGasLimit
+            || await this.estimateVerificationGasLimit(initCode, validation, paymaster);
+        userOp.callGasLimit = options.callGasLimit
+            || await estimateCallGasLimit(this.provider, this.entryPointAddress, userOp);
+        userOp.preVerificationGas = options.preVerificationGas || calcPreVerificationGas(userOp);
+
+        if (paymaster) {
+            const sponsorship = await paymaster.sponsorUserOperation(userOp, this.entryPointAddress);
+            for (const field of SPONSORED_FIELDS) {
+                if (sponsorship[field] !== undefined) {
+                    userOp[field] = sponsorship[field];
+                }
+            }
+        }
+        userOp.signature = '0x';
+
+        // Sign the operation (multi-sig ops are signed by the owners afterwards)
+        if (options.sign !== false) {
+            userOp.signature = options.sessionKey
+                ? await this.signUserOperationWithSessionKey(userOp, options.sessionKey)
+                : await this.signUserOperation(userOp);
+        }
 
         return userOp;
     }
 
-    // Sign a UserOperation
+    // How the account will validate an op with this callData: the plugin registered for
+    // its selector, or the owner signature. Plugin execution functions without a validation
+    // plugin of their own are validated like execute.
+    // Returns a placeholder signature of the right size.
+    // sessionKey: the op will be signed by a session key rather than the owner.
+    async getValidationRoute(callData, { sessionKey = false } = {}) {
+        let plugin = ethers.constants.AddressZero;
+        if (await this.isDeployed()) {
+            const account = new ethers.Contract(this.accountAddress, PLUGIN_MANAGER_ABI, this.provider);
+            const selector = ethers.utils.hexDataLength(callData) >= 4
+                ? ethers.utils.hexDataSlice(callData, 0, 4)
+                : '0x00000000';
+            plugin = await account.plugins(selector);
+            if (plugin === ethers.constants.AddressZero
+                && (await account.executionFunctions(selector)) !== ethers.constants.AddressZero) {
+                plugin = await account.plugins(EXECUTE_SELECTOR);
+            }
+        }
+
+        const ownerDummySignature = getDummySignature(
+            this.signingMode === SIGNATURE_MODE_EIP712 ? EIP712_SIGNATURE_PREFIX : '0x'
+        );
+        const isSessionKeyPlugin = this.sessionKeyPluginAddress
+            && plugin === ethers.utils.getAddress(this.sessionKeyPluginAddress);
+        if (sessionKey && !isSessionKeyPlugin) {
+            throw new Error('SessionKeyPlugin does not validate this call for the account');
+        }
+
+        if (plugin === ethers.constants.AddressZero) {
+            return { type: 'owner', dummySignature: ownerDummySignature };
+        }
+
+        // The plugin checks session-key signatures itself and hands owner signatures back to the account
+        if (isSessionKeyPlugin) {
+            return {
+                type: 'sessionKey',
+                plugin,
+                dummySignature: sessionKey ? getDummySignature(SESSION_KEY_SIGNATURE_PREFIX) : ownerDummySignature
+            };
+        }
+
+        if (this.multiSigPluginAddress && plugin === ethers.utils.getAddress(this.multiSigPluginAddress)) {
+            // The op's calls decide the weight it needs (the account's threshold policy)
+            const multiSig = this.getMultiSigPlugin();
+            const [{ weights }, required] = await Promise.all([
+                multiSig.getOwnerWeights(this.accountAddress),
+                multiSig.getRequiredWeight(this.accountAddress, callData)
+            ]);
+            const signatures = countSignaturesNeeded(weights, required);
+            return {
+                type: 'multisig',
+                plugin,
+                requiredWeight: required,
+                signatures,
+                dummySignature: getDummySignature(MULTISIG_SIGNATURE_PREFIX, signatures)
+            };
+        }
+
+        return { type: 'plugin', plugin, dummySignature: getDummySignature() };
+    }
+
+    // Validation gas for the route, plus deployment when the op carries initCode
+    // and the paymaster's validation when it is sponsored
+    async estimateVerificationGasLimit(initCode, validation, paymaster = null) {
+        let gas;
+        if (validation.type === 'owner') {
+            gas = ethers.BigNumber.from(VALIDATION_GAS.owner);
+        } else if (validation.type === 'sessionKey') {
+            gas = ethers.BigNumber.from(VALIDATION_GAS.sessionKey);
+        } else if (validation.type === 'multisig') {
+            gas = ethers.BigNumber.from(VALIDATION_GAS.multiSigPerSignature)
+                .mul(validation.signatures)
+                .add(VALIDATION_GAS.multiSigBase);
+        } else {
+            gas = ethers.BigNumber.from(VALIDATION_GAS.plugin);
+        }
+        if (paymaster) {
+            gas = gas.add(paymaster.validationGas ?? VALIDATION_GAS.paymaster);
+        }
+
+        // Deployment runs inside validation, so it has to fit in verificationGasLimit
+        if (initCode !== '0x') {
+            const deployGas = await this.provider.estimateGas({
+                to: ethers.utils.hexDataSlice(initCode, 0, 20),
+                data: ethers.utils.hexDataSlice(initCode, 20)
+            });
+            gas = gas.add(deployGas);
+        }
+
+        return gas;
+    }
+
+    // Turn execute/executeBatch callData (or none) into an executeBatch that makes `call` first.
+    // Note the account then validates the op for executeBatch, not execute.
+    prependCall(callData, call) {
+        const account = new ethers.utils.Interface([
+            'function execute(address to, uint256 value, bytes data)',
+            'function executeBatch(address[] to, uint256[] value, bytes[] data)'
+        ]);
+
+        const calls = [call];
+        if (callData !== '0x') {
+            let parsed;
+            try {
+                parsed = account.parseTransaction({ data: callData });
+            } catch (error) {
+                throw new Error('Only execute or executeBatch callData can be extended with another call');
+            }
+
+            if (parsed.name === 'execute') {
+                calls.push({ to: parsed.args.to, value: parsed.args.value, data: parsed.args.data });
+            } else {
+                parsed.args.to.forEach((to, i) => {
+                    calls.push({ to, value: parsed.args.value[i], data: parsed.args.data[i] });
+                });
+            }
+        }
+
+        return account.encodeFunctionData('executeBatch', [
+            calls.map((c) => c.to),
+            calls.map((c) => c.value),
+            calls.map((c) => c.data)
+        ]);
+    }
+
+    // Sign a UserOperation with the owner key.
+    // eip191 (default): eth_sign over the userOpHash.
+    // eip712: typed data over the op fields, so hardware wallets can show them.
     async signUserOperation(userOp) {
-        const userOpHash = this.getUserOpHash(userOp);
-        const signature = await this.signer.signMessage(ethers.utils.arrayify(userOpHash));
-        return signature;
+        const chainId = await this.getChainId();
+
+        if (this.signingMode === SIGNATURE_MODE_EIP712) {
+            const { domain, types, value } = getUserOpTypedData(userOp, this.entryPointAddress, chainId);
+            const signature = await this.signer._signTypedData(domain, types, value);
+            return ethers.utils.hexConcat([EIP712_SIGNATURE_PREFIX, signature]);
+        }
+
+        const userOpHash = getUserOpHash(userOp, this.entryPointAddress, chainId);
+        return await this.signer.signMessage(ethers.utils.arrayify(userOpHash));
     }
 
-    // Calculate UserOperation hash
-    getUserOpHash(userOp) {
-        const packed = ethers.utils.defaultAbiCoder.encode(
-            [
-                'address',
-                'uint256',
-                'bytes32',
-                'bytes32',
-                'uint256',
-                'uint256',
-                'uint256',
-                'uint256',
-                'uint256',
-                'bytes32'
-            ],
-            [
-                userOp.sender,
-                userOp.nonce,
-                ethers.utils.keccak256(userOp.initCode),
-                ethers.utils.keccak256(userOp.callData),
-                userOp.callGasLimit,
-                userOp.verificationGasLimit,
-                userOp.preVerificationGas,
-                userOp.maxFeePerGas,
-                userOp.maxPriorityFeePerGas,
-                ethers.utils.keccak256(userOp.paymasterAndData)
-            ]
-        );
+    // Sign a UserOperation with a session key granted through SessionKeyPlugin
+    async signUserOperationWithSessionKey(userOp, sessionSigner) {
+        return await signAsSessionKey(sessionSigner, await this.getUserOpHash(userOp));
+    }
 
-        const encoded = ethers.utils.defaultAbiCoder.encode(
-            ['bytes32', 'address', 'uint256'],
-            [ethers.utils.keccak256(packed), this.entryPointAddress, this.provider.network.chainId]
-        );
+    // Calculate UserOperation hash (same value as EntryPoint.getUserOpHash)
+    async getUserOpHash(userOp) {
+        return getUserOpHash(userOp, this.entryPointAddress, await this.getChainId());
+    }
 
-        return ethers.utils.keccak256(encoded);
+    async getChainId() {
+        if (!this.chainId) {
+            const network = await this.provider.getNetwork();
+            this.chainId = network.chainId;
+        }
+        return this.chainId;
     }
 
-    // Send UserOperation to the EntryPoint
+    // Send a UserOperation and wait for the transaction that included it.
+    // Goes through the bundler when one is configured, otherwise calls handleOps directly.
+    // Throws a UserOperationRevertedError, carrying the receipt, if the op's call reverted.
     async sendUserOperation(userOp) {
+        if (this.bundler) {
+            const userOpHash = await this.bundler.sendUserOperation(userOp, this.entryPointAddress);
+            const { receipt } = await this.bundler.waitForUserOperationReceipt(userOpHash, {
+                timeout: this.receiptTimeout
+            });
+            return this.checkUserOperationReceipt(
+                userOpHash,
+                await this.provider.getTransactionReceipt(receipt.transactionHash)
+            );
+        }
+
         const entryPoint = new ethers.Contract(
             this.entryPointAddress,
             [
@@ -156,8 +527,41 @@ class SmartAccountWallet {
             this.signer
         );
 
-        const tx = await entryPoint.handleOps([userOp], this.signer.address);
-        return await tx.wait();
+        const tx = await entryPoint.handleOps([userOp], await this.signer.getAddress());
+        return this.checkUserOperationReceipt(await this.getUserOpHash(userOp), await tx.wait());
+    }
+
+    // The receipt, once its UserOperationEvent shows the op succeeded; throws without that event
+    checkUserOperationReceipt(userOpHash, receipt) {
+        const logs = receipt.logs
+            .filter((log) => log.address.toLowerCase() === this.entryPointAddress.toLowerCase()
+                && log.topics[1] === userOpHash)
+            .map((log) => {
+                try {
+                    return USER_OPERATION_EVENTS.parseLog(log);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+
+        // e.g. the op was not in the bundle, or the wallet watches another EntryPoint
+        const event = logs.find((log) => log.name === 'UserOperationEvent');
+        if (!event) {
+            throw new Error(
+                `No UserOperationEvent for ${userOpHash} from EntryPoint ${this.entryPointAddress} in transaction ${receipt.transactionHash}`
+            );
+        }
+        if (event.args.success) {
+            return receipt;
+        }
+
+        const revert = logs.find((log) => log.name === 'UserOperationRevertReason');
+        throw new UserOperationRevertedError(
+            userOpHash,
+            receipt,
+            revert ? decodeRevertReason(revert.args.revertReason) : null
+        );
     }
 
     // Execute a transaction through the smart account
@@ -188,34 +592,603 @@ class SmartAccountWallet {
         return await this.sendUserOperation(userOp);
     }
 
-    // Submit a multi-sig transaction
+    // Call an execution function of a plugin installed on the account. The account routes
+    // unknown selectors to the plugin that declared them, so the plugin's calldata is the op's.
+    async executePluginFunction(plugin, functionName, args = []) {
+        const callData = await this.encodePluginCall(plugin, functionName, args);
+        const userOp = await this.createUserOperation(callData);
+
+        return await this.sendUserOperation(userOp);
+    }
+
+    // callData for a plugin execution function. It ends with the caller (ERC-2771), which the
+    // account only accepts if the op's signature proves it: this wallet's signer.
+    async encodePluginCall(plugin, functionName, args = []) {
+        return ethers.utils.hexConcat([
+            plugin.interface.encodeFunctionData(functionName, args),
+            await this.signer.getAddress()
+        ]);
+    }
+
+    // Act on an on-chain MultiSigPlugin proposal as this owner alone. The plugin records the
+    // owner the signature proves, whoever sends the op (e.g. a bundler).
+    async executeAsMultiSigOwner(functionName, args = [], options = {}) {
+        const callData = await this.encodePluginCall(this.getMultiSigPlugin(), functionName, args);
+        const userOp = await this.createUserOperation(callData, { ...options, sign: false });
+
+        const { signature } = await this.signMultiSigUserOperation(userOp);
+        userOp.signature = ethers.utils.hexConcat([MULTISIG_OWNER_SIGNATURE_PREFIX, signature]);
+
+        return await this.sendUserOperation(userOp);
+    }
+
+    // Submit a multi-sig transaction; it counts as this owner's confirmation
     async submitMultiSigTransaction(to, value, data) {
-        const multiSig = new ethers.Contract(
-            this.multiSigPluginAddress,
-            [
-                'function submitTransaction(address to, uint256 value, bytes data) returns (uint256)'
-            ],
-            this.signer
-        );
+        return await this.executeAsMultiSigOwner('submitTransaction', [to, value, data]);
+    }
 
-        const callData = multiSig.interface.encodeFunctionData('submitTransaction', [to, value, data]);
-        
-        // Execute through the smart account
-        return await this.execute(this.multiSigPluginAddress, 0, callData);
+    // Submit several calls ([{ to, value, data }]) as one transaction; they execute atomically
+    async submitMultiSigBatchTransaction(calls) {
+        return await this.executeAsMultiSigOwner('submitBatchTransaction', encodeMultiSigCalls(calls));
+    }
+
+    // Replace the calls of an open transaction this owner proposed; it keeps its ID, but
+    // confirmations start over
+    async replaceMultiSigTransaction(txId, calls) {
+        return await this.executeAsMultiSigOwner('replaceTransaction', [txId, ...encodeMultiSigCalls(calls)]);
+    }
+
+    // Withdraw an open transaction this owner proposed
+    async cancelMultiSigTransaction(txId) {
+        return await this.executeAsMultiSigOwner('cancelTransaction', [txId]);
     }
 
     // Confirm a multi-sig transaction
     async confirmMultiSigTransaction(txId) {
-        const multiSig = new ethers.Contract(
-            this.multiSigPluginAddress,
-            ['function confirmTransaction(uint256 txId)'],
+        return await this.executeAsMultiSigOwner('confirmTransaction', [txId]);
+    }
+
+    async revokeMultiSigConfirmation(txId) {
+        return await this.executeAsMultiSigOwner('revokeConfirmation', [txId]);
+    }
+
+    // Run a multi-sig transaction once confirmed; with an execution delay the first call after
+    // a threshold change only starts its timelock
+    async executeMultiSigTransaction(txId) {
+        return await this.executeAsMultiSigOwner('executeTransaction', [txId]);
+    }
+
+    // Vote to cancel a multi-sig transaction; threshold votes cancel it
+    async voteToCancelMultiSigTransaction(txId) {
+        return await this.executeAsMultiSigOwner('voteToCancel', [txId]);
+    }
+
+    // Owners who have confirmed a multi-sig transaction
+    async getMultiSigConfirmations(txId) {
+        return await this.getMultiSigPlugin().getConfirmations(this.accountAddress, txId);
+    }
+
+    // A multi-sig transaction with its status and countdown at the latest block
+    async getMultiSigTransaction(txId) {
+        const plugin = this.getMultiSigPlugin();
+        const [txn, weight, { executionDelay }, block] = await Promise.all([
+            plugin.getTransaction(this.accountAddress, txId),
+            plugin.getConfirmationWeight(this.accountAddress, txId),
+            plugin.getTimelock(this.accountAddress),
+            this.provider.getBlock('latest')
+        ]);
+        return decodeMultiSigTransaction(txId, txn, weight, executionDelay, block.timestamp);
+    }
+
+    // A page of the transactions still open for confirmation or execution, leaving out expired
+    // ones. Pass nextOffset back for the next page; it is null after the last. The order is not
+    // fixed, as closing a transaction moves another into its place.
+    async getPendingMultiSigTransactions({ offset = 0, limit = PENDING_PAGE_SIZE } = {}) {
+        const { pendingTxIds, total } = await this.getMultiSigPlugin().getPendingTransactions(
+            this.accountAddress,
+            offset,
+            limit
+        );
+        const transactions = await Promise.all(pendingTxIds.map((txId) => this.getMultiSigTransaction(txId)));
+        return {
+            transactions,
+            total: total.toNumber(),
+            nextOffset: offset + limit < total.toNumber() ? offset + limit : null
+        };
+    }
+
+    // Calldata as a call tree: the function and arguments of each call, and of the calls it makes
+    // or proposes (execute, executeBatch, submitTransaction, ...)
+    decodeCall(to, value = 0, data = '0x') {
+        return decodeCall(this.abiRegistry, { to, value, data });
+    }
+
+    // What proposing or confirming these calls ([{ to, value, data }]) leads to: each call decoded,
+    // and a dry run of their execution by MultiSigPlugin as executeTransaction will make it.
+    // simulation is null without a simulation node (options.simulationRpcUrl).
+    async previewMultiSigCalls(calls) {
+        const decoded = calls.map(({ to, value = 0, data = '0x' }) => this.decodeCall(to, value, data));
+        if (!this.simulator) {
+            return { calls: decoded, simulation: null };
+        }
+
+        const account = new ethers.utils.Interface([
+            'function executeBatch(address[] targets, uint256[] values, bytes[] datas)',
+            'function executeFromPlugin(address to, uint256 value, bytes data)'
+        ]);
+        // A single call is made directly, several through executeBatch, as in executeTransaction
+        const [to, value, data] = calls.length === 1
+            ? encodeMultiSigCalls(calls).map(([item]) => item)
+            : [this.accountAddress, 0, account.encodeFunctionData('executeBatch', encodeMultiSigCalls(calls))];
+        const simulation = await this.simulator.simulate(
+            {
+                from: this.multiSigPluginAddress,
+                to: this.accountAddress,
+                data: account.encodeFunctionData('executeFromPlugin', [to, value, data])
+            },
+            { watch: calls.map((call) => call.to) }
+        );
+        return { calls: decoded, simulation };
+    }
+
+    // previewMultiSigCalls for an open proposal, with the proposal itself
+    async previewMultiSigTransaction(txId) {
+        const transaction = await this.getMultiSigTransaction(txId);
+        return { transaction, ...(await this.previewMultiSigCalls(transaction.calls)) };
+    }
+
+    // A UserOperation's callData decoded, and dry-run as the EntryPoint would execute it
+    async previewUserOperation(callData) {
+        const call = this.decodeCall(this.accountAddress, 0, callData);
+        const simulation = this.simulator
+            ? await this.simulator.simulate(
+                { from: this.entryPointAddress, to: this.accountAddress, data: callData },
+                { watch: call.calls.map((inner) => inner.to) }
+            )
+            : null;
+        return { call, simulation };
+    }
+
+    // Set the delay between reaching the threshold and execution, and how long proposals stay
+    // open (0 for none). Once a delay is set, threshold signatures no longer authorize ops
+    // directly, so set it with them while there is none and through a proposal afterwards.
+    async setMultiSigTimelock(executionDelay, proposalLifetime, signers = [], signatures = []) {
+        return await this.executeMultiSigConfigChange(
+            'setTimelock',
+            [executionDelay, proposalLifetime],
+            signers,
+            signatures
+        );
+    }
+
+    // Replace the threshold policy; see encodeThresholdPolicy for its form
+    async setMultiSigThresholdPolicy(policy, signers = [], signatures = []) {
+        return await this.executeMultiSigConfigChange(
+            'setThresholdPolicy',
+            [encodeThresholdPolicy(policy)],
+            signers,
+            signatures
+        );
+    }
+
+    async setMultiSigOwnerWeight(owner, weight, signers = [], signatures = []) {
+        return await this.executeMultiSigConfigChange('setOwnerWeight', [owner, weight], signers, signatures);
+    }
+
+    // Call one of MultiSigPlugin's configuration functions (addOwner, changeThreshold, ...) as the
+    // account, approved by owner signatures reaching the weight the policy sets for it
+    async executeMultiSigConfigChange(functionName, args, signers = [], signatures = []) {
+        const callData = ethers.utils.hexConcat([
+            this.getMultiSigPlugin().interface.encodeFunctionData(functionName, args),
+            this.accountAddress
+        ]);
+        const userOp = await this.createUserOperation(callData, { sign: false });
+        await this.collectMultiSigSignatures(userOp, signers, signatures);
+
+        return await this.sendUserOperation(userOp);
+    }
+
+    // Owners with their voting weights, and the account's threshold
+    async getMultiSigOwners() {
+        const plugin = this.getMultiSigPlugin();
+        const [{ owners, weights, totalWeight }, [, threshold]] = await Promise.all([
+            plugin.getOwnerWeights(this.accountAddress),
+            plugin.getAccountConfig(this.accountAddress)
+        ]);
+        return {
+            owners: owners.map((owner, i) => ({ owner, weight: weights[i].toNumber() })),
+            totalWeight: totalWeight.toNumber(),
+            threshold: threshold.toNumber()
+        };
+    }
+
+    async getMultiSigThresholdPolicy() {
+        return decodeThresholdPolicy(await this.getMultiSigPlugin().getThresholdPolicy(this.accountAddress));
+    }
+
+    async getMultiSigTimelock() {
+        const { executionDelay, proposalLifetime } = await this.getMultiSigPlugin().getTimelock(this.accountAddress);
+        return { executionDelay: executionDelay.toNumber(), proposalLifetime: proposalLifetime.toNumber() };
+    }
+
+    // Propose a call to one of MultiSigPlugin's configuration functions for the owners to confirm
+    // on-chain, the way to change the configuration while an execution delay is set
+    async proposeMultiSigConfigChange(functionName, args) {
+        const data = this.getMultiSigPlugin().interface.encodeFunctionData(functionName, args);
+        return await this.submitMultiSigTransaction(this.accountAddress, 0, data);
+    }
+
+    // Start an owner rotation: the account nominates newOwner through a UserOperation
+    async transferOwnership(newOwner) {
+        const account = new ethers.Contract(
+            this.accountAddress,
+            ['function transferOwnership(address newOwner)'],
+            this.provider
+        );
+
+        const callData = account.interface.encodeFunctionData('transferOwnership', [newOwner]);
+        return await this.execute(this.accountAddress, 0, callData);
+    }
+
+    // Finish an owner rotation; must be sent by the nominated owner's signer
+    async acceptOwnership() {
+        const account = new ethers.Contract(
+            this.accountAddress,
+            ['function acceptOwnership()'],
             this.signer
         );
 
-        const callData = multiSig.interface.encodeFunctionData('confirmTransaction', [txId]);
-        
-        // Execute through the smart account
-        return await this.execute(this.multiSigPluginAddress, 0, callData);
+        const tx = await account.acceptOwnership();
+        return await tx.wait();
+    }
+
+    // Sign a UserOperation as one multi-sig owner; returns { signer, signature }
+    async signMultiSigUserOperation(userOp, signer = this.signer) {
+        return await signAsOwner(signer, await this.getUserOpHash(userOp));
+    }
+
+    // Collect owner signatures for a UserOperation and set the aggregated signature.
+    // `signatures` may already hold entries gathered elsewhere (e.g. from other devices).
+    async collectMultiSigSignatures(userOp, signers = [], signatures = []) {
+        const userOpHash = await this.getUserOpHash(userOp);
+        const collected = await collectOwnerSignatures(signers, userOpHash);
+
+        userOp.signature = aggregateSignatures([...signatures, ...collected]);
+        return userOp;
+    }
+
+    // Build, sign with several owners and send a multi-sig UserOperation in one go
+    async executeWithOwnerSignatures(to, value, data, signers, options = {}) {
+        const account = new ethers.Contract(
+            this.accountAddress,
+            ['function execute(address to, uint256 value, bytes data)'],
+            this.provider
+        );
+
+        const callData = account.interface.encodeFunctionData('execute', [to, value, data]);
+        const userOp = await this.createUserOperation(callData, { ...options, sign: false });
+        await this.collectMultiSigSignatures(userOp, signers);
+
+        return await this.sendUserOperation(userOp);
+    }
+
+    // Propose a multi-sig UserOperation to the signature service, signed by this owner.
+    // Other owners add their signatures with signProposal; no gas is spent until execution.
+    async proposeMultiSigUserOperation(callData, description = '', options = {}) {
+        const userOp = await this.createUserOperation(callData, { ...options, sign: false });
+        const { signature } = await this.signMultiSigUserOperation(userOp);
+
+        return await this.getSignatureService().propose(userOp, signature, description);
+    }
+
+    // Propose a multi-sig transfer/call from the smart account
+    async proposeMultiSigTransaction(to, value, data, description = '') {
+        const account = new ethers.Contract(
+            this.accountAddress,
+            ['function execute(address to, uint256 value, bytes data)'],
+            this.provider
+        );
+
+        const callData = account.interface.encodeFunctionData('execute', [to, value, data]);
+        return await this.proposeMultiSigUserOperation(callData, description);
+    }
+
+    async getPendingProposals() {
+        return await this.getSignatureService().getPendingProposals(this.accountAddress);
+    }
+
+    // Add this owner's signature to a proposal after checking its hash locally
+    async signProposal(proposalId) {
+        const service = this.getSignatureService();
+        const proposal = await service.getProposal(proposalId);
+
+        const userOpHash = await this.getUserOpHash(proposal.userOp);
+        if (userOpHash !== proposal.userOpHash) {
+            throw new Error('Proposal hash does not match its UserOperation');
+        }
+
+        const { signature } = await this.signMultiSigUserOperation(proposal.userOp);
+        return await service.addSignature(proposalId, signature);
+    }
+
+    // Send a proposal once it has collected threshold signatures
+    async executeProposal(proposalId) {
+        const proposal = await this.getSignatureService().getProposal(proposalId);
+        if (proposal.status !== 'ready') {
+            throw new Error(`Proposal is ${proposal.status}, not ready for execution`);
+        }
+
+        const userOp = { ...proposal.userOp, signature: proposal.aggregatedSignature };
+        return await this.sendUserOperation(userOp);
+    }
+
+    // Install SessionKeyPlugin as the validation plugin for execute and executeBatch.
+    // Owner-signed ops keep working: the plugin hands them back to the account's owner check.
+    async installSessionKeyPlugin() {
+        return await this.installPlugin(this.getSessionKeyPlugin().address);
+    }
+
+    // Grant (or re-grant, resetting its spend) a session key.
+    // permissions: { targets, selectors, valueLimit, spendLimit, validAfter, validUntil }
+    async grantSessionKey(sessionKey, permissions) {
+        const plugin = this.getSessionKeyPlugin();
+        const address = typeof sessionKey === 'string' ? sessionKey : await sessionKey.getAddress();
+
+        return await this.executePluginFunction(plugin, 'grantSessionKey', [
+            address,
+            encodeSessionKeyPermissions(permissions)
+        ]);
+    }
+
+    async revokeSessionKey(sessionKey) {
+        const plugin = this.getSessionKeyPlugin();
+        const address = typeof sessionKey === 'string' ? sessionKey : await sessionKey.getAddress();
+
+        return await this.executePluginFunction(plugin, 'revokeSessionKey', [address]);
+    }
+
+    // Session keys granted by the account with their permissions and spend so far
+    async getSessionKeys() {
+        const plugin = this.getSessionKeyPlugin();
+        const keys = await plugin.getSessionKeys(this.accountAddress);
+
+        return await Promise.all(keys.map(async (sessionKey) => {
+            const { permissions, spent } = await plugin.getSessionKey(this.accountAddress, sessionKey);
+            return decodeSessionKey(sessionKey, permissions, spent);
+        }));
+    }
+
+    // Build, sign with a session key and send an op; the owner key is not used
+    async executeWithSessionKey(to, value, data, sessionSigner, options = {}) {
+        const account = new ethers.Contract(
+            this.accountAddress,
+            ['function execute(address to, uint256 value, bytes data)'],
+            this.provider
+        );
+
+        const callData = account.interface.encodeFunctionData('execute', [to, value, data]);
+        const userOp = await this.createUserOperation(callData, { ...options, sessionKey: sessionSigner });
+
+        return await this.sendUserOperation(userOp);
+    }
+
+    getMultiSigPlugin() {
+        if (!this.multiSigPluginAddress) {
+            throw new Error('No MultiSigPlugin configured');
+        }
+        return new ethers.Contract(this.multiSigPluginAddress, MULTISIG_PLUGIN_ABI, this.provider);
+    }
+
+    getSessionKeyPlugin() {
+        if (!this.sessionKeyPluginAddress) {
+            throw new Error('No SessionKeyPlugin configured (options.sessionKeyPluginAddress)');
+        }
+        return new ethers.Contract(this.sessionKeyPluginAddress, SESSION_KEY_PLUGIN_ABI, this.provider);
+    }
+
+    // Install SocialRecoveryPlugin with the account's guardians.
+    // Pass multiSigPluginAddress to let recoveries replace the MultiSigPlugin owners too.
+    async installRecoveryPlugin(guardians, threshold, delay, multiSigPluginAddress = null) {
+        return await this.installPlugin(
+            this.getRecoveryPlugin().address,
+            encodeRecoveryInstallData(guardians, threshold, delay, multiSigPluginAddress)
+        );
+    }
+
+    async setGuardians(guardians, threshold) {
+        const plugin = this.getRecoveryPlugin();
+        return await this.executePluginFunction(plugin, 'setGuardians', [guardians, threshold]);
+    }
+
+    async setRecoveryDelay(delay) {
+        const plugin = this.getRecoveryPlugin();
+        return await this.executePluginFunction(plugin, 'setRecoveryDelay', [delay]);
+    }
+
+    // Cancel a recovery the guardians started; only the account's current owners can
+    async cancelRecovery() {
+        const plugin = this.getRecoveryPlugin();
+        return await this.executePluginFunction(plugin, 'cancelRecovery');
+    }
+
+    async getGuardianConfig() {
+        const plugin = this.getRecoveryPlugin();
+        return decodeGuardianConfig(await plugin.getGuardianConfig(this.accountAddress));
+    }
+
+    // The pending recovery, or null
+    async getPendingRecovery() {
+        const plugin = this.getRecoveryPlugin();
+        const [{ recovery, nonce }, block] = await Promise.all([
+            plugin.getRecovery(this.accountAddress),
+            this.provider.getBlock('latest')
+        ]);
+        return decodeRecovery(recovery, nonce, block.timestamp);
+    }
+
+    getRecoveryPlugin() {
+        if (!this.recoveryPluginAddress) {
+            throw new Error('No SocialRecoveryPlugin configured (options.recoveryPluginAddress)');
+        }
+        return new ethers.Contract(this.recoveryPluginAddress, SOCIAL_RECOVERY_PLUGIN_ABI, this.provider);
+    }
+
+    // Install SpendingLimitPlugin, a pre-execution hook of execute, executeBatch and
+    // executeFromPlugin, so every call the account makes is checked whoever signed the op,
+    // executed multi-sig proposals included.
+    // limits: [{ token, limit, period }], token omitted for ETH, period 'daily', 'weekly' or seconds.
+    async installSpendingLimitPlugin(limits = []) {
+        return await this.installPlugin(
+            this.getSpendingLimitPlugin().address,
+            encodeSpendingLimitInstallData(limits)
+        );
+    }
+
+    // token: ERC-20 address, or null for ETH; period: 'daily', 'weekly' or seconds
+    async setSpendingLimit(token, limit, period) {
+        const plugin = this.getSpendingLimitPlugin();
+        return await this.executePluginFunction(plugin, 'setSpendingLimit', [
+            token || NATIVE_TOKEN,
+            limit,
+            toPeriod(period)
+        ]);
+    }
+
+    async removeSpendingLimit(token) {
+        const plugin = this.getSpendingLimitPlugin();
+        return await this.executePluginFunction(plugin, 'removeSpendingLimit', [token || NATIVE_TOKEN]);
+    }
+
+    async setAllowlisted(targets, allowed = true) {
+        const plugin = this.getSpendingLimitPlugin();
+        return await this.executePluginFunction(plugin, 'setAllowlisted', [targets, allowed]);
+    }
+
+    async setDenylisted(targets, denied = true) {
+        const plugin = this.getSpendingLimitPlugin();
+        return await this.executePluginFunction(plugin, 'setDenylisted', [targets, denied]);
+    }
+
+    // While enabled, the account may only call and pay allowlisted addresses
+    async setAllowlistEnabled(enabled) {
+        const plugin = this.getSpendingLimitPlugin();
+        return await this.executePluginFunction(plugin, 'setAllowlistEnabled', [enabled]);
+    }
+
+    // Every limit with what has been spent and remains in its current period
+    async getSpendingLimits() {
+        const plugin = this.getSpendingLimitPlugin();
+        const tokens = await plugin.getLimitedTokens(this.accountAddress);
+
+        return await Promise.all(tokens.map(async (token) =>
+            decodeSpendingLimit(token, await plugin.getSpendingLimit(this.accountAddress, token))
+        ));
+    }
+
+    async getTargetLists() {
+        const plugin = this.getSpendingLimitPlugin();
+        const [{ allowed, denied }, allowlistEnabled] = await Promise.all([
+            plugin.getTargetLists(this.accountAddress),
+            plugin.allowlistEnabled(this.accountAddress)
+        ]);
+        return { allowlistEnabled, allowed, denied };
+    }
+
+    getSpendingLimitPlugin() {
+        if (!this.spendingLimitPluginAddress) {
+            throw new Error('No SpendingLimitPlugin configured (options.spendingLimitPluginAddress)');
+        }
+        return new ethers.Contract(this.spendingLimitPluginAddress, SPENDING_LIMIT_PLUGIN_ABI, this.provider);
+    }
+
+    getSignatureService() {
+        if (!this.signatureService) {
+            throw new Error('No signature service configured (options.signatureServiceUrl)');
+        }
+        return this.signatureService;
+    }
+
+    getIndexer() {
+        if (!this.indexer) {
+            throw new Error('No indexer configured (options.indexerUrl)');
+        }
+        return this.indexer;
+    }
+
+    // ===== Signing as the account (ERC-1271) =====
+
+    // The digest the account's signers sign for `hash` (ModularSmartAccount.getMessageHash)
+    async getAccountMessageHash(hash) {
+        return getAccountMessageHash(this.accountAddress, await this.getChainId(), hash);
+    }
+
+    // One signer's EIP-712 signature for `hash` as { signer, signature }, e.g. a multi-sig
+    // owner's on another device, to pass to signHash in `signatures`
+    async signAccountMessageAsOwner(hash, signer = this.signer) {
+        return await signAccountMessage(signer, this.accountAddress, await this.getChainId(), hash);
+    }
+
+    // Sign `hash` as the account, for its isValidSignature. With MultiSigPlugin validating the
+    // account, `signers` sign alongside the entries gathered elsewhere in `signatures`, and together
+    // they must hold the threshold (a timelocked account signs nothing). Otherwise the owner signs.
+    async signHash(hash, { signers = [this.signer], signatures = [] } = {}) {
+        let plugin = ethers.constants.AddressZero;
+        if (this.multiSigPluginAddress && await this.isDeployed()) {
+            const account = new ethers.Contract(this.accountAddress, PLUGIN_MANAGER_ABI, this.provider);
+            plugin = await account.plugins(EXECUTE_SELECTOR);
+        }
+
+        if (this.multiSigPluginAddress && plugin === ethers.utils.getAddress(this.multiSigPluginAddress)) {
+            const collected = await Promise.all(signers.map((signer) => this.signAccountMessageAsOwner(hash, signer)));
+            return concatSortedSignatures([...signatures, ...collected]);
+        }
+        const { signature } = await this.signAccountMessageAsOwner(hash);
+        return signature;
+    }
+
+    // An EIP-191 message, checked by dApps against hashMessage(message)
+    async signMessage(message, options = {}) {
+        return await this.signHash(hashMessage(message), options);
+    }
+
+    // EIP-712 typed data (permits, orders), checked against its typed data hash
+    async signTypedData(domain, types, value, options = {}) {
+        return await this.signHash(hashTypedData(domain, types, value), options);
+    }
+
+    // Whether the deployed account accepts `signature` for `hash`
+    async isValidSignature(hash, signature) {
+        const account = new ethers.Contract(this.accountAddress, ERC1271_ABI, this.provider);
+        return (await account.isValidSignature(hash, signature)) === ERC1271_MAGIC_VALUE;
+    }
+
+    // ===== History (from the indexer) =====
+
+    // Accounts the signer, or another address, owns directly or as a MultiSigPlugin owner
+    async getOwnedAccounts(owner = null) {
+        return await this.getIndexer().getAccountsByOwner(owner || await this.signer.getAddress());
+    }
+
+    // { items, total } of the account's MultiSigPlugin proposals with their confirmations
+    async getMultiSigProposalHistory(options = {}) {
+        return await this.getIndexer().getProposals(this.accountAddress, options);
+    }
+
+    async getMultiSigProposalTimeline(txId) {
+        return await this.getIndexer().getProposalTimeline(this.accountAddress, txId.toString());
+    }
+
+    async getUserOperationHistory(options = {}) {
+        return await this.getIndexer().getUserOperations(this.accountAddress, options);
+    }
+
+    // { items, total } of the ERC-721, ERC-1155 and ERC-777 tokens the account received
+    async getReceivedTokenHistory(options = {}) {
+        return await this.getIndexer().getReceivedTokens(this.accountAddress, options);
+    }
+
+    async getAccountHistory(options = {}) {
+        return await this.getIndexer().getAccountHistory(this.accountAddress, options);
     }
 
     // Get account balance
@@ -236,47 +1209,22 @@ class SmartAccountWallet {
     }
 }
 
-// Bundler client for submitting UserOperations
-class BundlerClient {
-    constructor(bundlerUrl) {
-        this.bundlerUrl = bundlerUrl;
-    }
-
-    async sendUserOperation(userOp, entryPoint) {
-        const response = await fetch(`${this.bundlerUrl}/rpc`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                jsonrpc: '2.0',
-                method: 'eth_sendUserOperation',
-                params: [userOp, entryPoint],
-                id: 1
-            })
-        });
-
-        const result = await response.json();
-        if (result.error) {
-            throw new Error(result.error.message);
-        }
-
-        return result.result;
-    }
-
-    async getUserOperationReceipt(userOpHash) {
-        const response = await fetch(`${this.bundlerUrl}/rpc`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                jsonrpc: '2.0',
-                method: 'eth_getUserOperationReceipt',
-                params: [userOpHash],
-                id: 1
-            })
-        });
-
-        const result = await response.json();
-        return result.result;
-    }
-}
-
-export { SmartAccountWallet, BundlerClient };
\ No newline at end of file
+export {
+    SmartAccountWallet,
+    BundlerClient,
+    BundlerError,
+    UserOperationTimeoutError,
+    UserOperationRevertedError,
+    VerifyingPaymasterClient,
+    PaymasterRpcClient,
+    TokenPaymasterClient,
+    GuardianClient,
+    SIGNATURE_MODE_EIP191,
+    SIGNATURE_MODE_EIP712,
+    SignatureServiceClient,
+    IndexerClient,
+    Simulator,
+    createAbiRegistry,
+    describeCall,
+    aggregateSignatures
+};
\ No newline at end of file
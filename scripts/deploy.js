@@ -36,7 +36,15 @@ async function main() {
 
   // Deploy MultiSigPlugin with gas optimization
   console.log("\n2. Deploying MultiSigPlugin...");
-  const MultiSigPlugin = await ethers.getContractFactory("MultiSigPlugin");
+  // Its libraries first: the plugin's bytecode links their addresses
+  const multiSigLibraries = {};
+  for (const name of ["ThresholdPolicies", "WeightedOwners"]) {
+    const library = await (await ethers.getContractFactory(name)).deploy();
+    await library.deployed();
+    multiSigLibraries[name] = library.address;
+    console.log(`   ✓ ${name} deployed to:`, library.address);
+  }
+  const MultiSigPlugin = await ethers.getContractFactory("MultiSigPlugin", { libraries: multiSigLibraries });
   
   // Estimate gas and add buffer
   const deployTx = MultiSigPlugin.getDeployTransaction();
@@ -60,7 +68,7 @@ async function main() {
   
   // Deploy with optimized gas settings
   const factory = await SmartAccountFactory.deploy(entryPoint.address, {
-    gasLimit: 3000000, // Fixed reasonable limit
+    gasLimit: 5000000, // Fixed reasonable limit; the factory carries the account bytecode
     maxFeePerGas: network.name === "sepolia" ? ethers.utils.parseUnits("20", "gwei") : undefined,
     maxPriorityFeePerGas: network.name === "sepolia" ? ethers.utils.parseUnits("1.5", "gwei") : undefined
   });
@@ -69,6 +77,128 @@ async function main() {
   console.log("   ✓ SmartAccountFactory deployed to:", factory.address);
   console.log("   Gas used:", (await factory.deployTransaction.wait()).gasUsed.toString());
 
+  // Deploy VerifyingPaymaster and fund its EntryPoint deposit, so new accounts can transact gaslessly
+  console.log("\n4. Deploying VerifyingPaymaster...");
+  const paymasterSigner = process.env.PAYMASTER_SIGNER || deployer.address;
+  const paymasterSpendingLimit = ethers.utils.parseEther(process.env.PAYMASTER_SPENDING_LIMIT || "0.01");
+  const paymasterDeposit = ethers.utils.parseEther(
+    process.env.PAYMASTER_DEPOSIT || (network.name === "sepolia" ? "0.01" : "1")
+  );
+  const VerifyingPaymaster = await ethers.getContractFactory("VerifyingPaymaster");
+
+  const verifyingPaymaster = await VerifyingPaymaster.deploy(
+    entryPoint.address,
+    paymasterSigner,
+    paymasterSpendingLimit,
+    {
+      maxFeePerGas: network.name === "sepolia" ? ethers.utils.parseUnits("20", "gwei") : undefined,
+      maxPriorityFeePerGas: network.name === "sepolia" ? ethers.utils.parseUnits("1.5", "gwei") : undefined
+    }
+  );
+
+  await verifyingPaymaster.deployed();
+  console.log("   ✓ VerifyingPaymaster deployed to:", verifyingPaymaster.address);
+  console.log("   Verifying signer:", paymasterSigner);
+  console.log("   Spending limit per account:", ethers.utils.formatEther(paymasterSpendingLimit), "ETH");
+
+  if (paymasterDeposit.gt(0)) {
+    await (await verifyingPaymaster.deposit({ value: paymasterDeposit })).wait();
+    console.log("   ✓ Deposited", ethers.utils.formatEther(paymasterDeposit), "ETH to the EntryPoint");
+  }
+
+  // Deploy TokenPaymaster so accounts can pay gas in a stablecoin. Local networks get a mock
+  // USDC and ETH/USD feed; elsewhere the token and Chainlink feed come from the environment.
+  console.log("\n5. Deploying TokenPaymaster...");
+  const isLocal = network.name === "localhost" || network.name === "hardhat";
+  let paymasterToken = process.env.PAYMASTER_TOKEN;
+  let paymasterPriceFeed = process.env.PAYMASTER_PRICE_FEED;
+  let tokenPaymaster = null;
+  let tokenPaymasterMarkup = null;
+
+  if (isLocal && !paymasterToken) {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await usdc.deployed();
+    await (await usdc.mint(deployer.address, ethers.utils.parseUnits("1000000", 6))).wait();
+    paymasterToken = usdc.address;
+    console.log("   ✓ Mock USDC deployed to:", usdc.address);
+  }
+  if (isLocal && !paymasterPriceFeed) {
+    const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+    const priceFeed = await MockPriceFeed.deploy(3000e8, 8);
+    await priceFeed.deployed();
+    paymasterPriceFeed = priceFeed.address;
+    console.log("   ✓ Mock ETH/USD price feed deployed to:", priceFeed.address);
+  }
+
+  if (paymasterToken && paymasterPriceFeed) {
+    // TOKEN_PAYMASTER_MARKUP is in percent over the feed price
+    tokenPaymasterMarkup = 1000000 + Math.round(parseFloat(process.env.TOKEN_PAYMASTER_MARKUP || "10") * 10000);
+    const tokenPaymasterStake = ethers.utils.parseEther(
+      process.env.TOKEN_PAYMASTER_STAKE || (network.name === "sepolia" ? "0.01" : "1")
+    );
+    const TokenPaymaster = await ethers.getContractFactory("TokenPaymaster");
+
+    tokenPaymaster = await TokenPaymaster.deploy(
+      entryPoint.address,
+      paymasterToken,
+      paymasterPriceFeed,
+      tokenPaymasterMarkup,
+      {
+        maxFeePerGas: network.name === "sepolia" ? ethers.utils.parseUnits("20", "gwei") : undefined,
+        maxPriorityFeePerGas: network.name === "sepolia" ? ethers.utils.parseUnits("1.5", "gwei") : undefined
+      }
+    );
+
+    await tokenPaymaster.deployed();
+    console.log("   ✓ TokenPaymaster deployed to:", tokenPaymaster.address);
+    console.log("   Token:", paymasterToken);
+    console.log("   Price feed:", paymasterPriceFeed);
+
+    // Bundlers only accept a paymaster that reads account storage if it is staked
+    if (tokenPaymasterStake.gt(0)) {
+      await (await tokenPaymaster.addStake(86400, { value: tokenPaymasterStake })).wait();
+      console.log("   ✓ Staked", ethers.utils.formatEther(tokenPaymasterStake), "ETH (1 day unstake delay)");
+    }
+    if (paymasterDeposit.gt(0)) {
+      await (await tokenPaymaster.deposit({ value: paymasterDeposit })).wait();
+      console.log("   ✓ Deposited", ethers.utils.formatEther(paymasterDeposit), "ETH to the EntryPoint");
+    }
+  } else {
+    console.log("   Skipped: set PAYMASTER_TOKEN and PAYMASTER_PRICE_FEED to deploy it");
+  }
+
+  // Deploy SessionKeyPlugin (shared by every account, like MultiSigPlugin)
+  console.log("\n6. Deploying SessionKeyPlugin...");
+  const SessionKeyPlugin = await ethers.getContractFactory("SessionKeyPlugin");
+  const sessionKeyPlugin = await SessionKeyPlugin.deploy({
+    maxFeePerGas: network.name === "sepolia" ? ethers.utils.parseUnits("20", "gwei") : undefined,
+    maxPriorityFeePerGas: network.name === "sepolia" ? ethers.utils.parseUnits("1.5", "gwei") : undefined
+  });
+  await sessionKeyPlugin.deployed();
+  console.log("   ✓ SessionKeyPlugin deployed to:", sessionKeyPlugin.address);
+
+  // Deploy SocialRecoveryPlugin; each account installs it with its own guardians. Recoveries may
+  // replace the owners of this deployment's MultiSigPlugin, the only contract it may call.
+  console.log("\n7. Deploying SocialRecoveryPlugin...");
+  const SocialRecoveryPlugin = await ethers.getContractFactory("SocialRecoveryPlugin");
+  const recoveryPlugin = await SocialRecoveryPlugin.deploy(multiSigPlugin.address, {
+    maxFeePerGas: network.name === "sepolia" ? ethers.utils.parseUnits("20", "gwei") : undefined,
+    maxPriorityFeePerGas: network.name === "sepolia" ? ethers.utils.parseUnits("1.5", "gwei") : undefined
+  });
+  await recoveryPlugin.deployed();
+  console.log("   ✓ SocialRecoveryPlugin deployed to:", recoveryPlugin.address);
+
+  // Deploy SpendingLimitPlugin; accounts install it as a hook with their own limits
+  console.log("\n8. Deploying SpendingLimitPlugin...");
+  const SpendingLimitPlugin = await ethers.getContractFactory("SpendingLimitPlugin");
+  const spendingLimitPlugin = await SpendingLimitPlugin.deploy({
+    maxFeePerGas: network.name === "sepolia" ? ethers.utils.parseUnits("20", "gwei") : undefined,
+    maxPriorityFeePerGas: network.name === "sepolia" ? ethers.utils.parseUnits("1.5", "gwei") : undefined
+  });
+  await spendingLimitPlugin.deployed();
+  console.log("   ✓ SpendingLimitPlugin deployed to:", spendingLimitPlugin.address);
+
   // Calculate total deployment cost
   if (network.name === "sepolia") {
     const deployerEndBalance = await deployer.getBalance();
@@ -86,12 +216,35 @@ async function main() {
     contracts: {
       entryPoint: entryPoint.address,
       multiSigPlugin: multiSigPlugin.address,
-      factory: factory.address
+      factory: factory.address,
+      verifyingPaymaster: verifyingPaymaster.address,
+      tokenPaymaster: tokenPaymaster ? tokenPaymaster.address : null,
+      sessionKeyPlugin: sessionKeyPlugin.address,
+      socialRecoveryPlugin: recoveryPlugin.address,
+      spendingLimitPlugin: spendingLimitPlugin.address
     },
+    // Libraries and constructor arguments, for verification
+    multiSigLibraries,
+    verifyingPaymaster: {
+      signer: paymasterSigner,
+      defaultSpendingLimit: paymasterSpendingLimit.toString()
+    },
+    tokenPaymaster: tokenPaymaster ? {
+      token: paymasterToken,
+      priceFeed: paymasterPriceFeed,
+      priceMarkup: tokenPaymasterMarkup
+    } : undefined,
     timestamp: new Date().toISOString(),
     deploymentCost: network.name === "sepolia" ? {
       multiSigPluginGas: (await multiSigPlugin.deployTransaction.wait()).gasUsed.toString(),
-      factoryGas: (await factory.deployTransaction.wait()).gasUsed.toString()
+      factoryGas: (await factory.deployTransaction.wait()).gasUsed.toString(),
+      verifyingPaymasterGas: (await verifyingPaymaster.deployTransaction.wait()).gasUsed.toString(),
+      tokenPaymasterGas: tokenPaymaster
+        ? (await tokenPaymaster.deployTransaction.wait()).gasUsed.toString()
+        : undefined,
+      sessionKeyPluginGas: (await sessionKeyPlugin.deployTransaction.wait()).gasUsed.toString(),
+      socialRecoveryPluginGas: (await recoveryPlugin.deployTransaction.wait()).gasUsed.toString(),
+      spendingLimitPluginGas: (await spendingLimitPlugin.deployTransaction.wait()).gasUsed.toString()
     } : undefined
   };
 
@@ -111,24 +264,49 @@ async function main() {
   addresses[network.name] = {
     entryPoint: entryPoint.address,
     factory: factory.address,
-    multiSigPlugin: multiSigPlugin.address
+    multiSigPlugin: multiSigPlugin.address,
+    verifyingPaymaster: verifyingPaymaster.address,
+    tokenPaymaster: tokenPaymaster ? tokenPaymaster.address : "",
+    paymasterToken: paymasterToken || "",
+    sessionKeyPlugin: sessionKeyPlugin.address,
+    socialRecoveryPlugin: recoveryPlugin.address,
+    spendingLimitPlugin: spendingLimitPlugin.address
   };
   
   fs.writeFileSync(addressesPath, JSON.stringify(addresses, null, 2));
 
+  // The dashboard picks its contracts by the chain its browser wallet is on. The in-process
+  // hardhat network shares localhost's chain ID but is gone once this script exits.
+  if (network.name !== "hardhat") {
+    const frontendPath = './frontend/src/addresses.json';
+    const frontendAddresses = fs.existsSync(frontendPath)
+      ? JSON.parse(fs.readFileSync(frontendPath, 'utf8'))
+      : {};
+    const { chainId } = await ethers.provider.getNetwork();
+    frontendAddresses[chainId] = addresses[network.name];
+    fs.writeFileSync(frontendPath, JSON.stringify(frontendAddresses, null, 2));
+  }
+
   console.log("\n✅ Deployment complete!");
   console.log("\n📄 Deployment info saved to:", `deployments-${network.name}.json`);
   console.log("\n🔗 Contract Addresses:");
   console.log("   EntryPoint:", entryPoint.address);
   console.log("   MultiSigPlugin:", multiSigPlugin.address);
   console.log("   SmartAccountFactory:", factory.address);
+  console.log("   VerifyingPaymaster:", verifyingPaymaster.address);
+  if (tokenPaymaster) {
+    console.log("   TokenPaymaster:", tokenPaymaster.address);
+  }
+  console.log("   SessionKeyPlugin:", sessionKeyPlugin.address);
+  console.log("   SocialRecoveryPlugin:", recoveryPlugin.address);
+  console.log("   SpendingLimitPlugin:", spendingLimitPlugin.address);
   
   // Sepolia specific instructions
   if (network.name === "sepolia") {
     console.log("\n📝 Next Steps for Sepolia:");
     console.log("   1. Verify contracts on Etherscan:");
     console.log("      npx hardhat run scripts/verify.js --network sepolia");
-    console.log("   2. Update frontend with deployed addresses");
+    console.log("   2. The dashboard reads these addresses from frontend/src/addresses.json");
     console.log("   3. You can interact with contracts at:");
     console.log("      https://sepolia.etherscan.io/address/" + multiSigPlugin.address);
     console.log("      https://sepolia.etherscan.io/address/" + factory.address);
@@ -143,9 +321,17 @@ async function main() {
     await new Promise(resolve => setTimeout(resolve, 20000));
     
     try {
+      for (const address of Object.values(multiSigLibraries)) {
+        await hre.run("verify:verify", {
+          address,
+          constructorArguments: [],
+        });
+      }
+
       await hre.run("verify:verify", {
         address: multiSigPlugin.address,
         constructorArguments: [],
+        libraries: multiSigLibraries,
       });
       
       await hre.run("verify:verify", {
@@ -153,6 +339,33 @@ async function main() {
         constructorArguments: [entryPoint.address],
       });
       
+      await hre.run("verify:verify", {
+        address: verifyingPaymaster.address,
+        constructorArguments: [entryPoint.address, paymasterSigner, paymasterSpendingLimit.toString()],
+      });
+
+      await hre.run("verify:verify", {
+        address: sessionKeyPlugin.address,
+        constructorArguments: [],
+      });
+
+      await hre.run("verify:verify", {
+        address: recoveryPlugin.address,
+        constructorArguments: [],
+      });
+
+      await hre.run("verify:verify", {
+        address: spendingLimitPlugin.address,
+        constructorArguments: [],
+      });
+
+      if (tokenPaymaster) {
+        await hre.run("verify:verify", {
+          address: tokenPaymaster.address,
+          constructorArguments: [entryPoint.address, paymasterToken, paymasterPriceFeed, tokenPaymasterMarkup],
+        });
+      }
+      
       console.log("✅ Contracts verified!");
     } catch (error) {
       console.log("⚠️  Verification failed:", error.message);
@@ -176,6 +389,23 @@ async function minimalTest(deploymentInfo) {
   console.log("\n2. Checking SmartAccountFactory...");
   const factoryCode = await ethers.provider.getCode(deploymentInfo.contracts.factory);
   console.log("   ✓ SmartAccountFactory deployed:", factoryCode.length > 2);
+
+  console.log("\n3. Checking VerifyingPaymaster deposit...");
+  const paymaster = await ethers.getContractAt("VerifyingPaymaster", deploymentInfo.contracts.verifyingPaymaster);
+  console.log("   ✓ Deposit:", ethers.utils.formatEther(await paymaster.getDeposit()), "ETH");
+
+  if (deploymentInfo.contracts.tokenPaymaster) {
+    console.log("\n4. Checking TokenPaymaster stake and price...");
+    const tokenPaymaster = await ethers.getContractAt("TokenPaymaster", deploymentInfo.contracts.tokenPaymaster);
+    const entryPoint = await ethers.getContractAt(
+      ["function getDepositInfo(address) view returns (tuple(uint112 deposit, bool staked, uint112 stake, uint32 unstakeDelaySec, uint48 withdrawTime))"],
+      deploymentInfo.contracts.entryPoint
+    );
+    const { stake } = await entryPoint.getDepositInfo(tokenPaymaster.address);
+    console.log("   ✓ Stake:", ethers.utils.formatEther(stake), "ETH");
+    console.log("   ✓ Deposit:", ethers.utils.formatEther(await tokenPaymaster.getDeposit()), "ETH");
+    console.log("   ✓ Token per ETH (before markup):", (await tokenPaymaster.cachedPrice()).toString());
+  }
   
   console.log("\n✅ Basic deployment verification passed!");
   console.log("\n💡 Tip: Create and test smart accounts using the frontend to save ETH");
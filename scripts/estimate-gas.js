@@ -19,9 +19,16 @@ async function main() {
     console.log("  Cost:", ethers.utils.formatEther(mockGas.mul(gasPrice)), "ETH");
   }
   
-  // Estimate MultiSigPlugin
-  const MultiSigPlugin = await ethers.getContractFactory("MultiSigPlugin");
-  const multiSigGas = await deployer.estimateGas(MultiSigPlugin.getDeployTransaction());
+  // Estimate MultiSigPlugin and its libraries; any address links to bytecode of the same size
+  const libraries = {};
+  let multiSigGas = ethers.constants.Zero;
+  for (const name of ["ThresholdPolicies", "WeightedOwners"]) {
+    const library = await ethers.getContractFactory(name);
+    multiSigGas = multiSigGas.add(await deployer.estimateGas(library.getDeployTransaction()));
+    libraries[name] = deployer.address;
+  }
+  const MultiSigPlugin = await ethers.getContractFactory("MultiSigPlugin", { libraries });
+  multiSigGas = multiSigGas.add(await deployer.estimateGas(MultiSigPlugin.getDeployTransaction()));
   console.log("\nMultiSigPlugin:");
   console.log("  Gas:", multiSigGas.toString());
   console.log("  Cost:", ethers.utils.formatEther(multiSigGas.mul(gasPrice)), "ETH");
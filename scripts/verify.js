@@ -8,9 +8,18 @@ async function main() {
   const addresses = require("./addresses.json")[hre.network.name];
   
   if (addresses.multiSigPlugin) {
+    // deploy.js records the libraries the plugin is linked to
+    const { multiSigLibraries } = require(`../deployments-${hre.network.name}.json`);
+    for (const address of Object.values(multiSigLibraries)) {
+      await hre.run("verify:verify", {
+        address,
+        constructorArguments: [],
+      });
+    }
     await hre.run("verify:verify", {
       address: addresses.multiSigPlugin,
       constructorArguments: [],
+      libraries: multiSigLibraries,
     });
   }
   
@@ -21,6 +30,53 @@ async function main() {
     });
   }
   
+  if (addresses.sessionKeyPlugin) {
+    await hre.run("verify:verify", {
+      address: addresses.sessionKeyPlugin,
+      constructorArguments: [],
+    });
+  }
+  
+  if (addresses.socialRecoveryPlugin) {
+    await hre.run("verify:verify", {
+      address: addresses.socialRecoveryPlugin,
+      constructorArguments: [],
+    });
+  }
+  
+  if (addresses.spendingLimitPlugin) {
+    await hre.run("verify:verify", {
+      address: addresses.spendingLimitPlugin,
+      constructorArguments: [],
+    });
+  }
+  
+  if (addresses.verifyingPaymaster) {
+    // Signer and limit may have been changed since; deploy.js records the constructor arguments
+    const { verifyingPaymaster } = require(`../deployments-${hre.network.name}.json`);
+    await hre.run("verify:verify", {
+      address: addresses.verifyingPaymaster,
+      constructorArguments: [
+        addresses.entryPoint,
+        verifyingPaymaster.signer,
+        verifyingPaymaster.defaultSpendingLimit
+      ],
+    });
+  }
+
+  if (addresses.tokenPaymaster) {
+    const { tokenPaymaster } = require(`../deployments-${hre.network.name}.json`);
+    await hre.run("verify:verify", {
+      address: addresses.tokenPaymaster,
+      constructorArguments: [
+        addresses.entryPoint,
+        tokenPaymaster.token,
+        tokenPaymaster.priceFeed,
+        tokenPaymaster.priceMarkup
+      ],
+    });
+  }
+  
   console.log("[+] Verification complete!");
 }
 
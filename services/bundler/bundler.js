@@ -0,0 +1,613 @@
+// bundler.js - Accepts UserOperations into a mempool after simulation and submits them with handleOps
+const { ethers } = require("ethers");
+const { Mempool } = require("./mempool");
+const { RPC_ERROR_CODES, RpcError, failedOpCode } = require("./errors");
+const { USER_OP_TUPLE, DUMMY_SIGNATURE, calcPreVerificationGas } = require("./gas");
+
+const ENTRY_POINT_ABI = [
+  `function handleOps(${USER_OP_TUPLE}[] ops, address beneficiary)`,
+  `function simulateValidation(${USER_OP_TUPLE} userOp)`,
+  `function simulateHandleOp(${USER_OP_TUPLE} op, address target, bytes targetCallData)`,
+  `function getUserOpHash(${USER_OP_TUPLE} userOp) view returns (bytes32)`,
+  "event UserOperationEvent(bytes32 indexed userOpHash, address indexed sender, address indexed paymaster, uint256 nonce, bool success, uint256 actualGasCost, uint256 actualGasUsed)",
+  "event UserOperationRevertReason(bytes32 indexed userOpHash, address indexed sender, uint256 nonce, bytes revertReason)",
+  "event BeforeExecution()",
+  "error FailedOp(uint256 opIndex, string reason)",
+  "error ValidationResult(tuple(uint256 preOpGas, uint256 prefund, bool sigFailed, uint48 validAfter, uint48 validUntil, bytes paymasterContext) returnInfo, tuple(uint256 stake, uint256 unstakeDelaySec) senderInfo, tuple(uint256 stake, uint256 unstakeDelaySec) factoryInfo, tuple(uint256 stake, uint256 unstakeDelaySec) paymasterInfo)",
+  "error ExecutionResult(uint256 preOpGas, uint256 paid, uint48 validAfter, uint48 validUntil, bool targetSuccess, bytes targetResult)"
+];
+
+const USER_OP_UINT_FIELDS = [
+  "nonce",
+  "callGasLimit",
+  "verificationGasLimit",
+  "preVerificationGas",
+  "maxFeePerGas",
+  "maxPriorityFeePerGas"
+];
+
+const USER_OP_BYTES_FIELDS = ["initCode", "callData", "paymasterAndData", "signature"];
+
+// Fields eth_estimateUserOperationGas lets the caller leave out
+const ESTIMATION_DEFAULTS = {
+  callGasLimit: 0,
+  verificationGasLimit: 0,
+  preVerificationGas: 0,
+  maxFeePerGas: 0,
+  maxPriorityFeePerGas: 0,
+  initCode: "0x",
+  paymasterAndData: "0x",
+  signature: DUMMY_SIGNATURE
+};
+
+// Gas given to validation and execution while simulating for an estimate
+const SIMULATION_GAS_LIMIT = 10000000;
+
+// Estimates simulate with zero fees, which skips the account's prefund transfer;
+// add it back: the value transfer plus the EntryPoint writing a fresh deposit
+const PREFUND_TRANSFER_GAS = 40000;
+const VERIFICATION_GAS_BUFFER_PERCENT = 10;
+
+// Simulated execution is measured rather than estimated by the node, so pad it the same way
+const CALL_GAS_MARGIN = 10000;
+const CALL_GAS_BUFFER_PERCENT = 10;
+
+// Stand-ins for unset gas fields when pricing an op's calldata before it is estimated
+const GAS_LIMIT_PLACEHOLDER = "0xffffff";
+const FEE_PLACEHOLDER = "0xffffffffff";
+
+// Ops that expire within this many seconds would likely not make it into a block
+const VALID_UNTIL_MARGIN = 30;
+
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+
+// Canonical JSON form of a UserOperation: checksummed sender, hex quantities, lowercase bytes
+function normalizeUserOp(userOp, defaults = {}) {
+  if (!userOp || typeof userOp !== "object") {
+    throw new RpcError(RPC_ERROR_CODES.INVALID_FIELDS, "Missing UserOperation");
+  }
+
+  const op = { ...defaults };
+  for (const field of ["sender", ...USER_OP_UINT_FIELDS, ...USER_OP_BYTES_FIELDS]) {
+    if (userOp[field] !== undefined && userOp[field] !== null) {
+      op[field] = userOp[field];
+    }
+  }
+
+  if (!ethers.utils.isAddress(op.sender)) {
+    throw new RpcError(RPC_ERROR_CODES.INVALID_FIELDS, "Invalid UserOperation field: sender");
+  }
+
+  const normalized = { sender: ethers.utils.getAddress(op.sender) };
+  for (const field of USER_OP_UINT_FIELDS) {
+    let value;
+    try {
+      value = ethers.BigNumber.from(op[field]);
+    } catch (error) {
+      throw new RpcError(RPC_ERROR_CODES.INVALID_FIELDS, `Invalid UserOperation field: ${field}`);
+    }
+    if (value.isNegative()) {
+      throw new RpcError(RPC_ERROR_CODES.INVALID_FIELDS, `Invalid UserOperation field: ${field}`);
+    }
+    normalized[field] = value.toHexString();
+  }
+  for (const field of USER_OP_BYTES_FIELDS) {
+    if (!ethers.utils.isHexString(op[field]) || op[field].length % 2 !== 0) {
+      throw new RpcError(RPC_ERROR_CODES.INVALID_FIELDS, `Invalid UserOperation field: ${field}`);
+    }
+    normalized[field] = op[field].toLowerCase();
+  }
+
+  return normalized;
+}
+
+function withPlaceholders(userOp, placeholder, fields) {
+  const filled = { ...userOp };
+  for (const field of fields) {
+    if (ethers.BigNumber.from(filled[field]).isZero()) {
+      filled[field] = placeholder;
+    }
+  }
+  return filled;
+}
+
+// Same as the EntryPoint's prefund: with a paymaster, its validation and postOp may each
+// use up to verificationGasLimit
+function totalGasLimit(userOp) {
+  const verificationMultiplier = userOp.paymasterAndData === "0x" ? 1 : 3;
+  return ethers.BigNumber.from(userOp.callGasLimit)
+    .add(ethers.BigNumber.from(userOp.verificationGasLimit).mul(verificationMultiplier))
+    .add(userOp.preVerificationGas);
+}
+
+// Revert data sits at different depths depending on the provider that relayed the error
+function getRevertData(error) {
+  for (let e = error; e; e = e.error) {
+    if (typeof e.data === "string" && e.data.startsWith("0x")) {
+      return e.data;
+    }
+    if (e.data && typeof e.data.data === "string") {
+      return e.data.data;
+    }
+  }
+  if (typeof error.body === "string") {
+    try {
+      return getRevertData(JSON.parse(error.body));
+    } catch (parseError) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Error(string) payloads become their message; anything else stays hex
+function decodeRevertReason(data) {
+  if (!data || data === "0x") {
+    return null;
+  }
+  if (data.startsWith(ERROR_STRING_SELECTOR)) {
+    try {
+      return ethers.utils.defaultAbiCoder.decode(["string"], ethers.utils.hexDataSlice(data, 4))[0];
+    } catch (error) {
+      return data;
+    }
+  }
+  return data;
+}
+
+class Bundler {
+  constructor({
+    provider,
+    signer,
+    entryPointAddress,
+    beneficiary,
+    maxBundleSize = 10,
+    maxBundleGas = 10000000,
+    autoBundleInterval = 0,
+    autoBundleMempoolSize = 0,
+    mempoolSize = 1000,
+    gasOverheads = {},
+    logsFromBlock = 0,
+    logger = () => {}
+  }) {
+    this.provider = provider;
+    this.signer = signer;
+    this.entryPoint = new ethers.Contract(entryPointAddress, ENTRY_POINT_ABI, provider);
+    this.beneficiary = beneficiary;
+    this.maxBundleSize = maxBundleSize;
+    this.maxBundleGas = ethers.BigNumber.from(maxBundleGas);
+    this.autoBundleInterval = autoBundleInterval;
+    this.autoBundleMempoolSize = autoBundleMempoolSize;
+    this.gasOverheads = gasOverheads;
+    this.logsFromBlock = logsFromBlock;
+    this.logger = logger;
+
+    this.mempool = new Mempool({ maxSize: mempoolSize });
+    this.bundling = Promise.resolve();
+    this.timer = null;
+  }
+
+  // ===== Lifecycle =====
+
+  start() {
+    if (this.autoBundleInterval > 0 && !this.timer) {
+      this.timer = setInterval(() => {
+        if (this.mempool.size > 0) {
+          this.tryBundle();
+        }
+      }, this.autoBundleInterval);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // ===== eth_ namespace =====
+
+  async sendUserOperation(userOp, entryPointAddress) {
+    this.checkEntryPoint(entryPointAddress);
+    const op = normalizeUserOp(userOp);
+
+    const requiredPreVerificationGas = calcPreVerificationGas(op, this.gasOverheads);
+    if (ethers.BigNumber.from(op.preVerificationGas).lt(requiredPreVerificationGas)) {
+      throw new RpcError(
+        RPC_ERROR_CODES.INVALID_FIELDS,
+        `preVerificationGas too low: expected at least ${requiredPreVerificationGas}`
+      );
+    }
+    if (ethers.BigNumber.from(op.maxPriorityFeePerGas).gt(op.maxFeePerGas)) {
+      throw new RpcError(RPC_ERROR_CODES.INVALID_FIELDS, "maxPriorityFeePerGas exceeds maxFeePerGas");
+    }
+    if (totalGasLimit(op).gt(this.maxBundleGas)) {
+      throw new RpcError(RPC_ERROR_CODES.INVALID_FIELDS, `UserOperation gas exceeds the bundle limit of ${this.maxBundleGas}`);
+    }
+
+    const { prefund, validAfter, validUntil } = await this.simulateValidation(op);
+    const userOpHash = (await this.entryPoint.getUserOpHash(op)).toLowerCase();
+
+    this.mempool.add({ userOp: op, userOpHash, prefund: prefund.toHexString(), validAfter, validUntil });
+    this.logger("[+] Accepted UserOperation", userOpHash, "from", op.sender);
+
+    if (this.autoBundleMempoolSize > 0 && this.mempool.size >= this.autoBundleMempoolSize) {
+      await this.tryBundle();
+    }
+
+    return userOpHash;
+  }
+
+  async estimateUserOperationGas(userOp, entryPointAddress) {
+    this.checkEntryPoint(entryPointAddress);
+    const op = normalizeUserOp(userOp, ESTIMATION_DEFAULTS);
+    if (op.signature === "0x") {
+      op.signature = DUMMY_SIGNATURE;
+    }
+
+    // Zero gas fields encode cheaper than the values the caller will fill in afterwards
+    const priced = withPlaceholders(
+      withPlaceholders(op, GAS_LIMIT_PLACEHOLDER, ["callGasLimit", "verificationGasLimit", "preVerificationGas"]),
+      FEE_PLACEHOLDER,
+      ["maxFeePerGas", "maxPriorityFeePerGas"]
+    );
+    const preVerificationGas = calcPreVerificationGas(priced, this.gasOverheads);
+
+    // Zero fees mean no prefund, so accounts without a balance can still be estimated
+    const simulationOp = {
+      ...op,
+      callGasLimit: "0x0",
+      verificationGasLimit: ethers.utils.hexValue(SIMULATION_GAS_LIMIT),
+      preVerificationGas: ethers.utils.hexValue(preVerificationGas),
+      maxFeePerGas: "0x0",
+      maxPriorityFeePerGas: "0x0"
+    };
+    const { returnInfo } = (await this.simulate("simulateValidation", [simulationOp])).args;
+    const verificationGasLimit = returnInfo.preOpGas
+      .sub(preVerificationGas)
+      .add(PREFUND_TRANSFER_GAS)
+      .mul(100 + VERIFICATION_GAS_BUFFER_PERCENT)
+      .div(100);
+
+    const callGasLimit = await this.estimateCallGas(op, { ...simulationOp, verificationGasLimit });
+
+    return {
+      preVerificationGas: ethers.utils.hexValue(preVerificationGas),
+      verificationGasLimit: verificationGasLimit.toHexString(),
+      callGasLimit: ethers.BigNumber.from(callGasLimit).toHexString()
+    };
+  }
+
+  async getUserOperationByHash(userOpHash) {
+    const pending = this.mempool.get(userOpHash);
+    if (pending) {
+      return {
+        userOp: pending.userOp,
+        entryPoint: this.entryPoint.address,
+        transactionHash: null,
+        blockHash: null,
+        blockNumber: null
+      };
+    }
+
+    const event = await this.findUserOperationEvent(userOpHash);
+    if (!event) {
+      return null;
+    }
+
+    const tx = await this.provider.getTransaction(event.transactionHash);
+    let ops;
+    try {
+      ({ ops } = this.entryPoint.interface.decodeFunctionData("handleOps", tx.data));
+    } catch (error) {
+      // Included by someone else through a contract we cannot decode
+      return null;
+    }
+    const op = ops.find((o) => o.sender === event.args.sender && o.nonce.eq(event.args.nonce));
+    if (!op) {
+      return null;
+    }
+
+    return {
+      userOp: normalizeUserOp(op),
+      entryPoint: this.entryPoint.address,
+      transactionHash: event.transactionHash,
+      blockHash: event.blockHash,
+      blockNumber: ethers.utils.hexValue(event.blockNumber)
+    };
+  }
+
+  async getUserOperationReceipt(userOpHash) {
+    const event = await this.findUserOperationEvent(userOpHash);
+    if (!event) {
+      return null;
+    }
+
+    const receipt = await this.provider.send("eth_getTransactionReceipt", [event.transactionHash]);
+    const iface = this.entryPoint.interface;
+    const revertLog = receipt.logs.find(
+      (log) =>
+        log.topics[0] === iface.getEventTopic("UserOperationRevertReason") &&
+        log.topics[1] === userOpHash.toLowerCase()
+    );
+
+    return {
+      userOpHash: userOpHash.toLowerCase(),
+      entryPoint: this.entryPoint.address,
+      sender: event.args.sender,
+      nonce: event.args.nonce.toHexString(),
+      paymaster: event.args.paymaster,
+      actualGasCost: event.args.actualGasCost.toHexString(),
+      actualGasUsed: event.args.actualGasUsed.toHexString(),
+      success: event.args.success,
+      reason: revertLog ? decodeRevertReason(iface.parseLog(revertLog).args.revertReason) || "0x" : null,
+      logs: this.logsOfUserOp(receipt, event.logIndex),
+      receipt
+    };
+  }
+
+  supportedEntryPoints() {
+    return [this.entryPoint.address];
+  }
+
+  async chainId() {
+    const { chainId } = await this.provider.getNetwork();
+    return ethers.utils.hexValue(chainId);
+  }
+
+  // ===== debug_bundler_ namespace =====
+
+  // Bundle whatever is in the mempool right now; resolves to the transaction hash, or null
+  sendBundle() {
+    const run = () => this.createAndSendBundle();
+    const bundle = this.bundling.then(run, run);
+    this.bundling = bundle.catch(() => {});
+    return bundle;
+  }
+
+  dumpMempool() {
+    return this.mempool.list().map((entry) => entry.userOp);
+  }
+
+  clearState() {
+    this.mempool.clear();
+    return "ok";
+  }
+
+  // ===== Internals =====
+
+  checkEntryPoint(entryPointAddress) {
+    if (
+      !ethers.utils.isAddress(entryPointAddress || "") ||
+      ethers.utils.getAddress(entryPointAddress) !== this.entryPoint.address
+    ) {
+      throw new RpcError(RPC_ERROR_CODES.INVALID_FIELDS, `Unsupported entry point: ${entryPointAddress}`);
+    }
+  }
+
+  // eth_call an EntryPoint simulation method and decode the result it reverts with
+  async simulate(method, args) {
+    const data = this.entryPoint.interface.encodeFunctionData(method, args);
+
+    // ethers returns the revert data of a failed eth_call; some providers throw it instead
+    let revertData = null;
+    try {
+      const result = await this.provider.call({ to: this.entryPoint.address, data });
+      revertData = result === "0x" ? null : result;
+    } catch (error) {
+      revertData = getRevertData(error);
+      if (!revertData) {
+        throw error;
+      }
+    }
+    if (!revertData) {
+      throw new RpcError(RPC_ERROR_CODES.INTERNAL_ERROR, `${method} did not revert`);
+    }
+
+    let parsed;
+    try {
+      parsed = this.entryPoint.interface.parseError(revertData);
+    } catch (error) {
+      throw new RpcError(RPC_ERROR_CODES.SIMULATE_VALIDATION, `${method} reverted: ${decodeRevertReason(revertData)}`);
+    }
+    if (parsed.name === "FailedOp") {
+      throw new RpcError(failedOpCode(parsed.args.reason), parsed.args.reason, { opIndex: 0 });
+    }
+    return parsed;
+  }
+
+  async simulateValidation(op) {
+    const { returnInfo } = (await this.simulate("simulateValidation", [op])).args;
+
+    if (returnInfo.sigFailed) {
+      throw new RpcError(RPC_ERROR_CODES.INVALID_SIGNATURE, "Invalid UserOperation signature or paymaster signature");
+    }
+    const { timestamp } = await this.provider.getBlock("latest");
+    if (returnInfo.validUntil <= timestamp + VALID_UNTIL_MARGIN) {
+      throw new RpcError(RPC_ERROR_CODES.EXPIRES_SHORTLY, "UserOperation expires too soon");
+    }
+
+    return {
+      preOpGas: returnInfo.preOpGas,
+      prefund: returnInfo.prefund,
+      validAfter: returnInfo.validAfter,
+      validUntil: returnInfo.validUntil
+    };
+  }
+
+  async estimateCallGas(op, simulationOp) {
+    if (op.callData === "0x") {
+      return 0;
+    }
+
+    if ((await this.provider.getCode(op.sender)) !== "0x") {
+      try {
+        return await this.provider.estimateGas({ from: this.entryPoint.address, to: op.sender, data: op.callData });
+      } catch (error) {
+        const revertData = getRevertData(error);
+        throw new RpcError(
+          RPC_ERROR_CODES.EXECUTION_REVERTED,
+          `UserOperation callData reverted: ${decodeRevertReason(revertData) || error.reason || error.message}`,
+          revertData
+        );
+      }
+    }
+
+    // Not deployed yet, so the call cannot be estimated on its own. Run the whole op at
+    // 1 wei per gas instead: what the EntryPoint charges is then the gas it used.
+    const { preOpGas, paid } = (
+      await this.simulate("simulateHandleOp", [
+        {
+          ...simulationOp,
+          callGasLimit: ethers.utils.hexValue(SIMULATION_GAS_LIMIT),
+          maxFeePerGas: "0x1",
+          maxPriorityFeePerGas: "0x1"
+        },
+        ethers.constants.AddressZero,
+        "0x"
+      ])
+    ).args;
+    return paid.sub(preOpGas).add(CALL_GAS_MARGIN).mul(100 + CALL_GAS_BUFFER_PERCENT).div(100);
+  }
+
+  // Auto-bundling must never fail the request that triggered it
+  async tryBundle() {
+    try {
+      return await this.sendBundle();
+    } catch (error) {
+      this.logger("[!] Bundle failed:", error.message);
+      return null;
+    }
+  }
+
+  async createAndSendBundle() {
+    const { timestamp } = await this.provider.getBlock("latest");
+    const bundle = [];
+    const senders = new Set();
+    let bundleGas = ethers.BigNumber.from(0);
+
+    // One op per sender: a second op would be validated against a nonce that is not there yet
+    for (const entry of this.mempool.list()) {
+      if (bundle.length >= this.maxBundleSize) {
+        break;
+      }
+      if (senders.has(entry.userOp.sender) || entry.validAfter > timestamp) {
+        continue;
+      }
+      const opGas = totalGasLimit(entry.userOp);
+      if (bundleGas.add(opGas).gt(this.maxBundleGas)) {
+        continue;
+      }
+
+      // Chain state may have changed since the op was accepted
+      try {
+        await this.simulateValidation(entry.userOp);
+      } catch (error) {
+        this.mempool.remove(entry.userOpHash);
+        this.logger("[!] Dropped UserOperation", entry.userOpHash, error.message);
+        continue;
+      }
+
+      bundle.push(entry);
+      senders.add(entry.userOp.sender);
+      bundleGas = bundleGas.add(opGas);
+    }
+
+    const entryPoint = this.entryPoint.connect(this.signer);
+    let gasLimit;
+    while (bundle.length > 0) {
+      try {
+        gasLimit = await entryPoint.estimateGas.handleOps(bundle.map((e) => e.userOp), this.beneficiary);
+        break;
+      } catch (error) {
+        const failedOp = this.parseFailedOp(error);
+        if (!failedOp || failedOp.opIndex >= bundle.length) {
+          throw error;
+        }
+        const [dropped] = bundle.splice(failedOp.opIndex, 1);
+        this.mempool.remove(dropped.userOpHash);
+        this.logger("[!] Dropped UserOperation", dropped.userOpHash, failedOp.reason);
+      }
+    }
+
+    if (bundle.length === 0) {
+      return null;
+    }
+
+    const tx = await entryPoint.handleOps(bundle.map((e) => e.userOp), this.beneficiary, { gasLimit });
+    await tx.wait();
+    for (const entry of bundle) {
+      this.mempool.remove(entry.userOpHash);
+    }
+    this.logger("[+] Sent bundle of", bundle.length, "UserOperation(s):", tx.hash);
+
+    return tx.hash;
+  }
+
+  parseFailedOp(error) {
+    const revertData = getRevertData(error);
+    if (!revertData) {
+      return null;
+    }
+    try {
+      const parsed = this.entryPoint.interface.parseError(revertData);
+      if (parsed.name !== "FailedOp") {
+        return null;
+      }
+      return { opIndex: parsed.args.opIndex.toNumber(), reason: parsed.args.reason };
+    } catch (parseError) {
+      return null;
+    }
+  }
+
+  async findUserOperationEvent(userOpHash) {
+    const iface = this.entryPoint.interface;
+    const logs = await this.provider.getLogs({
+      address: this.entryPoint.address,
+      topics: [iface.getEventTopic("UserOperationEvent"), userOpHash.toLowerCase()],
+      fromBlock: this.logsFromBlock,
+      toBlock: "latest"
+    });
+    if (logs.length === 0) {
+      return null;
+    }
+
+    const log = logs[logs.length - 1];
+    return { ...log, args: iface.parseLog(log).args };
+  }
+
+  // Logs emitted while executing this op: after the previous op's UserOperationEvent
+  // (or BeforeExecution) and before its own
+  logsOfUserOp(receipt, eventLogIndex) {
+    const iface = this.entryPoint.interface;
+    const boundaries = [iface.getEventTopic("UserOperationEvent"), iface.getEventTopic("BeforeExecution")];
+    const entryPoint = this.entryPoint.address.toLowerCase();
+
+    let start = 0;
+    let end = receipt.logs.length;
+    receipt.logs.forEach((log, i) => {
+      const logIndex = Number(log.logIndex);
+      if (logIndex === eventLogIndex) {
+        end = i;
+      } else if (
+        logIndex < eventLogIndex &&
+        log.address.toLowerCase() === entryPoint &&
+        boundaries.includes(log.topics[0])
+      ) {
+        start = i + 1;
+      }
+    });
+
+    return receipt.logs.slice(start, end);
+  }
+}
+
+module.exports = {
+  Bundler,
+  ENTRY_POINT_ABI,
+  normalizeUserOp,
+  getRevertData,
+  decodeRevertReason
+};
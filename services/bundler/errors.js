@@ -0,0 +1,41 @@
+// errors.js - JSON-RPC error codes from the ERC-4337 bundler RPC spec
+const RPC_ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_FIELDS: -32602,
+  INTERNAL_ERROR: -32603,
+  SIMULATE_VALIDATION: -32500,
+  SIMULATE_PAYMASTER_VALIDATION: -32501,
+  OPCODE_VALIDATION: -32502,
+  EXPIRES_SHORTLY: -32503,
+  REPUTATION: -32504,
+  INSUFFICIENT_STAKE: -32505,
+  UNSUPPORTED_AGGREGATOR: -32506,
+  INVALID_SIGNATURE: -32507,
+  EXECUTION_REVERTED: -32521
+};
+
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = "RpcError";
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// Map an EntryPoint FailedOp reason ("AA24 signature error") to the spec's error code
+function failedOpCode(reason) {
+  if (reason.startsWith("AA24")) {
+    return RPC_ERROR_CODES.INVALID_SIGNATURE;
+  }
+  if (reason.startsWith("AA22") || reason.startsWith("AA32")) {
+    return RPC_ERROR_CODES.EXPIRES_SHORTLY;
+  }
+  if (reason.startsWith("AA3")) {
+    return RPC_ERROR_CODES.SIMULATE_PAYMASTER_VALIDATION;
+  }
+  return RPC_ERROR_CODES.SIMULATE_VALIDATION;
+}
+
+module.exports = { RPC_ERROR_CODES, RpcError, failedOpCode };
@@ -0,0 +1,44 @@
+// gas.js - preVerificationGas: what the bundler pays for an op outside of EntryPoint accounting
+const { ethers } = require("ethers");
+
+const USER_OP_TUPLE =
+  "tuple(address sender, uint256 nonce, bytes initCode, bytes callData, uint256 callGasLimit, uint256 verificationGasLimit, uint256 preVerificationGas, uint256 maxFeePerGas, uint256 maxPriorityFeePerGas, bytes paymasterAndData, bytes signature)";
+
+// Defaults match the ERC-4337 v0.6 reference bundler
+const DEFAULT_GAS_OVERHEADS = {
+  fixed: 21000, // base transaction cost, shared by the bundle
+  perUserOp: 18300, // EntryPoint bookkeeping per op
+  perUserOpWord: 4, // per 32-byte word of the encoded op
+  zeroByte: 4,
+  nonZeroByte: 16,
+  bundleSize: 1,
+  sigSize: 65 // signature length assumed when the op is not signed yet
+};
+
+// Stand-in signature for unsigned ops: right length, recoverable, but signed by nobody
+const DUMMY_SIGNATURE = ethers.utils.hexConcat([
+  "0x" + "11".repeat(32),
+  "0x" + "22".repeat(32),
+  "0x1c"
+]);
+
+function calcPreVerificationGas(userOp, overheads = {}) {
+  const ov = { ...DEFAULT_GAS_OVERHEADS, ...overheads };
+  const op = {
+    ...userOp,
+    preVerificationGas: userOp.preVerificationGas || 21000,
+    signature:
+      userOp.signature && userOp.signature !== "0x"
+        ? userOp.signature
+        : ethers.utils.hexlify(new Uint8Array(ov.sigSize).fill(1))
+  };
+
+  // Drop the leading offset word: the op is encoded as it sits inside handleOps calldata
+  const packed = ethers.utils.arrayify(ethers.utils.defaultAbiCoder.encode([USER_OP_TUPLE], [op])).slice(32);
+  const callDataCost = packed.reduce((sum, byte) => sum + (byte === 0 ? ov.zeroByte : ov.nonZeroByte), 0);
+  const lengthInWords = Math.ceil(packed.length / 32);
+
+  return Math.round(callDataCost + ov.fixed / ov.bundleSize + ov.perUserOp + ov.perUserOpWord * lengthInWords);
+}
+
+module.exports = { USER_OP_TUPLE, DEFAULT_GAS_OVERHEADS, DUMMY_SIGNATURE, calcPreVerificationGas };
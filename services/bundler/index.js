@@ -0,0 +1,64 @@
+// Local ERC-4337 bundler: JSON-RPC in front of a mempool that is bundled into handleOps
+//
+// Usage: RPC_URL=http://127.0.0.1:8545 NETWORK=localhost node services/bundler
+// The EntryPoint comes from scripts/addresses.json unless ENTRY_POINT is set. Bundles are
+// sent from BUNDLER_PRIVATE_KEY, or from the node's first unlocked account.
+const { ethers } = require("ethers");
+const { Bundler, normalizeUserOp } = require("./bundler");
+const { Mempool } = require("./mempool");
+const { RPC_ERROR_CODES, RpcError } = require("./errors");
+const { calcPreVerificationGas } = require("./gas");
+const { createServer } = require("./server");
+
+async function startBundler({ provider, signer, entryPointAddress, beneficiary, port = 0, ...options }) {
+  const bundler = new Bundler({
+    provider,
+    signer,
+    entryPointAddress,
+    beneficiary: beneficiary || (await signer.getAddress()),
+    ...options
+  });
+  const server = createServer(bundler);
+
+  bundler.start();
+  server.on("close", () => bundler.stop());
+
+  return new Promise((resolve) => {
+    server.listen(port, () => {
+      resolve({ server, bundler, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+if (require.main === module) {
+  const networkName = process.env.NETWORK || "localhost";
+  const addresses = require("../../scripts/addresses.json")[networkName] || {};
+  const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545");
+
+  startBundler({
+    provider,
+    signer: process.env.BUNDLER_PRIVATE_KEY
+      ? new ethers.Wallet(process.env.BUNDLER_PRIVATE_KEY, provider)
+      : provider.getSigner(0),
+    entryPointAddress: process.env.ENTRY_POINT || addresses.entryPoint,
+    beneficiary: process.env.BENEFICIARY,
+    port: Number(process.env.PORT || 3000),
+    maxBundleSize: Number(process.env.MAX_BUNDLE_SIZE || 10),
+    autoBundleInterval: Number(process.env.BUNDLE_INTERVAL_MS || 3000),
+    autoBundleMempoolSize: Number(process.env.BUNDLE_MEMPOOL_SIZE || 1),
+    logger: console.log
+  }).then(({ url, bundler }) => {
+    console.log("[+] Bundler listening on", url);
+    console.log("[+] EntryPoint:", bundler.entryPoint.address);
+  });
+}
+
+module.exports = {
+  startBundler,
+  Bundler,
+  Mempool,
+  RpcError,
+  RPC_ERROR_CODES,
+  normalizeUserOp,
+  calcPreVerificationGas
+};
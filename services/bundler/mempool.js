@@ -0,0 +1,76 @@
+// mempool.js - UserOperations accepted by the bundler but not yet included on-chain
+const { ethers } = require("ethers");
+const { RPC_ERROR_CODES, RpcError } = require("./errors");
+
+// A replacement for the same sender and nonce must raise both fees by at least this much
+const REPLACEMENT_FEE_BUMP_PERCENT = 10;
+
+function minimumReplacementFee(fee) {
+  return ethers.BigNumber.from(fee).mul(100 + REPLACEMENT_FEE_BUMP_PERCENT).div(100);
+}
+
+class Mempool {
+  constructor({ maxSize = 1000 } = {}) {
+    this.maxSize = maxSize;
+    this.entries = [];
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  // entry: { userOp, userOpHash, prefund, validAfter, validUntil }
+  add(entry) {
+    const existing = this.entries.find(
+      (e) => e.userOp.sender === entry.userOp.sender && ethers.BigNumber.from(e.userOp.nonce).eq(entry.userOp.nonce)
+    );
+
+    if (existing) {
+      if (existing.userOpHash === entry.userOpHash) {
+        return existing;
+      }
+      if (
+        ethers.BigNumber.from(entry.userOp.maxFeePerGas).lt(minimumReplacementFee(existing.userOp.maxFeePerGas)) ||
+        ethers.BigNumber.from(entry.userOp.maxPriorityFeePerGas).lt(
+          minimumReplacementFee(existing.userOp.maxPriorityFeePerGas)
+        )
+      ) {
+        throw new RpcError(
+          RPC_ERROR_CODES.INVALID_FIELDS,
+          `Replacement UserOperation must raise gas fees by at least ${REPLACEMENT_FEE_BUMP_PERCENT}%`
+        );
+      }
+      this.remove(existing.userOpHash);
+    } else if (this.entries.length >= this.maxSize) {
+      throw new RpcError(RPC_ERROR_CODES.SIMULATE_VALIDATION, "Mempool is full");
+    }
+
+    const added = { ...entry, addedAt: Date.now() };
+    this.entries.push(added);
+    return added;
+  }
+
+  get(userOpHash) {
+    return this.entries.find((e) => e.userOpHash === userOpHash.toLowerCase()) || null;
+  }
+
+  remove(userOpHash) {
+    const index = this.entries.findIndex((e) => e.userOpHash === userOpHash.toLowerCase());
+    if (index === -1) {
+      return false;
+    }
+    this.entries.splice(index, 1);
+    return true;
+  }
+
+  // Oldest first
+  list() {
+    return [...this.entries];
+  }
+
+  clear() {
+    this.entries = [];
+  }
+}
+
+module.exports = { Mempool, REPLACEMENT_FEE_BUMP_PERCENT };
@@ -0,0 +1,108 @@
+// server.js - JSON-RPC endpoint for the bundler (POST / or /rpc, single or batched requests)
+const http = require("http");
+const { ethers } = require("ethers");
+const { RPC_ERROR_CODES, RpcError } = require("./errors");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function requireHash(hash) {
+  if (!ethers.utils.isHexString(hash, 32)) {
+    throw new RpcError(RPC_ERROR_CODES.INVALID_FIELDS, "Invalid userOpHash");
+  }
+  return hash;
+}
+
+const METHODS = {
+  eth_sendUserOperation: (bundler, [userOp, entryPoint]) => bundler.sendUserOperation(userOp, entryPoint),
+  eth_estimateUserOperationGas: (bundler, [userOp, entryPoint]) =>
+    bundler.estimateUserOperationGas(userOp, entryPoint),
+  eth_getUserOperationByHash: (bundler, [hash]) => bundler.getUserOperationByHash(requireHash(hash)),
+  eth_getUserOperationReceipt: (bundler, [hash]) => bundler.getUserOperationReceipt(requireHash(hash)),
+  eth_supportedEntryPoints: (bundler) => bundler.supportedEntryPoints(),
+  eth_chainId: (bundler) => bundler.chainId(),
+  debug_bundler_sendBundleNow: (bundler) => bundler.sendBundle(),
+  debug_bundler_dumpMempool: (bundler) => bundler.dumpMempool(),
+  debug_bundler_clearState: (bundler) => bundler.clearState()
+};
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new RpcError(RPC_ERROR_CODES.INVALID_FIELDS, "Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, payload) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type"
+  });
+  res.end(JSON.stringify(payload));
+}
+
+async function handleRequest(bundler, request) {
+  const id = request && request.id !== undefined ? request.id : null;
+  try {
+    if (!request || request.jsonrpc !== "2.0" || typeof request.method !== "string") {
+      throw new RpcError(RPC_ERROR_CODES.INVALID_FIELDS, "Invalid JSON-RPC request");
+    }
+    const method = METHODS[request.method];
+    if (!method) {
+      throw new RpcError(RPC_ERROR_CODES.METHOD_NOT_FOUND, `Method not found: ${request.method}`);
+    }
+
+    const result = await method(bundler, Array.isArray(request.params) ? request.params : []);
+    return { jsonrpc: "2.0", id, result: result === undefined ? null : result };
+  } catch (error) {
+    const rpcError =
+      error instanceof RpcError ? error : new RpcError(RPC_ERROR_CODES.INTERNAL_ERROR, error.message);
+    const payload = { code: rpcError.code, message: rpcError.message };
+    if (rpcError.data !== undefined) {
+      payload.data = rpcError.data;
+    }
+    return { jsonrpc: "2.0", id, error: payload };
+  }
+}
+
+function createServer(bundler) {
+  return http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") {
+      send(res, 204, {});
+      return;
+    }
+
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (req.method !== "POST" || (pathname !== "/" && pathname !== "/rpc")) {
+      send(res, 404, { error: "Not found" });
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (error) {
+      send(res, 200, {
+        jsonrpc: "2.0",
+        id: null,
+        error: { code: RPC_ERROR_CODES.PARSE_ERROR, message: "Parse error" }
+      });
+      return;
+    }
+
+    const response = Array.isArray(body)
+      ? await Promise.all(body.map((request) => handleRequest(bundler, request)))
+      : await handleRequest(bundler, body);
+    send(res, 200, response);
+  });
+}
+
+module.exports = { createServer, METHODS };
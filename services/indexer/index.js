@@ -0,0 +1,52 @@
+// Event indexer for smart accounts, their plugins and MultiSigPlugin proposals
+//
+// Usage: RPC_URL=http://127.0.0.1:8545 NETWORK=localhost node services/indexer
+// Contract addresses come from scripts/addresses.json unless FACTORY / MULTISIG_PLUGIN /
+// ENTRY_POINT are set. START_BLOCK skips the blocks before the contracts were deployed.
+const path = require("path");
+const { ethers } = require("ethers");
+const { Indexer, EVENTS } = require("./indexer");
+const { SqliteStore, IndexerError } = require("./store");
+const { createServer } = require("./server");
+
+function startIndexer({ provider, dbPath, port = 0, ...options }) {
+  const store = new SqliteStore(dbPath);
+  const indexer = new Indexer({ provider, store, ...options });
+  const server = createServer(indexer);
+
+  indexer.start();
+  server.on("close", () => {
+    indexer.stop();
+    store.close();
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, () => {
+      resolve({ server, indexer, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+if (require.main === module) {
+  const networkName = process.env.NETWORK || "localhost";
+  const addresses = require("../../scripts/addresses.json")[networkName] || {};
+
+  startIndexer({
+    provider: new ethers.providers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545"),
+    factoryAddress: process.env.FACTORY || addresses.factory,
+    multiSigPluginAddress: process.env.MULTISIG_PLUGIN || addresses.multiSigPlugin,
+    entryPointAddress: process.env.ENTRY_POINT || addresses.entryPoint,
+    dbPath: process.env.DB_PATH || path.join(__dirname, "data", `indexer-${networkName}.db`),
+    startBlock: Number(process.env.START_BLOCK || 0),
+    pollInterval: Number(process.env.POLL_INTERVAL_MS || 2000),
+    port: Number(process.env.PORT || 3002),
+    logger: console.log
+  }).then(({ url, indexer }) => {
+    console.log("[+] Indexer listening on", url);
+    return indexer.sync();
+  }).then(({ syncedBlock }) => {
+    console.log("[+] Synced to block", syncedBlock);
+  });
+}
+
+module.exports = { startIndexer, Indexer, SqliteStore, IndexerError, EVENTS };
@@ -0,0 +1,257 @@
+// indexer.js - Follows a JSON-RPC node and stores account, plugin and EntryPoint events
+const { ethers } = require("ethers");
+
+const POLICY_TUPLE =
+  "tuple(address[] targets, uint256[] targetThresholds, bytes4[] selectors, uint256[] selectorThresholds, tuple(uint256 maxValue, uint256 threshold)[] valueBrackets)";
+
+// Event ABIs by source; `account` logs come from any address and are kept for factory accounts only
+const EVENTS = {
+  factory: [
+    "event AccountCreated(address indexed account, address indexed owner, uint256 salt)"
+  ],
+  account: [
+    "event PluginInstalled(address indexed plugin, bytes32 manifestHash, address[] dependencies)",
+    "event PluginUninstalled(address indexed plugin, bool onUninstallSucceeded)",
+    "event Received(address indexed sender, uint256 amount)",
+    "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+    "event ERC721Received(address indexed token, address indexed operator, address indexed from, uint256 tokenId)",
+    "event ERC1155Received(address indexed token, address indexed operator, address indexed from, uint256[] ids, uint256[] values)",
+    "event ERC777Received(address indexed token, address indexed operator, address indexed from, uint256 amount)"
+  ],
+  multisig: [
+    "event PluginInstalled(address indexed account, address[] owners, uint256 threshold)",
+    "event PluginUninstalled(address indexed account)",
+    "event OwnerAdded(address indexed account, address indexed owner)",
+    "event OwnerRemoved(address indexed account, address indexed owner)",
+    "event ThresholdChanged(address indexed account, uint256 oldThreshold, uint256 newThreshold)",
+    "event OwnerWeightChanged(address indexed account, address indexed owner, uint256 weight)",
+    `event ThresholdPolicyChanged(address indexed account, ${POLICY_TUPLE} policy)`,
+    "event TransactionSubmitted(address indexed account, uint256 indexed txId, address indexed submitter, address[] targets, uint256[] values, bytes[] datas)",
+    "event TransactionReplaced(address indexed account, uint256 indexed txId, address indexed proposer, address[] targets, uint256[] values, bytes[] datas)",
+    "event TransactionConfirmed(address indexed account, uint256 indexed txId, address indexed owner)",
+    "event ConfirmationRevoked(address indexed account, uint256 indexed txId, address indexed owner)",
+    "event TransactionExecuted(address indexed account, uint256 indexed txId, bool success)",
+    "event TransactionFailed(address indexed account, uint256 indexed txId, bytes reason)",
+    "event TransactionReady(address indexed account, uint256 indexed txId, uint256 executableAt)",
+    "event CancelVoteCast(address indexed account, uint256 indexed txId, address indexed owner)",
+    "event TransactionCancelled(address indexed account, uint256 indexed txId)",
+    "event TimelockChanged(address indexed account, uint256 executionDelay, uint256 proposalLifetime)"
+  ],
+  entryPoint: [
+    "event UserOperationEvent(bytes32 indexed userOpHash, address indexed sender, address indexed paymaster, uint256 nonce, bool success, uint256 actualGasCost, uint256 actualGasUsed)",
+    "event UserOperationRevertReason(bytes32 indexed userOpHash, address indexed sender, uint256 nonce, bytes revertReason)",
+    "event Deposited(address indexed account, uint256 totalDeposit)",
+    "event Withdrawn(address indexed account, address withdrawAddress, uint256 amount)"
+  ]
+};
+
+const INTERFACES = Object.fromEntries(
+  Object.entries(EVENTS).map(([source, abi]) => [source, new ethers.utils.Interface(abi)])
+);
+
+function topicsOf(source) {
+  return [Object.values(INTERFACES[source].events).map((event) => INTERFACES[source].getEventTopic(event))];
+}
+
+// Decoded values as JSON: BigNumbers as decimal strings, tuples as objects
+function toJson(value, param) {
+  if (param.baseType === "array") {
+    return value.map((item) => toJson(item, param.arrayChildren));
+  }
+  if (param.baseType === "tuple") {
+    return Object.fromEntries(param.components.map((component, i) => [component.name, toJson(value[i], component)]));
+  }
+  return ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+}
+
+// The account an event is about, and the owner it names, for the store's indexes
+function subjects(source, name, args, address) {
+  switch (source) {
+    case "factory":
+      return { account: args.account, owner: args.owner };
+    case "multisig":
+      return { account: args.account, owner: args.owner || args.submitter || args.proposer || null };
+    case "entryPoint":
+      return { account: args.sender || args.account, owner: null };
+    default:
+      return { account: address, owner: name === "OwnershipTransferred" ? args.newOwner : null };
+  }
+}
+
+class Indexer {
+  constructor({
+    provider,
+    store,
+    factoryAddress,
+    multiSigPluginAddress,
+    entryPointAddress,
+    startBlock = 0,
+    batchSize = 2000,
+    pollInterval = 0,
+    logger = () => {}
+  }) {
+    this.provider = provider;
+    this.store = store;
+    this.addresses = {
+      factory: ethers.utils.getAddress(factoryAddress),
+      multisig: ethers.utils.getAddress(multiSigPluginAddress),
+      entryPoint: ethers.utils.getAddress(entryPointAddress)
+    };
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.pollInterval = pollInterval;
+    this.logger = logger;
+
+    this.chainId = null;
+    this.syncing = null;
+    this.timer = null;
+  }
+
+  // ===== Lifecycle =====
+
+  start() {
+    if (this.pollInterval > 0 && !this.timer) {
+      this.timer = setInterval(() => {
+        this.sync().catch((error) => this.logger("[!] Sync failed:", error.message));
+      }, this.pollInterval);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Index up to the node's latest block; concurrent calls share one run
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this.syncToLatest().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  getStatus() {
+    const head = this.store.getHead();
+    return {
+      chainId: this.chainId,
+      contracts: this.addresses,
+      syncedBlock: head ? head.number : null
+    };
+  }
+
+  // ===== Sync =====
+
+  async syncToLatest() {
+    if (this.chainId === null) {
+      const { chainId } = await this.provider.getNetwork();
+      this.store.checkConfig({ chainId, ...this.addresses, startBlock: this.startBlock });
+      this.chainId = chainId;
+    }
+
+    await this.rollbackReorg();
+
+    const latest = await this.provider.getBlockNumber();
+    const head = this.store.getHead();
+    for (let from = head ? head.number + 1 : this.startBlock; from <= latest; from += this.batchSize) {
+      await this.indexRange(from, Math.min(from + this.batchSize - 1, latest));
+    }
+    return this.getStatus();
+  }
+
+  // Drop what was indexed from blocks that are no longer on the chain, back to the newest stored
+  // block that still is
+  async rollbackReorg() {
+    const head = this.store.getHead();
+    if (!head || (await this.isCanonical(head))) {
+      return;
+    }
+
+    let ancestor = this.startBlock - 1;
+    for (const block of this.store.getBlocksBelow(head.number)) {
+      if (await this.isCanonical(block)) {
+        ancestor = block.number;
+        break;
+      }
+    }
+    this.store.rollback(ancestor);
+    this.logger("[!] Reorg below block", head.number, "- re-indexing from block", ancestor + 1);
+  }
+
+  async isCanonical({ number, hash }) {
+    const block = await this.provider.getBlock(number);
+    return Boolean(block) && block.hash === hash;
+  }
+
+  async indexRange(fromBlock, toBlock) {
+    const range = { fromBlock, toBlock };
+    const batches = await Promise.all([
+      this.provider.getLogs({ ...range, address: this.addresses.factory, topics: topicsOf("factory") }),
+      this.provider.getLogs({ ...range, address: this.addresses.multisig, topics: topicsOf("multisig") }),
+      this.provider.getLogs({ ...range, address: this.addresses.entryPoint, topics: topicsOf("entryPoint") }),
+      this.provider.getLogs({ ...range, topics: topicsOf("account") })
+    ]);
+    const logs = batches.flat().sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    // Logs are in chain order, so an account is known by the time its own events come up
+    const createdAccounts = new Set();
+    const events = [];
+    for (const log of logs) {
+      const source = this.sourceOf(log);
+      if (source === "account" && !createdAccounts.has(log.address) && !this.store.isAccount(log.address)) {
+        continue;
+      }
+
+      const parsed = INTERFACES[source].parseLog(log);
+      const args = Object.fromEntries(
+        parsed.eventFragment.inputs.map((input, i) => [input.name, toJson(parsed.args[i], input)])
+      );
+      const { account, owner } = subjects(source, parsed.name, args, log.address);
+      if (parsed.name === "AccountCreated") {
+        createdAccounts.add(account);
+      }
+
+      events.push({
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        address: log.address,
+        source,
+        name: parsed.name,
+        account,
+        txId: args.txId !== undefined ? Number(args.txId) : null,
+        owner,
+        args
+      });
+    }
+
+    // Headers of the blocks holding events and of the range's end, which becomes the sync head.
+    // A log from a block that was reorged away while fetching fails the range; the next sync retries it.
+    const numbers = [...new Set([...events.map((event) => event.blockNumber), toBlock])];
+    const blocks = await Promise.all(numbers.map((number) => this.provider.getBlock(number)));
+    const hashes = new Map(blocks.map((block) => [block.number, block.hash]));
+    if (events.some((event) => hashes.get(event.blockNumber) !== event.blockHash)) {
+      throw new Error(`Chain reorganized while indexing blocks ${fromBlock}-${toBlock}`);
+    }
+
+    this.store.saveRange(
+      blocks.map((block) => ({ number: block.number, hash: block.hash, timestamp: block.timestamp })),
+      events
+    );
+    if (events.length > 0) {
+      this.logger("[+] Indexed", events.length, "event(s) in blocks", fromBlock, "-", toBlock);
+    }
+  }
+
+  sourceOf(log) {
+    const address = ethers.utils.getAddress(log.address);
+    return Object.keys(this.addresses).find((source) => this.addresses[source] === address) || "account";
+  }
+}
+
+module.exports = { Indexer, EVENTS };
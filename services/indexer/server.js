@@ -0,0 +1,76 @@
+// server.js - Read-only REST API over the indexed events
+//
+//   GET /status
+//   GET /owners/:owner/accounts
+//   GET /owners/:owner/confirmations                ?account=&offset=&limit=
+//   GET /accounts/:account/proposals                ?status=&offset=&limit=
+//   GET /accounts/:account/proposals/:txId          the proposal's events, oldest first
+//   GET /accounts/:account/user-operations          ?offset=&limit=
+//   GET /accounts/:account/tokens                   ?offset=&limit=
+//   GET /accounts/:account/history                  ?offset=&limit=
+const http = require("http");
+const { IndexerError } = require("./store");
+
+function send(res, status, payload) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type"
+  });
+  res.end(JSON.stringify(payload));
+}
+
+function route(indexer, parts, query) {
+  const { store } = indexer;
+  const options = Object.fromEntries(query);
+
+  if (parts.length === 1 && parts[0] === "status") {
+    return indexer.getStatus();
+  }
+  if (parts.length === 3 && parts[0] === "owners" && parts[2] === "accounts") {
+    return store.getAccountsByOwner(parts[1]);
+  }
+  if (parts.length === 3 && parts[0] === "owners" && parts[2] === "confirmations") {
+    return store.getConfirmationsByOwner(parts[1], options);
+  }
+  if (parts.length === 3 && parts[0] === "accounts" && parts[2] === "proposals") {
+    return store.getProposals(parts[1], options);
+  }
+  if (parts.length === 4 && parts[0] === "accounts" && parts[2] === "proposals") {
+    return store.getProposalTimeline(parts[1], parts[3]);
+  }
+  if (parts.length === 3 && parts[0] === "accounts" && parts[2] === "user-operations") {
+    return store.getUserOperations(parts[1], options);
+  }
+  if (parts.length === 3 && parts[0] === "accounts" && parts[2] === "tokens") {
+    return store.getReceivedTokens(parts[1], options);
+  }
+  if (parts.length === 3 && parts[0] === "accounts" && parts[2] === "history") {
+    return store.getAccountHistory(parts[1], options);
+  }
+  throw new IndexerError(404, "Not found");
+}
+
+function createServer(indexer) {
+  return http.createServer((req, res) => {
+    if (req.method === "OPTIONS") {
+      send(res, 204, {});
+      return;
+    }
+
+    try {
+      if (req.method !== "GET") {
+        throw new IndexerError(405, "Method not allowed");
+      }
+      const { pathname, searchParams } = new URL(req.url, "http://localhost");
+      const parts = pathname.split("/").filter(Boolean);
+
+      send(res, 200, route(indexer, parts, searchParams));
+    } catch (error) {
+      const status = error instanceof IndexerError ? error.status : 500;
+      send(res, status, { error: error.message });
+    }
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,425 @@
+// store.js - SQLite persistence and queries for indexed events
+//
+// Events are kept as logged, in chain order (`id`), and every view (accounts by owner,
+// proposals, UserOperation history) is a query over them. A reorg deletes the events and
+// blocks past the common ancestor, so there is no derived state to unwind.
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { ethers } = require("ethers");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  -- Blocks holding indexed events, and the last block of each synced range
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    block_number INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    address TEXT NOT NULL,
+    source TEXT NOT NULL,
+    name TEXT NOT NULL,
+    account TEXT,
+    tx_id INTEGER,
+    owner TEXT,
+    args TEXT NOT NULL,
+    UNIQUE (transaction_hash, log_index)
+  );
+
+  CREATE INDEX IF NOT EXISTS events_account ON events (account, source, tx_id);
+  CREATE INDEX IF NOT EXISTS events_owner ON events (owner, name);
+  CREATE INDEX IF NOT EXISTS events_block ON events (block_number);
+`;
+
+const PROPOSAL_STATUS = {
+  TransactionExecuted: "executed",
+  TransactionFailed: "failed",
+  TransactionCancelled: "cancelled"
+};
+
+const OWNER_ACTIONS = {
+  TransactionConfirmed: "confirmed",
+  ConfirmationRevoked: "revoked",
+  CancelVoteCast: "voteToCancel"
+};
+
+// Token receipts the account logs from its receiver callbacks, by standard
+const TOKEN_RECEIPTS = {
+  ERC721Received: "ERC721",
+  ERC1155Received: "ERC1155",
+  ERC777Received: "ERC777"
+};
+
+const MAX_PAGE_SIZE = 100;
+
+class IndexerError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "IndexerError";
+    this.status = status;
+  }
+}
+
+function checkAddress(address, label = "address") {
+  if (!ethers.utils.isAddress(address || "")) {
+    throw new IndexerError(400, `Invalid ${label}`);
+  }
+  return ethers.utils.getAddress(address);
+}
+
+function checkPage({ offset = 0, limit = 50 } = {}) {
+  offset = Number(offset);
+  limit = Number(limit);
+  if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new IndexerError(400, `Invalid page: offset >= 0 and 1 <= limit <= ${MAX_PAGE_SIZE}`);
+  }
+  return { offset, limit };
+}
+
+function toEvent(row) {
+  return {
+    name: row.name,
+    source: row.source,
+    blockNumber: row.block_number,
+    timestamp: row.timestamp,
+    transactionHash: row.transaction_hash,
+    logIndex: row.log_index,
+    address: row.address,
+    args: JSON.parse(row.args)
+  };
+}
+
+class SqliteStore {
+  // filePath ":memory:" keeps the index in memory
+  constructor(filePath) {
+    if (filePath !== ":memory:") {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+    this.db = new Database(filePath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  // Contracts and chain the index was built for; refuses to mix in another deployment's events
+  checkConfig(config) {
+    const stored = this.db.prepare("SELECT value FROM meta WHERE key = 'config'").get();
+    const value = JSON.stringify(config);
+    if (!stored) {
+      this.db.prepare("INSERT INTO meta (key, value) VALUES ('config', ?)").run(value);
+    } else if (stored.value !== value) {
+      throw new Error("The database indexes other contracts or another chain; use a new database");
+    }
+  }
+
+  // ===== Sync state =====
+
+  // Last synced block, or null before the first sync
+  getHead() {
+    return this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC LIMIT 1").get() || null;
+  }
+
+  // Stored blocks below `number`, newest first, to find where a reorg forked off
+  getBlocksBelow(number) {
+    return this.db.prepare("SELECT number, hash FROM blocks WHERE number < ? ORDER BY number DESC").all(number);
+  }
+
+  isAccount(address) {
+    return Boolean(
+      this.db.prepare("SELECT 1 FROM events WHERE name = 'AccountCreated' AND account = ? LIMIT 1").get(address)
+    );
+  }
+
+  // Store one synced range atomically: the blocks its events are in, the events in chain
+  // order, and the range's last block as the new head
+  saveRange(blocks, events) {
+    const insertBlock = this.db.prepare(
+      "INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (@number, @hash, @timestamp)"
+    );
+    const insertEvent = this.db.prepare(`
+      INSERT INTO events (block_number, transaction_hash, log_index, address, source, name, account, tx_id, owner, args)
+      VALUES (@blockNumber, @transactionHash, @logIndex, @address, @source, @name, @account, @txId, @owner, @args)
+    `);
+
+    this.db.transaction(() => {
+      for (const block of blocks) {
+        insertBlock.run(block);
+      }
+      for (const event of events) {
+        insertEvent.run({ ...event, args: JSON.stringify(event.args) });
+      }
+    })();
+  }
+
+  // Forget everything after `blockNumber`, the last block still on the canonical chain
+  rollback(blockNumber) {
+    this.db.transaction(() => {
+      this.db.prepare("DELETE FROM events WHERE block_number > ?").run(blockNumber);
+      this.db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+    })();
+  }
+
+  // ===== Queries =====
+
+  // Accounts the address currently owns, directly or as one of the MultiSigPlugin owners
+  getAccountsByOwner(owner) {
+    owner = checkAddress(owner, "owner");
+    const rows = this.db.prepare(`
+      WITH ownership AS (
+        SELECT account, owner, ROW_NUMBER() OVER (PARTITION BY account ORDER BY id DESC) AS latest
+        FROM events
+        WHERE name = 'AccountCreated' OR (source = 'account' AND name = 'OwnershipTransferred')
+      ),
+      multisig AS (
+        SELECT account, name, ROW_NUMBER() OVER (PARTITION BY account ORDER BY id DESC) AS latest
+        FROM events
+        WHERE source = 'multisig' AND name IN ('OwnerAdded', 'OwnerRemoved') AND owner = @owner
+      ),
+      owned AS (
+        SELECT account, 1 AS account_owner, 0 AS multisig_owner FROM ownership WHERE latest = 1 AND owner = @owner
+        UNION ALL
+        SELECT account, 0, 1 FROM multisig WHERE latest = 1 AND name = 'OwnerAdded'
+      )
+      SELECT created.*, b.timestamp, MAX(owned.account_owner) AS account_owner, MAX(owned.multisig_owner) AS multisig_owner
+      FROM owned
+      JOIN events created ON created.name = 'AccountCreated' AND created.account = owned.account
+      JOIN blocks b ON b.number = created.block_number
+      GROUP BY created.id
+      ORDER BY created.id
+    `).all({ owner });
+
+    return rows.map((row) => {
+      const { owner: creator, salt } = JSON.parse(row.args);
+      return {
+        account: row.account,
+        creator,
+        salt,
+        createdAt: { blockNumber: row.block_number, timestamp: row.timestamp, transactionHash: row.transaction_hash },
+        roles: [row.account_owner && "owner", row.multisig_owner && "multiSigOwner"].filter(Boolean)
+      };
+    });
+  }
+
+  // Proposals newest first: calls as last submitted or replaced, status from the event that
+  // closed it ("open" until then) and the owners confirming the current calls.
+  // status filters by "open", "executed", "failed" or "cancelled".
+  getProposals(account, { status, ...page } = {}) {
+    account = checkAddress(account, "account");
+    const { offset, limit } = checkPage(page);
+    if (status !== undefined && status !== "open" && !Object.values(PROPOSAL_STATUS).includes(status)) {
+      throw new IndexerError(400, "Invalid status");
+    }
+
+    const closing = Object.keys(PROPOSAL_STATUS).map((name) => `'${name}'`).join(", ");
+    const summaries = `
+      SELECT tx_id,
+        MIN(CASE WHEN name = 'TransactionSubmitted' THEN id END) AS submitted_id,
+        MAX(CASE WHEN name IN ('TransactionSubmitted', 'TransactionReplaced') THEN id END) AS calls_id,
+        MAX(CASE WHEN name IN (${closing}) THEN id END) AS closed_id
+      FROM events
+      WHERE source = 'multisig' AND account = @account AND tx_id IS NOT NULL
+      GROUP BY tx_id
+    `;
+    const filter = status === undefined
+      ? ""
+      : status === "open"
+        ? "WHERE closed_id IS NULL"
+        : "WHERE closed.name = @closingName";
+    const closingName = Object.keys(PROPOSAL_STATUS).find((name) => PROPOSAL_STATUS[name] === status);
+
+    const from = `
+      FROM (${summaries}) p
+      JOIN events submitted ON submitted.id = p.submitted_id
+      JOIN events calls ON calls.id = p.calls_id
+      LEFT JOIN events closed ON closed.id = p.closed_id
+      JOIN blocks sb ON sb.number = submitted.block_number
+      LEFT JOIN blocks cb ON cb.number = closed.block_number
+      ${filter}
+    `;
+    const params = { account, closingName };
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total ${from}`).get(params);
+    const rows = this.db.prepare(`
+      SELECT p.tx_id, p.calls_id, submitted.owner AS proposer, calls.args AS calls,
+        submitted.block_number AS submitted_block, submitted.transaction_hash AS submitted_tx,
+        closed.name AS closed_name, closed.block_number AS closed_block, closed.transaction_hash AS closed_tx,
+        sb.timestamp AS submitted_time, cb.timestamp AS closed_time
+      ${from}
+      ORDER BY p.tx_id DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset });
+
+    const confirmations = this.db.prepare(`
+      SELECT owner FROM (
+        SELECT owner, name, ROW_NUMBER() OVER (PARTITION BY owner ORDER BY id DESC) AS latest
+        FROM events
+        WHERE source = 'multisig' AND account = @account AND tx_id = @txId AND id > @since
+          AND name IN ('TransactionConfirmed', 'ConfirmationRevoked')
+      )
+      WHERE latest = 1 AND name = 'TransactionConfirmed'
+    `);
+
+    const items = rows.map((row) => {
+      const { targets, values, datas } = JSON.parse(row.calls);
+      return {
+        txId: row.tx_id,
+        proposer: row.proposer,
+        calls: targets.map((to, i) => ({ to, value: values[i], data: datas[i] })),
+        status: row.closed_name ? PROPOSAL_STATUS[row.closed_name] : "open",
+        confirmations: confirmations.all({ account, txId: row.tx_id, since: row.calls_id }).map((c) => c.owner),
+        submittedAt: { blockNumber: row.submitted_block, timestamp: row.submitted_time, transactionHash: row.submitted_tx },
+        closedAt: row.closed_name
+          ? { blockNumber: row.closed_block, timestamp: row.closed_time, transactionHash: row.closed_tx }
+          : null
+      };
+    });
+
+    return { items, total };
+  }
+
+  // Every event of one proposal, oldest first
+  getProposalTimeline(account, txId) {
+    account = checkAddress(account, "account");
+    if (!/^\d+$/.test(String(txId))) {
+      throw new IndexerError(400, "Invalid txId");
+    }
+
+    const rows = this.db.prepare(`
+      SELECT e.*, b.timestamp FROM events e JOIN blocks b ON b.number = e.block_number
+      WHERE e.source = 'multisig' AND e.account = ? AND e.tx_id = ?
+      ORDER BY e.id
+    `).all(account, Number(txId));
+    if (rows.length === 0) {
+      throw new IndexerError(404, "Proposal not found");
+    }
+    return rows.map(toEvent);
+  }
+
+  // An owner's confirmations, revocations and cancel votes, newest first, optionally for one account
+  getConfirmationsByOwner(owner, { account, ...page } = {}) {
+    owner = checkAddress(owner, "owner");
+    const { offset, limit } = checkPage(page);
+    const names = Object.keys(OWNER_ACTIONS).map((name) => `'${name}'`).join(", ");
+    const where = `
+      WHERE e.source = 'multisig' AND e.owner = @owner AND e.name IN (${names})
+      ${account !== undefined ? "AND e.account = @account" : ""}
+    `;
+    const params = { owner, account: account !== undefined ? checkAddress(account, "account") : null };
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM events e ${where}`).get(params);
+    const items = this.db.prepare(`
+      SELECT e.*, b.timestamp FROM events e JOIN blocks b ON b.number = e.block_number
+      ${where}
+      ORDER BY e.id DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset }).map((row) => ({
+      account: row.account,
+      txId: row.tx_id,
+      action: OWNER_ACTIONS[row.name],
+      blockNumber: row.block_number,
+      timestamp: row.timestamp,
+      transactionHash: row.transaction_hash
+    }));
+
+    return { items, total };
+  }
+
+  // UserOperations the EntryPoint ran for the account, newest first, with the revert reason of failed ones
+  getUserOperations(account, page = {}) {
+    account = checkAddress(account, "account");
+    const { offset, limit } = checkPage(page);
+    const where = "WHERE e.source = 'entryPoint' AND e.name = 'UserOperationEvent' AND e.account = @account";
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM events e ${where}`).get({ account });
+    const items = this.db.prepare(`
+      SELECT e.*, b.timestamp, json_extract(r.args, '$.revertReason') AS revert_reason
+      FROM events e
+      JOIN blocks b ON b.number = e.block_number
+      LEFT JOIN events r ON r.transaction_hash = e.transaction_hash
+        AND r.name = 'UserOperationRevertReason'
+        AND json_extract(r.args, '$.userOpHash') = json_extract(e.args, '$.userOpHash')
+      ${where}
+      ORDER BY e.id DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ account, limit, offset }).map((row) => {
+      const args = JSON.parse(row.args);
+      return {
+        userOpHash: args.userOpHash,
+        nonce: args.nonce,
+        paymaster: args.paymaster,
+        success: args.success,
+        actualGasCost: args.actualGasCost,
+        actualGasUsed: args.actualGasUsed,
+        revertReason: row.revert_reason,
+        blockNumber: row.block_number,
+        timestamp: row.timestamp,
+        transactionHash: row.transaction_hash
+      };
+    });
+
+    return { items, total };
+  }
+
+  // Tokens the account received through its ERC-721, ERC-1155 and ERC-777 callbacks, newest first.
+  // tokenIds is null for ERC-777; an ERC-721 token counts as an amount of 1.
+  getReceivedTokens(account, page = {}) {
+    account = checkAddress(account, "account");
+    const { offset, limit } = checkPage(page);
+    const names = Object.keys(TOKEN_RECEIPTS).map((name) => `'${name}'`).join(", ");
+    const where = `WHERE e.source = 'account' AND e.account = @account AND e.name IN (${names})`;
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM events e ${where}`).get({ account });
+    const items = this.db.prepare(`
+      SELECT e.*, b.timestamp FROM events e JOIN blocks b ON b.number = e.block_number
+      ${where}
+      ORDER BY e.id DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ account, limit, offset }).map((row) => {
+      const args = JSON.parse(row.args);
+      const standard = TOKEN_RECEIPTS[row.name];
+      return {
+        standard,
+        token: args.token,
+        operator: args.operator,
+        from: args.from,
+        tokenIds: standard === "ERC721" ? [args.tokenId] : standard === "ERC1155" ? args.ids : null,
+        amounts: standard === "ERC721" ? ["1"] : standard === "ERC1155" ? args.values : [args.amount],
+        blockNumber: row.block_number,
+        timestamp: row.timestamp,
+        transactionHash: row.transaction_hash
+      };
+    });
+
+    return { items, total };
+  }
+
+  // Every indexed event about the account, newest first
+  getAccountHistory(account, page = {}) {
+    account = checkAddress(account, "account");
+    const { offset, limit } = checkPage(page);
+
+    const { total } = this.db.prepare("SELECT COUNT(*) AS total FROM events WHERE account = ?").get(account);
+    const items = this.db.prepare(`
+      SELECT e.*, b.timestamp FROM events e JOIN blocks b ON b.number = e.block_number
+      WHERE e.account = ?
+      ORDER BY e.id DESC
+      LIMIT ? OFFSET ?
+    `).all(account, limit, offset).map(toEvent);
+
+    return { items, total };
+  }
+}
+
+module.exports = { SqliteStore, IndexerError, MAX_PAGE_SIZE };
@@ -0,0 +1,38 @@
+// Signature collection service for MultiSigPlugin proposals
+//
+// Usage: RPC_URL=http://127.0.0.1:8545 NETWORK=localhost node services/signature-service
+// Contract addresses come from scripts/addresses.json unless ENTRY_POINT / MULTISIG_PLUGIN are set.
+const path = require("path");
+const { ethers } = require("ethers");
+const { FileStore } = require("./store");
+const { SignatureService, ServiceError } = require("./service");
+const { createServer } = require("./server");
+
+function startSignatureService({ provider, entryPointAddress, multiSigPluginAddress, storePath, port = 0 }) {
+  const store = new FileStore(storePath);
+  const service = new SignatureService({ provider, entryPointAddress, multiSigPluginAddress, store });
+  const server = createServer(service);
+
+  return new Promise((resolve) => {
+    server.listen(port, () => {
+      resolve({ server, service, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+if (require.main === module) {
+  const networkName = process.env.NETWORK || "localhost";
+  const addresses = require("../../scripts/addresses.json")[networkName] || {};
+
+  startSignatureService({
+    provider: new ethers.providers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545"),
+    entryPointAddress: process.env.ENTRY_POINT || addresses.entryPoint,
+    multiSigPluginAddress: process.env.MULTISIG_PLUGIN || addresses.multiSigPlugin,
+    storePath: process.env.STORE_PATH || path.join(__dirname, "data", `proposals-${networkName}.json`),
+    port: Number(process.env.PORT || 3001)
+  }).then(({ url }) => {
+    console.log("[+] Signature service listening on", url);
+  });
+}
+
+module.exports = { startSignatureService, SignatureService, ServiceError, FileStore };
@@ -0,0 +1,87 @@
+// server.js - REST API for the signature collection service
+//
+//   POST /proposals                      { userOp, signature, description? }
+//   GET  /proposals/:id                  id = userOpHash
+//   POST /proposals/:id/signatures       { signature }
+//   GET  /accounts/:account/proposals    pending and ready proposals
+const http = require("http");
+const { ServiceError } = require("./service");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new ServiceError(413, "Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      let json;
+      try {
+        json = body ? JSON.parse(body) : {};
+      } catch (error) {
+        reject(new ServiceError(400, "Invalid JSON body"));
+        return;
+      }
+      // Every route takes an object: null, arrays and scalars would fail reading its fields
+      if (json === null || typeof json !== "object" || Array.isArray(json)) {
+        reject(new ServiceError(400, "JSON body must be an object"));
+        return;
+      }
+      resolve(json);
+    });
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, payload) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type"
+  });
+  res.end(JSON.stringify(payload));
+}
+
+function route(service, method, parts, body) {
+  if (method === "POST" && parts.length === 1 && parts[0] === "proposals") {
+    return service.createProposal(body);
+  }
+  if (method === "GET" && parts.length === 2 && parts[0] === "proposals") {
+    return service.getProposal(parts[1]);
+  }
+  if (method === "POST" && parts.length === 3 && parts[0] === "proposals" && parts[2] === "signatures") {
+    return service.addSignature(parts[1], body.signature);
+  }
+  if (method === "GET" && parts.length === 3 && parts[0] === "accounts" && parts[2] === "proposals") {
+    return service.getPendingProposals(parts[1]);
+  }
+  throw new ServiceError(404, "Not found");
+}
+
+function createServer(service) {
+  return http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") {
+      send(res, 204, {});
+      return;
+    }
+
+    try {
+      const { pathname } = new URL(req.url, "http://localhost");
+      const parts = pathname.split("/").filter(Boolean);
+      const body = req.method === "POST" ? await readJson(req) : {};
+
+      const result = await route(service, req.method, parts, body);
+      send(res, req.method === "POST" && parts.length === 1 ? 201 : 200, result);
+    } catch (error) {
+      const status = error instanceof ServiceError ? error.status : 500;
+      send(res, status, { error: error.message });
+    }
+  });
+}
+
+module.exports = { createServer };
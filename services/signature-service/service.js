@@ -0,0 +1,272 @@
+// service.js - Collects owner signatures for MultiSigPlugin UserOperations off-chain
+const { ethers } = require("ethers");
+
+const ENTRY_POINT_ABI = [
+  "function getUserOpHash(tuple(address sender, uint256 nonce, bytes initCode, bytes callData, uint256 callGasLimit, uint256 verificationGasLimit, uint256 preVerificationGas, uint256 maxFeePerGas, uint256 maxPriorityFeePerGas, bytes paymasterAndData, bytes signature) userOp) view returns (bytes32)",
+  "function getNonce(address sender, uint192 key) view returns (uint256)",
+  "event UserOperationEvent(bytes32 indexed userOpHash, address indexed sender, address indexed paymaster, uint256 nonce, bool success, uint256 actualGasCost, uint256 actualGasUsed)"
+];
+
+const MULTISIG_ABI = [
+  "function getAccountConfig(address account) view returns (address[] owners, uint256 threshold)",
+  "function getOwnerWeights(address account) view returns (address[] owners, uint256[] weights, uint256 totalWeight)",
+  "function getRequiredWeight(address account, bytes callData) view returns (uint256)",
+  "function getTimelock(address account) view returns (uint256 executionDelay, uint256 proposalLifetime)"
+];
+
+// Leading byte of userOp.signature selecting MultiSigPlugin's ECDSA mode
+const MULTISIG_SIGNATURE_PREFIX = "0x01";
+
+const USER_OP_UINT_FIELDS = [
+  "nonce",
+  "callGasLimit",
+  "verificationGasLimit",
+  "preVerificationGas",
+  "maxFeePerGas",
+  "maxPriorityFeePerGas"
+];
+
+const USER_OP_BYTES_FIELDS = ["initCode", "callData", "paymasterAndData"];
+
+class ServiceError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ServiceError";
+    this.status = status;
+  }
+}
+
+// Canonical JSON form of a UserOperation: checksummed sender, hex quantities, no signature
+function normalizeUserOp(userOp) {
+  if (!userOp || !ethers.utils.isAddress(userOp.sender)) {
+    throw new ServiceError(400, "Invalid userOp sender");
+  }
+
+  const normalized = { sender: ethers.utils.getAddress(userOp.sender) };
+  for (const field of USER_OP_UINT_FIELDS) {
+    try {
+      normalized[field] = ethers.BigNumber.from(userOp[field]).toHexString();
+    } catch (error) {
+      throw new ServiceError(400, `Invalid userOp ${field}`);
+    }
+  }
+  for (const field of USER_OP_BYTES_FIELDS) {
+    if (!ethers.utils.isHexString(userOp[field])) {
+      throw new ServiceError(400, `Invalid userOp ${field}`);
+    }
+    normalized[field] = userOp[field];
+  }
+  normalized.signature = "0x";
+
+  return normalized;
+}
+
+// prefix ++ signatures sorted by signer address
+function aggregateSignatures(signatures) {
+  const sorted = [...signatures].sort((a, b) =>
+    a.signer.toLowerCase() < b.signer.toLowerCase() ? -1 : 1
+  );
+  return ethers.utils.hexConcat([MULTISIG_SIGNATURE_PREFIX, ...sorted.map((s) => s.signature)]);
+}
+
+class SignatureService {
+  constructor({ provider, entryPointAddress, multiSigPluginAddress, store }) {
+    this.provider = provider;
+    this.store = store;
+    this.entryPoint = new ethers.Contract(entryPointAddress, ENTRY_POINT_ABI, provider);
+    this.multiSig = new ethers.Contract(multiSigPluginAddress, MULTISIG_ABI, provider);
+  }
+
+  // Store a new proposal signed by its proposer, who must be an owner, so only owners can fill
+  // the store. A bad signature stores nothing: the proposal can be created again with a good one.
+  async createProposal({ userOp, signature, description = "" }) {
+    if (!signature) {
+      throw new ServiceError(400, "Missing proposer signature");
+    }
+    const normalized = normalizeUserOp(userOp);
+    const userOpHash = await this.entryPoint.getUserOpHash(normalized);
+
+    if (this.store.get(userOpHash)) {
+      throw new ServiceError(409, "Proposal already exists");
+    }
+
+    const config = await this.getAccountConfig(normalized.sender, normalized.callData);
+    if (config.threshold.isZero()) {
+      throw new ServiceError(400, "MultiSigPlugin is not installed for this account");
+    }
+    // With an execution delay the plugin only accepts owner signatures for its proposal functions
+    const [executionDelay] = await this.multiSig.getTimelock(normalized.sender);
+    if (!executionDelay.isZero()) {
+      throw new ServiceError(400, "Account has an execution delay: submit the transaction through MultiSigPlugin");
+    }
+
+    const now = Date.now();
+    const proposal = {
+      id: userOpHash,
+      account: normalized.sender,
+      userOp: normalized,
+      userOpHash,
+      description,
+      signatures: [],
+      status: "pending",
+      // Where to start looking for the op's UserOperationEvent
+      createdBlock: await this.provider.getBlockNumber(),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const signer = this.verifySignature(proposal, signature, config);
+    proposal.signatures.push({ signer, signature, signedAt: now });
+    this.updateStatus(proposal, config);
+    this.store.put(proposal);
+
+    return this.present(proposal);
+  }
+
+  async getProposal(id) {
+    const proposal = this.store.get(id);
+    if (!proposal) {
+      throw new ServiceError(404, "Proposal not found");
+    }
+
+    await this.refreshStatus(proposal);
+    return this.present(proposal);
+  }
+
+  // Proposals still waiting for signatures or execution, oldest first
+  async getPendingProposals(account) {
+    if (!ethers.utils.isAddress(account)) {
+      throw new ServiceError(400, "Invalid account address");
+    }
+
+    const address = ethers.utils.getAddress(account);
+    const proposals = this.store.list((p) => p.account === address);
+    for (const proposal of proposals) {
+      await this.refreshStatus(proposal);
+    }
+
+    return proposals
+      .filter((p) => p.status === "pending" || p.status === "ready")
+      .map((p) => this.present(p));
+  }
+
+  // Verify an owner signature against the current owner set and add it
+  async addSignature(id, signature) {
+    const proposal = this.store.get(id);
+    if (!proposal) {
+      throw new ServiceError(404, "Proposal not found");
+    }
+
+    await this.refreshStatus(proposal);
+    if (proposal.status === "executed" || proposal.status === "replaced") {
+      throw new ServiceError(409, "Proposal nonce already used");
+    }
+
+    const config = await this.getAccountConfig(proposal.account, proposal.userOp.callData);
+    const signer = this.verifySignature(proposal, signature, config);
+    if (proposal.signatures.some((s) => s.signer === signer)) {
+      throw new ServiceError(409, `Signer ${signer} already signed`);
+    }
+
+    proposal.signatures.push({ signer, signature, signedAt: Date.now() });
+    this.updateStatus(proposal, config);
+    this.store.put(proposal);
+
+    return this.present(proposal);
+  }
+
+  // The owner who signed the proposal's userOpHash
+  verifySignature(proposal, signature, { owners }) {
+    let signer;
+    try {
+      if (ethers.utils.hexDataLength(signature) !== 65) {
+        throw new Error("length");
+      }
+      signer = ethers.utils.verifyMessage(ethers.utils.arrayify(proposal.userOpHash), signature);
+    } catch (error) {
+      throw new ServiceError(400, "Invalid signature");
+    }
+
+    if (!owners.includes(signer)) {
+      throw new ServiceError(403, `Signer ${signer} is not an owner of ${proposal.account}`);
+    }
+    return signer;
+  }
+
+  // Owners with their weights, and the weight an op with this callData needs: the threshold
+  // policy may ask more or less of its calls than the account's threshold. Weights are uint256,
+  // so they stay BigNumbers here and proposals keep them as decimal strings.
+  async getAccountConfig(account, callData = null) {
+    const [[owners, threshold], { weights }] = await Promise.all([
+      this.multiSig.getAccountConfig(account),
+      this.multiSig.getOwnerWeights(account)
+    ]);
+
+    let required = threshold;
+    if (callData && !threshold.isZero()) {
+      try {
+        required = await this.multiSig.getRequiredWeight(account, callData);
+      } catch (error) {
+        throw new ServiceError(400, "Invalid userOp callData");
+      }
+    }
+
+    return {
+      owners,
+      weights: Object.fromEntries(owners.map((owner, i) => [owner, weights[i]])),
+      threshold: required
+    };
+  }
+
+  // A proposal whose nonce the EntryPoint has moved past was executed if the EntryPoint logged
+  // its userOpHash, and replaced by another op with that nonce otherwise
+  async refreshStatus(proposal) {
+    if (proposal.status === "executed" || proposal.status === "replaced") {
+      return;
+    }
+
+    const nonce = await this.entryPoint.getNonce(proposal.account, 0);
+    if (nonce.gt(proposal.userOp.nonce)) {
+      const events = await this.entryPoint.queryFilter(
+        this.entryPoint.filters.UserOperationEvent(proposal.userOpHash, proposal.account),
+        proposal.createdBlock || 0
+      );
+      proposal.status = events.length > 0 ? "executed" : "replaced";
+      proposal.updatedAt = Date.now();
+      this.store.put(proposal);
+      return;
+    }
+
+    // Owners, weights or the policy may have changed since the signatures were collected
+    const config = await this.getAccountConfig(proposal.account, proposal.userOp.callData);
+    const previous = proposal.status;
+    this.updateStatus(proposal, config);
+    if (proposal.status !== previous) {
+      this.store.put(proposal);
+    }
+  }
+
+  // Ready once the signers still owning the account hold the weight the op needs
+  updateStatus(proposal, { owners, weights, threshold }) {
+    for (const entry of proposal.signatures) {
+      entry.valid = owners.includes(entry.signer);
+    }
+    const weight = proposal.signatures
+      .filter((s) => s.valid)
+      .reduce((sum, s) => sum.add(weights[s.signer]), ethers.constants.Zero);
+    proposal.threshold = threshold.toString();
+    proposal.weight = weight.toString();
+    proposal.status = weight.gte(threshold) ? "ready" : "pending";
+    proposal.updatedAt = Date.now();
+  }
+
+  present(proposal) {
+    const result = { ...proposal, signatures: proposal.signatures.map((s) => ({ ...s })) };
+    if (proposal.status === "ready") {
+      result.aggregatedSignature = aggregateSignatures(proposal.signatures.filter((s) => s.valid));
+    }
+    return result;
+  }
+}
+
+module.exports = { SignatureService, ServiceError, normalizeUserOp, aggregateSignatures };
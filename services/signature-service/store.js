@@ -0,0 +1,44 @@
+// store.js - JSON file persistence for multisig proposals
+const fs = require("fs");
+const path = require("path");
+
+class FileStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.proposals = {};
+
+    if (filePath && fs.existsSync(filePath)) {
+      this.proposals = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    }
+  }
+
+  get(id) {
+    return this.proposals[id.toLowerCase()] || null;
+  }
+
+  list(filter = () => true) {
+    return Object.values(this.proposals)
+      .filter(filter)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  put(proposal) {
+    this.proposals[proposal.id.toLowerCase()] = proposal;
+    this.save();
+    return proposal;
+  }
+
+  // Write to a temp file first so a crash never leaves a truncated store behind
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.proposals, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = { FileStore };
@@ -0,0 +1,471 @@
+const http = require("http");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadSdk } = require("./helpers/sdk");
+const { startBundler, RPC_ERROR_CODES } = require("../services/bundler");
+const { deployMultiSigPlugin } = require("./helpers/plugins");
+const { buildUserOp, signUserOp } = require("./helpers/userOps");
+
+describe("Bundler", function () {
+  let SmartAccountWallet, BundlerClient, UserOperationRevertedError, bundlerErrors, serializeUserOp;
+  let entryPoint, factory;
+  let deployer, bundlerSigner, beneficiary, recipient;
+  let owner, account;
+  let bundler, server, url;
+
+  const accountInterface = new ethers.utils.Interface([
+    "function execute(address to, uint256 value, bytes data)"
+  ]);
+
+  async function rpc(method, params = []) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params })
+    });
+    return await response.json();
+  }
+
+  async function deployAccount(accountOwner, salt) {
+    await factory.createAccount(accountOwner.address, salt);
+    const address = await factory.getAddress(accountOwner.address, salt);
+    await deployer.sendTransaction({ to: address, value: ethers.utils.parseEther("1") });
+    return await ethers.getContractAt("ModularSmartAccount", address);
+  }
+
+  // Signed op with its quantities as hex strings, as it goes over JSON-RPC
+  async function signedUserOp(sender, signer, callData, overrides = {}) {
+    const userOp = await buildUserOp(entryPoint, sender.address, callData, overrides);
+    return serializeUserOp(await signUserOp(entryPoint, userOp, signer));
+  }
+
+  function transferCallData(to, amount) {
+    return accountInterface.encodeFunctionData("execute", [to, amount, "0x"]);
+  }
+
+  before(async function () {
+    ({ SmartAccountWallet, BundlerClient, UserOperationRevertedError } = await loadSdk("wallet"));
+    bundlerErrors = await loadSdk("bundler");
+    ({ serializeUserOp } = await loadSdk("userOp"));
+  });
+
+  beforeEach(async function () {
+    [deployer, bundlerSigner, beneficiary, recipient] = await ethers.getSigners();
+
+    const MockEntryPoint = await ethers.getContractFactory("MockEntryPoint");
+    entryPoint = await MockEntryPoint.deploy();
+    const SmartAccountFactory = await ethers.getContractFactory("SmartAccountFactory");
+    factory = await SmartAccountFactory.deploy(entryPoint.address);
+
+    owner = ethers.Wallet.createRandom();
+    account = await deployAccount(owner, 0);
+
+    ({ bundler, server, url } = await startBundler({
+      provider: ethers.provider,
+      signer: bundlerSigner,
+      entryPointAddress: entryPoint.address,
+      beneficiary: beneficiary.address
+    }));
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  describe("RPC", function () {
+    it("Should report the chain id and supported entry points", async function () {
+      expect((await rpc("eth_chainId")).result).to.equal("0x7a69");
+      expect((await rpc("eth_supportedEntryPoints")).result).to.deep.equal([entryPoint.address]);
+    });
+
+    it("Should answer unknown methods with METHOD_NOT_FOUND", async function () {
+      const { error } = await rpc("eth_notAMethod");
+      expect(error.code).to.equal(RPC_ERROR_CODES.METHOD_NOT_FOUND);
+    });
+
+    it("Should reject ops for another entry point", async function () {
+      const userOp = await signedUserOp(account, owner, "0x");
+      const { error } = await rpc("eth_sendUserOperation", [userOp, recipient.address]);
+      expect(error.code).to.equal(RPC_ERROR_CODES.INVALID_FIELDS);
+    });
+  });
+
+  describe("Mempool", function () {
+    it("Should accept a simulated op and keep it until the next bundle", async function () {
+      const userOp = await signedUserOp(account, owner, transferCallData(recipient.address, 1));
+
+      const { result: userOpHash } = await rpc("eth_sendUserOperation", [userOp, entryPoint.address]);
+      expect(userOpHash).to.equal((await entryPoint.getUserOpHash(userOp)).toLowerCase());
+      expect((await rpc("debug_bundler_dumpMempool")).result).to.have.lengthOf(1);
+
+      const pending = (await rpc("eth_getUserOperationByHash", [userOpHash])).result;
+      expect(pending.transactionHash).to.equal(null);
+      expect(pending.userOp.sender).to.equal(account.address);
+      expect((await rpc("eth_getUserOperationReceipt", [userOpHash])).result).to.equal(null);
+    });
+
+    it("Should reject an op whose signature fails validation", async function () {
+      const userOp = await signedUserOp(account, ethers.Wallet.createRandom(), "0x");
+
+      const { error } = await rpc("eth_sendUserOperation", [userOp, entryPoint.address]);
+      expect(error.code).to.equal(RPC_ERROR_CODES.INVALID_SIGNATURE);
+      expect((await rpc("debug_bundler_dumpMempool")).result).to.have.lengthOf(0);
+    });
+
+    it("Should reject an op with a stale nonce", async function () {
+      const userOp = await signedUserOp(account, owner, "0x", { nonce: "0x5" });
+
+      const { error } = await rpc("eth_sendUserOperation", [userOp, entryPoint.address]);
+      expect(error.code).to.equal(RPC_ERROR_CODES.SIMULATE_VALIDATION);
+      expect(error.message).to.include("AA25");
+    });
+
+    it("Should reject preVerificationGas below the calldata cost", async function () {
+      const userOp = await signedUserOp(account, owner, "0x", { preVerificationGas: "0x5208" });
+
+      const { error } = await rpc("eth_sendUserOperation", [userOp, entryPoint.address]);
+      expect(error.code).to.equal(RPC_ERROR_CODES.INVALID_FIELDS);
+      expect(error.message).to.include("preVerificationGas");
+    });
+
+    it("Should only replace an op with the same nonce when fees go up", async function () {
+      const first = await signedUserOp(account, owner, transferCallData(recipient.address, 1));
+      await rpc("eth_sendUserOperation", [first, entryPoint.address]);
+
+      const underpriced = await signedUserOp(account, owner, transferCallData(recipient.address, 2), {
+        maxPriorityFeePerGas: ethers.utils.parseUnits("1.05", "gwei").toHexString()
+      });
+      const { error } = await rpc("eth_sendUserOperation", [underpriced, entryPoint.address]);
+      expect(error.code).to.equal(RPC_ERROR_CODES.INVALID_FIELDS);
+
+      const replacement = await signedUserOp(account, owner, transferCallData(recipient.address, 2), {
+        maxFeePerGas: ethers.utils.parseUnits("3", "gwei").toHexString(),
+        maxPriorityFeePerGas: ethers.utils.parseUnits("2", "gwei").toHexString()
+      });
+      const { result } = await rpc("eth_sendUserOperation", [replacement, entryPoint.address]);
+
+      const mempool = (await rpc("debug_bundler_dumpMempool")).result;
+      expect(mempool).to.have.lengthOf(1);
+      expect(result).to.equal((await entryPoint.getUserOpHash(replacement)).toLowerCase());
+    });
+  });
+
+  describe("Bundling", function () {
+    it("Should bundle ops from several senders into one handleOps", async function () {
+      const otherOwner = ethers.Wallet.createRandom();
+      const otherAccount = await deployAccount(otherOwner, 0);
+      const amount = ethers.utils.parseEther("0.1");
+
+      const hashes = [];
+      for (const [sender, signer] of [[account, owner], [otherAccount, otherOwner]]) {
+        const userOp = await signedUserOp(sender, signer, transferCallData(recipient.address, amount));
+        hashes.push((await rpc("eth_sendUserOperation", [userOp, entryPoint.address])).result);
+      }
+
+      const recipientBefore = await recipient.getBalance();
+      const beneficiaryBefore = await beneficiary.getBalance();
+      const { result: txHash } = await rpc("debug_bundler_sendBundleNow");
+
+      expect(await recipient.getBalance()).to.equal(recipientBefore.add(amount.mul(2)));
+      expect(await beneficiary.getBalance()).to.be.gt(beneficiaryBefore);
+      expect((await rpc("debug_bundler_dumpMempool")).result).to.have.lengthOf(0);
+
+      for (const hash of hashes) {
+        const { result: receipt } = await rpc("eth_getUserOperationReceipt", [hash]);
+        expect(receipt.success).to.equal(true);
+        expect(receipt.receipt.transactionHash).to.equal(txHash);
+
+        const { result: included } = await rpc("eth_getUserOperationByHash", [hash]);
+        expect(included.transactionHash).to.equal(txHash);
+      }
+    });
+
+    it("Should drop ops that became invalid before bundling", async function () {
+      const userOp = await signedUserOp(account, owner, "0x");
+      await rpc("eth_sendUserOperation", [userOp, entryPoint.address]);
+
+      // The same nonce is used up by a direct handleOps call
+      await entryPoint.handleOps([userOp], beneficiary.address);
+
+      expect((await rpc("debug_bundler_sendBundleNow")).result).to.equal(null);
+      expect((await rpc("debug_bundler_dumpMempool")).result).to.have.lengthOf(0);
+    });
+
+    it("Should report the revert reason of a failed call in the receipt", async function () {
+      const withdraw = entryPoint.interface.encodeFunctionData("withdrawTo", [
+        recipient.address,
+        ethers.utils.parseEther("100")
+      ]);
+      const userOp = await signedUserOp(
+        account,
+        owner,
+        accountInterface.encodeFunctionData("execute", [entryPoint.address, 0, withdraw])
+      );
+      const { result: userOpHash } = await rpc("eth_sendUserOperation", [userOp, entryPoint.address]);
+      await rpc("debug_bundler_sendBundleNow");
+
+      const { result: receipt } = await rpc("eth_getUserOperationReceipt", [userOpHash]);
+      expect(receipt.success).to.equal(false);
+      expect(receipt.reason).to.equal("Insufficient deposit");
+    });
+  });
+
+  describe("Gas estimation", function () {
+    it("Should estimate gas limits that pass validation for a deployed account", async function () {
+      const callData = transferCallData(recipient.address, 1);
+      const { result: estimate } = await rpc("eth_estimateUserOperationGas", [
+        { sender: account.address, nonce: "0x0", initCode: "0x", callData },
+        entryPoint.address
+      ]);
+
+      expect(Number(estimate.callGasLimit)).to.be.gt(0);
+      const userOp = await signedUserOp(account, owner, callData, estimate);
+      const { result: userOpHash } = await rpc("eth_sendUserOperation", [userOp, entryPoint.address]);
+      await rpc("debug_bundler_sendBundleNow");
+
+      expect((await rpc("eth_getUserOperationReceipt", [userOpHash])).result.success).to.equal(true);
+    });
+
+    it("Should estimate deployment and execution for a counterfactual account", async function () {
+      const newOwner = ethers.Wallet.createRandom();
+      const sender = await factory.getAddress(newOwner.address, 0);
+      await deployer.sendTransaction({ to: sender, value: ethers.utils.parseEther("1") });
+      const initCode = ethers.utils.hexConcat([
+        factory.address,
+        factory.interface.encodeFunctionData("createAccount", [newOwner.address, 0])
+      ]);
+      const callData = transferCallData(recipient.address, 1);
+
+      const { result: estimate } = await rpc("eth_estimateUserOperationGas", [
+        { sender, nonce: "0x0", initCode, callData },
+        entryPoint.address
+      ]);
+      expect(Number(estimate.verificationGasLimit)).to.be.gt(100000);
+
+      const userOp = await signedUserOp({ address: sender }, newOwner, callData, { initCode, ...estimate });
+      const { result: userOpHash } = await rpc("eth_sendUserOperation", [userOp, entryPoint.address]);
+      await rpc("debug_bundler_sendBundleNow");
+
+      expect((await rpc("eth_getUserOperationReceipt", [userOpHash])).result.success).to.equal(true);
+      expect(await ethers.provider.getCode(sender)).to.not.equal("0x");
+    });
+
+    it("Should report a reverting call as EXECUTION_REVERTED", async function () {
+      const { error } = await rpc("eth_estimateUserOperationGas", [
+        {
+          sender: account.address,
+          nonce: "0x0",
+          initCode: "0x",
+          callData: transferCallData(recipient.address, ethers.utils.parseEther("100"))
+        },
+        entryPoint.address
+      ]);
+      expect(error.code).to.equal(RPC_ERROR_CODES.EXECUTION_REVERTED);
+    });
+  });
+
+  describe("SDK", function () {
+    it("Should send through BundlerClient and deploy the account on first use", async function () {
+      bundler.autoBundleMempoolSize = 1;
+
+      const wallet = new SmartAccountWallet(
+        ethers.provider,
+        entryPoint.address,
+        factory.address,
+        ethers.constants.AddressZero
+      );
+      await wallet.init(ethers.Wallet.createRandom().privateKey);
+      const accountAddress = await wallet.createAccount();
+      await deployer.sendTransaction({ to: accountAddress, value: ethers.utils.parseEther("1") });
+
+      const amount = ethers.utils.parseEther("0.1");
+      const userOp = await wallet.createUserOperation(transferCallData(recipient.address, amount));
+
+      const client = new BundlerClient(url);
+      const recipientBefore = await recipient.getBalance();
+      const userOpHash = await client.sendUserOperation(userOp, entryPoint.address);
+      const receipt = await client.getUserOperationReceipt(userOpHash);
+
+      expect(receipt.success).to.equal(true);
+      expect(receipt.sender).to.equal(accountAddress);
+      expect(await wallet.isDeployed()).to.equal(true);
+      expect(await recipient.getBalance()).to.equal(recipientBefore.add(amount));
+    });
+
+    it("Should route SmartAccountWallet.sendUserOperation through the bundler", async function () {
+      bundler.autoBundleMempoolSize = 1;
+
+      const wallet = new SmartAccountWallet(
+        ethers.provider,
+        entryPoint.address,
+        factory.address,
+        ethers.constants.AddressZero,
+        { bundlerUrl: url }
+      );
+      // The owner key holds no ETH, so it could not have sent handleOps itself
+      const ownerAddress = await wallet.init(ethers.Wallet.createRandom().privateKey);
+      const accountAddress = await wallet.createAccount();
+      await deployer.sendTransaction({ to: accountAddress, value: ethers.utils.parseEther("1") });
+
+      const amount = ethers.utils.parseEther("0.1");
+      const recipientBefore = await recipient.getBalance();
+      const receipt = await wallet.execute(recipient.address, amount, "0x");
+
+      expect(receipt.from).to.equal(bundlerSigner.address);
+      expect(await ethers.provider.getBalance(ownerAddress)).to.equal(0);
+      expect(await recipient.getBalance()).to.equal(recipientBefore.add(amount));
+
+      // An op whose call reverts is still bundled, but the wallet reports the failure
+      const withdraw = entryPoint.interface.encodeFunctionData("withdrawTo", [
+        recipient.address,
+        ethers.utils.parseEther("100")
+      ]);
+      const userOp = await wallet.createUserOperation(
+        accountInterface.encodeFunctionData("execute", [entryPoint.address, 0, withdraw]),
+        { callGasLimit: 100000 }
+      );
+      const error = await wallet.sendUserOperation(userOp).catch((e) => e);
+      expect(error).to.be.instanceOf(UserOperationRevertedError);
+      expect(error.reason).to.equal("Insufficient deposit");
+      expect(error.receipt.from).to.equal(bundlerSigner.address);
+    });
+
+    it("Should record MultiSig proposals for the owners who signed, not the bundler", async function () {
+      bundler.autoBundleMempoolSize = 1;
+      const multiSigPlugin = await deployMultiSigPlugin();
+
+      const walletFor = async (privateKey) => {
+        const wallet = new SmartAccountWallet(
+          ethers.provider,
+          entryPoint.address,
+          factory.address,
+          multiSigPlugin.address,
+          { bundlerUrl: url }
+        );
+        await wallet.init(privateKey);
+        return wallet;
+      };
+      const first = await walletFor(ethers.Wallet.createRandom().privateKey);
+      const second = await walletFor(ethers.Wallet.createRandom().privateKey);
+
+      const accountAddress = await first.createAccount();
+      second.accountAddress = accountAddress;
+      await deployer.sendTransaction({ to: accountAddress, value: ethers.utils.parseEther("1") });
+      await first.installMultiSigPlugin([first.signer.address, second.signer.address], 2);
+
+      const submitted = await first.submitMultiSigTransaction(recipient.address, 1, "0x");
+      expect(submitted.from).to.equal(bundlerSigner.address);
+      const [event] = await multiSigPlugin.queryFilter(multiSigPlugin.filters.TransactionSubmitted(accountAddress));
+      expect(event.args.submitter).to.equal(first.signer.address);
+
+      await second.confirmMultiSigTransaction(0);
+      expect(await second.getMultiSigConfirmations(0)).to.deep.equal([first.signer.address, second.signer.address]);
+      expect(await multiSigPlugin.confirmations(accountAddress, 0, bundlerSigner.address)).to.equal(false);
+    });
+
+    it("Should estimate gas, look up ops and wait for their receipt", async function () {
+      const client = new BundlerClient(url);
+      const callData = transferCallData(recipient.address, 1);
+
+      expect(await client.chainId()).to.equal(31337);
+      expect(await client.supportedEntryPoints()).to.deep.equal([entryPoint.address]);
+
+      const estimate = await client.estimateUserOperationGas(
+        { sender: account.address, nonce: 0, initCode: "0x", callData },
+        entryPoint.address
+      );
+      expect(ethers.BigNumber.isBigNumber(estimate.callGasLimit)).to.equal(true);
+
+      const userOp = await signedUserOp(account, owner, callData, {
+        preVerificationGas: estimate.preVerificationGas.toHexString(),
+        verificationGasLimit: estimate.verificationGasLimit.toHexString(),
+        callGasLimit: estimate.callGasLimit.toHexString()
+      });
+      const userOpHash = await client.sendUserOperation(userOp, entryPoint.address);
+      expect((await client.getUserOperationByHash(userOpHash)).transactionHash).to.equal(null);
+
+      setTimeout(() => rpc("debug_bundler_sendBundleNow"), 200);
+      const receipt = await client.waitForUserOperationReceipt(userOpHash, { interval: 100 });
+
+      expect(receipt.success).to.equal(true);
+      expect((await client.getUserOperationByHash(userOpHash)).transactionHash)
+        .to.equal(receipt.receipt.transactionHash);
+    });
+
+    it("Should time out waiting for an op that is never bundled", async function () {
+      const client = new BundlerClient(url);
+      const userOp = await signedUserOp(account, owner, transferCallData(recipient.address, 1));
+      const userOpHash = await client.sendUserOperation(userOp, entryPoint.address);
+
+      const error = await client
+        .waitForUserOperationReceipt(userOpHash, { timeout: 300, interval: 100 })
+        .catch((e) => e);
+      expect(error).to.be.instanceOf(bundlerErrors.UserOperationTimeoutError);
+      expect(error.userOpHash).to.equal(userOpHash);
+    });
+
+    it("Should raise typed errors for AA error codes", async function () {
+      const client = new BundlerClient(url);
+
+      const staleNonce = await signedUserOp(account, owner, "0x", { nonce: "0x5" });
+      const nonceError = await client.sendUserOperation(staleNonce, entryPoint.address).catch((e) => e);
+      expect(nonceError).to.be.instanceOf(bundlerErrors.AccountValidationError);
+      expect(nonceError.aaCode).to.equal("AA25");
+      expect(nonceError.code).to.equal(RPC_ERROR_CODES.SIMULATE_VALIDATION);
+
+      const badSignature = await signedUserOp(account, ethers.Wallet.createRandom(), "0x");
+      const signatureError = await client.sendUserOperation(badSignature, entryPoint.address).catch((e) => e);
+      expect(signatureError).to.be.instanceOf(bundlerErrors.AccountValidationError);
+
+      const newOwner = ethers.Wallet.createRandom();
+      const sender = { address: await factory.getAddress(newOwner.address, 1) };
+      const wrongSender = await signedUserOp(sender, newOwner, "0x", {
+        initCode: ethers.utils.hexConcat([
+          factory.address,
+          factory.interface.encodeFunctionData("createAccount", [newOwner.address, 2])
+        ]),
+        verificationGasLimit: "0x4c4b40"
+      });
+      const creationError = await client.sendUserOperation(wrongSender, entryPoint.address).catch((e) => e);
+      expect(creationError).to.be.instanceOf(bundlerErrors.AccountCreationError);
+      expect(creationError.aaCode).to.equal("AA14");
+    });
+
+    it("Should retry unavailable bundlers with backoff and number each request", async function () {
+      const received = [];
+      const flaky = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+          const request = JSON.parse(body);
+          received.push(request.id);
+          if (received.length <= 2) {
+            res.writeHead(503);
+            res.end();
+            return;
+          }
+          res.writeHead(200, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ jsonrpc: "2.0", id: request.id, result: "0x7a69" }));
+        });
+      });
+      await new Promise((resolve) => flaky.listen(0, resolve));
+
+      try {
+        const client = new BundlerClient(`http://127.0.0.1:${flaky.address().port}`, { retryDelay: 10 });
+        expect(await client.chainId()).to.equal(31337);
+        expect(await client.chainId()).to.equal(31337);
+
+        // Retries resend the same request; the next call gets a new id
+        expect(received).to.deep.equal([1, 1, 1, 2]);
+
+        const failing = new BundlerClient(`http://127.0.0.1:${flaky.address().port}`, { retries: 0 });
+        received.length = 0;
+        const error = await failing.chainId().catch((e) => e);
+        expect(error).to.be.instanceOf(bundlerErrors.BundlerError);
+        expect(error.code).to.equal(503);
+      } finally {
+        await new Promise((resolve) => flaky.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,219 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { buildUserOp, signUserOp } = require("./helpers/userOps");
+
+describe("MockEntryPoint", function () {
+  let entryPoint, factory, account;
+  let deployer, beneficiary, recipient;
+  let owner;
+
+  const accountInterface = new ethers.utils.Interface([
+    "function execute(address to, uint256 value, bytes data)"
+  ]);
+
+  async function signedUserOp(callData, overrides = {}, signer = owner) {
+    return signUserOp(entryPoint, await buildUserOp(entryPoint, account.address, callData, overrides), signer);
+  }
+
+  beforeEach(async function () {
+    [deployer, beneficiary, recipient] = await ethers.getSigners();
+    owner = ethers.Wallet.createRandom();
+
+    const MockEntryPoint = await ethers.getContractFactory("MockEntryPoint");
+    entryPoint = await MockEntryPoint.deploy();
+    await entryPoint.deployed();
+
+    const SmartAccountFactory = await ethers.getContractFactory("SmartAccountFactory");
+    factory = await SmartAccountFactory.deploy(entryPoint.address);
+    await factory.deployed();
+
+    await factory.createAccount(owner.address, 0);
+    account = await ethers.getContractAt(
+      "ModularSmartAccount",
+      await factory.getAddress(owner.address, 0)
+    );
+
+    await deployer.sendTransaction({ to: account.address, value: ethers.utils.parseEther("1") });
+  });
+
+  describe("handleOps", function () {
+    it("Should validate, execute the callData and increment the nonce", async function () {
+      const amount = ethers.utils.parseEther("0.1");
+      const userOp = await signedUserOp(
+        accountInterface.encodeFunctionData("execute", [recipient.address, amount, "0x"])
+      );
+      const userOpHash = await entryPoint.getUserOpHash(userOp);
+
+      const recipientBefore = await recipient.getBalance();
+      await expect(entryPoint.handleOps([userOp], beneficiary.address))
+        .to.emit(entryPoint, "UserOperationEvent");
+
+      expect(await recipient.getBalance()).to.equal(recipientBefore.add(amount));
+      expect(await entryPoint.getNonce(account.address, 0)).to.equal(1);
+      expect(await account.nonce()).to.equal(1);
+
+      const [event] = await entryPoint.queryFilter(entryPoint.filters.UserOperationEvent(userOpHash));
+      expect(event.args.success).to.equal(true);
+      expect(event.args.actualGasCost).to.be.gt(0);
+    });
+
+    it("Should charge the prefund from deposits and refund the unused part", async function () {
+      await entryPoint.depositTo(account.address, { value: ethers.utils.parseEther("1") });
+      const userOp = await signedUserOp(
+        accountInterface.encodeFunctionData("execute", [recipient.address, 0, "0x"])
+      );
+
+      const beneficiaryBefore = await beneficiary.getBalance();
+      const accountBalanceBefore = await ethers.provider.getBalance(account.address);
+      const tx = await entryPoint.handleOps([userOp], beneficiary.address);
+      const receipt = await tx.wait();
+
+      const event = receipt.events.find((e) => e.event === "UserOperationEvent");
+      const actualGasCost = event.args.actualGasCost;
+
+      expect(await entryPoint.balanceOf(account.address))
+        .to.equal(ethers.utils.parseEther("1").sub(actualGasCost));
+      expect(await beneficiary.getBalance()).to.equal(beneficiaryBefore.add(actualGasCost));
+      expect(await ethers.provider.getBalance(account.address)).to.equal(accountBalanceBefore);
+    });
+
+    it("Should pull missing funds from the account balance", async function () {
+      const userOp = await signedUserOp(
+        accountInterface.encodeFunctionData("execute", [recipient.address, 0, "0x"])
+      );
+      const accountBalanceBefore = await ethers.provider.getBalance(account.address);
+
+      await entryPoint.handleOps([userOp], beneficiary.address);
+
+      const prefund = ethers.BigNumber.from(userOp.callGasLimit)
+        .add(userOp.verificationGasLimit)
+        .add(userOp.preVerificationGas)
+        .mul(userOp.maxFeePerGas);
+      expect(await ethers.provider.getBalance(account.address))
+        .to.equal(accountBalanceBefore.sub(prefund));
+      expect(await entryPoint.balanceOf(account.address)).to.be.gt(0);
+    });
+
+    it("Should emit UserOperationRevertReason when the call fails", async function () {
+      const userOp = await signedUserOp(
+        accountInterface.encodeFunctionData("execute", [
+          recipient.address,
+          ethers.utils.parseEther("100"),
+          "0x"
+        ])
+      );
+
+      const tx = await entryPoint.handleOps([userOp], beneficiary.address);
+      const receipt = await tx.wait();
+
+      expect(receipt.events.some((e) => e.event === "UserOperationRevertReason")).to.equal(true);
+      const event = receipt.events.find((e) => e.event === "UserOperationEvent");
+      expect(event.args.success).to.equal(false);
+      expect(await entryPoint.getNonce(account.address, 0)).to.equal(1);
+    });
+
+    it("Should reject an op with an invalid nonce", async function () {
+      const userOp = await signedUserOp(
+        accountInterface.encodeFunctionData("execute", [recipient.address, 0, "0x"]),
+        { nonce: 5 }
+      );
+
+      await expect(entryPoint.handleOps([userOp], beneficiary.address)).to.be.reverted;
+      expect(await entryPoint.getNonce(account.address, 0)).to.equal(0);
+    });
+
+    it("Should reject an op that is not signed by the account owner", async function () {
+      const userOp = await signedUserOp(
+        accountInterface.encodeFunctionData("execute", [recipient.address, 0, "0x"]),
+        {},
+        ethers.Wallet.createRandom()
+      );
+
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+    });
+
+    it("Should reject an op for an account that is not deployed", async function () {
+      const userOp = await signedUserOp("0x");
+      userOp.sender = await factory.getAddress(owner.address, 1);
+
+      await expect(entryPoint.handleOps([userOp], beneficiary.address)).to.be.reverted;
+    });
+
+    it("Should deploy the sender from initCode", async function () {
+      const sender = await factory.getAddress(owner.address, 1);
+      await deployer.sendTransaction({ to: sender, value: ethers.utils.parseEther("1") });
+
+      const initCode = ethers.utils.hexConcat([
+        factory.address,
+        factory.interface.encodeFunctionData("createAccount", [owner.address, 1])
+      ]);
+      account = await ethers.getContractAt("ModularSmartAccount", sender);
+      const userOp = await signedUserOp(
+        accountInterface.encodeFunctionData("execute", [recipient.address, 0, "0x"]),
+        { initCode, verificationGasLimit: 5000000 }
+      );
+
+      await expect(entryPoint.handleOps([userOp], beneficiary.address))
+        .to.emit(entryPoint, "AccountDeployed");
+      expect(await ethers.provider.getCode(sender)).to.not.equal("0x");
+    });
+
+    it("Should reject initCode that deploys a different sender", async function () {
+      const initCode = ethers.utils.hexConcat([
+        factory.address,
+        factory.interface.encodeFunctionData("createAccount", [owner.address, 2])
+      ]);
+      const userOp = await signedUserOp("0x", { initCode, verificationGasLimit: 5000000 });
+      userOp.sender = await factory.getAddress(owner.address, 3);
+
+      await expect(entryPoint.handleOps([userOp], beneficiary.address)).to.be.reverted;
+    });
+
+    it("Should report the counterfactual address through getSenderAddress", async function () {
+      const initCode = ethers.utils.hexConcat([
+        factory.address,
+        factory.interface.encodeFunctionData("createAccount", [owner.address, 4])
+      ]);
+
+      const error = await entryPoint.callStatic.getSenderAddress(initCode).catch((e) => e);
+      const data = error.data || (error.error && error.error.data);
+      const decoded = entryPoint.interface.decodeErrorResult("SenderAddressResult", data);
+      expect(decoded.sender).to.equal(await factory.getAddress(owner.address, 4));
+    });
+
+    it("Should report validation through simulateValidation without rejecting bad signatures", async function () {
+      const userOp = await signedUserOp("0x", {}, ethers.Wallet.createRandom());
+
+      const data = await ethers.provider.call({
+        to: entryPoint.address,
+        data: entryPoint.interface.encodeFunctionData("simulateValidation", [userOp])
+      });
+      const { returnInfo } = entryPoint.interface.decodeErrorResult("ValidationResult", data);
+
+      expect(returnInfo.sigFailed).to.equal(true);
+      expect(returnInfo.prefund).to.equal(
+        ethers.BigNumber.from(userOp.callGasLimit)
+          .add(userOp.verificationGasLimit)
+          .add(userOp.preVerificationGas)
+          .mul(userOp.maxFeePerGas)
+      );
+      expect(returnInfo.preOpGas).to.be.gt(userOp.preVerificationGas);
+      expect(await entryPoint.getNonce(account.address, 0)).to.equal(0);
+    });
+
+    it("Should not let anyone but the EntryPoint call innerHandleOp", async function () {
+      const userOp = await signedUserOp("0x");
+
+      await expect(
+        entryPoint.innerHandleOp(userOp, {
+          userOpHash: ethers.constants.HashZero,
+          prefund: 0,
+          preOpGas: 0,
+          paymaster: ethers.constants.AddressZero,
+          context: "0x"
+        })
+      ).to.be.revertedWith("AA92 internal call only");
+    });
+  });
+});
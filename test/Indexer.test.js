@@ -0,0 +1,286 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadSdk } = require("./helpers/sdk");
+const { deployMultiSigPlugin } = require("./helpers/plugins");
+const { startIndexer } = require("../services/indexer");
+
+describe("Indexer", function () {
+  let SmartAccountWallet;
+  let entryPoint, factory, multiSigPlugin, token, accountAddress;
+  let deployer, recipient;
+  let owners, wallets;
+  let indexer, server, url, startBlock;
+
+  before(async function () {
+    ({ SmartAccountWallet } = await loadSdk("wallet"));
+  });
+
+  beforeEach(async function () {
+    [deployer, recipient] = await ethers.getSigners();
+    startBlock = await ethers.provider.getBlockNumber();
+
+    const MockEntryPoint = await ethers.getContractFactory("MockEntryPoint");
+    entryPoint = await MockEntryPoint.deploy();
+    const SmartAccountFactory = await ethers.getContractFactory("SmartAccountFactory");
+    factory = await SmartAccountFactory.deploy(entryPoint.address);
+    multiSigPlugin = await deployMultiSigPlugin();
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("Test Token", "TST", 18);
+
+    ({ server, indexer, url } = await startIndexer({
+      provider: ethers.provider,
+      factoryAddress: factory.address,
+      multiSigPluginAddress: multiSigPlugin.address,
+      entryPointAddress: entryPoint.address,
+      dbPath: ":memory:",
+      startBlock
+    }));
+
+    owners = [0, 1].map(() => ethers.Wallet.createRandom().connect(ethers.provider));
+    wallets = [];
+    for (const owner of owners) {
+      await deployer.sendTransaction({ to: owner.address, value: ethers.utils.parseEther("1") });
+      const wallet = new SmartAccountWallet(
+        ethers.provider,
+        entryPoint.address,
+        factory.address,
+        multiSigPlugin.address,
+        { indexerUrl: url }
+      );
+      await wallet.init(owner.privateKey);
+      wallets.push(wallet);
+    }
+
+    accountAddress = await wallets[0].createAccount();
+    wallets[1].loadAccount(accountAddress);
+    await deployer.sendTransaction({ to: accountAddress, value: ethers.utils.parseEther("2") });
+    await wallets[0].installMultiSigPlugin(owners.map((o) => o.address), 2);
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("Should index account creation, plugin installs and EntryPoint activity", async function () {
+    await deployer.sendTransaction({ to: accountAddress, value: 1 });
+    await indexer.sync();
+
+    const { items, total } = await wallets[0].getAccountHistory({ limit: 100 });
+    expect(total).to.equal(items.length);
+    const names = items.map((e) => `${e.source}.${e.name}`).reverse();
+    expect(names).to.include.members([
+      "factory.AccountCreated",
+      "account.Received",
+      "account.PluginInstalled",
+      "multisig.PluginInstalled",
+      "multisig.OwnerAdded",
+      "multisig.OwnerWeightChanged",
+      "entryPoint.Deposited",
+      "entryPoint.UserOperationEvent"
+    ]);
+    expect(names.indexOf("factory.AccountCreated")).to.be.lt(names.indexOf("account.PluginInstalled"));
+
+    const installed = items.find((e) => e.source === "account" && e.name === "PluginInstalled");
+    expect(installed.args.plugin).to.equal(multiSigPlugin.address);
+    expect(installed.timestamp).to.equal(
+      (await ethers.provider.getBlock(installed.blockNumber)).timestamp
+    );
+
+    const ops = await wallets[0].getUserOperationHistory();
+    expect(ops.total).to.equal(1);
+    expect(ops.items[0]).to.include({ success: true, nonce: "0", revertReason: null });
+  });
+
+  it("Should find accounts by owner, directly or through MultiSigPlugin", async function () {
+    await indexer.sync();
+
+    const [created] = await wallets[0].getOwnedAccounts();
+    expect(created).to.include({ account: accountAddress, creator: owners[0].address, salt: "0" });
+    expect(created.roles).to.deep.equal(["owner", "multiSigOwner"]);
+
+    const [coOwned] = await wallets[1].getOwnedAccounts();
+    expect(coOwned.account).to.equal(accountAddress);
+    expect(coOwned.roles).to.deep.equal(["multiSigOwner"]);
+
+    expect(await wallets[0].getOwnedAccounts(recipient.address)).to.deep.equal([]);
+  });
+
+  it("Should build proposal status and confirmations from the plugin's events", async function () {
+    await wallets[0].submitMultiSigTransaction(recipient.address, 1, "0x");
+    await wallets[1].confirmMultiSigTransaction(0);
+    await wallets[1].executeMultiSigTransaction(0);
+
+    await wallets[0].submitMultiSigTransaction(recipient.address, 2, "0x");
+    await wallets[0].cancelMultiSigTransaction(1);
+
+    await wallets[1].submitMultiSigTransaction(recipient.address, 3, "0x");
+    await wallets[0].confirmMultiSigTransaction(2);
+    await wallets[0].revokeMultiSigConfirmation(2);
+    await wallets[1].replaceMultiSigTransaction(2, [{ to: recipient.address, value: 4 }]);
+
+    await indexer.sync();
+
+    const { items, total } = await wallets[0].getMultiSigProposalHistory();
+    expect(total).to.equal(3);
+    expect(items.map((p) => [p.txId, p.status])).to.deep.equal([
+      [2, "open"],
+      [1, "cancelled"],
+      [0, "executed"]
+    ]);
+    expect(items[2].confirmations).to.have.members(owners.map((o) => o.address));
+    expect(items[2].closedAt.blockNumber).to.be.gt(items[2].submittedAt.blockNumber);
+    // Replacing resets the confirmations to the proposer's
+    expect(items[0]).to.deep.include({
+      proposer: owners[1].address,
+      calls: [{ to: recipient.address, value: "4", data: "0x" }],
+      confirmations: [owners[1].address],
+      closedAt: null
+    });
+
+    const open = await wallets[0].getMultiSigProposalHistory({ status: "open" });
+    expect(open.items.map((p) => p.txId)).to.deep.equal([2]);
+    const paged = await wallets[0].getMultiSigProposalHistory({ offset: 1, limit: 1 });
+    expect(paged).to.deep.include({ total: 3 });
+    expect(paged.items.map((p) => p.txId)).to.deep.equal([1]);
+
+    const timeline = await wallets[0].getMultiSigProposalTimeline(0);
+    expect(timeline.map((e) => e.name)).to.deep.equal([
+      "TransactionSubmitted",
+      "TransactionConfirmed",
+      "TransactionConfirmed",
+      "TransactionReady",
+      "TransactionExecuted"
+    ]);
+  });
+
+  it("Should list an owner's votes and the account's failed UserOperations", async function () {
+    await wallets[0].submitMultiSigTransaction(recipient.address, 1, "0x");
+    await wallets[1].confirmMultiSigTransaction(0);
+    await wallets[1].voteToCancelMultiSigTransaction(0);
+    // Moving tokens the account does not have reverts inside the op, which is still included
+    const transfer = token.interface.encodeFunctionData("transfer", [recipient.address, 1]);
+    const error = await wallets[0]
+      .executeWithOwnerSignatures(token.address, 0, transfer, owners, { callGasLimit: 200000 })
+      .catch((e) => e);
+    expect(error.reason).to.equal("ERC20: transfer amount exceeds balance");
+
+    await indexer.sync();
+
+    const client = wallets[0].getIndexer();
+    const votes = await client.getConfirmationsByOwner(owners[1].address, { account: accountAddress });
+    expect(votes.items.map((v) => [v.txId, v.action])).to.deep.equal([
+      [0, "voteToCancel"],
+      [0, "confirmed"]
+    ]);
+    const elsewhere = await client.getConfirmationsByOwner(owners[1].address, { account: recipient.address });
+    expect(elsewhere.total).to.equal(0);
+
+    const ops = await wallets[0].getUserOperationHistory();
+    const [failed] = ops.items;
+    expect(failed.success).to.equal(false);
+    expect(failed.revertReason).to.not.equal(null);
+    expect(ops.items.slice(1).every((op) => op.success)).to.equal(true);
+  });
+
+  it("Should list the tokens the account received", async function () {
+    const nft = await (await ethers.getContractFactory("MockERC721")).deploy();
+    const multiToken = await (await ethers.getContractFactory("MockERC1155")).deploy();
+    await nft.mint(deployer.address, 7);
+    await multiToken.mint(deployer.address, 1, 10);
+    await nft["safeTransferFrom(address,address,uint256)"](deployer.address, accountAddress, 7);
+    await multiToken.safeBatchTransferFrom(deployer.address, accountAddress, [1], [3], "0x");
+
+    await indexer.sync();
+
+    const { items, total } = await wallets[0].getReceivedTokenHistory();
+    expect(total).to.equal(2);
+    expect(items[0]).to.deep.include({
+      standard: "ERC1155",
+      token: multiToken.address,
+      from: deployer.address,
+      tokenIds: ["1"],
+      amounts: ["3"]
+    });
+    expect(items[1]).to.deep.include({
+      standard: "ERC721",
+      token: nft.address,
+      operator: deployer.address,
+      tokenIds: ["7"],
+      amounts: ["1"]
+    });
+  });
+
+  it("Should reject invalid queries", async function () {
+    await indexer.sync();
+    const client = wallets[0].getIndexer();
+
+    const badAddress = await client.getAccountsByOwner("0x1234").catch((e) => e);
+    expect(badAddress.message).to.include("Invalid owner");
+    const badPage = await client.getAccountHistory(accountAddress, { limit: 1000 }).catch((e) => e);
+    expect(badPage.message).to.include("Invalid page");
+    const badStatus = await client.getProposals(accountAddress, { status: "pending" }).catch((e) => e);
+    expect(badStatus.message).to.include("Invalid status");
+    const missing = await client.getProposalTimeline(accountAddress, 7).catch((e) => e);
+    expect(missing.message).to.include("Proposal not found");
+
+    const status = await client.getStatus();
+    expect(status.syncedBlock).to.equal(await ethers.provider.getBlockNumber());
+    expect(status.contracts.multisig).to.equal(multiSigPlugin.address);
+  });
+
+  it("Should drop events from blocks that were reorganized away", async function () {
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await wallets[0].submitMultiSigTransaction(recipient.address, 1, "0x");
+    await wallets[1].confirmMultiSigTransaction(0);
+    await indexer.sync();
+    expect((await wallets[0].getMultiSigProposalHistory()).items[0].confirmations).to.have.lengthOf(2);
+
+    // A different chain from the same parent, as long as the one it replaces
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await wallets[1].submitMultiSigTransaction(owners[0].address, 5, "0x");
+    await ethers.provider.send("evm_mine", []);
+    await indexer.sync();
+
+    const { items, total } = await wallets[0].getMultiSigProposalHistory();
+    expect(total).to.equal(1);
+    expect(items[0]).to.deep.include({
+      proposer: owners[1].address,
+      calls: [{ to: owners[0].address, value: "5", data: "0x" }],
+      confirmations: [owners[1].address]
+    });
+    const votes = await wallets[0].getIndexer().getConfirmationsByOwner(owners[0].address);
+    expect(votes.total).to.equal(0);
+  });
+
+  it("Should refuse a database indexed for other contracts", async function () {
+    const dbPath = path.join(os.tmpdir(), `indexer-${Date.now()}-${Math.random()}.db`);
+    const options = {
+      provider: ethers.provider,
+      factoryAddress: factory.address,
+      multiSigPluginAddress: multiSigPlugin.address,
+      entryPointAddress: entryPoint.address,
+      dbPath,
+      startBlock
+    };
+
+    try {
+      const first = await startIndexer(options);
+      await first.indexer.sync();
+      await new Promise((resolve) => first.server.close(resolve));
+
+      const other = await startIndexer({ ...options, multiSigPluginAddress: recipient.address });
+      const error = await other.indexer.sync().catch((e) => e);
+      await new Promise((resolve) => other.server.close(resolve));
+      expect(error.message).to.include("indexes other contracts");
+    } finally {
+      for (const file of [dbPath, `${dbPath}-wal`, `${dbPath}-shm`]) {
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file);
+        }
+      }
+    }
+  });
+});
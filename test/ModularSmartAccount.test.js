@@ -0,0 +1,515 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { getManifestHash, encodeInstallPlugin, encodeUninstallPlugin, deployMultiSigPlugin } = require("./helpers/plugins");
+const { buildUserOp, signUserOp } = require("./helpers/userOps");
+
+describe("ModularSmartAccount", function () {
+  let entryPoint, factory, account;
+  let owner, newOwner, stranger, recipient;
+
+  beforeEach(async function () {
+    [owner, newOwner, stranger, recipient] = await ethers.getSigners();
+
+    const MockEntryPoint = await ethers.getContractFactory("MockEntryPoint");
+    entryPoint = await MockEntryPoint.deploy();
+    await entryPoint.deployed();
+
+    const SmartAccountFactory = await ethers.getContractFactory("SmartAccountFactory");
+    factory = await SmartAccountFactory.deploy(entryPoint.address);
+    await factory.deployed();
+
+    await factory.createAccount(owner.address, 0);
+    account = await ethers.getContractAt(
+      "ModularSmartAccount",
+      await factory.getAddress(owner.address, 0)
+    );
+
+    await owner.sendTransaction({ to: account.address, value: ethers.utils.parseEther("1") });
+  });
+
+  describe("Factory", function () {
+    it("Should bind the account to its owner", async function () {
+      expect(await account.owner()).to.equal(owner.address);
+      expect(await account.entryPoint()).to.equal(entryPoint.address);
+    });
+
+    it("Should derive different addresses for different owners with the same salt", async function () {
+      const first = await factory.getAddress(owner.address, 0);
+      const second = await factory.getAddress(stranger.address, 0);
+
+      expect(first).to.not.equal(second);
+      await expect(factory.createAccount(stranger.address, 0))
+        .to.emit(factory, "AccountCreated")
+        .withArgs(second, stranger.address, 0);
+    });
+
+    it("Should return the existing account instead of redeploying", async function () {
+      expect(await factory.callStatic.createAccount(owner.address, 0)).to.equal(account.address);
+      await expect(factory.createAccount(owner.address, 0)).to.not.emit(factory, "AccountCreated");
+    });
+  });
+
+  describe("Direct execution", function () {
+    it("Should let the owner call execute directly", async function () {
+      const amount = ethers.utils.parseEther("0.1");
+
+      await expect(() => account.execute(recipient.address, amount, "0x"))
+        .to.changeEtherBalance(recipient, amount);
+    });
+
+    it("Should let the owner call executeBatch directly", async function () {
+      const amount = ethers.utils.parseEther("0.1");
+
+      await expect(() =>
+        account.executeBatch([recipient.address, recipient.address], [amount, amount], ["0x", "0x"])
+      ).to.changeEtherBalance(recipient, amount.mul(2));
+    });
+
+    it("Should reject execution from anyone else", async function () {
+      await expect(account.connect(stranger).execute(recipient.address, 1, "0x"))
+        .to.be.revertedWith("Unauthorized");
+      await expect(account.connect(stranger).executeBatch([recipient.address], [1], ["0x"]))
+        .to.be.revertedWith("Unauthorized");
+    });
+  });
+
+  describe("Ownership rotation", function () {
+    it("Should hand over ownership once the new owner accepts", async function () {
+      await expect(account.transferOwnership(newOwner.address))
+        .to.emit(account, "OwnershipTransferStarted")
+        .withArgs(owner.address, newOwner.address);
+      expect(await account.owner()).to.equal(owner.address);
+
+      await expect(account.connect(newOwner).acceptOwnership())
+        .to.emit(account, "OwnershipTransferred")
+        .withArgs(owner.address, newOwner.address);
+
+      expect(await account.owner()).to.equal(newOwner.address);
+      expect(await account.pendingOwner()).to.equal(ethers.constants.AddressZero);
+      await expect(account.execute(recipient.address, 1, "0x")).to.be.revertedWith("Unauthorized");
+    });
+
+    it("Should allow rotation through the account itself", async function () {
+      const data = account.interface.encodeFunctionData("transferOwnership", [newOwner.address]);
+      await account.execute(account.address, 0, data);
+
+      expect(await account.pendingOwner()).to.equal(newOwner.address);
+    });
+
+    it("Should only let the owner start and the pending owner accept a rotation", async function () {
+      await expect(account.connect(stranger).transferOwnership(stranger.address))
+        .to.be.revertedWith("Unauthorized");
+
+      await account.transferOwnership(newOwner.address);
+      await expect(account.connect(stranger).acceptOwnership())
+        .to.be.revertedWith("Not pending owner");
+    });
+
+    it("Should validate a rotation like execute once a plugin validates execute", async function () {
+      const multiSigPlugin = await deployMultiSigPlugin();
+      await account.execute(account.address, 0, await encodeInstallPlugin(
+        multiSigPlugin,
+        ethers.utils.defaultAbiCoder.encode(["address[]", "uint256[]", "uint256"], [[owner.address, newOwner.address], [], 2])
+      ));
+
+      // Neither directly nor in an op of its own can the owner's key alone start a rotation
+      await expect(account.transferOwnership(stranger.address)).to.be.revertedWith("Unauthorized");
+
+      const userOp = await buildUserOp(
+        entryPoint,
+        account.address,
+        account.interface.encodeFunctionData("transferOwnership", [stranger.address]),
+        { verificationGasLimit: 500000 }
+      );
+      await entryPoint.depositTo(account.address, { value: ethers.utils.parseEther("0.1") });
+      await signUserOp(entryPoint, userOp, owner);
+      const error = await entryPoint.handleOps([userOp], recipient.address).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+      expect(await account.pendingOwner()).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("Should only let the account itself hand over ownership in one step", async function () {
+      await expect(account.recoverOwnership(newOwner.address)).to.be.revertedWith("Only self");
+
+      await account.transferOwnership(stranger.address);
+      const data = account.interface.encodeFunctionData("recoverOwnership", [newOwner.address]);
+      await expect(account.execute(account.address, 0, data))
+        .to.emit(account, "OwnershipTransferred")
+        .withArgs(owner.address, newOwner.address);
+      expect(await account.owner()).to.equal(newOwner.address);
+      expect(await account.pendingOwner()).to.equal(ethers.constants.AddressZero);
+    });
+  });
+
+  describe("Plugins", function () {
+    let plugin, other;
+
+    function manifest(overrides = {}) {
+      return {
+        interfaceIds: [],
+        dependencyInterfaceIds: [],
+        executionFunctions: [],
+        validationFunctions: [],
+        executionHooks: [],
+        permittedExecutionSelectors: [],
+        permitAnyExternalAddress: false,
+        permittedExternalCalls: [],
+        ...overrides
+      };
+    }
+
+    async function callAccount(data) {
+      return account.execute(account.address, 0, data);
+    }
+
+    // Installing a plugin from a UserOperation takes more than the default gas
+    const PLUGIN_OP_GAS = { callGasLimit: 1000000, verificationGasLimit: 300000 };
+
+    beforeEach(async function () {
+      const MockPlugin = await ethers.getContractFactory("MockPlugin");
+      plugin = await MockPlugin.deploy();
+      other = await MockPlugin.deploy();
+    });
+
+    it("Should wire up everything the manifest declares", async function () {
+      const executeSelector = account.interface.getSighash("execute");
+      await plugin.setManifest(manifest({
+        executionFunctions: ["0x12345678"],
+        executionHooks: [{ executionSelector: executeSelector, preExecHook: true, postExecHook: true }],
+        permittedExecutionSelectors: [account.interface.getSighash("transferOwnership")]
+      }));
+      const manifestHash = await getManifestHash(plugin);
+
+      await expect(callAccount(await encodeInstallPlugin(plugin, "0xabcd")))
+        .to.emit(account, "PluginInstalled")
+        .withArgs(plugin.address, manifestHash, [])
+        .and.to.emit(plugin, "Installed")
+        .withArgs(account.address, "0xabcd");
+
+      expect(await account.getInstalledPlugins()).to.deep.equal([plugin.address]);
+      expect((await account.getPluginData(plugin.address)).manifestHash).to.equal(manifestHash);
+      expect(await account.executionFunctions("0x12345678")).to.equal(plugin.address);
+      const [hook] = await account.getExecutionHooks(executeSelector);
+      expect([hook.plugin, hook.preExecHook, hook.postExecHook]).to.deep.equal([plugin.address, true, true]);
+
+      // The hooks run around execute; the pre hook's result goes to the post hook
+      const calldata = account.interface.encodeFunctionData("execute", [recipient.address, 1, "0x"]);
+      await expect(owner.sendTransaction({ to: account.address, data: calldata }))
+        .to.emit(plugin, "PreExecutionHookCalled")
+        .withArgs(account.address, owner.address, 0, calldata)
+        .and.to.emit(plugin, "PostExecutionHookCalled")
+        .withArgs(account.address, ethers.utils.defaultAbiCoder.encode(["uint256"], [ethers.utils.hexDataLength(calldata)]));
+
+      await expect(callAccount(await encodeInstallPlugin(plugin))).to.be.revertedWith("Plugin already installed");
+    });
+
+    it("Should check ERC-165 support and the manifest hash", async function () {
+      const install = (target, manifestHash) => callAccount(account.interface.encodeFunctionData("installPlugin", [
+        target, manifestHash, "0x", []
+      ]));
+
+      await expect(install(stranger.address, ethers.constants.HashZero)).to.be.revertedWith("Plugin does not support IPlugin");
+      await expect(install(entryPoint.address, ethers.constants.HashZero)).to.be.revertedWith("Plugin does not support IPlugin");
+      await expect(install(plugin.address, ethers.constants.HashZero)).to.be.revertedWith("Manifest hash mismatch");
+
+      await plugin.setManifest(manifest({ validationFunctions: [account.interface.getSighash("execute")] }));
+      await expect(callAccount(await encodeInstallPlugin(plugin)))
+        .to.be.revertedWith("Plugin does not support IValidationPlugin");
+
+      // IPlugin's id: the XOR of its function selectors
+      const pluginInterfaceId = ["onInstall", "onUninstall", "pluginManifest"]
+        .map((name) => ethers.BigNumber.from(plugin.interface.getSighash(name)))
+        .reduce((id, selector) => id.xor(selector));
+      await other.setInterface(ethers.utils.hexZeroPad(pluginInterfaceId.toHexString(), 4), false);
+      await expect(callAccount(await encodeInstallPlugin(other))).to.be.revertedWith("Plugin does not support IPlugin");
+    });
+
+    it("Should reject functions that are native or already taken", async function () {
+      await plugin.setManifest(manifest({ executionFunctions: [account.interface.getSighash("execute")] }));
+      await expect(callAccount(await encodeInstallPlugin(plugin))).to.be.revertedWith("Native function conflict");
+
+      await plugin.setManifest(manifest({ executionFunctions: ["0x12345678"] }));
+      await other.setManifest(manifest({ executionFunctions: ["0x12345678"] }));
+      await callAccount(await encodeInstallPlugin(plugin));
+      await expect(callAccount(await encodeInstallPlugin(other))).to.be.revertedWith("Execution function already installed");
+
+      // MultiSigPlugin and SessionKeyPlugin both validate execute
+      const multiSigPlugin = await deployMultiSigPlugin();
+      const sessionKeyPlugin = await (await ethers.getContractFactory("SessionKeyPlugin")).deploy();
+      await callAccount(await encodeInstallPlugin(
+        multiSigPlugin,
+        ethers.utils.defaultAbiCoder.encode(["address[]", "uint256[]", "uint256"], [[owner.address], [], 1])
+      ));
+      // The owner now acts as the 1-of-1 multisig, through a UserOperation
+      const userOp = await buildUserOp(entryPoint, account.address, account.interface.encodeFunctionData("execute", [
+        account.address, 0, await encodeInstallPlugin(sessionKeyPlugin)
+      ]), PLUGIN_OP_GAS);
+      const userOpHash = await entryPoint.getUserOpHash(userOp);
+      userOp.signature = ethers.utils.hexConcat(["0x01", await owner.signMessage(ethers.utils.arrayify(userOpHash))]);
+      const reason = ethers.utils.hexConcat([
+        ethers.utils.id("Error(string)").slice(0, 10),
+        ethers.utils.defaultAbiCoder.encode(["string"], ["Validation function already installed"])
+      ]);
+      await expect(entryPoint.handleOps([userOp], recipient.address))
+        .to.emit(entryPoint, "UserOperationRevertReason")
+        .withArgs(userOpHash, account.address, userOp.nonce, reason);
+    });
+
+    it("Should require declared dependencies and keep them installed", async function () {
+      const interfaceId = "0xdeadbeef";
+      await plugin.setManifest(manifest({ dependencyInterfaceIds: [interfaceId] }));
+
+      await expect(callAccount(await encodeInstallPlugin(plugin))).to.be.revertedWith("Wrong number of dependencies");
+      await expect(callAccount(await encodeInstallPlugin(plugin, "0x", [other.address])))
+        .to.be.revertedWith("Dependency not installed");
+
+      await callAccount(await encodeInstallPlugin(other));
+      await expect(callAccount(await encodeInstallPlugin(plugin, "0x", [other.address])))
+        .to.be.revertedWith("Dependency does not support interface");
+
+      await other.setInterface(interfaceId, true);
+      await callAccount(await encodeInstallPlugin(plugin, "0x", [other.address]));
+      expect((await account.getPluginData(other.address)).dependentCount).to.equal(1);
+      expect((await account.getPluginData(plugin.address)).dependencies).to.deep.equal([other.address]);
+
+      await expect(callAccount(encodeUninstallPlugin(other))).to.be.revertedWith("Plugin is a dependency");
+      await callAccount(encodeUninstallPlugin(plugin));
+      await callAccount(encodeUninstallPlugin(other));
+      expect(await account.getInstalledPlugins()).to.deep.equal([]);
+    });
+
+    it("Should only let a plugin make the calls its manifest permits", async function () {
+      const transferOwnership = account.interface.encodeFunctionData("transferOwnership", [stranger.address]);
+      const transfer = new ethers.utils.Interface(["function transfer(address to, uint256 amount)"])
+        .encodeFunctionData("transfer", [stranger.address, 1]);
+
+      await expect(plugin.callAccount(account.address, recipient.address, 1, "0x"))
+        .to.be.revertedWith("Only installed plugin");
+
+      await plugin.setManifest(manifest({
+        permittedExecutionSelectors: [account.interface.getSighash("transferOwnership")],
+        permittedExternalCalls: [
+          { externalAddress: recipient.address, permitAnySelector: true, selectors: [] },
+          { externalAddress: other.address, permitAnySelector: false, selectors: [other.interface.getSighash("setRevertOnUninstall")] }
+        ]
+      }));
+      await callAccount(await encodeInstallPlugin(plugin));
+
+      await plugin.callAccount(account.address, account.address, 0, transferOwnership);
+      expect(await account.pendingOwner()).to.equal(stranger.address);
+      await expect(plugin.callAccount(account.address, account.address, 0, account.interface.encodeFunctionData("execute", [
+        stranger.address, 1, "0x"
+      ]))).to.be.revertedWith("Call not permitted");
+
+      await expect(() => plugin.callAccount(account.address, recipient.address, 1, "0x"))
+        .to.changeEtherBalance(recipient, 1);
+      await plugin.callAccount(account.address, other.address, 0, other.interface.encodeFunctionData("setRevertOnUninstall", [true]));
+      expect(await other.revertOnUninstall()).to.be.true;
+      await expect(plugin.callAccount(account.address, other.address, 0, transfer)).to.be.revertedWith("Call not permitted");
+      await expect(plugin.callAccount(account.address, stranger.address, 1, "0x")).to.be.revertedWith("Call not permitted");
+
+      // Uninstalling takes the permissions away
+      await callAccount(encodeUninstallPlugin(plugin));
+      await plugin.setManifest(manifest());
+      await callAccount(await encodeInstallPlugin(plugin));
+      await expect(plugin.callAccount(account.address, recipient.address, 1, "0x")).to.be.revertedWith("Call not permitted");
+    });
+
+    it("Should route execution functions to their plugin with the caller appended", async function () {
+      const echoSelector = plugin.interface.getSighash("echo");
+      await plugin.setManifest(manifest({
+        executionFunctions: [echoSelector, plugin.interface.getSighash("fail")],
+        executionHooks: [{ executionSelector: echoSelector, preExecHook: true, postExecHook: true }]
+      }));
+      await callAccount(await encodeInstallPlugin(plugin));
+
+      // The account answers for the plugin's functions
+      const routed = plugin.attach(account.address);
+      const [value, caller] = await routed.callStatic.echo(42);
+      expect([value.toNumber(), caller]).to.deep.equal([42, owner.address]);
+
+      const calldata = plugin.interface.encodeFunctionData("echo", [7]);
+      await expect(routed.echo(7))
+        .to.emit(plugin, "ExecutionFunctionCalled")
+        .withArgs(account.address, owner.address, 7)
+        .and.to.emit(plugin, "PreExecutionHookCalled")
+        .withArgs(account.address, owner.address, 0, calldata)
+        .and.to.emit(plugin, "PostExecutionHookCalled");
+
+      // Through execute the account itself is the caller
+      await expect(callAccount(calldata))
+        .to.emit(plugin, "ExecutionFunctionCalled")
+        .withArgs(account.address, account.address, 7);
+
+      await expect(routed.fail()).to.be.revertedWith("Execution function failed");
+      await expect(routed.connect(stranger).echo(1)).to.be.revertedWith("Unauthorized");
+      await expect(other.attach(account.address).setRevertOnUninstall(true)).to.be.revertedWith("Function not installed");
+
+      await callAccount(encodeUninstallPlugin(plugin));
+      await expect(routed.echo(1)).to.be.revertedWith("Function not installed");
+    });
+
+    it("Should only route UserOperations that end with the caller their signature proves", async function () {
+      await plugin.setManifest(manifest({ executionFunctions: [plugin.interface.getSighash("echo")] }));
+      await callAccount(await encodeInstallPlugin(plugin));
+
+      const signedOp = async (caller) => {
+        const callData = ethers.utils.hexConcat([plugin.interface.encodeFunctionData("echo", [5]), caller]);
+        return signUserOp(entryPoint, await buildUserOp(entryPoint, account.address, callData, PLUGIN_OP_GAS), owner);
+      };
+
+      await expect(entryPoint.connect(stranger).handleOps([await signedOp(owner.address)], recipient.address))
+        .to.emit(plugin, "ExecutionFunctionCalled")
+        .withArgs(account.address, owner.address, 5);
+
+      for (const caller of [stranger.address, "0x"]) {
+        const error = await entryPoint.handleOps([await signedOp(caller)], recipient.address).catch((e) => e);
+        expect(error.message).to.include("AA24 signature error");
+      }
+    });
+
+    it("Should remove the plugin even if its onUninstall reverts", async function () {
+      await plugin.setManifest(manifest({
+        executionFunctions: ["0x12345678"],
+        executionHooks: [{ executionSelector: account.interface.getSighash("execute"), preExecHook: true, postExecHook: false }]
+      }));
+      await callAccount(await encodeInstallPlugin(plugin));
+      await plugin.setRevertOnUninstall(true);
+
+      await expect(callAccount(encodeUninstallPlugin(plugin, "0x01")))
+        .to.emit(account, "PluginUninstalled")
+        .withArgs(plugin.address, false);
+      expect(await account.getInstalledPlugins()).to.deep.equal([]);
+      expect(await account.executionFunctions("0x12345678")).to.equal(ethers.constants.AddressZero);
+      expect(await account.getExecutionHooks(account.interface.getSighash("execute"))).to.deep.equal([]);
+      await expect(account.execute(recipient.address, 1, "0x")).to.not.emit(plugin, "PreExecutionHookCalled");
+    });
+
+    it("Should uninstall with the manifest it was installed with after the plugin's changed", async function () {
+      const installed = manifest({
+        executionFunctions: ["0x12345678"],
+        executionHooks: [{ executionSelector: account.interface.getSighash("execute"), preExecHook: true, postExecHook: false }]
+      });
+      await plugin.setManifest(installed);
+      await callAccount(await encodeInstallPlugin(plugin));
+      await plugin.setManifest(manifest({ executionFunctions: ["0x87654321"] }));
+
+      // The plugin's current manifest, read or passed, no longer matches the stored hash
+      const manifestType = plugin.interface.getFunction("pluginManifest").outputs[0];
+      const encode = (m) => ethers.utils.defaultAbiCoder.encode([manifestType], [m]);
+      await expect(callAccount(encodeUninstallPlugin(plugin))).to.be.revertedWith("Manifest hash mismatch");
+      await expect(callAccount(encodeUninstallPlugin(plugin, "0x", encode(await plugin.pluginManifest()))))
+        .to.be.revertedWith("Manifest hash mismatch");
+      await expect(callAccount(encodeUninstallPlugin(other, "0x", encode(installed))))
+        .to.be.revertedWith("Plugin not installed");
+
+      await expect(callAccount(encodeUninstallPlugin(plugin, "0x", encode(installed))))
+        .to.emit(account, "PluginUninstalled")
+        .withArgs(plugin.address, true);
+      expect(await account.getInstalledPlugins()).to.deep.equal([]);
+      expect(await account.executionFunctions("0x12345678")).to.equal(ethers.constants.AddressZero);
+      expect(await account.getExecutionHooks(account.interface.getSighash("execute"))).to.deep.equal([]);
+    });
+
+    it("Should report the interfaces installed plugins add until the last one is removed", async function () {
+      const interfaceId = "0xdeadbeef";
+      await plugin.setManifest(manifest({ interfaceIds: [interfaceId] }));
+      await other.setManifest(manifest({ interfaceIds: [interfaceId] }));
+
+      expect(await account.supportsInterface(interfaceId)).to.equal(false);
+      await callAccount(await encodeInstallPlugin(plugin));
+      await callAccount(await encodeInstallPlugin(other));
+      expect(await account.supportsInterface(interfaceId)).to.equal(true);
+
+      await callAccount(encodeUninstallPlugin(plugin));
+      expect(await account.supportsInterface(interfaceId)).to.equal(true);
+      await callAccount(encodeUninstallPlugin(other));
+      expect(await account.supportsInterface(interfaceId)).to.equal(false);
+    });
+
+    it("Should not let a plugin claim the plugin interface or the invalid interface ID", async function () {
+      await plugin.setManifest(manifest({ interfaceIds: ["0xffffffff"] }));
+      await expect(callAccount(await encodeInstallPlugin(plugin))).to.be.revertedWith("Interface not allowed");
+
+      // IPlugin: onInstall ^ onUninstall ^ pluginManifest
+      const pluginInterfaceId = "0x20867fa3";
+      await plugin.setManifest(manifest({ interfaceIds: [pluginInterfaceId] }));
+      await expect(callAccount(await encodeInstallPlugin(plugin))).to.be.revertedWith("Interface not allowed");
+    });
+  });
+
+  describe("Token receivers", function () {
+    const ERC1820_REGISTRY = "0x1820a4B7618BdE71Dce8cdc73aAB6C95905faD24";
+
+    it("Should accept safe transfers of ERC-721 tokens", async function () {
+      const MockERC721 = await ethers.getContractFactory("MockERC721");
+      const nft = await MockERC721.deploy();
+      await nft.mint(owner.address, 7);
+
+      await expect(nft["safeTransferFrom(address,address,uint256)"](owner.address, account.address, 7))
+        .to.emit(account, "ERC721Received")
+        .withArgs(nft.address, owner.address, owner.address, 7);
+      expect(await nft.ownerOf(7)).to.equal(account.address);
+
+      // And can send them on
+      const transfer = nft.interface.encodeFunctionData("transferFrom", [account.address, recipient.address, 7]);
+      await account.execute(nft.address, 0, transfer);
+      expect(await nft.ownerOf(7)).to.equal(recipient.address);
+    });
+
+    it("Should accept single and batch ERC-1155 transfers", async function () {
+      const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+      const tokens = await MockERC1155.deploy();
+      await tokens.mint(owner.address, 1, 10);
+      await tokens.mint(owner.address, 2, 5);
+
+      await expect(tokens.safeTransferFrom(owner.address, account.address, 1, 4, "0x"))
+        .to.emit(account, "ERC1155Received")
+        .withArgs(tokens.address, owner.address, owner.address, [1], [4]);
+      await expect(tokens.safeBatchTransferFrom(owner.address, account.address, [1, 2], [6, 5], "0x"))
+        .to.emit(account, "ERC1155Received")
+        .withArgs(tokens.address, owner.address, owner.address, [1, 2], [6, 5]);
+
+      expect(await tokens.balanceOf(1, account.address)).to.equal(10);
+      expect(await tokens.balanceOf(2, account.address)).to.equal(5);
+    });
+
+    it("Should log ERC-777 tokens it receives", async function () {
+      // stranger stands in for the token contract calling the hook
+      await expect(account.connect(stranger).tokensReceived(owner.address, newOwner.address, account.address, 500, "0x", "0x"))
+        .to.emit(account, "ERC777Received")
+        .withArgs(stranger.address, owner.address, newOwner.address, 500);
+    });
+
+    it("Should register as its own ERC-777 recipient where the ERC-1820 registry exists", async function () {
+      const MockERC1820Registry = await ethers.getContractFactory("MockERC1820Registry");
+      const { deployedBytecode } = await artifacts.readArtifact("MockERC1820Registry");
+      await ethers.provider.send("hardhat_setCode", [ERC1820_REGISTRY, deployedBytecode]);
+
+      try {
+        await factory.createAccount(owner.address, 1);
+        const registered = await factory.getAddress(owner.address, 1);
+
+        const registry = MockERC1820Registry.attach(ERC1820_REGISTRY);
+        const recipientHash = ethers.utils.id("ERC777TokensRecipient");
+        expect(await registry.getInterfaceImplementer(registered, recipientHash)).to.equal(registered);
+        // The account created before the registry was not registered
+        expect(await registry.getInterfaceImplementer(account.address, recipientHash)).to.equal(ethers.constants.AddressZero);
+      } finally {
+        await ethers.provider.send("hardhat_setCode", [ERC1820_REGISTRY, "0x"]);
+      }
+    });
+
+    it("Should report the interfaces it implements through ERC-165", async function () {
+      for (const interfaceId of [
+        "0x01ffc9a7", // ERC-165
+        "0x150b7a02", // ERC-721 receiver
+        "0x4e2312e0", // ERC-1155 receiver
+        "0x1626ba7e" // ERC-1271
+      ]) {
+        expect(await account.supportsInterface(interfaceId), interfaceId).to.equal(true);
+      }
+      expect(await account.supportsInterface("0xffffffff")).to.equal(false);
+    });
+  });
+});
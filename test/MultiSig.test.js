@@ -1,26 +1,1013 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { loadSdk } = require("./helpers/sdk");
+const { encodeInstallPlugin, encodeUninstallPlugin, deployMultiSigPlugin } = require("./helpers/plugins");
+const { buildUserOp } = require("./helpers/userOps");
+const { increaseTime } = require("./helpers/time");
 
 describe("MultiSig Smart Account", function () {
-  let factory, multiSigPlugin, account;
-  let owner1, owner2, owner3;
+  let entryPoint, factory, multiSigPlugin, account;
+  let owner1, owner2, owner3, stranger, beneficiary, recipient;
+
+  const executeSelector = new ethers.utils.Interface([
+    "function execute(address to, uint256 value, bytes data)"
+  ]).getSighash("execute");
+
+  // Storing a proposal takes ~300k, a batch proposal more per call
+  const PROPOSAL_GAS = { callGasLimit: 1000000, verificationGasLimit: 300000 };
+
+  // 0x01 ++ signatures sorted by signer address
+  async function signWithOwners(userOp, signers, { sort = true } = {}) {
+    const userOpHash = ethers.utils.arrayify(await entryPoint.getUserOpHash(userOp));
+    const ordered = sort
+      ? [...signers].sort((a, b) => (a.address.toLowerCase() < b.address.toLowerCase() ? -1 : 1))
+      : signers;
+    const signatures = await Promise.all(ordered.map((signer) => signer.signMessage(userOpHash)));
+    return ethers.utils.hexConcat(["0x01", ...signatures]);
+  }
+
+  function transferCallData(amount) {
+    return account.interface.encodeFunctionData("execute", [recipient.address, amount, "0x"]);
+  }
+
+  // Calls through the account append the caller (ERC-2771); a UserOperation carries it itself
+  function proposalCallData(functionName, args, caller) {
+    return ethers.utils.hexConcat([multiSigPlugin.interface.encodeFunctionData(functionName, args), caller.address]);
+  }
+
+  // One owner acting alone: 0x02 ++ sig(owner)
+  async function signAsOwner(userOp, signer) {
+    const userOpHash = ethers.utils.arrayify(await entryPoint.getUserOpHash(userOp));
+    return ethers.utils.hexConcat(["0x02", await signer.signMessage(userOpHash)]);
+  }
+
+  async function ownerOp(functionName, args, signer, caller = signer) {
+    const userOp = await buildUserOp(entryPoint, account.address, proposalCallData(functionName, args, caller), PROPOSAL_GAS);
+    userOp.signature = await signAsOwner(userOp, signer);
+    return userOp;
+  }
+
+  // The threshold acting as the account, which is then the caller
+  async function accountOp(functionName, args, signers = [owner1, owner2]) {
+    const userOp = await buildUserOp(entryPoint, account.address, proposalCallData(functionName, args, account), PROPOSAL_GAS);
+    userOp.signature = await signWithOwners(userOp, signers);
+    return userOp;
+  }
+
+  async function asOwner(functionName, args, signer) {
+    return entryPoint.handleOps([await ownerOp(functionName, args, signer)], beneficiary.address);
+  }
+
+  async function asAccount(functionName, args) {
+    return entryPoint.handleOps([await accountOp(functionName, args)], beneficiary.address);
+  }
+
+  // The reason the op's call reverted with, or null if it succeeded
+  async function revertReason(userOp) {
+    const receipt = await (await entryPoint.handleOps([userOp], beneficiary.address)).wait();
+    const event = receipt.events.find((e) => e.event === "UserOperationRevertReason");
+    if (!event) {
+      return null;
+    }
+    return ethers.utils.defaultAbiCoder.decode(["string"], ethers.utils.hexDataSlice(event.args.revertReason, 4))[0];
+  }
 
   beforeEach(async function () {
-    [owner1, owner2, owner3] = await ethers.getSigners();
-    
-    // Deploy contracts
-    // TODO: Add deployment logic
+    [owner1, owner2, owner3, stranger, beneficiary, recipient] = await ethers.getSigners();
+
+    const MockEntryPoint = await ethers.getContractFactory("MockEntryPoint");
+    entryPoint = await MockEntryPoint.deploy();
+    await entryPoint.deployed();
+
+    const SmartAccountFactory = await ethers.getContractFactory("SmartAccountFactory");
+    factory = await SmartAccountFactory.deploy(entryPoint.address);
+    await factory.deployed();
+
+    multiSigPlugin = await deployMultiSigPlugin();
+
+    await factory.createAccount(owner1.address, 0);
+    account = await ethers.getContractAt(
+      "ModularSmartAccount",
+      await factory.getAddress(owner1.address, 0)
+    );
+    await owner1.sendTransaction({ to: account.address, value: ethers.utils.parseEther("2") });
+
+    // The plugin validates `execute` and `executeBatch` with a 2-of-3 owner set (weight 1 each)
+    const installData = ethers.utils.defaultAbiCoder.encode(
+      ["address[]", "uint256[]", "uint256"],
+      [[owner1.address, owner2.address, owner3.address], [], 2]
+    );
+    await account.execute(account.address, 0, await encodeInstallPlugin(multiSigPlugin, installData));
   });
 
   describe("Account Creation", function () {
     it("Should create a new smart account", async function () {
-      // TODO: Add test
+      expect(await ethers.provider.getCode(account.address)).to.not.equal("0x");
+      expect(await account.owner()).to.equal(owner1.address);
+      expect(await account.plugins(executeSelector)).to.equal(multiSigPlugin.address);
+
+      const [owners, threshold] = await multiSigPlugin.getAccountConfig(account.address);
+      expect(owners).to.deep.equal([owner1.address, owner2.address, owner3.address]);
+      expect(threshold).to.equal(2);
     });
   });
 
   describe("Multi-Sig Operations", function () {
+    const amount = ethers.utils.parseEther("0.1");
+
+    beforeEach(async function () {
+      await asOwner("submitTransaction", [recipient.address, amount, "0x"], owner1);
+    });
+
     it("Should submit and confirm transactions", async function () {
-      // TODO: Add test
+      const txn = await multiSigPlugin.getTransaction(account.address, 0);
+      expect(txn.targets).to.deep.equal([recipient.address]);
+      expect(txn.proposer).to.equal(owner1.address);
+      expect(txn.confirmations).to.equal(1);
+      expect(await multiSigPlugin.getConfirmations(account.address, 0)).to.deep.equal([owner1.address]);
+      expect((await multiSigPlugin.getPendingTransactions(account.address, 0, 10)).pendingTxIds).to.deep.equal([
+        ethers.BigNumber.from(0)
+      ]);
+
+      expect(await revertReason(await ownerOp("confirmTransaction", [0], owner1))).to.equal("Transaction already confirmed");
+      await expect(multiSigPlugin.confirmTransaction(0)).to.be.revertedWith("Not an owner");
+    });
+
+    it("Should not let the account owner act alone by calling the account directly", async function () {
+      // With the plugin validating them, execute and the plugin's functions need a UserOperation
+      await expect(account.execute(recipient.address, amount, "0x")).to.be.revertedWith("Unauthorized");
+      await expect(account.executeBatch([recipient.address], [amount], ["0x"])).to.be.revertedWith("Unauthorized");
+      const routed = multiSigPlugin.attach(account.address);
+      await expect(routed.replaceOwners([owner1.address], 1)).to.be.revertedWith("Unauthorized");
+      await expect(routed.changeThreshold(1)).to.be.revertedWith("Unauthorized");
+      await expect(routed.confirmTransaction(0)).to.be.revertedWith("Unauthorized");
+
+      const [owners, threshold] = await multiSigPlugin.getAccountConfig(account.address);
+      expect(owners).to.deep.equal([owner1.address, owner2.address, owner3.address]);
+      expect(threshold).to.equal(2);
+    });
+
+    it("Should attribute confirmations to the owner who signed, not the sender of handleOps", async function () {
+      // beneficiary sends handleOps, as a bundler would
+      await expect(entryPoint.connect(beneficiary).handleOps([await ownerOp("confirmTransaction", [0], owner2)], beneficiary.address))
+        .to.emit(multiSigPlugin, "TransactionConfirmed")
+        .withArgs(account.address, 0, owner2.address);
+
+      expect(await multiSigPlugin.confirmations(account.address, 0, owner2.address)).to.be.true;
+      expect(await multiSigPlugin.confirmations(account.address, 0, beneficiary.address)).to.be.false;
+      expect((await multiSigPlugin.getTransaction(account.address, 0)).confirmations).to.equal(2);
+    });
+
+    it("Should take confirmations from several owners in one bundle", async function () {
+      // Same call, different signers: each op carries its own proven caller
+      const byOwner2 = await ownerOp("confirmTransaction", [0], owner2);
+      const byOwner3 = await buildUserOp(
+        entryPoint,
+        account.address,
+        proposalCallData("confirmTransaction", [0], owner3),
+        PROPOSAL_GAS
+      );
+      byOwner3.nonce = byOwner2.nonce.add(1);
+      byOwner3.signature = await signAsOwner(byOwner3, owner3);
+
+      await expect(entryPoint.connect(beneficiary).handleOps([byOwner2, byOwner3], beneficiary.address))
+        .to.emit(multiSigPlugin, "TransactionConfirmed")
+        .withArgs(account.address, 0, owner2.address)
+        .and.to.emit(multiSigPlugin, "TransactionConfirmed")
+        .withArgs(account.address, 0, owner3.address);
+
+      expect(await multiSigPlugin.getConfirmations(account.address, 0))
+        .to.deep.equal([owner1.address, owner2.address, owner3.address]);
+      expect((await multiSigPlugin.getTransaction(account.address, 0)).confirmations).to.equal(3);
+    });
+
+    it("Should let an owner revoke only their own confirmation", async function () {
+      await entryPoint.handleOps([await ownerOp("confirmTransaction", [0], owner2)], beneficiary.address);
+      await expect(entryPoint.handleOps([await ownerOp("revokeConfirmation", [0], owner2)], beneficiary.address))
+        .to.emit(multiSigPlugin, "ConfirmationRevoked")
+        .withArgs(account.address, 0, owner2.address);
+
+      expect(await multiSigPlugin.getConfirmations(account.address, 0)).to.deep.equal([owner1.address]);
+      await expect(entryPoint.handleOps([await ownerOp("revokeConfirmation", [0], owner3)], beneficiary.address))
+        .to.emit(entryPoint, "UserOperationRevertReason");
+    });
+
+    it("Should not give a removed owner's confirmations and votes back when re-added", async function () {
+      await asOwner("confirmTransaction", [0], owner2);
+      await asOwner("voteToCancel", [0], owner3);
+
+      await asAccount("removeOwner", [owner2.address]);
+      await entryPoint.handleOps([await accountOp("addOwner", [owner2.address, 1], [owner1, owner3])], beneficiary.address);
+      await asAccount("replaceOwners", [[owner1.address, owner2.address, owner3.address], 2]);
+
+      expect(await multiSigPlugin.confirmations(account.address, 0, owner2.address)).to.be.false;
+      expect(await multiSigPlugin.cancelVotes(account.address, 0, owner3.address)).to.be.false;
+      expect(await multiSigPlugin.getConfirmations(account.address, 0)).to.deep.equal([]);
+      const txn = await multiSigPlugin.getTransaction(account.address, 0);
+      expect(txn.confirmations).to.equal(0);
+      expect(txn.cancelVotes).to.equal(0);
+    });
+
+    it("Should remove an owner at the same cost however many proposals they opened", async function () {
+      const removalGas = async () => {
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+        const receipt = await (await asAccount("removeOwner", [owner3.address])).wait();
+        await ethers.provider.send("evm_revert", [snapshot]);
+        return receipt.gasUsed;
+      };
+
+      await asOwner("confirmTransaction", [0], owner3);
+      const withOne = await removalGas();
+      for (let i = 0; i < 20; i++) {
+        await asOwner("submitTransaction", [recipient.address, 1, "0x"], owner3);
+      }
+      const withMany = await removalGas();
+
+      // Only the op's nonce differs in calldata
+      expect(withMany.sub(withOne).abs()).to.be.lt(1000);
+      await asAccount("removeOwner", [owner3.address]);
+      expect(await multiSigPlugin.getConfirmations(account.address, 0)).to.deep.equal([owner1.address]);
+    });
+
+    it("Should not carry confirmations over to proposals made after a reinstall", async function () {
+      await asOwner("confirmTransaction", [0], owner2);
+
+      const uninstall = await buildUserOp(entryPoint, account.address, account.interface.encodeFunctionData("execute", [
+        account.address,
+        0,
+        encodeUninstallPlugin(multiSigPlugin)
+      ]), PROPOSAL_GAS);
+      uninstall.signature = await signWithOwners(uninstall, [owner1, owner2]);
+      await entryPoint.handleOps([uninstall], beneficiary.address);
+
+      // Without a validation plugin the owner may call the account again
+      const installData = ethers.utils.defaultAbiCoder.encode(
+        ["address[]", "uint256[]", "uint256"],
+        [[owner1.address, owner2.address, owner3.address], [], 2]
+      );
+      await account.execute(account.address, 0, await encodeInstallPlugin(multiSigPlugin, installData));
+
+      // Transaction IDs go on from before, so owner1's and owner2's confirmations of 0 stay behind
+      await expect(asOwner("submitTransaction", [recipient.address, amount, "0x"], owner3))
+        .to.emit(multiSigPlugin, "TransactionSubmitted")
+        .withArgs(account.address, 1, owner3.address, [recipient.address], [amount], ["0x"]);
+      expect(await multiSigPlugin.getConfirmations(account.address, 1)).to.deep.equal([owner3.address]);
+      expect((await multiSigPlugin.getTransaction(account.address, 1)).readyAt).to.equal(0);
+    });
+
+    it("Should uninstall at the same cost after many transactions, then reinstall", async function () {
+      for (let i = 0; i < 30; i++) {
+        await asOwner("submitTransaction", [recipient.address, amount, "0x"], owner1);
+      }
+
+      // Deleting 31 transactions one by one would not fit in the op's 1M gas, and the account
+      // would drop the plugin with onUninstall failed and its state left behind
+      const uninstall = await buildUserOp(entryPoint, account.address, account.interface.encodeFunctionData("execute", [
+        account.address,
+        0,
+        encodeUninstallPlugin(multiSigPlugin)
+      ]), PROPOSAL_GAS);
+      uninstall.signature = await signWithOwners(uninstall, [owner1, owner2]);
+      await expect(entryPoint.handleOps([uninstall], beneficiary.address))
+        .to.emit(account, "PluginUninstalled")
+        .withArgs(multiSigPlugin.address, true);
+
+      const installData = ethers.utils.defaultAbiCoder.encode(
+        ["address[]", "uint256[]", "uint256"],
+        [[owner3.address], [], 1]
+      );
+      await account.execute(account.address, 0, await encodeInstallPlugin(multiSigPlugin, installData));
+
+      const { owners, threshold } = await multiSigPlugin.getAccountConfig(account.address);
+      expect(owners).to.deep.equal([owner3.address]);
+      expect(threshold).to.equal(1);
+      expect((await multiSigPlugin.getPendingTransactions(account.address, 0, 50)).total).to.equal(0);
+      expect((await multiSigPlugin.getTransaction(account.address, 0)).targets).to.deep.equal([]);
+      expect(await revertReason(await ownerOp("confirmTransaction", [0], owner3)))
+        .to.equal("Transaction does not exist");
+    });
+
+    it("Should reject ops whose caller is not the owner who signed", async function () {
+      const rejected = async (userOp) =>
+        (await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e)).message;
+
+      // Claiming another owner, a non-owner signing, and a lone owner outside the proposal functions
+      expect(await rejected(await ownerOp("confirmTransaction", [0], owner2, owner3))).to.include("AA24 signature error");
+      expect(await rejected(await ownerOp("confirmTransaction", [0], stranger))).to.include("AA24 signature error");
+      expect(await rejected(await ownerOp("replaceOwners", [[owner2.address], 1], owner2))).to.include("AA24 signature error");
+
+      const unattributed = await buildUserOp(
+        entryPoint,
+        account.address,
+        multiSigPlugin.interface.encodeFunctionData("confirmTransaction", [0]),
+        PROPOSAL_GAS
+      );
+      unattributed.signature = await signAsOwner(unattributed, owner2);
+      expect(await rejected(unattributed)).to.include("AA24 signature error");
+    });
+
+    it("Should confirm through the SDK with each owner's own key", async function () {
+      const { SmartAccountWallet } = await loadSdk("wallet");
+      const wallet = new SmartAccountWallet(ethers.provider, entryPoint.address, factory.address, multiSigPlugin.address);
+      wallet.accountAddress = account.address;
+
+      wallet.signer = owner3;
+      await wallet.confirmMultiSigTransaction(0);
+      expect(await wallet.getMultiSigConfirmations(0)).to.deep.equal([owner1.address, owner3.address]);
+
+      await wallet.revokeMultiSigConfirmation(0);
+      wallet.signer = owner2;
+      await wallet.submitMultiSigTransaction(recipient.address, 1, "0x");
+      expect(await wallet.getMultiSigConfirmations(1)).to.deep.equal([owner2.address]);
+    });
+  });
+
+  describe("Timelock and expiry", function () {
+    const amount = ethers.utils.parseEther("0.1");
+
+    it("Should set the timelock per account", async function () {
+      expect(await revertReason(await accountOp("setTimelock", [3600, 3600]))).to.equal("Lifetime must exceed delay");
+      await expect(multiSigPlugin.setTimelock(3600, 0)).to.be.revertedWith("Not initialized");
+
+      await expect(asAccount("setTimelock", [3600, 86400]))
+        .to.emit(multiSigPlugin, "TimelockChanged")
+        .withArgs(account.address, 3600, 86400);
+      const [executionDelay, proposalLifetime] = await multiSigPlugin.getTimelock(account.address);
+      expect(executionDelay).to.equal(3600);
+      expect(proposalLifetime).to.equal(86400);
+    });
+
+    it("Should wait out the execution delay once the threshold is reached", async function () {
+      await asAccount("setTimelock", [3600, 0]);
+      await asOwner("submitTransaction", [recipient.address, amount, "0x"], owner1);
+
+      await expect(asOwner("confirmTransaction", [0], owner2))
+        .to.emit(multiSigPlugin, "TransactionReady");
+      const { readyAt } = await multiSigPlugin.getTransaction(account.address, 0);
+      expect(readyAt).to.not.equal(0);
+
+      expect(await revertReason(await ownerOp("executeTransaction", [0], owner1))).to.equal("Timelock not expired");
+
+      await increaseTime(3600);
+      await expect(asOwner("executeTransaction", [0], owner1))
+        .to.emit(multiSigPlugin, "TransactionExecuted")
+        .withArgs(account.address, 0, true)
+        .and.to.changeEtherBalance(recipient, amount);
+      expect(await revertReason(await ownerOp("executeTransaction", [0], owner1))).to.equal("Transaction already executed");
+    });
+
+    it("Should restart the timelock when confirmations drop below the threshold", async function () {
+      await asAccount("setTimelock", [3600, 0]);
+      await asOwner("submitTransaction", [recipient.address, amount, "0x"], owner1);
+      await asOwner("confirmTransaction", [0], owner2);
+      await asOwner("revokeConfirmation", [0], owner2);
+      expect((await multiSigPlugin.getTransaction(account.address, 0)).readyAt).to.equal(0);
+
+      await increaseTime(3600);
+      await asOwner("confirmTransaction", [0], owner3);
+      expect(await revertReason(await ownerOp("executeTransaction", [0], owner1))).to.equal("Timelock not expired");
+    });
+
+    it("Should expire proposals after their lifetime", async function () {
+      await asAccount("setTimelock", [0, 3600]);
+      await asOwner("submitTransaction", [recipient.address, amount, "0x"], owner1);
+      expect((await multiSigPlugin.getPendingTransactions(account.address, 0, 10)).pendingTxIds).to.deep.equal([
+        ethers.BigNumber.from(0)
+      ]);
+
+      await increaseTime(3600);
+      expect((await multiSigPlugin.getPendingTransactions(account.address, 0, 10)).pendingTxIds).to.deep.equal([]);
+      await expect(asOwner("confirmTransaction", [0], owner2))
+        .to.emit(entryPoint, "UserOperationRevertReason");
+      expect(await revertReason(await ownerOp("executeTransaction", [0], owner1))).to.equal("Transaction expired");
+    });
+
+    it("Should cancel a transaction once threshold owners vote to", async function () {
+      await asAccount("setTimelock", [3600, 0]);
+      await asOwner("submitTransaction", [recipient.address, amount, "0x"], owner1);
+      await asOwner("confirmTransaction", [0], owner2);
+
+      await expect(asOwner("voteToCancel", [0], owner1))
+        .to.emit(multiSigPlugin, "CancelVoteCast")
+        .withArgs(account.address, 0, owner1.address)
+        .and.not.to.emit(multiSigPlugin, "TransactionCancelled");
+      expect(await revertReason(await ownerOp("voteToCancel", [0], owner1))).to.equal("Already voted");
+      await expect(asOwner("voteToCancel", [0], owner3))
+        .to.emit(multiSigPlugin, "TransactionCancelled")
+        .withArgs(account.address, 0);
+
+      await increaseTime(3600);
+      expect(await revertReason(await ownerOp("executeTransaction", [0], owner1))).to.equal("Transaction cancelled");
+      expect((await multiSigPlugin.getPendingTransactions(account.address, 0, 10)).pendingTxIds).to.deep.equal([]);
+    });
+
+    it("Should only act through proposals while a delay is set", async function () {
+      await asAccount("setTimelock", [3600, 0]);
+
+      // Threshold signatures would skip the review window
+      const userOp = await buildUserOp(entryPoint, account.address, transferCallData(amount), PROPOSAL_GAS);
+      userOp.signature = await signWithOwners(userOp, [owner1, owner2]);
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+
+      // Owner management is proposed like any other call to the account
+      const data = multiSigPlugin.interface.encodeFunctionData("changeThreshold", [3]);
+      await asOwner("submitTransaction", [account.address, 0, data], owner1);
+      await asOwner("confirmTransaction", [0], owner2);
+      await increaseTime(3600);
+      await expect(asOwner("executeTransaction", [0], owner1))
+        .to.emit(multiSigPlugin, "ThresholdChanged")
+        .withArgs(account.address, 2, 3);
+    });
+
+    it("Should report timelock status through the SDK", async function () {
+      const { SmartAccountWallet } = await loadSdk("wallet");
+      const wallet = new SmartAccountWallet(ethers.provider, entryPoint.address, factory.address, multiSigPlugin.address);
+      wallet.accountAddress = account.address;
+      wallet.signer = owner2;
+
+      await wallet.setMultiSigTimelock(600, 7200, [owner1, owner2]);
+      await wallet.submitMultiSigTransaction(recipient.address, amount, "0x");
+      let txn = await wallet.getMultiSigTransaction(0);
+      expect(txn.status).to.equal("pending");
+      expect(txn.secondsLeft).to.equal(txn.expiresAt - txn.submittedAt);
+
+      wallet.signer = owner3;
+      await wallet.confirmMultiSigTransaction(0);
+      txn = await wallet.getMultiSigTransaction(0);
+      expect(txn.status).to.equal("timelocked");
+      expect(txn.secondsLeft).to.equal(600);
+
+      await increaseTime(600);
+      expect((await wallet.getMultiSigTransaction(0)).status).to.equal("executable");
+      await wallet.executeMultiSigTransaction(0);
+      expect((await wallet.getMultiSigTransaction(0)).status).to.equal("executed");
+
+      await wallet.submitMultiSigTransaction(recipient.address, amount, "0x");
+      await increaseTime(7200);
+      expect((await wallet.getMultiSigTransaction(1)).status).to.equal("expired");
+      expect((await wallet.getPendingMultiSigTransactions()).transactions).to.deep.equal([]);
+    });
+  });
+
+  describe("Weighted owners and threshold policies", function () {
+    const small = ethers.utils.parseEther("0.05");
+    const large = ethers.utils.parseEther("1");
+
+    function policy({ targets = [], selectors = [], valueBrackets = [] } = {}) {
+      return {
+        targets: targets.map(([target]) => target),
+        targetThresholds: targets.map(([, threshold]) => threshold),
+        selectors: selectors.map(([selector]) => selector),
+        selectorThresholds: selectors.map(([, threshold]) => threshold),
+        valueBrackets: valueBrackets.map(([maxValue, threshold]) => ({ maxValue, threshold }))
+      };
+    }
+
+    const transferSelector = new ethers.utils.Interface([
+      "function transfer(address to, uint256 amount)"
+    ]).getSighash("transfer");
+
+    it("Should install with owner weights", async function () {
+      await factory.createAccount(owner1.address, 1);
+      const weighted = await ethers.getContractAt("ModularSmartAccount", await factory.getAddress(owner1.address, 1));
+      const encode = (weights, threshold) => ethers.utils.defaultAbiCoder.encode(
+        ["address[]", "uint256[]", "uint256"],
+        [[owner1.address, owner2.address, owner3.address], weights, threshold]
+      );
+
+      await expect(weighted.execute(weighted.address, 0, await encodeInstallPlugin(multiSigPlugin, encode([2, 1], 2))))
+        .to.be.revertedWith("Mismatched arrays");
+      await expect(weighted.execute(weighted.address, 0, await encodeInstallPlugin(multiSigPlugin, encode([2, 1, 1], 5))))
+        .to.be.revertedWith("Threshold too high");
+
+      await weighted.execute(weighted.address, 0, await encodeInstallPlugin(multiSigPlugin, encode([2, 1, 1], 2)));
+      const [owners, weights, totalWeight] = await multiSigPlugin.getOwnerWeights(weighted.address);
+      expect(owners).to.deep.equal([owner1.address, owner2.address, owner3.address]);
+      expect(weights.map(Number)).to.deep.equal([2, 1, 1]);
+      expect(totalWeight).to.equal(4);
+
+      // Default weights count each owner once
+      const [, defaultWeights, defaultTotal] = await multiSigPlugin.getOwnerWeights(account.address);
+      expect(defaultWeights.map(Number)).to.deep.equal([1, 1, 1]);
+      expect(defaultTotal).to.equal(3);
+    });
+
+    it("Should let a heavier owner reach the threshold alone", async function () {
+      await expect(asAccount("setOwnerWeight", [owner1.address, 2]))
+        .to.emit(multiSigPlugin, "OwnerWeightChanged")
+        .withArgs(account.address, owner1.address, 2);
+
+      const userOp = await buildUserOp(entryPoint, account.address, transferCallData(1), PROPOSAL_GAS);
+      userOp.signature = await signWithOwners(userOp, [owner2]);
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+
+      userOp.signature = await signWithOwners(userOp, [owner1]);
+      await expect(() => entryPoint.handleOps([userOp], beneficiary.address))
+        .to.changeEtherBalance(recipient, 1);
+    });
+
+    it("Should keep owner weights able to reach every threshold", async function () {
+      expect(await revertReason(await accountOp("addOwner", [stranger.address, 0]))).to.equal("Invalid weight");
+      await asAccount("addOwner", [stranger.address, 3]);
+      expect((await multiSigPlugin.getOwnerWeights(account.address)).totalWeight).to.equal(6);
+
+      // Once the threshold is 5, stranger and two others sign for the account
+      await asAccount("changeThreshold", [5]);
+      const signers = [owner1, owner2, stranger];
+      expect(await revertReason(await accountOp("changeThreshold", [7], signers))).to.equal("Threshold too high");
+      // Without the new owner the others only weigh 3
+      expect(await revertReason(await accountOp("removeOwner", [stranger.address], signers)))
+        .to.equal("Would break threshold");
+      expect(await revertReason(await accountOp("setOwnerWeight", [stranger.address, 1], signers)))
+        .to.equal("Would break threshold");
+      expect(await revertReason(await accountOp("setOwnerWeight", [owner1.address, 0], signers)))
+        .to.equal("Invalid weight");
+
+      // A policy threshold counts too
+      await entryPoint.handleOps([await accountOp("changeThreshold", [2], signers)], beneficiary.address);
+      await asAccount("setThresholdPolicy", [policy({ selectors: [[transferSelector, 5]] })]);
+      expect(await revertReason(await accountOp("removeOwner", [stranger.address]))).to.equal("Would break threshold");
+    });
+
+    it("Should validate threshold policies", async function () {
+      const rejected = async (set) => revertReason(await accountOp("setThresholdPolicy", [set]));
+      expect(await rejected({ ...policy(), targets: [recipient.address] })).to.equal("Mismatched arrays");
+      expect(await rejected(policy({ targets: [[recipient.address, 1], [recipient.address, 2]] })))
+        .to.equal("Duplicate target");
+      expect(await rejected(policy({ selectors: [[transferSelector, 1], [transferSelector, 1]] })))
+        .to.equal("Duplicate selector");
+      expect(await rejected(policy({ valueBrackets: [[large, 2], [small, 1]] }))).to.equal("Brackets not ascending");
+      expect(await rejected(policy({ targets: [[recipient.address, 4]] }))).to.equal("Threshold too high");
+      await expect(multiSigPlugin.setThresholdPolicy(policy())).to.be.revertedWith("Not initialized");
+
+      const set = policy({
+        targets: [[recipient.address, 1]],
+        selectors: [[transferSelector, 3]],
+        valueBrackets: [[small, 1], [large, 2]]
+      });
+      await expect(asAccount("setThresholdPolicy", [set])).to.emit(multiSigPlugin, "ThresholdPolicyChanged");
+      const stored = await multiSigPlugin.getThresholdPolicy(account.address);
+      expect(stored.targets).to.deep.equal([recipient.address]);
+      expect(stored.selectors).to.deep.equal([transferSelector]);
+      expect(stored.valueBrackets.map((b) => [b.maxValue, Number(b.threshold)])).to.deep.equal([[small, 1], [large, 2]]);
+
+      // Setting a policy replaces the old one
+      await asAccount("setThresholdPolicy", [policy()]);
+      expect((await multiSigPlugin.getThresholdPolicy(account.address)).targets).to.deep.equal([]);
+      expect(await multiSigPlugin.getRequiredWeight(account.address, transferCallData(1))).to.equal(2);
+    });
+
+    it("Should require the highest threshold among the rules an op matches", async function () {
+      // Small payments need one owner, token transfers and calls to beneficiary all three
+      await asAccount("setThresholdPolicy", [policy({
+        targets: [[beneficiary.address, 3]],
+        selectors: [[transferSelector, 3]],
+        valueBrackets: [[small, 1]]
+      })]);
+      const required = (callData) => multiSigPlugin.getRequiredWeight(account.address, callData);
+      const execute = (to, value, data = "0x") => account.interface.encodeFunctionData("execute", [to, value, data]);
+      const tokenTransfer = new ethers.utils.Interface(["function transfer(address to, uint256 amount)"])
+        .encodeFunctionData("transfer", [recipient.address, 1]);
+
+      expect(await required(execute(recipient.address, small))).to.equal(1);
+      expect(await required(execute(recipient.address, large))).to.equal(2);
+      expect(await required(execute(beneficiary.address, small))).to.equal(3);
+      expect(await required(execute(stranger.address, small, tokenTransfer))).to.equal(3);
+      // Zero-value calls are not payments, so owner management keeps the default threshold
+      expect(await required(execute(stranger.address, 0))).to.equal(2);
+      expect(await required(proposalCallData("addOwner", [stranger.address, 1], account))).to.equal(2);
+      // Brackets apply to a batch's total value
+      const batch = account.interface.encodeFunctionData("executeBatch", [
+        [recipient.address, recipient.address], [small, small], ["0x", "0x"]
+      ]);
+      expect(await required(batch)).to.equal(2);
+
+      const userOp = await buildUserOp(entryPoint, account.address, transferCallData(small), PROPOSAL_GAS);
+      userOp.signature = await signWithOwners(userOp, [owner3]);
+      await expect(() => entryPoint.handleOps([userOp], beneficiary.address))
+        .to.changeEtherBalance(recipient, small);
+
+      const largeOp = await buildUserOp(entryPoint, account.address, transferCallData(large), PROPOSAL_GAS);
+      largeOp.signature = await signWithOwners(largeOp, [owner3]);
+      const error = await entryPoint.handleOps([largeOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+    });
+
+    it("Should not let a small payment lower what the rest of a batch needs", async function () {
+      await asAccount("setThresholdPolicy", [policy({ valueBrackets: [[small, 1]] })]);
+      const batch = (calls) => account.interface.encodeFunctionData("executeBatch", [
+        calls.map(([to]) => to), calls.map(([, value]) => value), calls.map(([, , data]) => data)
+      ]);
+      const payment = [recipient.address, 1, "0x"];
+      const ownerChange = [account.address, 0, multiSigPlugin.interface.encodeFunctionData("replaceOwners", [[owner3.address], 1])];
+      const tokenTransfer = new ethers.utils.Interface(["function transfer(address to, uint256 amount)"])
+        .encodeFunctionData("transfer", [owner3.address, 1000]);
+      const required = (callData) => multiSigPlugin.getRequiredWeight(account.address, callData);
+
+      expect(await required(batch([payment]))).to.equal(1);
+      expect(await required(batch([payment, ownerChange]))).to.equal(2);
+      expect(await required(batch([payment, [stranger.address, 0, tokenTransfer]]))).to.equal(2);
+
+      const userOp = await buildUserOp(entryPoint, account.address, batch([payment, ownerChange]), PROPOSAL_GAS);
+      userOp.signature = await signWithOwners(userOp, [owner3]);
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+      expect((await multiSigPlugin.getAccountConfig(account.address)).owners)
+        .to.deep.equal([owner1.address, owner2.address, owner3.address]);
+
+      // A proposal with the same calls needs the threshold too (owner3 alone weighs 1)
+      await asOwner("submitBatchTransaction", [[payment[0], ownerChange[0]], [payment[1], ownerChange[1]], [payment[2], ownerChange[2]]], owner3);
+      expect((await multiSigPlugin.getConfirmationWeight(account.address, 0)).map(Number)).to.deep.equal([1, 2]);
+    });
+
+    it("Should require the highest threshold for calls the account makes through itself", async function () {
+      const upgradeCall = new ethers.utils.Interface(["function upgradeTo(address implementation)"])
+        .encodeFunctionData("upgradeTo", [stranger.address]);
+      await asAccount("setThresholdPolicy", [policy({
+        selectors: [[upgradeCall.slice(0, 10), 3]],
+        valueBrackets: [[small, 1], [large, 3]]
+      })]);
+      const required = (callData) => multiSigPlugin.getRequiredWeight(account.address, callData);
+      const execute = (to, value, data = "0x") => account.interface.encodeFunctionData("execute", [to, value, data]);
+      const executeBatch = (to, value, data) => account.interface.encodeFunctionData("executeBatch", [to, value, data]);
+
+      // The account's own execute would run the inner calls without the policy seeing them
+      const nestedPayment = execute(account.address, 0, execute(recipient.address, large));
+      const nestedUpgrade = executeBatch(
+        [recipient.address, account.address],
+        [small, 0],
+        ["0x", executeBatch([stranger.address], [0], [upgradeCall])]
+      );
+      expect(await required(execute(recipient.address, large))).to.equal(3);
+      expect(await required(nestedPayment)).to.equal(3);
+      expect(await required(execute(stranger.address, 0, upgradeCall))).to.equal(3);
+      expect(await required(nestedUpgrade)).to.equal(3);
+
+      const userOp = await buildUserOp(entryPoint, account.address, nestedUpgrade, PROPOSAL_GAS);
+      userOp.signature = await signWithOwners(userOp, [owner1, owner2]);
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+
+      // Proposals making the same call need it too
+      await asOwner("submitTransaction", [account.address, 0, execute(recipient.address, large)], owner1);
+      await asOwner("confirmTransaction", [0], owner2);
+      expect((await multiSigPlugin.getConfirmationWeight(account.address, 0)).map(Number)).to.deep.equal([2, 3]);
+      expect(await revertReason(await ownerOp("executeTransaction", [0], owner1))).to.equal("Insufficient confirmations");
+    });
+
+    it("Should apply value brackets to plain transfers only", async function () {
+      await asAccount("setThresholdPolicy", [policy({ valueBrackets: [[small, 1]] })]);
+      const required = (callData) => multiSigPlugin.getRequiredWeight(account.address, callData);
+      const execute = (to, value, data) => account.interface.encodeFunctionData("execute", [to, value, data]);
+      const anyCall = multiSigPlugin.interface.encodeFunctionData("replaceOwners", [[owner3.address], 1]);
+
+      expect(await required(execute(recipient.address, 1, "0x"))).to.equal(1);
+      // Sending 1 wei along does not make a call with data a small payment
+      expect(await required(execute(stranger.address, 1, "0x12345678"))).to.equal(2);
+      expect(await required(execute(account.address, 1, anyCall))).to.equal(2);
+
+      const userOp = await buildUserOp(entryPoint, account.address, execute(account.address, 1, anyCall), PROPOSAL_GAS);
+      userOp.signature = await signWithOwners(userOp, [owner3]);
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+    });
+
+    it("Should confirm proposals against the weight their call needs", async function () {
+      await asAccount("setThresholdPolicy", [policy({ valueBrackets: [[small, 1]] })]);
+      await asAccount("setOwnerWeight", [owner2.address, 2]);
+
+      // The submitter's confirmation is enough for a small payment
+      await asOwner("submitTransaction", [recipient.address, small, "0x"], owner1);
+      expect((await multiSigPlugin.getConfirmationWeight(account.address, 0)).map(Number)).to.deep.equal([1, 1]);
+      await expect(() => asOwner("executeTransaction", [0], owner1)).to.changeEtherBalance(recipient, small);
+
+      await asOwner("submitTransaction", [recipient.address, large, "0x"], owner1);
+      expect((await multiSigPlugin.getConfirmationWeight(account.address, 1)).map(Number)).to.deep.equal([1, 2]);
+      expect(await revertReason(await ownerOp("executeTransaction", [1], owner1))).to.equal("Insufficient confirmations");
+
+      // owner1 revokes, but owner2's weight alone reaches the threshold
+      await asOwner("confirmTransaction", [1], owner2);
+      await asOwner("revokeConfirmation", [1], owner1);
+      expect((await multiSigPlugin.getConfirmationWeight(account.address, 1)).map(Number)).to.deep.equal([2, 2]);
+      await expect(() => asOwner("executeTransaction", [1], owner1)).to.changeEtherBalance(recipient, large);
+    });
+
+    it("Should manage weights and policies through the SDK", async function () {
+      const { SmartAccountWallet } = await loadSdk("wallet");
+      const wallet = new SmartAccountWallet(ethers.provider, entryPoint.address, factory.address, multiSigPlugin.address);
+      wallet.accountAddress = account.address;
+      wallet.signer = owner1;
+
+      await wallet.setMultiSigOwnerWeight(owner1.address, 2, [owner1, owner2]);
+      expect(await wallet.getMultiSigOwners()).to.deep.equal({
+        owners: [
+          { owner: owner1.address, weight: 2 },
+          { owner: owner2.address, weight: 1 },
+          { owner: owner3.address, weight: 1 }
+        ],
+        totalWeight: 4,
+        threshold: 2
+      });
+
+      // Brackets are sorted and selectors may be given as signatures
+      await wallet.setMultiSigThresholdPolicy({
+        selectors: [{ selector: "transfer(address,uint256)", threshold: 4 }],
+        valueBrackets: [{ maxValue: large, threshold: 2 }, { maxValue: small, threshold: 1 }]
+      }, [owner1]);
+      expect(await wallet.getMultiSigThresholdPolicy()).to.deep.equal({
+        targets: [],
+        selectors: [{ selector: transferSelector, threshold: 4 }],
+        valueBrackets: [{ maxValue: small, threshold: 1 }, { maxValue: large, threshold: 2 }]
+      });
+
+      // A small payment is signed by owner3 alone, sized for one signature
+      wallet.signer = owner3;
+      const userOp = await wallet.createUserOperation(transferCallData(small), { sign: false });
+      await wallet.collectMultiSigSignatures(userOp, [owner3]);
+      expect(ethers.utils.hexDataLength(userOp.signature)).to.equal(1 + 65);
+      const recipientBefore = await recipient.getBalance();
+      await wallet.sendUserOperation(userOp);
+      expect(await recipient.getBalance()).to.equal(recipientBefore.add(small));
+    });
+  });
+
+  describe("Batch proposals and their lifecycle", function () {
+    const amount = ethers.utils.parseEther("0.1");
+    let token;
+
+    function tokenTransfer(to, value) {
+      return token.interface.encodeFunctionData("transfer", [to, value]);
+    }
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await token.deployed();
+      await token.mint(account.address, 100);
+    });
+
+    it("Should execute a batch proposal's calls together", async function () {
+      await expect(asOwner("submitBatchTransaction", [[recipient.address, token.address], [amount, 0], ["0x", tokenTransfer(recipient.address, 40)]], owner1))
+        .to.emit(multiSigPlugin, "TransactionSubmitted")
+        .withArgs(account.address, 0, owner1.address, [recipient.address, token.address], [amount, 0], ["0x", tokenTransfer(recipient.address, 40)]);
+      expect(await revertReason(await ownerOp("submitBatchTransaction", [[], [], []], owner1))).to.equal("No calls");
+      expect(await revertReason(await ownerOp("submitBatchTransaction", [[recipient.address], [1, 2], ["0x"]], owner1)))
+        .to.equal("Mismatched arrays");
+
+      await asOwner("confirmTransaction", [0], owner2);
+      await expect(asOwner("executeTransaction", [0], owner1))
+        .to.emit(multiSigPlugin, "TransactionExecuted")
+        .withArgs(account.address, 0, true)
+        .and.to.changeEtherBalance(recipient, amount);
+      expect(await token.balanceOf(recipient.address)).to.equal(40);
+      expect((await multiSigPlugin.getTransaction(account.address, 0)).status).to.equal(2);
+    });
+
+    it("Should record a failed proposal with its revert reason", async function () {
+      // The token call fails, so the payment before it is rolled back too
+      await asOwner("submitBatchTransaction", [[recipient.address, token.address], [amount, 0], ["0x", tokenTransfer(recipient.address, 101)]], owner1);
+      await asOwner("confirmTransaction", [0], owner2);
+
+      const recipientBefore = await recipient.getBalance();
+      await expect(asOwner("executeTransaction", [0], owner1))
+        .to.emit(multiSigPlugin, "TransactionFailed")
+        .and.not.to.emit(multiSigPlugin, "TransactionExecuted");
+      expect(await recipient.getBalance()).to.equal(recipientBefore);
+
+      const txn = await multiSigPlugin.getTransaction(account.address, 0);
+      expect(txn.status).to.equal(3);
+      const reason = ethers.utils.defaultAbiCoder.decode(["string"], ethers.utils.hexDataSlice(txn.failureReason, 4))[0];
+      expect(reason).to.equal("ERC20: transfer amount exceeds balance");
+      expect(await revertReason(await ownerOp("executeTransaction", [0], owner1))).to.equal("Transaction failed");
+      expect((await multiSigPlugin.getPendingTransactions(account.address, 0, 10)).pendingTxIds).to.deep.equal([]);
+    });
+
+    it("Should keep a proposal ready when it is executed with too little gas for its calls", async function () {
+      // Minting to ten new holders takes far more gas than the proposal bookkeeping around it
+      const holders = Array.from({ length: 10 }, () => ethers.Wallet.createRandom().address);
+      const mints = holders.map((holder) => token.interface.encodeFunctionData("mint", [holder, 1]));
+      const ownerOpWithGas = async (functionName, args, signer, callGasLimit) => {
+        const userOp = await buildUserOp(entryPoint, account.address, proposalCallData(functionName, args, signer), {
+          ...PROPOSAL_GAS,
+          callGasLimit
+        });
+        userOp.signature = await signAsOwner(userOp, signer);
+        return userOp;
+      };
+      const submit = ["submitBatchTransaction", [holders.map(() => token.address), holders.map(() => 0), mints], owner1];
+      await entryPoint.handleOps([await ownerOpWithGas(...submit, 3000000)], beneficiary.address);
+      await asOwner("confirmTransaction", [0], owner2);
+
+      // Enough for the bookkeeping but not the calls, which would otherwise fail the proposal for good
+      // Enough for the bookkeeping but not the calls, which would otherwise fail the proposal for good
+      for (let gas = 400000; gas < 650000; gas += 10000) {
+        const id = await ethers.provider.send("evm_snapshot", []);
+        const op = await ownerOpWithGas("executeTransaction", [0], owner3, gas);
+        const receipt = await (await entryPoint.handleOps([op], beneficiary.address)).wait();
+        const ev = receipt.events.find((e) => e.event === "UserOperationRevertReason");
+        console.log(gas, ev ? ev.args.revertReason : "ok", (await multiSigPlugin.getTransaction(account.address, 0)).status, (await multiSigPlugin.getTransaction(account.address, 0)).failureReason);
+        await ethers.provider.send("evm_revert", [id]);
+      }
+      const starved = await ownerOpWithGas("executeTransaction", [0], owner3, 500000);
+      expect(await revertReason(starved)).to.equal("Not enough gas to execute");
+      expect((await multiSigPlugin.getTransaction(account.address, 0)).status).to.equal(1);
+
+      const funded = await ownerOpWithGas("executeTransaction", [0], owner3, 3000000);
+      await expect(entryPoint.handleOps([funded], beneficiary.address))
+        .to.emit(multiSigPlugin, "TransactionExecuted")
+        .withArgs(account.address, 0, true);
+      expect(await token.balanceOf(holders[9])).to.equal(1);
+    });
+
+    it("Should let the proposer replace a proposal, starting confirmations over", async function () {
+      await entryPoint.handleOps([await ownerOp("submitTransaction", [recipient.address, amount, "0x"], owner2)], beneficiary.address);
+      await entryPoint.handleOps([await ownerOp("confirmTransaction", [0], owner3)], beneficiary.address);
+
+      await expect(entryPoint.handleOps([await ownerOp("replaceTransaction", [0, [recipient.address], [1], ["0x"]], owner3)], beneficiary.address))
+        .to.emit(entryPoint, "UserOperationRevertReason");
+      await expect(entryPoint.handleOps([await ownerOp("replaceTransaction", [0, [recipient.address], [1], ["0x"]], owner2)], beneficiary.address))
+        .to.emit(multiSigPlugin, "TransactionReplaced")
+        .withArgs(account.address, 0, owner2.address, [recipient.address], [1], ["0x"]);
+
+      const txn = await multiSigPlugin.getTransaction(account.address, 0);
+      // txn.values is the Array method, so read the struct's values by position
+      expect(txn[1]).to.deep.equal([ethers.BigNumber.from(1)]);
+      expect(txn.confirmations).to.equal(1);
+      expect(await multiSigPlugin.getConfirmations(account.address, 0)).to.deep.equal([owner2.address]);
+      expect(await revertReason(await ownerOp("executeTransaction", [0], owner2))).to.equal("Insufficient confirmations");
+    });
+
+    it("Should let the proposer or the account cancel a proposal", async function () {
+      await entryPoint.handleOps([await ownerOp("submitTransaction", [recipient.address, amount, "0x"], owner2)], beneficiary.address);
+      await asOwner("submitTransaction", [recipient.address, amount, "0x"], owner1);
+
+      await expect(entryPoint.handleOps([await ownerOp("cancelTransaction", [0], owner3)], beneficiary.address))
+        .to.emit(entryPoint, "UserOperationRevertReason");
+      await expect(entryPoint.handleOps([await ownerOp("cancelTransaction", [0], owner2)], beneficiary.address))
+        .to.emit(multiSigPlugin, "TransactionCancelled")
+        .withArgs(account.address, 0);
+      await expect(multiSigPlugin.cancelTransaction(1)).to.be.revertedWith("Not initialized");
+
+      // The account acts for the threshold, so it can cancel any proposal
+      await expect(asAccount("cancelTransaction", [1])).to.emit(multiSigPlugin, "TransactionCancelled");
+      expect(await revertReason(await accountOp("cancelTransaction", [1]))).to.equal("Transaction closed");
+      expect((await multiSigPlugin.getTransaction(account.address, 1)).status).to.equal(4);
+      expect((await multiSigPlugin.getPendingTransactions(account.address, 0, 10)).total).to.equal(0);
+    });
+
+    it("Should page through open proposals", async function () {
+      for (let i = 0; i < 5; i++) {
+        await asOwner("submitTransaction", [recipient.address, i + 1, "0x"], owner1);
+      }
+      await asOwner("cancelTransaction", [1], owner1);
+
+      const page = async (offset, limit) => {
+        const { pendingTxIds, total } = await multiSigPlugin.getPendingTransactions(account.address, offset, limit);
+        return [pendingTxIds.map(Number), Number(total)];
+      };
+      // Closing a proposal moves the last open one into its place
+      expect(await page(0, 2)).to.deep.equal([[0, 4], 4]);
+      expect(await page(2, 2)).to.deep.equal([[2, 3], 4]);
+      expect(await page(4, 2)).to.deep.equal([[], 4]);
+    });
+
+    it("Should propose, replace, cancel and page through the SDK", async function () {
+      const { SmartAccountWallet } = await loadSdk("wallet");
+      const wallet = new SmartAccountWallet(ethers.provider, entryPoint.address, factory.address, multiSigPlugin.address);
+      wallet.accountAddress = account.address;
+      wallet.signer = owner2;
+
+      await wallet.submitMultiSigBatchTransaction([
+        { to: recipient.address, value: amount },
+        { to: token.address, data: tokenTransfer(recipient.address, 101) }
+      ]);
+      await wallet.replaceMultiSigTransaction(0, [{ to: token.address, data: tokenTransfer(recipient.address, 101) }]);
+      await wallet.submitMultiSigTransaction(recipient.address, amount, "0x");
+      await wallet.submitMultiSigTransaction(recipient.address, amount, "0x");
+      await wallet.cancelMultiSigTransaction(2);
+
+      const first = await wallet.getPendingMultiSigTransactions({ limit: 1 });
+      expect(first.transactions.map((txn) => txn.txId)).to.deep.equal([0]);
+      expect(first.transactions[0].calls).to.deep.equal([
+        { to: token.address, value: ethers.BigNumber.from(0), data: tokenTransfer(recipient.address, 101) }
+      ]);
+      expect(first.transactions[0].proposer).to.equal(owner2.address);
+      expect(first.total).to.equal(2);
+      const second = await wallet.getPendingMultiSigTransactions({ offset: first.nextOffset, limit: 1 });
+      expect(second.transactions.map((txn) => txn.txId)).to.deep.equal([1]);
+      expect(second.nextOffset).to.equal(null);
+
+      wallet.signer = owner3;
+      await wallet.confirmMultiSigTransaction(0);
+      await wallet.executeMultiSigTransaction(0);
+      const failed = await wallet.getMultiSigTransaction(0);
+      expect(failed.status).to.equal("failed");
+      expect(failed.failureReason).to.equal("ERC20: transfer amount exceeds balance");
+      expect((await wallet.getMultiSigTransaction(2)).status).to.equal("cancelled");
+    });
+  });
+
+  describe("Off-chain owner signatures", function () {
+    it("Should execute with threshold owner signatures in a single UserOperation", async function () {
+      const amount = ethers.utils.parseEther("0.1");
+      const userOp = await buildUserOp(entryPoint, account.address, transferCallData(amount), PROPOSAL_GAS);
+      userOp.signature = await signWithOwners(userOp, [owner3, owner2]);
+
+      await expect(() => entryPoint.handleOps([userOp], beneficiary.address))
+        .to.changeEtherBalance(recipient, amount);
+    });
+
+    it("Should accept more signatures than the threshold", async function () {
+      const userOp = await buildUserOp(entryPoint, account.address, transferCallData(1), PROPOSAL_GAS);
+      userOp.signature = await signWithOwners(userOp, [owner1, owner2, owner3]);
+
+      await expect(entryPoint.handleOps([userOp], beneficiary.address))
+        .to.emit(entryPoint, "UserOperationEvent");
+    });
+
+    it("Should reject fewer signatures than the threshold", async function () {
+      const userOp = await buildUserOp(entryPoint, account.address, transferCallData(1), PROPOSAL_GAS);
+      userOp.signature = await signWithOwners(userOp, [owner1]);
+
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+    });
+
+    it("Should reject the same owner signing twice", async function () {
+      const userOp = await buildUserOp(entryPoint, account.address, transferCallData(1), PROPOSAL_GAS);
+      userOp.signature = await signWithOwners(userOp, [owner2, owner2], { sort: false });
+
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+    });
+
+    it("Should reject signatures that are not sorted by signer", async function () {
+      const userOp = await buildUserOp(entryPoint, account.address, transferCallData(1), PROPOSAL_GAS);
+      const sorted = [owner1, owner2].sort((a, b) =>
+        a.address.toLowerCase() < b.address.toLowerCase() ? -1 : 1
+      );
+      userOp.signature = await signWithOwners(userOp, sorted.reverse(), { sort: false });
+
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+    });
+
+    it("Should reject signatures from non-owners", async function () {
+      const userOp = await buildUserOp(entryPoint, account.address, transferCallData(1), PROPOSAL_GAS);
+      userOp.signature = await signWithOwners(userOp, [owner1, stranger]);
+
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+    });
+
+    it("Should require threshold signatures for the plugin's routed functions", async function () {
+      // Routed owner management is validated like execute, so one owner cannot sign it alone
+      // Approved by the threshold, the op acts as the account itself
+      const callData = ethers.utils.hexConcat([
+        multiSigPlugin.interface.encodeFunctionData("replaceOwners", [[owner1.address], 1]),
+        account.address
+      ]);
+      const userOp = await buildUserOp(entryPoint, account.address, callData, PROPOSAL_GAS);
+      userOp.signature = await signWithOwners(userOp, [owner1]);
+
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+
+      userOp.signature = await signWithOwners(userOp, [owner1, owner2]);
+      await entryPoint.handleOps([userOp], beneficiary.address);
+      const [owners, threshold] = await multiSigPlugin.getAccountConfig(account.address);
+      expect(owners).to.deep.equal([owner1.address]);
+      expect(threshold).to.equal(1);
+    });
+
+    it("Should collect and aggregate owner signatures through the SDK", async function () {
+      const { SmartAccountWallet, aggregateSignatures } = await loadSdk("wallet");
+      const wallet = new SmartAccountWallet(
+        ethers.provider,
+        entryPoint.address,
+        factory.address,
+        multiSigPlugin.address
+      );
+      wallet.signer = owner1;
+      wallet.accountAddress = account.address;
+
+      const amount = ethers.utils.parseEther("0.2");
+      const userOp = await wallet.createUserOperation(transferCallData(amount), { sign: false });
+
+      // One owner signs on another device and hands over { signer, signature }
+      const remote = await wallet.signMultiSigUserOperation(userOp, owner3);
+      await wallet.collectMultiSigSignatures(userOp, [owner2], [remote]);
+
+      expect(userOp.signature).to.equal(
+        aggregateSignatures([remote, await wallet.signMultiSigUserOperation(userOp, owner2)])
+      );
+      expect(ethers.utils.hexDataLength(userOp.signature)).to.equal(1 + 65 * 2);
+
+      const recipientBefore = await recipient.getBalance();
+      await wallet.sendUserOperation(userOp);
+      expect(await recipient.getBalance()).to.equal(recipientBefore.add(amount));
     });
   });
 });
@@ -0,0 +1,275 @@
+const http = require("http");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadSdk } = require("./helpers/sdk");
+const { buildUserOp, signUserOp } = require("./helpers/userOps");
+
+describe("VerifyingPaymaster", function () {
+  let SmartAccountWallet, VerifyingPaymasterClient, getVerifyingPaymasterHash;
+  let entryPoint, factory, paymaster, account;
+  let deployer, beneficiary, recipient;
+  let owner, sponsor, sponsorClient;
+
+  const DEFAULT_LIMIT = ethers.utils.parseEther("0.05");
+
+  const accountInterface = new ethers.utils.Interface([
+    "function execute(address to, uint256 value, bytes data)"
+  ]);
+
+  // Sponsored op for `account`, signed by its owner after paymasterAndData is filled
+  async function buildSponsoredUserOp(callData, { window = {}, sponsorWith = sponsorClient, nonce } = {}) {
+    const userOp = await buildUserOp(entryPoint, account.address, callData, { verificationGasLimit: 200000 });
+    if (nonce !== undefined) {
+      userOp.nonce = nonce;
+    }
+
+    ({ paymasterAndData: userOp.paymasterAndData } =
+      await sponsorWith.sponsorUserOperation(userOp, entryPoint.address, window));
+    return signUserOp(entryPoint, userOp, owner);
+  }
+
+  function parseEntryPointEvents(receipt) {
+    return receipt.logs
+      .filter((log) => log.address === entryPoint.address)
+      .map((log) => entryPoint.interface.parseLog(log));
+  }
+
+  // postOp is told the cost so far, which leaves out the gas of postOp itself
+  function getSponsoredAmount(receipt) {
+    const event = receipt.logs
+      .filter((log) => log.address === paymaster.address)
+      .map((log) => paymaster.interface.parseLog(log))
+      .find((e) => e.name === "GasSponsored");
+    return event.args.actualGasCost;
+  }
+
+  before(async function () {
+    ({ SmartAccountWallet } = await loadSdk("wallet"));
+    ({ VerifyingPaymasterClient, getVerifyingPaymasterHash } = await loadSdk("paymaster"));
+  });
+
+  beforeEach(async function () {
+    [deployer, beneficiary, recipient] = await ethers.getSigners();
+    owner = ethers.Wallet.createRandom();
+    sponsor = ethers.Wallet.createRandom().connect(ethers.provider);
+
+    const MockEntryPoint = await ethers.getContractFactory("MockEntryPoint");
+    entryPoint = await MockEntryPoint.deploy();
+    await entryPoint.deployed();
+
+    const SmartAccountFactory = await ethers.getContractFactory("SmartAccountFactory");
+    factory = await SmartAccountFactory.deploy(entryPoint.address);
+    await factory.deployed();
+
+    const VerifyingPaymaster = await ethers.getContractFactory("VerifyingPaymaster");
+    paymaster = await VerifyingPaymaster.deploy(entryPoint.address, sponsor.address, DEFAULT_LIMIT);
+    await paymaster.deployed();
+    await paymaster.deposit({ value: ethers.utils.parseEther("1") });
+
+    sponsorClient = new VerifyingPaymasterClient(paymaster.address, sponsor);
+
+    // The account holds no ETH at all: the paymaster pays for everything
+    await factory.createAccount(owner.address, 0);
+    account = await ethers.getContractAt("ModularSmartAccount", await factory.getAddress(owner.address, 0));
+  });
+
+  describe("Sponsorship", function () {
+    it("Should compute the same hash as the SDK", async function () {
+      const userOp = await buildSponsoredUserOp("0x");
+      const { chainId } = await ethers.provider.getNetwork();
+
+      expect(await paymaster.getHash(userOp, 1234, 56))
+        .to.equal(getVerifyingPaymasterHash(userOp, paymaster.address, chainId, 1234, 56));
+    });
+
+    it("Should pay for an op approved by the verifying signer", async function () {
+      const userOp = await buildSponsoredUserOp(
+        accountInterface.encodeFunctionData("execute", [recipient.address, 0, "0x"])
+      );
+      const depositBefore = await paymaster.getDeposit();
+
+      const receipt = await (await entryPoint.handleOps([userOp], beneficiary.address)).wait();
+      const event = parseEntryPointEvents(receipt).find((e) => e.name === "UserOperationEvent");
+
+      expect(event.args.paymaster).to.equal(paymaster.address);
+      expect(event.args.success).to.equal(true);
+      expect(await paymaster.getDeposit()).to.equal(depositBefore.sub(event.args.actualGasCost));
+
+      const sponsored = getSponsoredAmount(receipt);
+      expect(sponsored).to.be.gt(0).and.lt(event.args.actualGasCost);
+      expect(await paymaster.spent(account.address)).to.equal(sponsored);
+      expect(await paymaster.getRemainingSpend(account.address)).to.equal(DEFAULT_LIMIT.sub(sponsored));
+      expect(await ethers.provider.getBalance(account.address)).to.equal(0);
+      expect(await entryPoint.balanceOf(account.address)).to.equal(0);
+    });
+
+    it("Should still charge the sponsored gas when the call reverts", async function () {
+      const userOp = await buildSponsoredUserOp(
+        accountInterface.encodeFunctionData("execute", [recipient.address, 1, "0x"])
+      );
+
+      const receipt = await (await entryPoint.handleOps([userOp], beneficiary.address)).wait();
+      const event = parseEntryPointEvents(receipt).find((e) => e.name === "UserOperationEvent");
+
+      expect(event.args.success).to.equal(false);
+      expect(await paymaster.spent(account.address)).to.equal(getSponsoredAmount(receipt)).and.gt(0);
+    });
+
+    it("Should reject an op approved by someone other than the verifying signer", async function () {
+      const impostor = new VerifyingPaymasterClient(
+        paymaster.address,
+        ethers.Wallet.createRandom().connect(ethers.provider)
+      );
+      const userOp = await buildSponsoredUserOp("0x", { sponsorWith: impostor });
+
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA34 signature error");
+    });
+
+    it("Should only accept an op inside its validity window", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+
+      const expired = await buildSponsoredUserOp("0x", { window: { validUntil: timestamp - 1 } });
+      const expiredError = await entryPoint.handleOps([expired], beneficiary.address).catch((e) => e);
+      expect(expiredError.message).to.include("AA32 paymaster expired or not due");
+
+      const notDue = await buildSponsoredUserOp("0x", {
+        window: { validUntil: timestamp + 3600, validAfter: timestamp + 600 }
+      });
+      const notDueError = await entryPoint.handleOps([notDue], beneficiary.address).catch((e) => e);
+      expect(notDueError.message).to.include("AA32 paymaster expired or not due");
+
+      await ethers.provider.send("evm_increaseTime", [600]);
+      await expect(entryPoint.handleOps([notDue], beneficiary.address))
+        .to.emit(entryPoint, "UserOperationEvent");
+    });
+
+    it("Should reject ops once the account reaches its spending limit", async function () {
+      // maxCost of these ops is (200000 + 3 * 200000 + 50000) * 2 gwei = 0.0017 ETH
+      await paymaster.setSpendingLimit(account.address, ethers.utils.parseEther("0.001"));
+      const userOp = await buildSponsoredUserOp("0x");
+
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA33 reverted: Spending limit exceeded");
+
+      await paymaster.removeSpendingLimit(account.address);
+      expect(await paymaster.getSpendingLimit(account.address)).to.equal(DEFAULT_LIMIT);
+      await expect(entryPoint.handleOps([userOp], beneficiary.address))
+        .to.emit(paymaster, "GasSponsored");
+    });
+
+    it("Should hold several ops of one bundle to the spending limit", async function () {
+      // Each op reserves its maxCost of 0.0017 ETH during validation: two fit, three do not
+      await paymaster.setSpendingLimit(account.address, ethers.utils.parseEther("0.004"));
+      const nonce = await entryPoint.getNonce(account.address, 0);
+      const userOps = [];
+      for (let i = 0; i < 3; i++) {
+        userOps.push(await buildSponsoredUserOp("0x", { nonce: nonce.add(i) }));
+      }
+
+      const error = await entryPoint.handleOps(userOps, beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("FailedOp(2, \"AA33 reverted: Spending limit exceeded\")");
+      expect(await paymaster.spent(account.address)).to.equal(0);
+
+      // Settling releases what the ops did not use
+      const receipt = await (await entryPoint.handleOps(userOps.slice(0, 2), beneficiary.address)).wait();
+      const sponsored = receipt.logs
+        .filter((log) => log.address === paymaster.address)
+        .map((log) => paymaster.interface.parseLog(log).args.actualGasCost);
+      expect(sponsored).to.have.length(2);
+      expect(await paymaster.spent(account.address)).to.equal(sponsored[0].add(sponsored[1]));
+    });
+
+    it("Should reject ops the paymaster deposit cannot cover", async function () {
+      await paymaster.withdrawTo(deployer.address, ethers.utils.parseEther("0.9999"));
+      const userOp = await buildSponsoredUserOp("0x");
+
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA31 paymaster deposit too low");
+    });
+
+    it("Should only let the owner change the signer, limits and deposit", async function () {
+      const stranger = paymaster.connect(recipient);
+
+      await expect(stranger.setVerifyingSigner(recipient.address)).to.be.revertedWith("Only owner");
+      await expect(stranger.setDefaultSpendingLimit(0)).to.be.revertedWith("Only owner");
+      await expect(stranger.setSpendingLimit(account.address, 0)).to.be.revertedWith("Only owner");
+      await expect(stranger.withdrawTo(recipient.address, 1)).to.be.revertedWith("Only owner");
+
+      await expect(paymaster.setVerifyingSigner(recipient.address))
+        .to.emit(paymaster, "VerifyingSignerChanged")
+        .withArgs(sponsor.address, recipient.address);
+    });
+  });
+
+  describe("SDK", function () {
+    let wallet;
+
+    beforeEach(async function () {
+      wallet = new SmartAccountWallet(ethers.provider, entryPoint.address, factory.address, ethers.constants.AddressZero, {
+        paymaster: sponsorClient
+      });
+      await wallet.init(ethers.Wallet.createRandom().privateKey);
+      await wallet.createAccount();
+
+      // Only the handleOps transaction itself is paid by the owner EOA
+      await deployer.sendTransaction({ to: wallet.signer.address, value: ethers.utils.parseEther("1") });
+    });
+
+    it("Should send a gasless first transaction from an unfunded account", async function () {
+      const receipt = await wallet.execute(recipient.address, 0, "0x");
+
+      const events = parseEntryPointEvents(receipt);
+      expect(events.find((e) => e.name === "AccountDeployed").args.paymaster).to.equal(paymaster.address);
+      const event = events.find((e) => e.name === "UserOperationEvent");
+      expect(event.args.success).to.equal(true);
+      expect(event.args.paymaster).to.equal(paymaster.address);
+
+      expect(await wallet.isDeployed()).to.equal(true);
+      expect(await wallet.getBalance()).to.equal(0);
+      expect(await paymaster.spent(wallet.accountAddress)).to.equal(getSponsoredAmount(receipt));
+    });
+
+    it("Should leave an op unsponsored when the paymaster is overridden with null", async function () {
+      const userOp = await wallet.createUserOperation("0x", { paymaster: null });
+      expect(userOp.paymasterAndData).to.equal("0x");
+    });
+
+    it("Should request sponsorship from a paymaster service", async function () {
+      const requests = [];
+      const service = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", async () => {
+          const request = JSON.parse(body);
+          requests.push(request);
+          const [userOp, entryPointAddress] = request.params;
+          const result = await sponsorClient.sponsorUserOperation(userOp, entryPointAddress);
+          res.writeHead(200, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ jsonrpc: "2.0", id: request.id, result }));
+        });
+      });
+      await new Promise((resolve) => service.listen(0, resolve));
+
+      try {
+        wallet = new SmartAccountWallet(ethers.provider, entryPoint.address, factory.address, ethers.constants.AddressZero, {
+          paymasterUrl: `http://127.0.0.1:${service.address().port}`,
+          paymasterOptions: { paymasterAddress: paymaster.address }
+        });
+        wallet.signer = (await ethers.getSigners())[3];
+        await wallet.createAccount();
+
+        const receipt = await wallet.execute(recipient.address, 0, "0x");
+
+        expect(requests).to.have.length(1);
+        expect(requests[0].method).to.equal("pm_sponsorUserOperation");
+        expect(requests[0].params[1]).to.equal(entryPoint.address);
+        const event = parseEntryPointEvents(receipt).find((e) => e.name === "UserOperationEvent");
+        expect(event.args.success).to.equal(true);
+        expect(await wallet.getBalance()).to.equal(0);
+      } finally {
+        await new Promise((resolve) => service.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadSdk } = require("./helpers/sdk");
+const { deployMultiSigPlugin } = require("./helpers/plugins");
+
+describe("Call decoding and simulation preview", function () {
+  let SmartAccountWallet, describeCall, ERC721_ABI;
+  let entryPoint, factory, multiSigPlugin, token, accountAddress;
+  let deployer, recipient;
+  let owners, wallet;
+
+  before(async function () {
+    ({ SmartAccountWallet, describeCall } = await loadSdk("wallet"));
+    ({ ERC721_ABI } = await loadSdk("decoder"));
+  });
+
+  beforeEach(async function () {
+    [deployer, recipient] = await ethers.getSigners();
+
+    const MockEntryPoint = await ethers.getContractFactory("MockEntryPoint");
+    entryPoint = await MockEntryPoint.deploy();
+    const SmartAccountFactory = await ethers.getContractFactory("SmartAccountFactory");
+    factory = await SmartAccountFactory.deploy(entryPoint.address);
+    multiSigPlugin = await deployMultiSigPlugin();
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("Test Token", "TST", 18);
+
+    owners = [0, 1].map(() => ethers.Wallet.createRandom().connect(ethers.provider));
+    await deployer.sendTransaction({ to: owners[0].address, value: ethers.utils.parseEther("1") });
+
+    wallet = new SmartAccountWallet(
+      ethers.provider,
+      entryPoint.address,
+      factory.address,
+      multiSigPlugin.address,
+      { simulationProvider: ethers.provider }
+    );
+    await wallet.init(owners[0].privateKey);
+    accountAddress = await wallet.createAccount();
+    await deployer.sendTransaction({ to: accountAddress, value: ethers.utils.parseEther("2") });
+    await wallet.installMultiSigPlugin(owners.map((o) => o.address), 2);
+    await token.mint(accountAddress, 1000);
+  });
+
+  describe("Decoding", function () {
+    it("Should decode execute calldata down to the proposal it submits", async function () {
+      const transfer = token.interface.encodeFunctionData("transfer", [recipient.address, 250]);
+      const submit = multiSigPlugin.interface.encodeFunctionData("submitTransaction", [token.address, 0, transfer]);
+      const execute = new ethers.utils.Interface(["function execute(address to, uint256 value, bytes data)"])
+        .encodeFunctionData("execute", [accountAddress, 0, submit]);
+
+      const call = wallet.decodeCall(accountAddress, 0, execute);
+
+      expect(call).to.deep.include({ contract: "ModularSmartAccount", function: "execute" });
+      const [proposal] = call.calls;
+      expect(proposal).to.deep.include({ contract: "MultiSigPlugin", function: "submitTransaction" });
+      const [inner] = proposal.calls;
+      expect(inner).to.deep.include({
+        to: token.address,
+        contract: "ERC20",
+        function: "transfer",
+        args: { to: recipient.address, amount: "250" },
+        calls: []
+      });
+      expect(describeCall(inner)).to.equal(`ERC20.transfer(to: ${recipient.address}, amount: 250) on ${token.address}`);
+    });
+
+    it("Should decode batches, plain transfers and unknown calldata", async function () {
+      const call = wallet.decodeCall(accountAddress, 0, multiSigPlugin.interface.encodeFunctionData(
+        "submitBatchTransaction",
+        [[recipient.address, token.address], [ethers.utils.parseEther("0.5"), 0], ["0x", "0xdeadbeef"]]
+      ));
+
+      const [payment, unknown] = call.calls;
+      expect(describeCall(payment)).to.equal(`Send 0.5 ETH to ${recipient.address}`);
+      expect(unknown).to.deep.include({ function: null, args: null });
+      expect(describeCall(unknown)).to.equal(`Unknown call 0xdeadbeef on ${token.address}`);
+    });
+
+    it("Should use the ABI registered for an address over the standards", async function () {
+      const collection = ethers.Wallet.createRandom().address;
+      const data = new ethers.utils.Interface(ERC721_ABI).encodeFunctionData(
+        "transferFrom(address,address,uint256)",
+        [accountAddress, recipient.address, 7]
+      );
+
+      expect(wallet.decodeCall(collection, 0, data).args).to.deep.equal({
+        from: accountAddress, to: recipient.address, amount: "7"
+      });
+
+      wallet.abiRegistry.registerContract(collection, "Collectibles", ERC721_ABI);
+      expect(wallet.decodeCall(collection, 0, data)).to.deep.include({
+        contract: "Collectibles",
+        args: { from: accountAddress, to: recipient.address, tokenId: "7" }
+      });
+    });
+  });
+
+  describe("Simulation", function () {
+    it("Should preview a proposal's balance changes and events without changing state", async function () {
+      const amount = ethers.utils.parseEther("0.25");
+      await wallet.submitMultiSigBatchTransaction([
+        { to: recipient.address, value: amount },
+        { to: token.address, data: token.interface.encodeFunctionData("transfer", [recipient.address, 400]) }
+      ]);
+      const blockBefore = await ethers.provider.getBlockNumber();
+      const balanceBefore = await ethers.provider.getBalance(accountAddress);
+
+      const preview = await wallet.previewMultiSigTransaction(0);
+
+      expect(preview.transaction.txId).to.equal(0);
+      expect(preview.calls.map((call) => call.function)).to.deep.equal([null, "transfer"]);
+      const { simulation } = preview;
+      expect(simulation).to.deep.include({ success: true, revertReason: null });
+      expect(simulation.balanceChanges).to.have.deep.members([
+        { address: accountAddress, change: amount.mul(-1).toString() },
+        { address: recipient.address, change: amount.toString() }
+      ]);
+      expect(simulation.tokenChanges).to.have.deep.members([
+        { token: token.address, standard: "ERC20", holder: accountAddress, tokenId: null, change: "-400" },
+        { token: token.address, standard: "ERC20", holder: recipient.address, tokenId: null, change: "400" }
+      ]);
+      const transferEvent = simulation.events.find((event) => event.name === "Transfer");
+      expect(transferEvent).to.deep.include({
+        address: token.address,
+        contract: "ERC20",
+        args: { from: accountAddress, to: recipient.address, value: "400" }
+      });
+
+      // The dry run was rolled back
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+      expect(await ethers.provider.getBalance(accountAddress)).to.equal(balanceBefore);
+      expect(await token.balanceOf(recipient.address)).to.equal(0);
+      expect((await wallet.getMultiSigTransaction(0)).status).to.equal("pending");
+    });
+
+    it("Should report why a proposal would revert", async function () {
+      const transfer = token.interface.encodeFunctionData("transfer", [recipient.address, 5000]);
+
+      const { calls, simulation } = await wallet.previewMultiSigCalls([{ to: token.address, data: transfer }]);
+
+      expect(calls[0].args).to.deep.equal({ to: recipient.address, amount: "5000" });
+      expect(simulation).to.deep.include({
+        success: false,
+        revertReason: "ERC20: transfer amount exceeds balance",
+        events: []
+      });
+    });
+
+    it("Should dry-run a UserOperation's callData as the EntryPoint executes it", async function () {
+      const callData = new ethers.utils.Interface(["function execute(address to, uint256 value, bytes data)"])
+        .encodeFunctionData("execute", [recipient.address, 1000, "0x"]);
+
+      const { call, simulation } = await wallet.previewUserOperation(callData);
+
+      expect(describeCall(call.calls[0])).to.equal(`Send ${ethers.utils.formatEther(1000)} ETH to ${recipient.address}`);
+      expect(simulation.success).to.equal(true);
+      expect(simulation.balanceChanges).to.have.deep.members([
+        { address: accountAddress, change: "-1000" },
+        { address: recipient.address, change: "1000" }
+      ]);
+    });
+
+    it("Should only decode without a simulation node", async function () {
+      const decodeOnly = new SmartAccountWallet(
+        ethers.provider,
+        entryPoint.address,
+        factory.address,
+        multiSigPlugin.address
+      );
+      await decodeOnly.init(owners[1].privateKey);
+      decodeOnly.loadAccount(accountAddress);
+
+      const preview = await decodeOnly.previewMultiSigCalls([{ to: recipient.address, value: 1 }]);
+      expect(preview.simulation).to.equal(null);
+      expect(preview.calls[0].value).to.equal("1");
+    });
+  });
+});
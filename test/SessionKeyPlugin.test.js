@@ -0,0 +1,398 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadSdk } = require("./helpers/sdk");
+const { encodeInstallPlugin, encodeUninstallPlugin } = require("./helpers/plugins");
+const { buildUserOp, signUserOp } = require("./helpers/userOps");
+
+describe("SessionKeyPlugin", function () {
+  let SmartAccountWallet;
+  let entryPoint, factory, sessionKeyPlugin, account, token;
+  let owner, beneficiary, recipient, stranger;
+  let sessionKey, validUntil;
+
+  const accountInterface = new ethers.utils.Interface([
+    "function execute(address to, uint256 value, bytes data)",
+    "function executeBatch(address[] to, uint256[] value, bytes[] data)",
+    "function installPlugin(address plugin, bytes32 manifestHash, bytes pluginInstallData, address[] dependencies)"
+  ]);
+  const executeSelector = accountInterface.getSighash("execute");
+  const executeBatchSelector = accountInterface.getSighash("executeBatch");
+
+  // Unsigned op from the account, with room for the plugin's validation
+  function accountOp(callData, overrides = {}) {
+    return buildUserOp(entryPoint, account.address, callData, { verificationGasLimit: 300000, ...overrides });
+  }
+
+  // 0x02 ++ eth_sign(userOpHash) by the session key
+  async function signWithSessionKey(userOp, signer = sessionKey) {
+    const userOpHash = await entryPoint.getUserOpHash(userOp);
+    userOp.signature = ethers.utils.hexConcat(["0x02", await signer.signMessage(ethers.utils.arrayify(userOpHash))]);
+    return userOp;
+  }
+
+  function permissions(overrides = {}) {
+    return {
+      targets: [token.address, recipient.address],
+      selectors: [token.interface.getSighash("transfer"), "0x00000000"],
+      valueLimit: ethers.utils.parseEther("0.1"),
+      spendLimit: ethers.utils.parseEther("0.5"),
+      validAfter: 0,
+      validUntil,
+      ...overrides
+    };
+  }
+
+  // Account calls signed by the owner, whom the plugin keeps accepting; with the plugin
+  // validating execute, the owner no longer calls the account directly
+  async function callAccount(to, data) {
+    const userOp = await signUserOp(entryPoint, await accountOp(sessionCall(to, 0, data), { callGasLimit: 500000 }), owner);
+    return entryPoint.handleOps([userOp], beneficiary.address);
+  }
+
+  async function callPlugin(method, args) {
+    return callAccount(sessionKeyPlugin.address, sessionKeyPlugin.interface.encodeFunctionData(method, args));
+  }
+
+  // The reason the op's call reverted with, or null if it succeeded
+  async function revertReason(tx) {
+    const receipt = await (await tx).wait();
+    const event = receipt.events.find((e) => e.event === "UserOperationRevertReason");
+    if (!event) {
+      return null;
+    }
+    return ethers.utils.defaultAbiCoder.decode(["string"], ethers.utils.hexDataSlice(event.args.revertReason, 4))[0];
+  }
+
+  function sessionCall(to, value, data = "0x") {
+    return accountInterface.encodeFunctionData("execute", [to, value, data]);
+  }
+
+  before(async function () {
+    ({ SmartAccountWallet } = await loadSdk("wallet"));
+  });
+
+  beforeEach(async function () {
+    [owner, beneficiary, recipient, stranger] = await ethers.getSigners();
+    sessionKey = ethers.Wallet.createRandom();
+    validUntil = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+
+    const MockEntryPoint = await ethers.getContractFactory("MockEntryPoint");
+    entryPoint = await MockEntryPoint.deploy();
+    await entryPoint.deployed();
+
+    const SmartAccountFactory = await ethers.getContractFactory("SmartAccountFactory");
+    factory = await SmartAccountFactory.deploy(entryPoint.address);
+    await factory.deployed();
+
+    const SessionKeyPlugin = await ethers.getContractFactory("SessionKeyPlugin");
+    sessionKeyPlugin = await SessionKeyPlugin.deploy();
+    await sessionKeyPlugin.deployed();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("Game Token", "GAME", 18);
+    await token.deployed();
+
+    await factory.createAccount(owner.address, 0);
+    account = await ethers.getContractAt("ModularSmartAccount", await factory.getAddress(owner.address, 0));
+    await owner.sendTransaction({ to: account.address, value: ethers.utils.parseEther("2") });
+    await token.mint(account.address, ethers.utils.parseEther("100"));
+
+    // The plugin's manifest has it validate execute and executeBatch
+    await account.connect(owner).execute(account.address, 0, await encodeInstallPlugin(sessionKeyPlugin));
+    await callPlugin("grantSessionKey", [sessionKey.address, permissions()]);
+  });
+
+  describe("Session key management", function () {
+    it("Should grant a session key with its permissions", async function () {
+      expect(await sessionKeyPlugin.installed(account.address)).to.equal(true);
+      expect(await account.plugins(executeSelector)).to.equal(sessionKeyPlugin.address);
+      expect(await account.plugins(executeBatchSelector)).to.equal(sessionKeyPlugin.address);
+      expect(await sessionKeyPlugin.getSessionKeys(account.address)).to.deep.equal([sessionKey.address]);
+
+      const { permissions: stored, spent } = await sessionKeyPlugin.getSessionKey(account.address, sessionKey.address);
+      expect(stored.targets).to.deep.equal([token.address, recipient.address]);
+      expect(stored.selectors).to.deep.equal([token.interface.getSighash("transfer"), "0x00000000"]);
+      expect(stored.valueLimit).to.equal(ethers.utils.parseEther("0.1"));
+      expect(stored.validUntil).to.equal(validUntil);
+      expect(spent).to.equal(0);
+    });
+
+    it("Should reject keys without targets, expiry or with the account as target", async function () {
+      const other = ethers.Wallet.createRandom().address;
+
+      expect(await revertReason(callPlugin("grantSessionKey", [other, permissions({ targets: [] })])))
+        .to.equal("No targets");
+      expect(await revertReason(callPlugin("grantSessionKey", [other, permissions({ validUntil: 0 })])))
+        .to.equal("Invalid validity window");
+      expect(await revertReason(callPlugin("grantSessionKey", [other, permissions({ validAfter: validUntil })])))
+        .to.equal("Invalid validity window");
+      expect(await revertReason(callPlugin("grantSessionKey", [other, permissions({ targets: [account.address] })])))
+        .to.equal("Invalid target");
+      expect(await revertReason(callPlugin("grantSessionKey", [other, permissions({ targets: [sessionKeyPlugin.address] })])))
+        .to.equal("Invalid target");
+    });
+
+    it("Should reject other plugins installed on the account as targets", async function () {
+      const MockPlugin = await ethers.getContractFactory("MockPlugin");
+      const plugin = await MockPlugin.deploy();
+      await callAccount(account.address, await encodeInstallPlugin(plugin));
+      expect(await account.getInstalledPlugins()).to.include(plugin.address);
+
+      const other = ethers.Wallet.createRandom().address;
+      expect(await revertReason(callPlugin("grantSessionKey", [other, permissions({ targets: [token.address, plugin.address] })])))
+        .to.equal("Invalid target");
+    });
+
+    it("Should stop a key from calling a target once the account installs it as a plugin", async function () {
+      const MockPlugin = await ethers.getContractFactory("MockPlugin");
+      const plugin = await MockPlugin.deploy();
+      await callPlugin("grantSessionKey", [sessionKey.address, permissions({ targets: [plugin.address], selectors: [] })]);
+
+      const before = await signWithSessionKey(await accountOp(sessionCall(plugin.address, 0)));
+      await entryPoint.handleOps([before], beneficiary.address);
+
+      await callAccount(account.address, await encodeInstallPlugin(plugin));
+      const after = await signWithSessionKey(await accountOp(sessionCall(plugin.address, 0)));
+      const error = await entryPoint.handleOps([after], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA23 reverted: Invalid target");
+    });
+
+    it("Should only let an account that installed the plugin grant keys", async function () {
+      await expect(sessionKeyPlugin.connect(stranger).grantSessionKey(sessionKey.address, permissions()))
+        .to.be.revertedWith("Not installed");
+    });
+
+    it("Should revoke a session key", async function () {
+      await expect(callPlugin("revokeSessionKey", [sessionKey.address]))
+        .to.emit(sessionKeyPlugin, "SessionKeyRevoked")
+        .withArgs(account.address, sessionKey.address);
+      expect(await sessionKeyPlugin.getSessionKeys(account.address)).to.deep.equal([]);
+
+      const userOp = await signWithSessionKey(await accountOp(sessionCall(recipient.address, 1)));
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+
+      expect(await revertReason(callPlugin("revokeSessionKey", [sessionKey.address]))).to.equal("Session key not found");
+    });
+
+    it("Should revoke every key once uninstalled", async function () {
+      await expect(callAccount(account.address, encodeUninstallPlugin(sessionKeyPlugin)))
+        .to.emit(sessionKeyPlugin, "SessionKeyRevoked");
+
+      expect(await sessionKeyPlugin.getSessionKeys(account.address)).to.deep.equal([]);
+      expect(await sessionKeyPlugin.installed(account.address)).to.equal(false);
+      expect(await account.plugins(executeSelector)).to.equal(ethers.constants.AddressZero);
+      expect(await account.plugins(executeBatchSelector)).to.equal(ethers.constants.AddressZero);
+    });
+  });
+
+  describe("Validation", function () {
+    it("Should accept a session key op within its permissions", async function () {
+      const amount = ethers.utils.parseEther("5");
+      const userOp = await signWithSessionKey(await accountOp(
+        sessionCall(token.address, 0, token.interface.encodeFunctionData("transfer", [recipient.address, amount]))
+      ));
+
+      await expect(entryPoint.handleOps([userOp], beneficiary.address))
+        .to.emit(sessionKeyPlugin, "SessionKeyUsed");
+      expect(await token.balanceOf(recipient.address)).to.equal(amount);
+
+      // Without a paymaster the op's maximum gas counts against the spend limit
+      const { spent } = await sessionKeyPlugin.getSessionKey(account.address, sessionKey.address);
+      expect(spent).to.equal(ethers.BigNumber.from(550000).mul(userOp.maxFeePerGas));
+    });
+
+    it("Should check every call of a batch", async function () {
+      const batch = (targets, values, datas) => accountInterface.encodeFunctionData("executeBatch", [targets, values, datas]);
+      const transfer = token.interface.encodeFunctionData("transfer", [recipient.address, 1]);
+
+      const allowed = await signWithSessionKey(await accountOp(
+        batch([token.address, recipient.address], [0, ethers.utils.parseEther("0.1")], [transfer, "0x"])
+      ));
+      await entryPoint.handleOps([allowed], beneficiary.address);
+
+      const approve = token.interface.encodeFunctionData("approve", [stranger.address, 1]);
+      const denied = await signWithSessionKey(await accountOp(
+        batch([token.address, token.address], [0, 0], [transfer, approve])
+      ));
+      const error = await entryPoint.handleOps([denied], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA23 reverted: Function not allowed");
+    });
+
+    it("Should reject calls outside the key's scope with a reason", async function () {
+      const cases = [
+        [sessionCall(stranger.address, 0), "Target not allowed"],
+        [sessionCall(token.address, 0, token.interface.encodeFunctionData("approve", [stranger.address, 1])), "Function not allowed"],
+        [sessionCall(recipient.address, ethers.utils.parseEther("0.2")), "Value above session limit"]
+      ];
+
+      for (const [callData, reason] of cases) {
+        const userOp = await signWithSessionKey(await accountOp(callData));
+        const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+        expect(error.message).to.include(`AA23 reverted: ${reason}`);
+      }
+
+      // Other account functions are not routed to the plugin, so only the owner can sign for them
+      const userOp = await signWithSessionKey(await accountOp(
+        accountInterface.encodeFunctionData("installPlugin", [stranger.address, ethers.constants.HashZero, "0x", []])
+      ));
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+    });
+
+    it("Should stop a key at its total spend limit", async function () {
+      // Each op spends 0.1 ETH of value plus up to 0.0011 ETH of gas
+      for (let i = 0; i < 4; i++) {
+        const userOp = await signWithSessionKey(await accountOp(sessionCall(recipient.address, ethers.utils.parseEther("0.1"))));
+        await entryPoint.handleOps([userOp], beneficiary.address);
+      }
+
+      const userOp = await signWithSessionKey(await accountOp(sessionCall(recipient.address, ethers.utils.parseEther("0.1"))));
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA23 reverted: Session spend limit exceeded");
+    });
+
+    it("Should only accept a key inside its validity window", async function () {
+      const later = ethers.Wallet.createRandom();
+      await callPlugin("grantSessionKey", [later.address, permissions({ validAfter: validUntil - 600 })]);
+
+      const notDue = await signWithSessionKey(await accountOp(sessionCall(recipient.address, 1)), later);
+      const notDueError = await entryPoint.handleOps([notDue], beneficiary.address).catch((e) => e);
+      expect(notDueError.message).to.include("AA22 expired or not due");
+
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine", []);
+      const expired = await signWithSessionKey(await accountOp(sessionCall(recipient.address, 1)));
+      const expiredError = await entryPoint.handleOps([expired], beneficiary.address).catch((e) => e);
+      expect(expiredError.message).to.include("AA22 expired or not due");
+    });
+
+    it("Should reject a key granted by another account", async function () {
+      await factory.createAccount(stranger.address, 0);
+      const other = await ethers.getContractAt("ModularSmartAccount", await factory.getAddress(stranger.address, 0));
+      await other.connect(stranger).execute(other.address, 0, await encodeInstallPlugin(sessionKeyPlugin));
+      await owner.sendTransaction({ to: other.address, value: ethers.utils.parseEther("1") });
+
+      const userOp = await signWithSessionKey(await buildUserOp(entryPoint, other.address, sessionCall(recipient.address, 1), {
+        verificationGasLimit: 300000
+      }));
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+    });
+
+    it("Should keep accepting the owner for any call", async function () {
+      const userOp = await signUserOp(entryPoint, await accountOp(sessionCall(stranger.address, ethers.utils.parseEther("1"))), owner);
+
+      await expect(entryPoint.handleOps([userOp], beneficiary.address))
+        .to.changeEtherBalance(stranger, ethers.utils.parseEther("1"));
+
+      const forged = await accountOp(sessionCall(stranger.address, 1));
+      forged.signature = await sessionKey.signMessage(ethers.utils.arrayify(await entryPoint.getUserOpHash(forged)));
+      const error = await entryPoint.handleOps([forged], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+    });
+
+    it("Should accept owner signatures that start with the session key mode byte", async function () {
+      let userOp;
+      for (let gas = 200000; !userOp || !userOp.signature.startsWith("0x02"); gas++) {
+        userOp = await signUserOp(entryPoint, await accountOp(sessionCall(stranger.address, 1), { callGasLimit: gas }), owner);
+      }
+
+      await expect(entryPoint.handleOps([userOp], beneficiary.address))
+        .to.changeEtherBalance(stranger, 1);
+    });
+
+    it("Should not let anyone but the account record spends", async function () {
+      const userOp = await signWithSessionKey(await accountOp(sessionCall(recipient.address, 1)));
+      await expect(sessionKeyPlugin.validateUserOp(userOp, await entryPoint.getUserOpHash(userOp)))
+        .to.be.revertedWith("Only account");
+    });
+
+    it("Should record the spend in storage associated with the account", async function () {
+      const userOp = await signWithSessionKey(await accountOp(sessionCall(recipient.address, 1)));
+      await entryPoint.handleOps([userOp], beneficiary.address);
+
+      // sessionKeys (slot 1) is keyed by the account last, so under ERC-7562 validation may write
+      // the spend: it lives at keccak(account ++ x) + 5, past the five slots of Permissions
+      const keySlot = ethers.utils.solidityKeccak256(["uint256", "uint256"], [sessionKey.address, 1]);
+      const spentSlot = ethers.BigNumber.from(
+        ethers.utils.solidityKeccak256(["uint256", "bytes32"], [account.address, keySlot])
+      ).add(5);
+      const { spent } = await sessionKeyPlugin.getSessionKey(account.address, sessionKey.address);
+      expect(spent).to.be.gt(0);
+      expect(await ethers.provider.getStorageAt(sessionKeyPlugin.address, spentSlot))
+        .to.equal(ethers.utils.hexZeroPad(spent.toHexString(), 32));
+    });
+
+    it("Should drop the targets and functions a key loses when granted again", async function () {
+      await callPlugin("grantSessionKey", [sessionKey.address, permissions({ targets: [recipient.address], selectors: [] })]);
+
+      const transfer = token.interface.encodeFunctionData("transfer", [recipient.address, 1]);
+      const dropped = await signWithSessionKey(await accountOp(sessionCall(token.address, 0, transfer)));
+      const error = await entryPoint.handleOps([dropped], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA23 reverted: Target not allowed");
+
+      const kept = await signWithSessionKey(await accountOp(sessionCall(recipient.address, 1, "0x12345678")));
+      await entryPoint.handleOps([kept], beneficiary.address);
+      expect(await revertReason(callPlugin("revokeSessionKey", [sessionKey.address]))).to.equal(null);
+
+      await callPlugin("grantSessionKey", [sessionKey.address, permissions({ targets: [recipient.address] })]);
+      const stale = await signWithSessionKey(await accountOp(sessionCall(recipient.address, 1, "0x12345678")));
+      const staleError = await entryPoint.handleOps([stale], beneficiary.address).catch((e) => e);
+      expect(staleError.message).to.include("AA23 reverted: Function not allowed");
+    });
+  });
+
+  describe("SDK", function () {
+    let wallet;
+
+    beforeEach(async function () {
+      wallet = new SmartAccountWallet(ethers.provider, entryPoint.address, factory.address, ethers.constants.AddressZero, {
+        sessionKeyPluginAddress: sessionKeyPlugin.address
+      });
+      await wallet.init(ethers.Wallet.createRandom().privateKey);
+      await wallet.createAccount();
+      await owner.sendTransaction({ to: wallet.signer.address, value: ethers.utils.parseEther("1") });
+      await owner.sendTransaction({ to: wallet.accountAddress, value: ethers.utils.parseEther("1") });
+    });
+
+    it("Should grant, list, use and revoke a session key", async function () {
+      await wallet.installSessionKeyPlugin();
+      const dappKey = ethers.Wallet.createRandom();
+      await wallet.grantSessionKey(dappKey, {
+        targets: [recipient.address],
+        selectors: ["0x00000000"],
+        valueLimit: ethers.utils.parseEther("0.01"),
+        spendLimit: ethers.utils.parseEther("0.1"),
+        validUntil
+      });
+
+      const [granted] = await wallet.getSessionKeys();
+      expect(granted.sessionKey).to.equal(dappKey.address);
+      expect(granted.targets).to.deep.equal([recipient.address]);
+      expect(granted.spent).to.equal(0);
+
+      const receipt = await wallet.executeWithSessionKey(recipient.address, ethers.utils.parseEther("0.01"), "0x", dappKey);
+      const event = receipt.logs
+        .filter((log) => log.address === sessionKeyPlugin.address)
+        .map((log) => sessionKeyPlugin.interface.parseLog(log))
+        .find((e) => e.name === "SessionKeyUsed");
+      expect(event.args.sessionKey).to.equal(dappKey.address);
+      expect((await wallet.getSessionKeys())[0].spent).to.be.gt(ethers.utils.parseEther("0.01"));
+
+      // The owner still signs ordinary ops through the plugin
+      await wallet.execute(stranger.address, 1, "0x");
+
+      await wallet.revokeSessionKey(dappKey.address);
+      expect(await wallet.getSessionKeys()).to.deep.equal([]);
+      const error = await wallet.executeWithSessionKey(recipient.address, 1, "0x", dappKey).catch((e) => e);
+      expect(error.message).to.include("AA24 signature error");
+    });
+
+    it("Should refuse to sign with a session key where the plugin does not validate", async function () {
+      const error = await wallet.executeWithSessionKey(recipient.address, 1, "0x", ethers.Wallet.createRandom())
+        .catch((e) => e);
+      expect(error.message).to.equal("SessionKeyPlugin does not validate this call for the account");
+    });
+  });
+});
@@ -0,0 +1,235 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadSdk } = require("./helpers/sdk");
+const { encodeInstallPlugin, deployMultiSigPlugin } = require("./helpers/plugins");
+const { startSignatureService } = require("../services/signature-service");
+
+describe("Signature service", function () {
+  let SmartAccountWallet;
+  let entryPoint, factory, multiSigPlugin, account;
+  let deployer, recipient;
+  let owners, wallets;
+  let service, server, url, storePath;
+
+  before(async function () {
+    ({ SmartAccountWallet } = await loadSdk("wallet"));
+  });
+
+  beforeEach(async function () {
+    [deployer, recipient] = await ethers.getSigners();
+
+    const MockEntryPoint = await ethers.getContractFactory("MockEntryPoint");
+    entryPoint = await MockEntryPoint.deploy();
+    const SmartAccountFactory = await ethers.getContractFactory("SmartAccountFactory");
+    factory = await SmartAccountFactory.deploy(entryPoint.address);
+    multiSigPlugin = await deployMultiSigPlugin();
+
+    owners = [0, 1, 2].map(() => ethers.Wallet.createRandom().connect(ethers.provider));
+    for (const owner of owners) {
+      await deployer.sendTransaction({ to: owner.address, value: ethers.utils.parseEther("1") });
+    }
+
+    await factory.createAccount(owners[0].address, 0);
+    account = await ethers.getContractAt(
+      "ModularSmartAccount",
+      await factory.getAddress(owners[0].address, 0)
+    );
+    await deployer.sendTransaction({ to: account.address, value: ethers.utils.parseEther("2") });
+
+    const installData = ethers.utils.defaultAbiCoder.encode(
+      ["address[]", "uint256[]", "uint256"],
+      [owners.map((o) => o.address), [], 2]
+    );
+    await account.connect(owners[0]).execute(
+      account.address,
+      0,
+      await encodeInstallPlugin(multiSigPlugin, installData)
+    );
+
+    storePath = path.join(os.tmpdir(), `proposals-${Date.now()}-${Math.random()}.json`);
+    ({ server, service, url } = await startSignatureService({
+      provider: ethers.provider,
+      entryPointAddress: entryPoint.address,
+      multiSigPluginAddress: multiSigPlugin.address,
+      storePath
+    }));
+
+    wallets = [];
+    for (const owner of owners) {
+      const wallet = new SmartAccountWallet(
+        ethers.provider,
+        entryPoint.address,
+        factory.address,
+        multiSigPlugin.address,
+        { signatureServiceUrl: url }
+      );
+      await wallet.init(owner.privateKey);
+      wallet.loadAccount(account.address);
+      wallets.push(wallet);
+    }
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    if (fs.existsSync(storePath)) {
+      fs.unlinkSync(storePath);
+    }
+  });
+
+  it("Should collect signatures until the threshold and execute the proposal", async function () {
+    const amount = ethers.utils.parseEther("0.5");
+    const proposal = await wallets[0].proposeMultiSigTransaction(recipient.address, amount, "0x", "Pay invoice");
+
+    expect(proposal.status).to.equal("pending");
+    expect(proposal.signatures.map((s) => s.signer)).to.deep.equal([owners[0].address]);
+    expect(proposal.userOpHash).to.equal(await entryPoint.getUserOpHash(proposal.userOp));
+
+    const pending = await wallets[1].getPendingProposals();
+    expect(pending.map((p) => p.id)).to.deep.equal([proposal.id]);
+
+    const signed = await wallets[1].signProposal(proposal.id);
+    expect(signed.status).to.equal("ready");
+    expect(ethers.utils.hexDataLength(signed.aggregatedSignature)).to.equal(1 + 65 * 2);
+
+    const recipientBefore = await recipient.getBalance();
+    await wallets[2].executeProposal(proposal.id);
+    expect(await recipient.getBalance()).to.equal(recipientBefore.add(amount));
+
+    expect((await wallets[0].getPendingProposals()).length).to.equal(0);
+    expect((await service.getProposal(proposal.id)).status).to.equal("executed");
+  });
+
+  it("Should mark a proposal replaced when another op used its nonce", async function () {
+    const replaced = await wallets[0].proposeMultiSigTransaction(recipient.address, 1, "0x", "First try");
+    const replacement = await wallets[1].proposeMultiSigTransaction(recipient.address, 2, "0x", "Second try");
+    expect(replacement.userOp.nonce).to.equal(replaced.userOp.nonce);
+
+    await wallets[2].signProposal(replacement.id);
+    await wallets[2].executeProposal(replacement.id);
+
+    expect((await service.getProposal(replacement.id)).status).to.equal("executed");
+    expect((await service.getProposal(replaced.id)).status).to.equal("replaced");
+    expect((await wallets[0].getPendingProposals()).length).to.equal(0);
+
+    const error = await wallets[1].signProposal(replaced.id).catch((e) => e);
+    expect(error.message).to.equal("Proposal nonce already used");
+  });
+
+  it("Should refuse proposals once the account has an execution delay", async function () {
+    const setTimelock = ethers.utils.hexConcat([
+      multiSigPlugin.interface.encodeFunctionData("setTimelock", [3600, 0]),
+      account.address
+    ]);
+    const proposal = await wallets[0].proposeMultiSigUserOperation(setTimelock, "Add a delay");
+    await wallets[1].signProposal(proposal.id);
+    await wallets[1].executeProposal(proposal.id);
+
+    const error = await wallets[0].proposeMultiSigTransaction(recipient.address, 1, "0x").catch((e) => e);
+    expect(error.message).to.equal("Account has an execution delay: submit the transaction through MultiSigPlugin");
+  });
+
+  it("Should persist proposals to the store file", async function () {
+    const proposal = await wallets[0].proposeMultiSigTransaction(recipient.address, 1, "0x");
+
+    const stored = JSON.parse(fs.readFileSync(storePath, "utf8"));
+    expect(stored[proposal.id.toLowerCase()].signatures.length).to.equal(1);
+  });
+
+  it("Should reject signatures from non-owners", async function () {
+    const proposal = await wallets[0].proposeMultiSigTransaction(recipient.address, 1, "0x");
+    const outsider = ethers.Wallet.createRandom();
+    const signature = await outsider.signMessage(ethers.utils.arrayify(proposal.userOpHash));
+
+    const client = wallets[1].getSignatureService();
+    const error = await client.addSignature(proposal.id, signature).catch((e) => e);
+    expect(error.message).to.include("is not an owner");
+  });
+
+  it("Should reject a second signature from the same owner", async function () {
+    const proposal = await wallets[0].proposeMultiSigTransaction(recipient.address, 1, "0x");
+    const signature = await owners[0].signMessage(ethers.utils.arrayify(proposal.userOpHash));
+
+    const client = wallets[0].getSignatureService();
+    const error = await client.addSignature(proposal.id, signature).catch((e) => e);
+    expect(error.message).to.include("already signed");
+  });
+
+  it("Should reject malformed signatures and unknown proposals", async function () {
+    const proposal = await wallets[0].proposeMultiSigTransaction(recipient.address, 1, "0x");
+    const client = wallets[0].getSignatureService();
+
+    const invalid = await client.addSignature(proposal.id, "0x1234").catch((e) => e);
+    expect(invalid.message).to.include("Invalid signature");
+
+    const missing = await client.getProposal(ethers.constants.HashZero).catch((e) => e);
+    expect(missing.message).to.include("Proposal not found");
+  });
+
+  it("Should store nothing when the proposer's signature is rejected", async function () {
+    const callData = account.interface.encodeFunctionData("execute", [recipient.address, 1, "0x"]);
+    const userOp = await wallets[0].createUserOperation(callData, { sign: false });
+    const userOpHash = ethers.utils.arrayify(await entryPoint.getUserOpHash(userOp));
+    const client = wallets[0].getSignatureService();
+
+    const unsigned = await client.propose(userOp).catch((e) => e);
+    expect(unsigned.message).to.include("Missing proposer signature");
+    const outsider = ethers.Wallet.createRandom();
+    const rejected = await client.propose(userOp, await outsider.signMessage(userOpHash)).catch((e) => e);
+    expect(rejected.message).to.include("is not an owner");
+    const malformed = await client.propose(userOp, "0x1234").catch((e) => e);
+    expect(malformed.message).to.include("Invalid signature");
+
+    const proposal = await client.propose(userOp, await owners[0].signMessage(userOpHash));
+    expect(proposal.signatures.map((s) => s.signer)).to.deep.equal([owners[0].address]);
+    expect(proposal.weight).to.equal("1");
+    expect(service.store.list()).to.have.length(1);
+  });
+
+  it("Should add up owner weights beyond JavaScript's safe integers", async function () {
+    const weight = ethers.BigNumber.from(2).pow(60);
+    await factory.createAccount(owners[0].address, 1);
+    account = await ethers.getContractAt("ModularSmartAccount", await factory.getAddress(owners[0].address, 1));
+    await deployer.sendTransaction({ to: account.address, value: ethers.utils.parseEther("1") });
+    const installData = ethers.utils.defaultAbiCoder.encode(
+      ["address[]", "uint256[]", "uint256"],
+      [owners.map((o) => o.address), [weight, weight, 1], weight.mul(2)]
+    );
+    await account.connect(owners[0]).execute(
+      account.address,
+      0,
+      await encodeInstallPlugin(multiSigPlugin, installData)
+    );
+    wallets.forEach((wallet) => wallet.loadAccount(account.address));
+
+    const proposal = await wallets[0].proposeMultiSigTransaction(recipient.address, 1, "0x");
+    expect(proposal.status).to.equal("pending");
+    expect(proposal.weight).to.equal(weight.toString());
+    expect(proposal.threshold).to.equal(weight.mul(2).toString());
+
+    const signed = await wallets[1].signProposal(proposal.id);
+    expect(signed.status).to.equal("ready");
+    expect(signed.weight).to.equal(weight.mul(2).toString());
+  });
+
+  it("Should answer 400 to a JSON body that is not an object", async function () {
+    for (const body of ["null", "[]", "42"]) {
+      const response = await fetch(`${url}/proposals`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body
+      });
+      expect(response.status).to.equal(400);
+      expect((await response.json()).error).to.equal("JSON body must be an object");
+    }
+  });
+
+  it("Should refuse to execute a proposal below the threshold", async function () {
+    const proposal = await wallets[0].proposeMultiSigTransaction(recipient.address, 1, "0x");
+
+    const error = await wallets[0].executeProposal(proposal.id).catch((e) => e);
+    expect(error.message).to.include("not ready");
+  });
+});
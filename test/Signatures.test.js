@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadSdk } = require("./helpers/sdk");
+const { encodeInstallPlugin, deployMultiSigPlugin } = require("./helpers/plugins");
+
+describe("Account signatures (ERC-1271)", function () {
+  const MAGIC_VALUE = "0x1626ba7e";
+  const INVALID = "0xffffffff";
+
+  const PERMIT_DOMAIN = {
+    name: "Test Token",
+    version: "1",
+    chainId: 31337,
+    verifyingContract: "0x000000000000000000000000000000000000dEaD"
+  };
+  const PERMIT_TYPES = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  let SmartAccountWallet;
+  let entryPoint, factory, multiSigPlugin, account;
+  let owner1, owner2, owner3, spender;
+
+  function permitFor(accountAddress) {
+    return { owner: accountAddress, spender: spender.address, value: 1000, nonce: 0, deadline: 0 };
+  }
+
+  async function createAccount(salt) {
+    await factory.createAccount(owner1.address, salt);
+    return ethers.getContractAt("ModularSmartAccount", await factory.getAddress(owner1.address, salt));
+  }
+
+  function walletFor(accountAddress, signer) {
+    const wallet = new SmartAccountWallet(ethers.provider, entryPoint.address, factory.address, multiSigPlugin.address);
+    wallet.accountAddress = accountAddress;
+    wallet.signer = signer;
+    return wallet;
+  }
+
+  before(async function () {
+    ({ SmartAccountWallet } = await loadSdk("wallet"));
+  });
+
+  beforeEach(async function () {
+    [owner1, owner2, owner3, spender] = await ethers.getSigners();
+
+    const MockEntryPoint = await ethers.getContractFactory("MockEntryPoint");
+    entryPoint = await MockEntryPoint.deploy();
+    const SmartAccountFactory = await ethers.getContractFactory("SmartAccountFactory");
+    factory = await SmartAccountFactory.deploy(entryPoint.address);
+    multiSigPlugin = await deployMultiSigPlugin();
+
+    account = await createAccount(0);
+  });
+
+  describe("Owner", function () {
+    it("Should accept the owner's signature of the account's message digest", async function () {
+      const wallet = walletFor(account.address, owner1);
+      const hash = ethers.utils.hashMessage("Sign in to example.org");
+
+      expect(await wallet.getAccountMessageHash(hash)).to.equal(await account.getMessageHash(hash));
+
+      const signature = await wallet.signMessage("Sign in to example.org");
+      expect(await account.isValidSignature(hash, signature)).to.equal(MAGIC_VALUE);
+      expect(await wallet.isValidSignature(hash, signature)).to.equal(true);
+
+      // It signs this hash only
+      expect(await account.isValidSignature(ethers.utils.hashMessage("Sign in"), signature)).to.equal(INVALID);
+    });
+
+    it("Should not accept signatures bound to another account or by anyone else", async function () {
+      const other = await createAccount(1);
+      const hash = ethers.utils._TypedDataEncoder.hash(PERMIT_DOMAIN, PERMIT_TYPES, permitFor(account.address));
+
+      // Same owner, other account: the digest commits to the verifying account
+      const forOther = await walletFor(other.address, owner1).signHash(hash);
+      expect(await account.isValidSignature(hash, forOther)).to.equal(INVALID);
+      expect(await other.isValidSignature(hash, forOther)).to.equal(MAGIC_VALUE);
+
+      // The bare hash, signed without the account's wrapper
+      const bare = await owner1.signMessage(ethers.utils.arrayify(hash));
+      expect(await account.isValidSignature(hash, bare)).to.equal(INVALID);
+
+      const byStranger = await walletFor(account.address, owner2).signHash(hash);
+      expect(await account.isValidSignature(hash, byStranger)).to.equal(INVALID);
+      expect(await account.isValidSignature(hash, "0x")).to.equal(INVALID);
+    });
+  });
+
+  describe("MultiSigPlugin", function () {
+    let hash;
+
+    beforeEach(async function () {
+      // 2-of-3 owners, weight 1 each
+      const installData = ethers.utils.defaultAbiCoder.encode(
+        ["address[]", "uint256[]", "uint256"],
+        [[owner1.address, owner2.address, owner3.address], [], 2]
+      );
+      await account.execute(account.address, 0, await encodeInstallPlugin(multiSigPlugin, installData));
+      hash = ethers.utils._TypedDataEncoder.hash(PERMIT_DOMAIN, PERMIT_TYPES, permitFor(account.address));
+    });
+
+    it("Should support ISignatureValidationPlugin", async function () {
+      const interfaceId = new ethers.utils.Interface([
+        "function validateSignature(bytes32 digest, bytes signature) view returns (bool)"
+      ]).getSighash("validateSignature");
+      expect(await multiSigPlugin.supportsInterface(interfaceId)).to.equal(true);
+    });
+
+    it("Should accept typed data signed by owners holding the threshold", async function () {
+      const wallet = walletFor(account.address, owner2);
+
+      const signature = await wallet.signTypedData(PERMIT_DOMAIN, PERMIT_TYPES, permitFor(account.address), {
+        signers: [owner2, owner3]
+      });
+      expect(ethers.utils.hexDataLength(signature)).to.equal(130);
+      expect(await wallet.isValidSignature(hash, signature)).to.equal(true);
+
+      // The account's owner alone no longer signs for it
+      const alone = await wallet.signHash(hash, { signers: [owner1] });
+      expect(await account.isValidSignature(hash, alone)).to.equal(INVALID);
+      const { signature: ownerSignature } = await wallet.signAccountMessageAsOwner(hash, owner1);
+      expect(await account.isValidSignature(hash, ownerSignature)).to.equal(INVALID);
+    });
+
+    it("Should combine signatures collected on other devices", async function () {
+      const remote = await walletFor(account.address, owner3).signAccountMessageAsOwner(hash);
+      expect(remote.signer).to.equal(owner3.address);
+
+      const wallet = walletFor(account.address, owner1);
+      const signature = await wallet.signHash(hash, { signatures: [remote] });
+      expect(await account.isValidSignature(hash, signature)).to.equal(MAGIC_VALUE);
+
+      // Unsorted or repeated signers are refused
+      const [first, second] = [signature.slice(0, 132), `0x${signature.slice(132)}`];
+      const swapped = ethers.utils.hexConcat([second, first]);
+      expect(await account.isValidSignature(hash, swapped)).to.equal(INVALID);
+      expect(await account.isValidSignature(hash, ethers.utils.hexConcat([first, first]))).to.equal(INVALID);
+    });
+
+    it("Should refuse to sign while the account has an execution delay", async function () {
+      const wallet = walletFor(account.address, owner1);
+      const signature = await wallet.signHash(hash, { signers: [owner1, owner2] });
+      expect(await account.isValidSignature(hash, signature)).to.equal(MAGIC_VALUE);
+
+      // The timelock is set through a UserOperation the account pays for
+      await owner1.sendTransaction({ to: account.address, value: ethers.utils.parseEther("1") });
+      await wallet.setMultiSigTimelock(3600, 0, [owner1, owner2]);
+      expect(await account.isValidSignature(hash, signature)).to.equal(INVALID);
+    });
+  });
+});
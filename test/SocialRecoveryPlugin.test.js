@@ -0,0 +1,434 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadSdk } = require("./helpers/sdk");
+const {
+  encodeInstallPlugin,
+  encodeUninstallPlugin,
+  deployMultiSigPlugin,
+  callAccount,
+  callPlugin
+} = require("./helpers/plugins");
+const { buildUserOp, signUserOp } = require("./helpers/userOps");
+const { increaseTime } = require("./helpers/time");
+
+describe("SocialRecoveryPlugin", function () {
+  let SmartAccountWallet, GuardianClient;
+  let entryPoint, factory, multiSigPlugin, recoveryPlugin, account;
+  let owner, guardian1, guardian2, guardian3, newOwner, beneficiary, stranger;
+
+  const DELAY = 86400;
+
+  const accountInterface = new ethers.utils.Interface([
+    "function execute(address to, uint256 value, bytes data)"
+  ]);
+
+  function installData(guardians, threshold = 2, delay = DELAY, multiSig = multiSigPlugin.address) {
+    return ethers.utils.defaultAbiCoder.encode(
+      ["address[]", "uint256", "uint256", "address"],
+      [guardians, threshold, delay, multiSig]
+    );
+  }
+
+  async function signRecovery(guardians) {
+    const hash = ethers.utils.arrayify(await recoveryPlugin.getRecoveryHash(account.address));
+    const sorted = [...guardians].sort((a, b) => (a.address.toLowerCase() < b.address.toLowerCase() ? -1 : 1));
+    return ethers.utils.hexConcat(await Promise.all(sorted.map((guardian) => guardian.signMessage(hash))));
+  }
+
+  before(async function () {
+    ({ SmartAccountWallet } = await loadSdk("wallet"));
+    ({ GuardianClient } = await loadSdk("recovery"));
+  });
+
+  beforeEach(async function () {
+    [owner, guardian1, guardian2, guardian3, newOwner, beneficiary, stranger] = await ethers.getSigners();
+
+    const MockEntryPoint = await ethers.getContractFactory("MockEntryPoint");
+    entryPoint = await MockEntryPoint.deploy();
+    await entryPoint.deployed();
+
+    const SmartAccountFactory = await ethers.getContractFactory("SmartAccountFactory");
+    factory = await SmartAccountFactory.deploy(entryPoint.address);
+    await factory.deployed();
+
+    multiSigPlugin = await deployMultiSigPlugin();
+
+    const SocialRecoveryPlugin = await ethers.getContractFactory("SocialRecoveryPlugin");
+    recoveryPlugin = await SocialRecoveryPlugin.deploy(multiSigPlugin.address);
+    await recoveryPlugin.deployed();
+
+    await factory.createAccount(owner.address, 0);
+    account = await ethers.getContractAt("ModularSmartAccount", await factory.getAddress(owner.address, 0));
+    await owner.sendTransaction({ to: account.address, value: ethers.utils.parseEther("1") });
+
+    await callAccount(account, owner, await encodeInstallPlugin(
+      recoveryPlugin,
+      installData([guardian1.address, guardian2.address, guardian3.address])
+    ));
+  });
+
+  describe("Guardian configuration", function () {
+    it("Should store the guardians, threshold and delay", async function () {
+      const config = await recoveryPlugin.getGuardianConfig(account.address);
+      expect(config.guardians).to.deep.equal([guardian1.address, guardian2.address, guardian3.address]);
+      expect(config.threshold).to.equal(2);
+      expect(config.delay).to.equal(DELAY);
+      expect(config.multiSigPlugin).to.equal(multiSigPlugin.address);
+
+      expect(await recoveryPlugin.isGuardian(account.address, guardian1.address)).to.be.true;
+      expect(await recoveryPlugin.isGuardian(account.address, stranger.address)).to.be.false;
+      expect(await account.getInstalledPlugins()).to.deep.equal([recoveryPlugin.address]);
+    });
+
+    it("Should only permit the calls recoveries make", async function () {
+      const manifest = await recoveryPlugin.pluginManifest();
+      expect(manifest.permitAnyExternalAddress).to.equal(false);
+      expect(manifest.permittedExecutionSelectors).to.deep.equal([account.interface.getSighash("recoverOwnership")]);
+      expect(manifest.permittedExternalCalls).to.have.lengthOf(1);
+      expect(manifest.permittedExternalCalls[0].externalAddress).to.equal(multiSigPlugin.address);
+      expect(manifest.permittedExternalCalls[0].permitAnySelector).to.equal(false);
+      expect(manifest.permittedExternalCalls[0].selectors).to.deep.equal([multiSigPlugin.interface.getSighash("replaceOwners")]);
+
+      // Another MultiSigPlugin could not be called, so accounts cannot pick one
+      await factory.createAccount(owner.address, 1);
+      const other = await ethers.getContractAt("ModularSmartAccount", await factory.getAddress(owner.address, 1));
+      await expect(other.connect(owner).execute(other.address, 0, await encodeInstallPlugin(
+        recoveryPlugin,
+        installData([guardian1.address], 1, DELAY, stranger.address)
+      ))).to.be.revertedWith("Unsupported MultiSigPlugin");
+    });
+
+    it("Should reject invalid guardian sets and delays", async function () {
+      await expect(callPlugin(account, owner, recoveryPlugin, "setGuardians", [[], 1]))
+        .to.be.revertedWith("No guardians");
+      await expect(callPlugin(account, owner, recoveryPlugin, "setGuardians", [[guardian1.address], 2]))
+        .to.be.revertedWith("Invalid threshold");
+      await expect(callPlugin(account, owner, recoveryPlugin, "setGuardians", [[account.address], 1]))
+        .to.be.revertedWith("Invalid guardian");
+      await expect(callPlugin(account, owner, recoveryPlugin, "setGuardians", [[guardian1.address, guardian1.address], 1]))
+        .to.be.revertedWith("Duplicate guardian");
+      await expect(callPlugin(account, owner, recoveryPlugin, "setRecoveryDelay", [0]))
+        .to.be.revertedWith("Invalid delay");
+    });
+
+    it("Should only let an account that installed the plugin configure it", async function () {
+      await expect(recoveryPlugin.connect(stranger).setGuardians([stranger.address], 1))
+        .to.be.revertedWith("Not installed");
+      await expect(recoveryPlugin.connect(stranger).cancelRecovery()).to.be.revertedWith("Not installed");
+    });
+
+    it("Should replace the guardians and cancel a pending recovery", async function () {
+      await recoveryPlugin.connect(guardian1).initiateRecovery(account.address, newOwner.address, [], 0);
+
+      await expect(callPlugin(account, owner, recoveryPlugin, "setGuardians", [[stranger.address], 1]))
+        .to.emit(recoveryPlugin, "GuardiansChanged")
+        .and.to.emit(recoveryPlugin, "RecoveryCancelled")
+        .withArgs(account.address, 0);
+
+      expect(await recoveryPlugin.isGuardian(account.address, guardian1.address)).to.be.false;
+      expect(await recoveryPlugin.isGuardian(account.address, stranger.address)).to.be.true;
+      const { recovery } = await recoveryPlugin.getRecovery(account.address);
+      expect(recovery.initiatedAt).to.equal(0);
+    });
+  });
+
+  describe("Owner recovery", function () {
+    it("Should nominate the new owner once guardians approve and the delay passes", async function () {
+      await expect(recoveryPlugin.connect(guardian1).initiateRecovery(account.address, newOwner.address, [], 0))
+        .to.emit(recoveryPlugin, "RecoveryInitiated")
+        .withArgs(account.address, 0, guardian1.address, newOwner.address, [], 0);
+
+      const tx = await recoveryPlugin.connect(guardian2).approveRecovery(account.address);
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      await expect(tx)
+        .to.emit(recoveryPlugin, "RecoveryThresholdReached")
+        .withArgs(account.address, 0, timestamp + DELAY);
+
+      await increaseTime(DELAY);
+      await expect(recoveryPlugin.connect(stranger).executeRecovery(account.address))
+        .to.emit(recoveryPlugin, "RecoveryExecuted")
+        .withArgs(account.address, 0)
+        .and.to.emit(account, "OwnershipTransferred")
+        .withArgs(owner.address, newOwner.address);
+
+      expect(await account.owner()).to.equal(newOwner.address);
+      expect(await recoveryPlugin.recoveryNonces(account.address)).to.equal(1);
+
+      // The recovered owner signs UserOperations again
+      const callData = accountInterface.encodeFunctionData("execute", [stranger.address, 1, "0x"]);
+      const userOp = await signUserOp(entryPoint, await buildUserOp(entryPoint, account.address, callData), newOwner);
+      await expect(entryPoint.handleOps([userOp], beneficiary.address)).to.not.be.reverted;
+    });
+
+    it("Should not execute before threshold approvals or before the delay", async function () {
+      await recoveryPlugin.connect(guardian1).initiateRecovery(account.address, newOwner.address, [], 0);
+      await expect(recoveryPlugin.executeRecovery(account.address)).to.be.revertedWith("Not enough approvals");
+
+      await recoveryPlugin.connect(guardian2).approveRecovery(account.address);
+      await increaseTime(DELAY - 60);
+      await expect(recoveryPlugin.executeRecovery(account.address)).to.be.revertedWith("Recovery delay not over");
+    });
+
+    it("Should only let guardians initiate and approve, once each", async function () {
+      await expect(recoveryPlugin.connect(stranger).initiateRecovery(account.address, stranger.address, [], 0))
+        .to.be.revertedWith("Not a guardian");
+      await expect(recoveryPlugin.connect(guardian1).approveRecovery(account.address))
+        .to.be.revertedWith("No pending recovery");
+
+      await recoveryPlugin.connect(guardian1).initiateRecovery(account.address, newOwner.address, [], 0);
+      await expect(recoveryPlugin.connect(guardian1).approveRecovery(account.address))
+        .to.be.revertedWith("Already approved");
+      await expect(recoveryPlugin.connect(stranger).approveRecovery(account.address))
+        .to.be.revertedWith("Not a guardian");
+      await expect(recoveryPlugin.connect(guardian2).initiateRecovery(account.address, stranger.address, [], 0))
+        .to.be.revertedWith("Recovery already pending");
+    });
+
+    it("Should accept guardian signatures relayed by anyone", async function () {
+      await recoveryPlugin.connect(guardian1).initiateRecovery(account.address, newOwner.address, [], 0);
+
+      // guardian1 approved on-chain already and is skipped
+      const signatures = await signRecovery([guardian1, guardian3]);
+      await expect(recoveryPlugin.connect(stranger).approveRecoveryWithSignatures(account.address, signatures))
+        .to.emit(recoveryPlugin, "RecoveryApproved")
+        .withArgs(account.address, 0, guardian3.address)
+        .and.to.emit(recoveryPlugin, "RecoveryThresholdReached");
+
+      const { recovery } = await recoveryPlugin.getRecovery(account.address);
+      expect(recovery.approvals).to.equal(2);
+    });
+
+    it("Should reject signatures from non-guardians, out of order or for another recovery", async function () {
+      await recoveryPlugin.connect(guardian1).initiateRecovery(account.address, newOwner.address, [], 0);
+
+      await expect(recoveryPlugin.approveRecoveryWithSignatures(account.address, await signRecovery([stranger])))
+        .to.be.revertedWith("Invalid guardian signature");
+
+      const sorted = await signRecovery([guardian2, guardian3]);
+      const reversed = ethers.utils.hexConcat([
+        ethers.utils.hexDataSlice(sorted, 65),
+        ethers.utils.hexDataSlice(sorted, 0, 65)
+      ]);
+      await expect(recoveryPlugin.approveRecoveryWithSignatures(account.address, reversed))
+        .to.be.revertedWith("Invalid guardian signature");
+
+      // Signatures are bound to the recovery id, so they do not carry over once it is cancelled
+      const stale = await signRecovery([guardian2]);
+      await callPlugin(account, owner, recoveryPlugin, "cancelRecovery");
+      await recoveryPlugin.connect(guardian1).initiateRecovery(account.address, newOwner.address, [], 0);
+      await expect(recoveryPlugin.approveRecoveryWithSignatures(account.address, stale))
+        .to.be.revertedWith("Invalid guardian signature");
+    });
+
+    it("Should let the current owners cancel during the delay", async function () {
+      await recoveryPlugin.connect(guardian1).initiateRecovery(account.address, stranger.address, [], 0);
+      await recoveryPlugin.connect(guardian2).approveRecovery(account.address);
+
+      await expect(callPlugin(account, owner, recoveryPlugin, "cancelRecovery"))
+        .to.emit(recoveryPlugin, "RecoveryCancelled")
+        .withArgs(account.address, 0);
+
+      await increaseTime(DELAY);
+      await expect(recoveryPlugin.executeRecovery(account.address)).to.be.revertedWith("No pending recovery");
+      expect(await account.pendingOwner()).to.equal(ethers.constants.AddressZero);
+
+      // Approvals of the cancelled recovery do not count for the next one
+      await recoveryPlugin.connect(guardian1).initiateRecovery(account.address, newOwner.address, [], 0);
+      const { recovery, nonce } = await recoveryPlugin.getRecovery(account.address);
+      expect(nonce).to.equal(1);
+      expect(recovery.approvals).to.equal(1);
+      expect(recovery.executeAfter).to.equal(0);
+    });
+
+    it("Should let threshold guardians cancel a recovery one of them opened, then start another", async function () {
+      // A single guardian cannot hold the account with a recovery nobody else approves
+      await recoveryPlugin.connect(guardian1).initiateRecovery(account.address, stranger.address, [], 0);
+      await expect(recoveryPlugin.connect(guardian2).initiateRecovery(account.address, newOwner.address, [], 0))
+        .to.be.revertedWith("Recovery already pending");
+
+      await expect(recoveryPlugin.connect(stranger).voteToCancelRecovery(account.address))
+        .to.be.revertedWith("Not a guardian");
+      await expect(recoveryPlugin.connect(guardian2).voteToCancelRecovery(account.address))
+        .to.emit(recoveryPlugin, "RecoveryCancelVoteCast")
+        .withArgs(account.address, 0, guardian2.address)
+        .and.not.to.emit(recoveryPlugin, "RecoveryCancelled");
+      await expect(recoveryPlugin.connect(guardian2).voteToCancelRecovery(account.address))
+        .to.be.revertedWith("Already voted");
+      await expect(recoveryPlugin.connect(guardian3).voteToCancelRecovery(account.address))
+        .to.emit(recoveryPlugin, "RecoveryCancelled")
+        .withArgs(account.address, 0);
+
+      await recoveryPlugin.connect(guardian2).initiateRecovery(account.address, newOwner.address, [], 0);
+      await recoveryPlugin.connect(guardian3).approveRecovery(account.address);
+      await increaseTime(DELAY);
+      await recoveryPlugin.executeRecovery(account.address);
+      expect(await account.owner()).to.equal(newOwner.address);
+    });
+
+    it("Should not let the recovered-from owner nominate another owner around the recovery", async function () {
+      // The lost key nominates an owner of its own while the recovery waits out its delay...
+      await recoveryPlugin.connect(guardian1).initiateRecovery(account.address, newOwner.address, [], 0);
+      await recoveryPlugin.connect(guardian2).approveRecovery(account.address);
+      await account.connect(owner).transferOwnership(stranger.address);
+      await increaseTime(DELAY);
+
+      // ...which the recovery voids: the new owner takes over without having to accept
+      await recoveryPlugin.executeRecovery(account.address);
+      expect(await account.owner()).to.equal(newOwner.address);
+      expect(await account.pendingOwner()).to.equal(ethers.constants.AddressZero);
+      await expect(account.connect(stranger).acceptOwnership()).to.be.revertedWith("Not pending owner");
+
+      // and afterwards the old owner has no say at all
+      await expect(account.connect(owner).transferOwnership(stranger.address)).to.be.reverted;
+      await expect(account.connect(owner).recoverOwnership(owner.address)).to.be.revertedWith("Only self");
+    });
+  });
+
+  describe("Owner set recovery", function () {
+    let lostOwner1, lostOwner2;
+
+    // Account calls the multisig owners sign, as the account owner no longer calls it directly
+    async function callAccountAsOwners(data) {
+      const userOp = await buildUserOp(
+        entryPoint,
+        account.address,
+        accountInterface.encodeFunctionData("execute", [account.address, 0, data]),
+        { callGasLimit: 1000000, verificationGasLimit: 300000 }
+      );
+      const userOpHash = ethers.utils.arrayify(await entryPoint.getUserOpHash(userOp));
+      const signers = [lostOwner1, lostOwner2].sort((a, b) => (a.address.toLowerCase() < b.address.toLowerCase() ? -1 : 1));
+      userOp.signature = ethers.utils.hexConcat(["0x01", ...(await Promise.all(signers.map((s) => s.signMessage(userOpHash))))]);
+      return entryPoint.handleOps([userOp], beneficiary.address);
+    }
+
+    beforeEach(async function () {
+      lostOwner1 = ethers.Wallet.createRandom();
+      lostOwner2 = ethers.Wallet.createRandom();
+      await callAccount(account, owner, await encodeInstallPlugin(
+        multiSigPlugin,
+        ethers.utils.defaultAbiCoder.encode(["address[]", "uint256[]", "uint256"], [[lostOwner1.address, lostOwner2.address], [], 2])
+      ));
+    });
+
+    it("Should replace the MultiSigPlugin owners and threshold", async function () {
+      const recovered = ethers.Wallet.createRandom();
+      await recoveryPlugin.connect(guardian1).initiateRecovery(account.address, ethers.constants.AddressZero, [recovered.address], 1);
+      await recoveryPlugin.connect(guardian3).approveRecovery(account.address);
+      await increaseTime(DELAY);
+
+      await expect(recoveryPlugin.executeRecovery(account.address))
+        .to.emit(multiSigPlugin, "OwnerRemoved")
+        .withArgs(account.address, lostOwner1.address)
+        .and.to.emit(multiSigPlugin, "OwnerAdded")
+        .withArgs(account.address, recovered.address)
+        .and.to.emit(multiSigPlugin, "ThresholdChanged")
+        .withArgs(account.address, 2, 1);
+
+      const config = await multiSigPlugin.getAccountConfig(account.address);
+      expect(config.owners).to.deep.equal([recovered.address]);
+      expect(config.threshold).to.equal(1);
+
+      // The new owner set signs multi-sig UserOperations
+      const callData = accountInterface.encodeFunctionData("execute", [stranger.address, 1, "0x"]);
+      const userOp = await buildUserOp(entryPoint, account.address, callData, { verificationGasLimit: 300000 });
+      const userOpHash = await entryPoint.getUserOpHash(userOp);
+      userOp.signature = ethers.utils.hexConcat(["0x01", await recovered.signMessage(ethers.utils.arrayify(userOpHash))]);
+      await expect(entryPoint.handleOps([userOp], beneficiary.address)).to.not.be.reverted;
+    });
+
+    it("Should reject owner set recoveries that are invalid or not configured", async function () {
+      await expect(recoveryPlugin.connect(guardian1).initiateRecovery(account.address, ethers.constants.AddressZero, [stranger.address], 2))
+        .to.be.revertedWith("Invalid threshold");
+      await expect(recoveryPlugin.connect(guardian1).initiateRecovery(account.address, newOwner.address, [stranger.address], 1))
+        .to.be.revertedWith("Invalid recovery");
+
+      const initiate = (newOwners) => recoveryPlugin.connect(guardian1).initiateRecovery(account.address, ethers.constants.AddressZero, newOwners, 1);
+      await expect(initiate([stranger.address, stranger.address])).to.be.revertedWith("Duplicate owner");
+      await expect(initiate([stranger.address, ethers.constants.AddressZero])).to.be.revertedWith("Invalid owner address");
+      await expect(initiate([account.address])).to.be.revertedWith("Invalid owner");
+
+      await callAccountAsOwners(encodeUninstallPlugin(recoveryPlugin));
+      await callAccountAsOwners(await encodeInstallPlugin(
+        recoveryPlugin,
+        installData([guardian1.address], 1, DELAY, ethers.constants.AddressZero)
+      ));
+      await expect(recoveryPlugin.connect(guardian1).initiateRecovery(account.address, ethers.constants.AddressZero, [stranger.address], 1))
+        .to.be.revertedWith("No owner set to recover");
+    });
+  });
+
+  describe("Account", function () {
+    it("Should only let installed plugins execute from the account", async function () {
+      await expect(account.connect(stranger).executeFromPlugin(stranger.address, 1, "0x"))
+        .to.be.revertedWith("Only installed plugin");
+
+      await recoveryPlugin.connect(guardian1).initiateRecovery(account.address, newOwner.address, [], 0);
+      await recoveryPlugin.connect(guardian2).approveRecovery(account.address);
+      await increaseTime(DELAY);
+
+      // Uninstalling drops the guardians, the pending recovery and the plugin's access
+      await callAccount(account, owner, encodeUninstallPlugin(recoveryPlugin));
+      expect(await account.getInstalledPlugins()).to.deep.equal([]);
+      await expect(recoveryPlugin.executeRecovery(account.address)).to.be.revertedWith("No pending recovery");
+      expect((await recoveryPlugin.getGuardianConfig(account.address)).guardians).to.deep.equal([]);
+    });
+  });
+
+  describe("SDK", function () {
+    let wallet;
+
+    beforeEach(async function () {
+      wallet = new SmartAccountWallet(ethers.provider, entryPoint.address, factory.address, multiSigPlugin.address, {
+        recoveryPluginAddress: recoveryPlugin.address
+      });
+      await wallet.init(ethers.Wallet.createRandom().privateKey);
+      await wallet.createAccount();
+      await owner.sendTransaction({ to: wallet.signer.address, value: ethers.utils.parseEther("1") });
+      await owner.sendTransaction({ to: wallet.accountAddress, value: ethers.utils.parseEther("1") });
+      await wallet.installRecoveryPlugin([guardian1.address, guardian2.address], 2, DELAY);
+    });
+
+    it("Should recover the account through guardian signatures", async function () {
+      expect(await wallet.getGuardianConfig()).to.deep.equal({
+        guardians: [guardian1.address, guardian2.address],
+        threshold: 2,
+        delay: DELAY,
+        multiSigPlugin: null
+      });
+
+      const client1 = new GuardianClient(recoveryPlugin.address, guardian1);
+      const client2 = new GuardianClient(recoveryPlugin.address, guardian2);
+      await client1.initiateRecovery(wallet.accountAddress, { newOwner: newOwner.address });
+      expect(await client1.hasApproved(wallet.accountAddress)).to.be.true;
+      expect(await client2.hasApproved(wallet.accountAddress)).to.be.false;
+
+      // guardian2 signs off-chain; guardian1 relays
+      const signature = await client2.signRecovery(wallet.accountAddress);
+      await client1.submitSignatures(wallet.accountAddress, [signature]);
+
+      const pending = await wallet.getPendingRecovery();
+      expect(pending.newOwner).to.equal(newOwner.address);
+      expect(pending.approvals).to.equal(2);
+      expect(pending.ready).to.be.false;
+
+      await increaseTime(DELAY);
+      expect((await client1.getRecovery(wallet.accountAddress)).ready).to.be.true;
+      await client1.executeRecovery(wallet.accountAddress);
+
+      const recoveredAccount = await ethers.getContractAt("ModularSmartAccount", wallet.accountAddress);
+      expect(await recoveredAccount.owner()).to.equal(newOwner.address);
+      expect(await wallet.getPendingRecovery()).to.be.null;
+    });
+
+    it("Should let the owner cancel a recovery", async function () {
+      const client = new GuardianClient(recoveryPlugin.address, guardian1);
+      await client.initiateRecovery(wallet.accountAddress, { newOwner: stranger.address });
+
+      await wallet.cancelRecovery();
+      expect(await wallet.getPendingRecovery()).to.be.null;
+
+      const error = await client.signRecovery(wallet.accountAddress).catch((e) => e);
+      expect(error.message).to.equal("No pending recovery to sign");
+    });
+  });
+});
@@ -0,0 +1,341 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadSdk } = require("./helpers/sdk");
+const {
+  encodeInstallPlugin,
+  encodeUninstallPlugin,
+  deployMultiSigPlugin,
+  callAccount,
+  callPlugin
+} = require("./helpers/plugins");
+const { buildUserOp, signUserOp } = require("./helpers/userOps");
+const { increaseTime } = require("./helpers/time");
+
+describe("SpendingLimitPlugin", function () {
+  let SmartAccountWallet;
+  let entryPoint, factory, spendingLimitPlugin, account, token;
+  let owner, beneficiary, recipient, stranger;
+
+  const DAY = 86400;
+  const WEEK = 7 * DAY;
+  const ETH = ethers.constants.AddressZero;
+
+  const accountInterface = new ethers.utils.Interface([
+    "function execute(address to, uint256 value, bytes data)",
+    "function executeBatch(address[] to, uint256[] value, bytes[] data)",
+    "function executeFromPlugin(address to, uint256 value, bytes data)"
+  ]);
+  const executeSelector = accountInterface.getSighash("execute");
+  const executeBatchSelector = accountInterface.getSighash("executeBatch");
+  const executeFromPluginSelector = accountInterface.getSighash("executeFromPlugin");
+
+  function transferCall(to, amount) {
+    return token.interface.encodeFunctionData("transfer", [to, amount]);
+  }
+
+  async function getHooks(selector) {
+    const hooks = await account.getExecutionHooks(selector);
+    return hooks.map(({ plugin, preExecHook, postExecHook }) => [plugin, preExecHook, postExecHook]);
+  }
+
+  before(async function () {
+    ({ SmartAccountWallet } = await loadSdk("wallet"));
+  });
+
+  beforeEach(async function () {
+    [owner, beneficiary, recipient, stranger] = await ethers.getSigners();
+
+    const MockEntryPoint = await ethers.getContractFactory("MockEntryPoint");
+    entryPoint = await MockEntryPoint.deploy();
+    await entryPoint.deployed();
+
+    const SmartAccountFactory = await ethers.getContractFactory("SmartAccountFactory");
+    factory = await SmartAccountFactory.deploy(entryPoint.address);
+    await factory.deployed();
+
+    const SpendingLimitPlugin = await ethers.getContractFactory("SpendingLimitPlugin");
+    spendingLimitPlugin = await SpendingLimitPlugin.deploy();
+    await spendingLimitPlugin.deployed();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await token.deployed();
+
+    await factory.createAccount(owner.address, 0);
+    account = await ethers.getContractAt("ModularSmartAccount", await factory.getAddress(owner.address, 0));
+    await owner.sendTransaction({ to: account.address, value: ethers.utils.parseEther("5") });
+    await token.mint(account.address, 1000e6);
+
+    // 1 ETH a day and 100 USDC a week, checked before execute and executeBatch
+    const limits = ethers.utils.defaultAbiCoder.encode(
+      ["address[]", "uint256[]", "uint48[]"],
+      [[ETH, token.address], [ethers.utils.parseEther("1"), 100e6], [DAY, WEEK]]
+    );
+    await callAccount(account, owner, await encodeInstallPlugin(spendingLimitPlugin, limits));
+  });
+
+  describe("Execution hooks", function () {
+    it("Should register the hook for each execution function", async function () {
+      expect(await getHooks(executeSelector)).to.deep.equal([[spendingLimitPlugin.address, true, false]]);
+      expect(await getHooks(executeBatchSelector)).to.deep.equal([[spendingLimitPlugin.address, true, false]]);
+      expect(await getHooks(executeFromPluginSelector)).to.deep.equal([[spendingLimitPlugin.address, true, false]]);
+      expect(await spendingLimitPlugin.installed(account.address)).to.equal(true);
+
+      await expect(callAccount(account, owner, await encodeInstallPlugin(spendingLimitPlugin)))
+        .to.be.revertedWith("Plugin already installed");
+      await expect(owner.sendTransaction({ to: account.address, data: await encodeInstallPlugin(spendingLimitPlugin) }))
+        .to.be.revertedWith("Only self");
+    });
+
+    it("Should clear the configuration once uninstalled", async function () {
+      await expect(callAccount(account, owner, encodeUninstallPlugin(spendingLimitPlugin)))
+        .to.emit(account, "PluginUninstalled")
+        .withArgs(spendingLimitPlugin.address, true)
+        .and.to.emit(spendingLimitPlugin, "SpendingLimitRemoved");
+      expect(await spendingLimitPlugin.getLimitedTokens(account.address)).to.deep.equal([]);
+      expect(await getHooks(executeSelector)).to.deep.equal([]);
+      expect(await getHooks(executeBatchSelector)).to.deep.equal([]);
+      expect(await getHooks(executeFromPluginSelector)).to.deep.equal([]);
+      await expect(callAccount(account, owner, encodeUninstallPlugin(spendingLimitPlugin)))
+        .to.be.revertedWith("Plugin not installed");
+
+      // Nothing is checked anymore
+      await account.connect(owner).execute(recipient.address, ethers.utils.parseEther("2"), "0x");
+    });
+
+    it("Should only let installed accounts call the hook and configure it", async function () {
+      await expect(spendingLimitPlugin.connect(stranger).preExecutionHook(stranger.address, 0, "0x"))
+        .to.be.revertedWith("Not installed");
+      await expect(spendingLimitPlugin.connect(stranger).setSpendingLimit(ETH, 1, DAY))
+        .to.be.revertedWith("Not installed");
+    });
+  });
+
+  describe("Spending limits", function () {
+    it("Should stop ETH transfers over the daily limit", async function () {
+      const amount = ethers.utils.parseEther("0.6");
+      await expect(account.connect(owner).execute(recipient.address, amount, "0x"))
+        .to.emit(spendingLimitPlugin, "Spent")
+        .withArgs(account.address, ETH, amount, amount);
+
+      await expect(account.connect(owner).execute(recipient.address, amount, "0x"))
+        .to.be.revertedWith("ETH spending limit exceeded");
+
+      const limit = await spendingLimitPlugin.getSpendingLimit(account.address, ETH);
+      expect(limit.limit).to.equal(ethers.utils.parseEther("1"));
+      expect(limit.period).to.equal(DAY);
+      expect(limit.spent).to.equal(amount);
+    });
+
+    it("Should start over in the next period", async function () {
+      await account.connect(owner).execute(recipient.address, ethers.utils.parseEther("1"), "0x");
+      const { resetsAt } = await spendingLimitPlugin.getSpendingLimit(account.address, ETH);
+
+      await increaseTime(DAY);
+      const next = await spendingLimitPlugin.getSpendingLimit(account.address, ETH);
+      expect(next.spent).to.equal(0);
+      expect(next.resetsAt).to.equal(resetsAt.add(DAY));
+
+      await account.connect(owner).execute(recipient.address, ethers.utils.parseEther("1"), "0x");
+      expect((await spendingLimitPlugin.getSpendingLimit(account.address, ETH)).resetsAt).to.equal(resetsAt.add(DAY));
+    });
+
+    it("Should count ERC-20 transfers and approvals against the token limit", async function () {
+      await account.connect(owner).execute(token.address, 0, transferCall(recipient.address, 60e6));
+      await expect(account.connect(owner).execute(
+        token.address,
+        0,
+        token.interface.encodeFunctionData("approve", [stranger.address, 50e6])
+      )).to.be.revertedWith("Token spending limit exceeded");
+
+      // Revoking an approval spends nothing
+      await account.connect(owner).execute(
+        token.address,
+        0,
+        token.interface.encodeFunctionData("approve", [stranger.address, 0])
+      );
+      expect((await spendingLimitPlugin.getSpendingLimit(account.address, token.address)).spent).to.equal(60e6);
+    });
+
+    it("Should add up every call of a batch", async function () {
+      const amount = ethers.utils.parseEther("0.6");
+      await expect(account.connect(owner).executeBatch(
+        [recipient.address, stranger.address],
+        [amount, amount],
+        ["0x", "0x"]
+      )).to.be.revertedWith("ETH spending limit exceeded");
+
+      await expect(account.connect(owner).executeBatch(
+        [recipient.address, token.address],
+        [amount, 0],
+        ["0x", transferCall(recipient.address, 100e6)]
+      )).to.changeEtherBalance(recipient, amount);
+    });
+
+    it("Should apply to UserOperations signed by the owner", async function () {
+      const callData = accountInterface.encodeFunctionData("execute", [recipient.address, ethers.utils.parseEther("2"), "0x"]);
+      const userOp = await signUserOp(entryPoint, await buildUserOp(entryPoint, account.address, callData, {
+        verificationGasLimit: 300000
+      }), owner);
+      const userOpHash = await entryPoint.getUserOpHash(userOp);
+
+      const expectedReason = ethers.utils.hexConcat([
+        ethers.utils.id("Error(string)").slice(0, 10),
+        ethers.utils.defaultAbiCoder.encode(["string"], ["ETH spending limit exceeded"])
+      ]);
+      await expect(entryPoint.handleOps([userOp], beneficiary.address))
+        .to.emit(entryPoint, "UserOperationRevertReason")
+        .withArgs(userOpHash, account.address, userOp.nonce, expectedReason);
+    });
+
+    it("Should apply to calls plugins make as the account, such as multi-sig proposals", async function () {
+      // A 1-of-1 multi-sig: submitting a proposal confirms it, executing it goes through executeFromPlugin
+      const multiSigPlugin = await deployMultiSigPlugin();
+      const installData = ethers.utils.defaultAbiCoder.encode(["address[]", "uint256[]", "uint256"], [[owner.address], [], 1]);
+      await callAccount(account, owner, await encodeInstallPlugin(multiSigPlugin, installData));
+
+      async function asOwner(functionName, args) {
+        const userOp = await buildUserOp(
+          entryPoint,
+          account.address,
+          ethers.utils.hexConcat([multiSigPlugin.interface.encodeFunctionData(functionName, args), owner.address]),
+          { callGasLimit: 1000000, verificationGasLimit: 300000 }
+        );
+        const userOpHash = await entryPoint.getUserOpHash(userOp);
+        userOp.signature = ethers.utils.hexConcat(["0x02", await owner.signMessage(ethers.utils.arrayify(userOpHash))]);
+        return entryPoint.handleOps([userOp], beneficiary.address);
+      }
+
+      async function failureReason(txId) {
+        const { failureReason } = await multiSigPlugin.getTransaction(account.address, txId);
+        return ethers.utils.defaultAbiCoder.decode(["string"], ethers.utils.hexDataSlice(failureReason, 4))[0];
+      }
+
+      // One call over the limit, then a batch adding up to more than it
+      const amount = ethers.utils.parseEther("0.6");
+      await asOwner("submitTransaction", [recipient.address, ethers.utils.parseEther("2"), "0x"]);
+      await asOwner("submitBatchTransaction", [[recipient.address, stranger.address], [amount, amount], ["0x", "0x"]]);
+      await asOwner("executeTransaction", [0]);
+      await asOwner("executeTransaction", [1]);
+      expect(await failureReason(0)).to.equal("ETH spending limit exceeded");
+      expect(await failureReason(1)).to.equal("ETH spending limit exceeded");
+
+      await asOwner("submitTransaction", [recipient.address, amount, "0x"]);
+      await expect(() => asOwner("executeTransaction", [2])).to.changeEtherBalance(recipient, amount);
+      expect((await spendingLimitPlugin.getSpendingLimit(account.address, ETH)).spent).to.equal(amount);
+    });
+
+    it("Should update and remove limits through the account", async function () {
+      await callPlugin(account, owner, spendingLimitPlugin, "setSpendingLimit", [ETH, ethers.utils.parseEther("3"), WEEK]);
+      const limit = await spendingLimitPlugin.getSpendingLimit(account.address, ETH);
+      expect(limit.limit).to.equal(ethers.utils.parseEther("3"));
+      expect(limit.period).to.equal(WEEK);
+
+      await expect(callPlugin(account, owner, spendingLimitPlugin, "setSpendingLimit", [ETH, 1, 0]))
+        .to.be.revertedWith("Invalid period");
+
+      await callPlugin(account, owner, spendingLimitPlugin, "removeSpendingLimit", [ETH]);
+      expect(await spendingLimitPlugin.getLimitedTokens(account.address)).to.deep.equal([token.address]);
+      await expect(callPlugin(account, owner, spendingLimitPlugin, "removeSpendingLimit", [ETH]))
+        .to.be.revertedWith("No spending limit");
+    });
+  });
+
+  describe("Target lists", function () {
+    it("Should block denylisted targets and token recipients", async function () {
+      await callPlugin(account, owner, spendingLimitPlugin, "setDenylisted", [[stranger.address], true]);
+
+      await expect(account.connect(owner).execute(stranger.address, 1, "0x"))
+        .to.be.revertedWith("Target is denylisted");
+      await expect(account.connect(owner).execute(token.address, 0, transferCall(stranger.address, 1e6)))
+        .to.be.revertedWith("Recipient is denylisted");
+      expect(await spendingLimitPlugin.isTargetPermitted(account.address, stranger.address)).to.be.false;
+    });
+
+    it("Should only allow allowlisted targets and recipients while enabled", async function () {
+      await callPlugin(account, owner, spendingLimitPlugin, "setAllowlisted", [[recipient.address, token.address], true]);
+      await callPlugin(account, owner, spendingLimitPlugin, "setAllowlistEnabled", [true]);
+
+      await account.connect(owner).execute(recipient.address, 1, "0x");
+      await account.connect(owner).execute(token.address, 0, transferCall(recipient.address, 1e6));
+      await expect(account.connect(owner).execute(stranger.address, 1, "0x"))
+        .to.be.revertedWith("Target is not allowlisted");
+      await expect(account.connect(owner).execute(token.address, 0, transferCall(stranger.address, 1e6)))
+        .to.be.revertedWith("Recipient is not allowlisted");
+
+      const lists = await spendingLimitPlugin.getTargetLists(account.address);
+      expect(lists.allowed).to.deep.equal([recipient.address, token.address]);
+      expect(lists.denied).to.deep.equal([]);
+    });
+
+    it("Should let a guardian recovery replace the multi-sig owners while the allowlist is enabled", async function () {
+      const multiSigPlugin = await deployMultiSigPlugin();
+      const SocialRecoveryPlugin = await ethers.getContractFactory("SocialRecoveryPlugin");
+      const recoveryPlugin = await SocialRecoveryPlugin.deploy(multiSigPlugin.address);
+
+      // Nothing is allowlisted: installed plugins are exempt, as they configure the account
+      await callPlugin(account, owner, spendingLimitPlugin, "setAllowlistEnabled", [true]);
+      await callAccount(account, owner, await encodeInstallPlugin(recoveryPlugin, ethers.utils.defaultAbiCoder.encode(
+        ["address[]", "uint256", "uint256", "address"],
+        [[stranger.address], 1, DAY, multiSigPlugin.address]
+      )));
+      await callAccount(account, owner, await encodeInstallPlugin(multiSigPlugin, ethers.utils.defaultAbiCoder.encode(
+        ["address[]", "uint256[]", "uint256"],
+        [[owner.address], [], 1]
+      )));
+
+      const recovered = ethers.Wallet.createRandom().address;
+      await recoveryPlugin.connect(stranger).initiateRecovery(account.address, ethers.constants.AddressZero, [recovered], 1);
+      await increaseTime(DAY);
+      await expect(recoveryPlugin.executeRecovery(account.address))
+        .to.emit(recoveryPlugin, "RecoveryExecuted");
+      expect((await multiSigPlugin.getAccountConfig(account.address)).owners).to.deep.equal([recovered]);
+    });
+
+    it("Should always let the account reconfigure and uninstall the plugin", async function () {
+      await callPlugin(account, owner, spendingLimitPlugin, "setAllowlistEnabled", [true]);
+
+      await callPlugin(account, owner, spendingLimitPlugin, "setSpendingLimit", [ETH, ethers.utils.parseEther("2"), DAY]);
+      await callAccount(account, owner, encodeUninstallPlugin(spendingLimitPlugin));
+      expect(await getHooks(executeSelector)).to.deep.equal([]);
+    });
+  });
+
+  describe("SDK", function () {
+    let wallet;
+
+    beforeEach(async function () {
+      wallet = new SmartAccountWallet(ethers.provider, entryPoint.address, factory.address, ethers.constants.AddressZero, {
+        spendingLimitPluginAddress: spendingLimitPlugin.address
+      });
+      await wallet.init(ethers.Wallet.createRandom().privateKey);
+      await wallet.createAccount();
+      await owner.sendTransaction({ to: wallet.signer.address, value: ethers.utils.parseEther("1") });
+      await owner.sendTransaction({ to: wallet.accountAddress, value: ethers.utils.parseEther("1") });
+    });
+
+    it("Should install, read and enforce limits and lists", async function () {
+      await wallet.installSpendingLimitPlugin([{ limit: ethers.utils.parseEther("0.1"), period: "daily" }]);
+      await wallet.setSpendingLimit(token.address, 50e6, "weekly");
+
+      const [ethLimit, tokenLimit] = await wallet.getSpendingLimits();
+      expect(ethLimit.token).to.equal(ETH);
+      expect(ethLimit.period).to.equal(DAY);
+      expect(ethLimit.remaining).to.equal(ethers.utils.parseEther("0.1"));
+      expect(tokenLimit.token).to.equal(token.address);
+      expect(tokenLimit.period).to.equal(WEEK);
+
+      await wallet.execute(recipient.address, ethers.utils.parseEther("0.04"), "0x");
+      expect((await wallet.getSpendingLimits())[0].remaining).to.equal(ethers.utils.parseEther("0.06"));
+      const error = await wallet.execute(recipient.address, ethers.utils.parseEther("0.1"), "0x").catch((e) => e);
+      expect(error.message).to.include("ETH spending limit exceeded");
+
+      await wallet.setDenylisted([stranger.address]);
+      expect(await wallet.getTargetLists()).to.deep.equal({
+        allowlistEnabled: false,
+        allowed: [],
+        denied: [stranger.address]
+      });
+    });
+  });
+});
@@ -0,0 +1,426 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadSdk } = require("./helpers/sdk");
+const { buildUserOp, signUserOp } = require("./helpers/userOps");
+
+describe("TokenPaymaster", function () {
+  let SmartAccountWallet, TokenPaymasterClient, encodeTokenPaymasterAndData;
+  let entryPoint, factory, usdc, priceFeed, paymaster, account;
+  let deployer, beneficiary, recipient;
+  let owner;
+
+  // 1 ETH = 3000 USD, charged with a 10% markup
+  const ETH_PRICE = 3000e8;
+  const MARKUP = 1100000;
+  const USDC = (amount) => ethers.utils.parseUnits(amount, 6);
+
+  const accountInterface = new ethers.utils.Interface([
+    "function execute(address to, uint256 value, bytes data)",
+    "function executeBatch(address[] to, uint256[] value, bytes[] data)"
+  ]);
+
+  // Op from `account` signed by its owner, paid through the paymaster unless paymasterAndData says otherwise
+  async function signedUserOp(callData, paymasterAndData = paymaster.address) {
+    const userOp = await buildUserOp(entryPoint, account.address, callData, {
+      verificationGasLimit: 200000,
+      paymasterAndData
+    });
+    return signUserOp(entryPoint, userOp, owner);
+  }
+
+  function approveCall(amount = ethers.constants.MaxUint256) {
+    return usdc.interface.encodeFunctionData("approve", [paymaster.address, amount]);
+  }
+
+  // Gives the paymaster an allowance through an op the account pays for in ETH
+  async function approvePaymaster() {
+    await entryPoint.depositTo(account.address, { value: ethers.utils.parseEther("1") });
+    const userOp = await signedUserOp(
+      accountInterface.encodeFunctionData("execute", [usdc.address, 0, approveCall()]),
+      "0x"
+    );
+    await entryPoint.handleOps([userOp], beneficiary.address);
+  }
+
+  function findEvent(receipt, contract, name) {
+    return receipt.logs
+      .filter((log) => log.address === contract.address)
+      .map((log) => contract.interface.parseLog(log))
+      .find((e) => e.name === name);
+  }
+
+  before(async function () {
+    ({ SmartAccountWallet } = await loadSdk("wallet"));
+    ({ TokenPaymasterClient, encodeTokenPaymasterAndData } = await loadSdk("paymaster"));
+  });
+
+  beforeEach(async function () {
+    [deployer, beneficiary, recipient] = await ethers.getSigners();
+    owner = ethers.Wallet.createRandom();
+
+    const MockEntryPoint = await ethers.getContractFactory("MockEntryPoint");
+    entryPoint = await MockEntryPoint.deploy();
+    await entryPoint.deployed();
+
+    const SmartAccountFactory = await ethers.getContractFactory("SmartAccountFactory");
+    factory = await SmartAccountFactory.deploy(entryPoint.address);
+    await factory.deployed();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await usdc.deployed();
+
+    const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+    priceFeed = await MockPriceFeed.deploy(ETH_PRICE, 8);
+    await priceFeed.deployed();
+
+    const TokenPaymaster = await ethers.getContractFactory("TokenPaymaster");
+    paymaster = await TokenPaymaster.deploy(entryPoint.address, usdc.address, priceFeed.address, MARKUP);
+    await paymaster.deployed();
+    await paymaster.deposit({ value: ethers.utils.parseEther("1") });
+
+    // The account holds USDC only
+    await factory.createAccount(owner.address, 0);
+    account = await ethers.getContractAt("ModularSmartAccount", await factory.getAddress(owner.address, 0));
+    await usdc.mint(account.address, USDC("1000"));
+  });
+
+  describe("Pricing", function () {
+    it("Should charge the feed price plus the markup, rounded up", async function () {
+      expect(await paymaster.cachedPrice()).to.equal(USDC("3000"));
+      expect(await paymaster.getTokenAmount(ethers.utils.parseEther("1"))).to.equal(USDC("3300"));
+      expect(await paymaster.getTokenAmount(1)).to.equal(1);
+    });
+
+    it("Should only take fresh, positive prices from the feed", async function () {
+      await priceFeed.setPrice(2000e8);
+      await expect(paymaster.updateCachedPrice()).to.emit(paymaster, "PriceUpdated");
+      expect(await paymaster.cachedPrice()).to.equal(USDC("2000"));
+
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await priceFeed.setPrice(1000e8);
+      await priceFeed.setUpdatedAt(timestamp - 2 * 86400);
+      await expect(paymaster.updateCachedPrice()).to.be.revertedWith("Stale or invalid price");
+
+      await priceFeed.setPrice(0);
+      await expect(paymaster.updateCachedPrice()).to.be.revertedWith("Stale or invalid price");
+      expect(await paymaster.cachedPrice()).to.equal(USDC("2000"));
+    });
+
+    it("Should reject ops while the cached price is stale", async function () {
+      await approvePaymaster();
+      await ethers.provider.send("evm_increaseTime", [86400 + 1]);
+      await ethers.provider.send("evm_mine", []);
+
+      const error = await entryPoint.handleOps([await signedUserOp("0x")], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA32 paymaster expired or not due");
+
+      // The feed has no fresh answer either, until it updates
+      await expect(paymaster.updateCachedPrice()).to.be.revertedWith("Stale or invalid price");
+      await priceFeed.setPrice(ETH_PRICE);
+      await paymaster.updateCachedPrice();
+
+      const receipt = await (await entryPoint.handleOps([await signedUserOp("0x")], beneficiary.address)).wait();
+      expect(findEvent(receipt, entryPoint, "UserOperationEvent").args.success).to.equal(true);
+    });
+
+    it("Should keep the markup within bounds", async function () {
+      const TokenPaymaster = await ethers.getContractFactory("TokenPaymaster");
+      await expect(TokenPaymaster.deploy(entryPoint.address, usdc.address, priceFeed.address, 999999))
+        .to.be.revertedWith("Invalid markup");
+      await expect(paymaster.setPriceMarkup(2000001)).to.be.revertedWith("Invalid markup");
+
+      await expect(paymaster.setPriceMarkup(1500000))
+        .to.emit(paymaster, "PriceMarkupChanged")
+        .withArgs(MARKUP, 1500000);
+      expect(await paymaster.getTokenAmount(ethers.utils.parseEther("1"))).to.equal(USDC("4500"));
+    });
+  });
+
+  describe("Payment", function () {
+    it("Should pre-charge the maximum cost and refund what was not used", async function () {
+      await approvePaymaster();
+      const userOp = await signedUserOp(
+        accountInterface.encodeFunctionData("execute", [recipient.address, 0, "0x"])
+      );
+      const balanceBefore = await usdc.balanceOf(account.address);
+      const depositBefore = await entryPoint.balanceOf(account.address);
+
+      const receipt = await (await entryPoint.handleOps([userOp], beneficiary.address)).wait();
+
+      const payment = findEvent(receipt, paymaster, "GasPaidInTokens");
+      const postOpCost = (await paymaster.postOpGas()).mul(userOp.maxFeePerGas);
+      expect(payment.args.tokenCost)
+        .to.equal(await paymaster.getTokenAmount(payment.args.actualGasCost.add(postOpCost)));
+      expect(await usdc.balanceOf(account.address)).to.equal(balanceBefore.sub(payment.args.tokenCost));
+      expect(await usdc.balanceOf(paymaster.address)).to.equal(payment.args.tokenCost);
+
+      // (200000 + 3 * 200000 + 50000) gas plus postOp at 2 gwei was taken first
+      const maxCost = ethers.BigNumber.from(850000).mul(userOp.maxFeePerGas).add(postOpCost);
+      const preCharge = await paymaster.getTokenAmount(maxCost);
+      const transfers = receipt.logs
+        .filter((log) => log.address === usdc.address)
+        .map((log) => usdc.interface.parseLog(log));
+      expect(transfers.map((t) => t.args.value)).to.deep.equal([preCharge, preCharge.sub(payment.args.tokenCost)]);
+
+      // Gas came out of the paymaster's deposit, not the account's
+      expect(await entryPoint.balanceOf(account.address)).to.equal(depositBefore);
+    });
+
+    it("Should charge in postOp when the op approves the paymaster in its own batch", async function () {
+      const userOp = await signedUserOp(
+        accountInterface.encodeFunctionData("executeBatch", [
+          [usdc.address, recipient.address],
+          [0, 0],
+          [approveCall(), "0x"]
+        ])
+      );
+
+      const receipt = await (await entryPoint.handleOps([userOp], beneficiary.address)).wait();
+
+      expect(findEvent(receipt, entryPoint, "UserOperationEvent").args.success).to.equal(true);
+      const payment = findEvent(receipt, paymaster, "GasPaidInTokens");
+      expect(payment.args.tokenCost).to.be.gt(0);
+      expect(await usdc.balanceOf(account.address)).to.equal(USDC("1000").sub(payment.args.tokenCost));
+      expect(await ethers.provider.getBalance(account.address)).to.equal(0);
+    });
+
+    it("Should pay from the deposit, not fail the bundle, when the op undoes or outspends its approve", async function () {
+      const cases = [
+        // The second call sends ETH the account does not have, reverting the whole batch
+        [[usdc.address, recipient.address], [0, 1], [approveCall(), "0x"]],
+        // The second call revokes the approve before postOp can charge
+        [[usdc.address, usdc.address], [0, 0], [approveCall(), approveCall(0)]],
+        // The second call moves every token away before postOp can charge
+        [
+          [usdc.address, usdc.address],
+          [0, 0],
+          [approveCall(), usdc.interface.encodeFunctionData("transfer", [recipient.address, USDC("1000")])]
+        ]
+      ];
+
+      for (const [salt, batch] of cases.entries()) {
+        await factory.createAccount(owner.address, salt + 1);
+        account = await ethers.getContractAt("ModularSmartAccount", await factory.getAddress(owner.address, salt + 1));
+        await usdc.mint(account.address, USDC("1000"));
+        const userOp = await signedUserOp(accountInterface.encodeFunctionData("executeBatch", batch));
+        const depositBefore = await entryPoint.balanceOf(paymaster.address);
+
+        const receipt = await (await entryPoint.handleOps([userOp], beneficiary.address)).wait();
+
+        const { args } = findEvent(receipt, entryPoint, "UserOperationEvent");
+        expect(args.success).to.equal(false);
+        expect(findEvent(receipt, paymaster, "GasUnpaid").args.tokenCost).to.be.gt(0);
+        expect(await entryPoint.balanceOf(paymaster.address)).to.equal(depositBefore.sub(args.actualGasCost));
+        expect(await usdc.balanceOf(account.address)).to.equal(USDC("1000"));
+        expect(await usdc.allowance(account.address, paymaster.address)).to.equal(0);
+
+        // The account has to approve the paymaster outside its ops until its debt is settled
+        expect(await paymaster.debts(account.address)).to.equal(findEvent(receipt, paymaster, "GasUnpaid").args.tokenCost);
+        const retry = await signedUserOp(accountInterface.encodeFunctionData("executeBatch", batch));
+        const error = await entryPoint.handleOps([retry], beneficiary.address).catch((e) => e);
+        expect(error.message).to.include("AA33 reverted: Insufficient token allowance");
+      }
+    });
+
+    it("Should let anyone settle a debt, after which the account may approve in its batch again", async function () {
+      const batch = [
+        [usdc.address, usdc.address],
+        [0, 0],
+        [approveCall(), usdc.interface.encodeFunctionData("transfer", [recipient.address, USDC("1000")])]
+      ];
+      const receipt = await (
+        await entryPoint.handleOps([await signedUserOp(accountInterface.encodeFunctionData("executeBatch", batch))], beneficiary.address)
+      ).wait();
+      const debt = await paymaster.debts(account.address);
+      expect(debt).to.equal(findEvent(receipt, paymaster, "GasUnpaid").args.tokenCost);
+
+      // Anyone may pay it, not only the account
+      await usdc.mint(recipient.address, USDC("1000"));
+      await expect(paymaster.connect(recipient).settleDebt(account.address)).to.be.revertedWith("ERC20: insufficient allowance");
+      await usdc.connect(recipient).approve(paymaster.address, debt);
+      await expect(paymaster.connect(recipient).settleDebt(account.address))
+        .to.emit(paymaster, "DebtSettled")
+        .withArgs(account.address, recipient.address, debt);
+      expect(await paymaster.debts(account.address)).to.equal(0);
+      await expect(paymaster.settleDebt(account.address)).to.be.revertedWith("No debt");
+
+      const userOp = await signedUserOp(
+        accountInterface.encodeFunctionData("executeBatch", [[usdc.address], [0], [approveCall()]])
+      );
+      const retry = await (await entryPoint.handleOps([userOp], beneficiary.address)).wait();
+      expect(findEvent(retry, paymaster, "GasPaidInTokens").args.tokenCost).to.be.gt(0);
+    });
+
+    it("Should stop ops approving in their batch for the period once too many went unpaid", async function () {
+      await expect(paymaster.setUnpaidOpsLimit(0, 3600)).to.be.revertedWith("Invalid limit");
+      await expect(paymaster.setUnpaidOpsLimit(2, 3600))
+        .to.emit(paymaster, "UnpaidOpsLimitChanged")
+        .withArgs(2, 3600);
+
+      // Fresh accounts each approve the paymaster and move every token away
+      const defaultingOp = async (salt) => {
+        await factory.createAccount(owner.address, salt);
+        account = await ethers.getContractAt("ModularSmartAccount", await factory.getAddress(owner.address, salt));
+        await usdc.mint(account.address, USDC("1000"));
+        return signedUserOp(
+          accountInterface.encodeFunctionData("executeBatch", [
+            [usdc.address, usdc.address],
+            [0, 0],
+            [approveCall(), usdc.interface.encodeFunctionData("transfer", [recipient.address, USDC("1000")])]
+          ])
+        );
+      };
+
+      await entryPoint.handleOps([await defaultingOp(1)], beneficiary.address);
+      const receipt = await (await entryPoint.handleOps([await defaultingOp(2)], beneficiary.address)).wait();
+      const pausedUntil = findEvent(receipt, paymaster, "ApprovalsPaused").args.until;
+      expect(await paymaster.approvalsPausedUntil()).to.equal(pausedUntil);
+
+      const error = await entryPoint.handleOps([await defaultingOp(3)], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA32 paymaster expired or not due");
+
+      // Ops paying with an allowance they already have are not affected
+      await factory.createAccount(owner.address, 4);
+      account = await ethers.getContractAt("ModularSmartAccount", await factory.getAddress(owner.address, 4));
+      await usdc.mint(account.address, USDC("1000"));
+      await approvePaymaster();
+      const paid = await (await entryPoint.handleOps([await signedUserOp("0x")], beneficiary.address)).wait();
+      expect(findEvent(paid, paymaster, "GasPaidInTokens").args.tokenCost).to.be.gt(0);
+
+      // The next period starts the count again
+      await ethers.provider.send("evm_setNextBlockTimestamp", [pausedUntil.toNumber()]);
+      await ethers.provider.send("evm_mine", []);
+      const next = await (await entryPoint.handleOps([await defaultingOp(5)], beneficiary.address)).wait();
+      expect(findEvent(next, paymaster, "GasUnpaid").args.tokenCost).to.be.gt(0);
+      expect(findEvent(next, paymaster, "ApprovalsPaused")).to.equal(undefined);
+      expect(await paymaster.unpaidOps()).to.equal(1);
+    });
+
+    it("Should reject an op that neither has nor grants an allowance", async function () {
+      const smallApproval = await signedUserOp(
+        accountInterface.encodeFunctionData("executeBatch", [[usdc.address], [0], [approveCall(1)]])
+      );
+      const noApproval = await signedUserOp(
+        accountInterface.encodeFunctionData("execute", [recipient.address, 0, "0x"])
+      );
+
+      for (const userOp of [smallApproval, noApproval]) {
+        const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+        expect(error.message).to.include("AA33 reverted: Insufficient token allowance");
+      }
+    });
+
+    it("Should reject an op the account cannot pay for", async function () {
+      await factory.createAccount(owner.address, 1);
+      account = await ethers.getContractAt("ModularSmartAccount", await factory.getAddress(owner.address, 1));
+      await usdc.mint(account.address, USDC("0.01"));
+
+      const userOp = await signedUserOp("0x");
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA33 reverted: Insufficient token balance");
+    });
+
+    it("Should reject an op that costs more than its maxTokenCost", async function () {
+      await approvePaymaster();
+      const userOp = await signedUserOp("0x", encodeTokenPaymasterAndData(paymaster.address, USDC("1")));
+
+      const error = await entryPoint.handleOps([userOp], beneficiary.address).catch((e) => e);
+      expect(error.message).to.include("AA33 reverted: Token cost above maxTokenCost");
+    });
+  });
+
+  describe("EntryPoint stake and deposit", function () {
+    it("Should add, unlock and withdraw the paymaster's stake", async function () {
+      const stake = ethers.utils.parseEther("0.5");
+      await paymaster.addStake(86400, { value: stake });
+
+      const info = await entryPoint.getDepositInfo(paymaster.address);
+      expect(info.staked).to.equal(true);
+      expect(info.stake).to.equal(stake);
+      expect(info.unstakeDelaySec).to.equal(86400);
+
+      await approvePaymaster();
+      const userOp = await signedUserOp("0x");
+      const data = await ethers.provider.call({
+        to: entryPoint.address,
+        data: entryPoint.interface.encodeFunctionData("simulateValidation", [userOp])
+      });
+      const { paymasterInfo } = entryPoint.interface.decodeErrorResult("ValidationResult", data);
+      expect(paymasterInfo.stake).to.equal(stake);
+      expect(paymasterInfo.unstakeDelaySec).to.equal(86400);
+
+      await expect(paymaster.withdrawStake(deployer.address)).to.be.revertedWith("must call unlockStake() first");
+      await paymaster.unlockStake();
+      await expect(paymaster.withdrawStake(deployer.address)).to.be.revertedWith("Stake withdrawal is not due");
+
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(paymaster.withdrawStake(recipient.address)).to.changeEtherBalance(recipient, stake);
+      expect((await entryPoint.getDepositInfo(paymaster.address)).stake).to.equal(0);
+    });
+
+    it("Should only let the owner manage the stake, deposit and settings", async function () {
+      const stranger = paymaster.connect(recipient);
+
+      await expect(stranger.addStake(86400, { value: 1 })).to.be.revertedWith("Only owner");
+      await expect(stranger.unlockStake()).to.be.revertedWith("Only owner");
+      await expect(stranger.withdrawStake(recipient.address)).to.be.revertedWith("Only owner");
+      await expect(stranger.withdrawTo(recipient.address, 1)).to.be.revertedWith("Only owner");
+      await expect(stranger.withdrawTokens(recipient.address, 1)).to.be.revertedWith("Only owner");
+      await expect(stranger.setPriceFeed(priceFeed.address)).to.be.revertedWith("Only owner");
+      await expect(stranger.setPriceMarkup(MARKUP)).to.be.revertedWith("Only owner");
+      await expect(stranger.setPostOpGas(0)).to.be.revertedWith("Only owner");
+      await expect(stranger.setMaxPriceAge(0)).to.be.revertedWith("Only owner");
+      await expect(stranger.setUnpaidOpsLimit(1, 1)).to.be.revertedWith("Only owner");
+
+      // Anyone may top up the deposit
+      await expect(stranger.deposit({ value: 1 })).to.changeEtherBalance(entryPoint, 1);
+    });
+  });
+
+  describe("SDK", function () {
+    let wallet;
+
+    beforeEach(async function () {
+      wallet = new SmartAccountWallet(ethers.provider, entryPoint.address, factory.address, ethers.constants.AddressZero, {
+        paymaster: new TokenPaymasterClient(paymaster.address, ethers.provider)
+      });
+      await wallet.init(ethers.Wallet.createRandom().privateKey);
+      await wallet.createAccount();
+      await usdc.mint(wallet.accountAddress, USDC("100"));
+
+      // Only the handleOps transaction itself is paid by the owner EOA
+      await deployer.sendTransaction({ to: wallet.signer.address, value: ethers.utils.parseEther("1") });
+    });
+
+    it("Should pay for the first op in tokens and approve the paymaster on the way", async function () {
+      const receipt = await wallet.execute(recipient.address, 0, "0x");
+
+      expect(findEvent(receipt, entryPoint, "UserOperationEvent").args.success).to.equal(true);
+      const payment = findEvent(receipt, paymaster, "GasPaidInTokens");
+      expect(await usdc.balanceOf(wallet.accountAddress)).to.equal(USDC("100").sub(payment.args.tokenCost));
+      expect(await usdc.allowance(wallet.accountAddress, paymaster.address)).to.equal(ethers.constants.MaxUint256);
+      expect(await wallet.getBalance()).to.equal(0);
+
+      // Later ops are pre-charged against the allowance and keep their callData
+      const callData = accountInterface.encodeFunctionData("execute", [recipient.address, 0, "0x"]);
+      const userOp = await wallet.createUserOperation(callData);
+      expect(userOp.callData).to.equal(callData);
+      const maxTokenCost = ethers.utils.defaultAbiCoder.decode(
+        ["uint256"],
+        ethers.utils.hexDataSlice(userOp.paymasterAndData, 20)
+      )[0];
+      expect(maxTokenCost).to.be.gt(0).and.lt(USDC("100"));
+
+      const second = await wallet.execute(recipient.address, 0, "0x");
+      expect(findEvent(second, entryPoint, "UserOperationEvent").args.success).to.equal(true);
+      expect(findEvent(second, paymaster, "GasPaidInTokens").args.tokenCost).to.be.gt(0);
+    });
+
+    it("Should refuse callData it cannot put the approve in front of", async function () {
+      const error = await wallet.createUserOperation("0x12345678").catch((e) => e);
+      expect(error.message).to.equal("Only execute or executeBatch callData can be extended with another call");
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadSdk } = require("./helpers/sdk");
+const { entryPoint: entryPointAddress, chainId, vectors } = require("./vectors/userOpHash.json");
+
+// Shared vectors: the SDK, MockEntryPoint and ModularSmartAccount must all agree on them
+describe("UserOperation hashing", function () {
+  let sdk;
+
+  before(async function () {
+    sdk = await loadSdk("userOp");
+    expect((await ethers.provider.getNetwork()).chainId).to.equal(chainId);
+  });
+
+  async function deployAt(address, contractName, args = []) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const template = await Factory.deploy(...args);
+    await template.deployed();
+
+    const code = await ethers.provider.getCode(template.address);
+    await network.provider.send("hardhat_setCode", [address, code]);
+    return Factory.attach(address);
+  }
+
+  describe("SDK", function () {
+    vectors.forEach(({ name, userOp, packedUserOpHash, userOpHash, typedDataHash }) => {
+      it(`Should match the vector for ${name}`, function () {
+        expect(sdk.packUserOp(userOp)).to.equal(packedUserOpHash);
+        expect(sdk.getUserOpHash(userOp, entryPointAddress, chainId)).to.equal(userOpHash);
+        expect(sdk.getUserOpTypedDataHash(userOp, entryPointAddress, chainId)).to.equal(typedDataHash);
+      });
+    });
+  });
+
+  describe("MockEntryPoint", function () {
+    it("Should match every vector through getUserOpHash", async function () {
+      const entryPoint = await deployAt(entryPointAddress, "MockEntryPoint");
+
+      for (const { userOp, userOpHash } of vectors) {
+        expect(await entryPoint.getUserOpHash(userOp)).to.equal(userOpHash);
+      }
+    });
+  });
+
+  describe("ModularSmartAccount", function () {
+    it("Should match every vector through getUserOpTypedDataHash", async function () {
+      const [owner] = await ethers.getSigners();
+
+      for (const { userOp, typedDataHash } of vectors) {
+        const account = await deployAt(userOp.sender, "ModularSmartAccount", [entryPointAddress, owner.address]);
+        expect(await account.getUserOpTypedDataHash(userOp)).to.equal(typedDataHash);
+      }
+    });
+  });
+});
@@ -0,0 +1,317 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadSdk } = require("./helpers/sdk");
+const { calcPreVerificationGas } = require("../services/bundler");
+const { deployMultiSigPlugin } = require("./helpers/plugins");
+
+describe("SmartAccountWallet", function () {
+  let SmartAccountWallet, SIGNATURE_MODE_EIP712, UserOperationRevertedError, getFeeData, VALIDATION_GAS;
+  let entryPoint, factory, multiSigPlugin;
+  let deployer, recipient;
+  let wallet, ownerKey;
+
+  before(async function () {
+    ({ SmartAccountWallet, SIGNATURE_MODE_EIP712, UserOperationRevertedError } = await loadSdk("wallet"));
+    ({ getFeeData, VALIDATION_GAS } = await loadSdk("gas"));
+  });
+
+  beforeEach(async function () {
+    [deployer, recipient] = await ethers.getSigners();
+
+    const MockEntryPoint = await ethers.getContractFactory("MockEntryPoint");
+    entryPoint = await MockEntryPoint.deploy();
+    await entryPoint.deployed();
+
+    const SmartAccountFactory = await ethers.getContractFactory("SmartAccountFactory");
+    factory = await SmartAccountFactory.deploy(entryPoint.address);
+    await factory.deployed();
+
+    multiSigPlugin = await deployMultiSigPlugin();
+
+    ownerKey = ethers.Wallet.createRandom().privateKey;
+    wallet = new SmartAccountWallet(
+      ethers.provider,
+      entryPoint.address,
+      factory.address,
+      multiSigPlugin.address
+    );
+    const ownerAddress = await wallet.init(ownerKey);
+
+    // The owner EOA only pays for the handleOps transaction it sends itself
+    await deployer.sendTransaction({ to: ownerAddress, value: ethers.utils.parseEther("1") });
+  });
+
+  describe("Counterfactual deployment", function () {
+    it("Should compute the account address without deploying it", async function () {
+      const accountAddress = await wallet.createAccount(7);
+
+      expect(accountAddress).to.equal(await factory.getAddress(wallet.signer.address, 7));
+      expect(await wallet.isDeployed()).to.equal(false);
+    });
+
+    it("Should fill initCode only until the account exists", async function () {
+      await wallet.createAccount();
+
+      const initCode = await wallet.getInitCode();
+      expect(ethers.utils.hexDataSlice(initCode, 0, 20).toLowerCase())
+        .to.equal(factory.address.toLowerCase());
+
+      await factory.createAccount(wallet.signer.address, 0);
+      expect(await wallet.getInitCode()).to.equal("0x");
+    });
+
+    it("Should build a co-owner's initCode from the owner and salt it loads the account with", async function () {
+      const owner = ethers.Wallet.createRandom().address;
+      const accountAddress = await factory.getAddress(owner, 3);
+
+      // This signer's own counterfactual account lives elsewhere
+      wallet.loadAccount(accountAddress);
+      const error = await wallet.getInitCode().catch((e) => e);
+      expect(error.message)
+        .to.equal("Account is not deployed and its owner and salt are unknown: pass them to loadAccount");
+
+      wallet.loadAccount(accountAddress, { owner, salt: 3 });
+      expect(await wallet.getInitCode()).to.equal(ethers.utils.hexConcat([
+        factory.address,
+        factory.interface.encodeFunctionData("createAccount", [owner, 3])
+      ]));
+    });
+
+    it("Should deploy the account inside the first UserOperation", async function () {
+      const accountAddress = await wallet.createAccount();
+      await deployer.sendTransaction({ to: accountAddress, value: ethers.utils.parseEther("1") });
+
+      const amount = ethers.utils.parseEther("0.1");
+      const recipientBefore = await recipient.getBalance();
+      const receipt = await wallet.execute(recipient.address, amount, "0x");
+
+      const deployed = receipt.logs
+        .filter((log) => log.address === entryPoint.address)
+        .map((log) => entryPoint.interface.parseLog(log))
+        .find((event) => event.name === "AccountDeployed");
+      expect(deployed.args.sender).to.equal(accountAddress);
+      expect(deployed.args.factory).to.equal(factory.address);
+
+      expect(await wallet.isDeployed()).to.equal(true);
+      expect(await recipient.getBalance()).to.equal(recipientBefore.add(amount));
+      expect(await entryPoint.getNonce(accountAddress, 0)).to.equal(1);
+    });
+
+    it("Should deploy and run proposals with a JSON-RPC signer, as from a browser wallet", async function () {
+      // Like a Web3Provider signer it has no key and no address property
+      const injected = ethers.provider.getSigner(2);
+      const owner = await wallet.connect(injected);
+      const accountAddress = await wallet.createAccount();
+      expect(accountAddress).to.equal(await factory.getAddress(owner, 0));
+      await deployer.sendTransaction({ to: accountAddress, value: ethers.utils.parseEther("1") });
+
+      await wallet.installMultiSigPlugin([owner, recipient.address], 1);
+      expect(await wallet.isDeployed()).to.equal(true);
+      await wallet.submitMultiSigTransaction(recipient.address, 1, "0x");
+      expect((await wallet.getMultiSigTransaction(0)).status).to.equal("executable");
+    });
+
+    it("Should pay for deployment from an EntryPoint deposit", async function () {
+      const accountAddress = await wallet.createAccount();
+      await entryPoint.depositTo(accountAddress, { value: ethers.utils.parseEther("1") });
+
+      await wallet.execute(recipient.address, 0, "0x");
+
+      expect(await wallet.isDeployed()).to.equal(true);
+      expect(await ethers.provider.getBalance(accountAddress)).to.equal(0);
+      expect(await entryPoint.balanceOf(accountAddress)).to.be.lt(ethers.utils.parseEther("1"));
+    });
+  });
+
+  describe("Signing", function () {
+    beforeEach(async function () {
+      const accountAddress = await wallet.createAccount();
+      await deployer.sendTransaction({ to: accountAddress, value: ethers.utils.parseEther("1") });
+    });
+
+    it("Should compute the same userOpHash as the EntryPoint", async function () {
+      const userOp = await wallet.createUserOperation("0x");
+
+      expect(await wallet.getUserOpHash(userOp)).to.equal(await entryPoint.getUserOpHash(userOp));
+    });
+
+    it("Should validate ops signed with EIP-712 typed data", async function () {
+      wallet.signingMode = SIGNATURE_MODE_EIP712;
+      const amount = ethers.utils.parseEther("0.1");
+
+      const userOp = await wallet.createUserOperation(
+        new ethers.utils.Interface(["function execute(address to, uint256 value, bytes data)"])
+          .encodeFunctionData("execute", [recipient.address, amount, "0x"])
+      );
+      expect(ethers.utils.hexDataLength(userOp.signature)).to.equal(66);
+
+      const recipientBefore = await recipient.getBalance();
+      await wallet.sendUserOperation(userOp);
+      expect(await recipient.getBalance()).to.equal(recipientBefore.add(amount));
+    });
+
+    it("Should reject an EIP-712 signature from someone other than the owner", async function () {
+      wallet.signingMode = SIGNATURE_MODE_EIP712;
+      const userOp = await wallet.createUserOperation("0x");
+
+      const other = new SmartAccountWallet(
+        ethers.provider,
+        entryPoint.address,
+        factory.address,
+        multiSigPlugin.address,
+        { signingMode: SIGNATURE_MODE_EIP712 }
+      );
+      await other.init(ethers.Wallet.createRandom().privateKey);
+      userOp.signature = await other.signUserOperation(userOp);
+
+      await expect(wallet.sendUserOperation(userOp)).to.be.reverted;
+    });
+  });
+
+  describe("Sending", function () {
+    beforeEach(async function () {
+      const accountAddress = await wallet.createAccount();
+      await deployer.sendTransaction({ to: accountAddress, value: ethers.utils.parseEther("1") });
+    });
+
+    it("Should throw with the receipt and reason when an included op's call reverts", async function () {
+      const withdraw = entryPoint.interface.encodeFunctionData("withdrawTo", [
+        recipient.address,
+        ethers.utils.parseEther("100")
+      ]);
+      const userOp = await wallet.createUserOperation(
+        new ethers.utils.Interface(["function execute(address to, uint256 value, bytes data)"])
+          .encodeFunctionData("execute", [entryPoint.address, 0, withdraw]),
+        { callGasLimit: 100000 }
+      );
+
+      const error = await wallet.sendUserOperation(userOp).catch((e) => e);
+      expect(error).to.be.instanceOf(UserOperationRevertedError);
+      expect(error.reason).to.equal("Insufficient deposit");
+      expect(error.userOpHash).to.equal(await entryPoint.getUserOpHash(userOp));
+      expect(error.receipt.status).to.equal(1);
+
+      // The op was included all the same: its nonce is used
+      expect(await entryPoint.getNonce(wallet.accountAddress, 0)).to.equal(userOp.nonce.add(1));
+    });
+
+    it("Should throw when the transaction has no UserOperationEvent for the op", async function () {
+      const userOp = await wallet.createUserOperation("0x");
+      const userOpHash = await entryPoint.getUserOpHash(userOp);
+      const receipt = await (await deployer.sendTransaction({ to: recipient.address, value: 1 })).wait();
+
+      expect(() => wallet.checkUserOperationReceipt(userOpHash, receipt)).to.throw(
+        `No UserOperationEvent for ${userOpHash} from EntryPoint ${entryPoint.address} in transaction ${receipt.transactionHash}`
+      );
+    });
+  });
+
+  describe("Gas estimation and fees", function () {
+    const executeInterface = new ethers.utils.Interface([
+      "function execute(address to, uint256 value, bytes data)"
+    ]);
+
+    beforeEach(async function () {
+      await factory.createAccount(wallet.signer.address, 0);
+      await wallet.createAccount();
+      await deployer.sendTransaction({ to: wallet.accountAddress, value: ethers.utils.parseEther("1") });
+    });
+
+    it("Should price fees from the eth_feeHistory reward percentile", async function () {
+      // Automining puts each transaction in its own block, so each block's percentile is its tip
+      for (const tip of ["1", "5", "3"]) {
+        await deployer.sendTransaction({
+          to: recipient.address,
+          value: 1,
+          maxPriorityFeePerGas: ethers.utils.parseUnits(tip, "gwei"),
+          maxFeePerGas: ethers.utils.parseUnits("100", "gwei")
+        });
+      }
+
+      const fees = await getFeeData(ethers.provider, { blockCount: 3, rewardPercentile: 50 });
+      const history = await ethers.provider.send("eth_feeHistory", ["0x1", "latest", [50]]);
+      expect(fees.maxPriorityFeePerGas).to.equal(ethers.utils.parseUnits("3", "gwei"));
+      expect(fees.maxFeePerGas).to.equal(
+        ethers.BigNumber.from(history.baseFeePerGas[1]).mul(2).add(fees.maxPriorityFeePerGas)
+      );
+
+      wallet.feeConfig = { blockCount: 3, minPriorityFeePerGas: ethers.utils.parseUnits("4", "gwei") };
+      const userOp = await wallet.createUserOperation("0x");
+      expect(userOp.maxPriorityFeePerGas).to.equal(ethers.utils.parseUnits("4", "gwei"));
+    });
+
+    it("Should keep every field the caller passes in options", async function () {
+      const overrides = {
+        callGasLimit: 11111,
+        verificationGasLimit: 22222,
+        preVerificationGas: 33333,
+        maxFeePerGas: 44444,
+        maxPriorityFeePerGas: 5555
+      };
+      const userOp = await wallet.createUserOperation("0x", overrides);
+
+      for (const [field, value] of Object.entries(overrides)) {
+        expect(userOp[field]).to.equal(value);
+      }
+    });
+
+    it("Should compute a preVerificationGas the bundler accepts", async function () {
+      const callData = executeInterface.encodeFunctionData("execute", [recipient.address, 1, "0x"]);
+      const userOp = await wallet.createUserOperation(callData);
+
+      const required = calcPreVerificationGas(userOp);
+      expect(userOp.preVerificationGas).to.be.gte(required);
+      expect(userOp.preVerificationGas).to.be.lte(Math.ceil(required * 1.01));
+    });
+
+    it("Should size verification gas for MultiSigPlugin validation", async function () {
+      const coOwner = ethers.Wallet.createRandom();
+      const owners = [wallet.signer.address, coOwner.address, ethers.Wallet.createRandom().address];
+      const callData = executeInterface.encodeFunctionData("execute", [
+        recipient.address,
+        ethers.utils.parseEther("0.1"),
+        "0x"
+      ]);
+
+      const ownerOp = await wallet.createUserOperation(callData);
+      expect(ownerOp.verificationGasLimit).to.equal(VALIDATION_GAS.owner);
+
+      await wallet.installMultiSigPlugin(owners, 2);
+      const userOp = await wallet.createUserOperation(callData, { sign: false });
+      expect(userOp.verificationGasLimit).to.equal(
+        VALIDATION_GAS.multiSigBase + 2 * VALIDATION_GAS.multiSigPerSignature
+      );
+
+      await wallet.collectMultiSigSignatures(userOp, [wallet.signer, coOwner]);
+      const recipientBefore = await recipient.getBalance();
+      await wallet.sendUserOperation(userOp);
+      expect(await recipient.getBalance()).to.equal(recipientBefore.add(ethers.utils.parseEther("0.1")));
+    });
+  });
+
+  describe("Plugins", function () {
+    it("Should read the manifest and check it against the account before installing", async function () {
+      await wallet.createAccount();
+      await deployer.sendTransaction({ to: wallet.accountAddress, value: ethers.utils.parseEther("1") });
+      const executeSelector = new ethers.utils.Interface([
+        "function execute(address to, uint256 value, bytes data)"
+      ]).getSighash("execute");
+
+      const manifest = await wallet.getPluginManifest(multiSigPlugin.address);
+      expect(manifest.validationFunctions).to.include(executeSelector);
+      expect(await wallet.getInstalledPlugins()).to.deep.equal([]);
+
+      // The first op deploys the account and installs the plugin
+      await wallet.installMultiSigPlugin([wallet.signer.address], 1);
+      expect(await wallet.getInstalledPlugins()).to.deep.equal([multiSigPlugin.address]);
+
+      const SessionKeyPlugin = await ethers.getContractFactory("SessionKeyPlugin");
+      const sessionKeyPlugin = await SessionKeyPlugin.deploy();
+      const conflict = await wallet.installPlugin(sessionKeyPlugin.address).catch((e) => e);
+      expect(conflict.message).to.equal(`Selector ${executeSelector} is already validated by ${multiSigPlugin.address}`);
+
+      const notAPlugin = await wallet.installPlugin(recipient.address).catch((e) => e);
+      expect(notAPlugin.message).to.equal(`${recipient.address} does not support IPlugin`);
+    });
+  });
+});
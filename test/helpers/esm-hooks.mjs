@@ -0,0 +1,25 @@
+// Module hooks that let the Hardhat test suite import the frontend SDK.
+// frontend/src is plain ESM compiled by react-scripts, so Node has to be told
+// to treat its .js files as modules and to resolve extensionless imports.
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+const FRONTEND_SRC = '/frontend/src/';
+
+export async function resolve(specifier, context, nextResolve) {
+  const fromFrontend = context.parentURL && context.parentURL.includes(FRONTEND_SRC);
+  if (fromFrontend && specifier.startsWith('.') && !/\.[cm]?js$/.test(specifier)) {
+    const candidate = new URL(`${specifier}.js`, context.parentURL);
+    if (existsSync(fileURLToPath(candidate))) {
+      return nextResolve(`${specifier}.js`, context);
+    }
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.includes(FRONTEND_SRC) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,59 @@
+const { ethers } = require("hardhat");
+
+// keccak256(abi.encode(manifest)), the manifestHash installPlugin checks
+async function getManifestHash(plugin) {
+  const manifestType = plugin.interface.getFunction("pluginManifest").outputs[0];
+  return ethers.utils.keccak256(
+    ethers.utils.defaultAbiCoder.encode([manifestType], [await plugin.pluginManifest()])
+  );
+}
+
+// Calldata for an account to install the plugin on itself (installPlugin is onlySelf)
+async function encodeInstallPlugin(plugin, installData = "0x", dependencies = []) {
+  const { interface: accountInterface } = await ethers.getContractFactory("ModularSmartAccount");
+  return accountInterface.encodeFunctionData("installPlugin", [
+    plugin.address,
+    await getManifestHash(plugin),
+    installData,
+    dependencies
+  ]);
+}
+
+// config: "0x" to have the account read the manifest from the plugin, or abi.encode(manifest)
+function encodeUninstallPlugin(plugin, uninstallData = "0x", config = "0x") {
+  return new ethers.utils.Interface([
+    "function uninstallPlugin(address plugin, bytes config, bytes pluginUninstallData)"
+  ]).encodeFunctionData("uninstallPlugin", [plugin.address, config, uninstallData]);
+}
+
+// MultiSigPlugin, linked to freshly deployed copies of its libraries
+async function deployMultiSigPlugin() {
+  const libraries = {};
+  for (const name of ["ThresholdPolicies", "WeightedOwners"]) {
+    const library = await (await ethers.getContractFactory(name)).deploy();
+    libraries[name] = library.address;
+  }
+  const MultiSigPlugin = await ethers.getContractFactory("MultiSigPlugin", { libraries });
+  const plugin = await MultiSigPlugin.deploy();
+  await plugin.deployed();
+  return plugin;
+}
+
+// Account calls made by its owner directly (execute accepts the owner as caller)
+async function callAccount(account, owner, data) {
+  return account.connect(owner).execute(account.address, 0, data);
+}
+
+// A call from the account to one of the plugin's functions, made by the account's owner
+async function callPlugin(account, owner, plugin, method, args = []) {
+  return account.connect(owner).execute(plugin.address, 0, plugin.interface.encodeFunctionData(method, args));
+}
+
+module.exports = {
+  getManifestHash,
+  encodeInstallPlugin,
+  encodeUninstallPlugin,
+  deployMultiSigPlugin,
+  callAccount,
+  callPlugin
+};
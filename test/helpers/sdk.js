@@ -0,0 +1,14 @@
+const path = require("path");
+const { register } = require("module");
+const { pathToFileURL } = require("url");
+
+register("./esm-hooks.mjs", pathToFileURL(__filename));
+
+const SDK_DIR = path.join(__dirname, "..", "..", "frontend", "src", "utils");
+
+// Import a module of the wallet SDK (frontend/src/utils) from a CommonJS test
+function loadSdk(name = "wallet") {
+  return import(pathToFileURL(path.join(SDK_DIR, `${name}.js`)).href);
+}
+
+module.exports = { loadSdk };
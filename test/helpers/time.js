@@ -0,0 +1,9 @@
+const { ethers } = require("hardhat");
+
+// Moves the chain's clock forward and mines a block at the new time
+async function increaseTime(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+}
+
+module.exports = { increaseTime };
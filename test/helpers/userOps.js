@@ -0,0 +1,28 @@
+const { ethers } = require("hardhat");
+
+// Unsigned UserOperation from `sender` at its current EntryPoint nonce; overrides replace any field
+async function buildUserOp(entryPoint, sender, callData, overrides = {}) {
+  return {
+    sender,
+    nonce: await entryPoint.getNonce(sender, 0),
+    initCode: "0x",
+    callData,
+    callGasLimit: 200000,
+    verificationGasLimit: 150000,
+    preVerificationGas: 50000,
+    maxFeePerGas: ethers.utils.parseUnits("2", "gwei"),
+    maxPriorityFeePerGas: ethers.utils.parseUnits("1", "gwei"),
+    paymasterAndData: "0x",
+    signature: "0x",
+    ...overrides
+  };
+}
+
+// Signs the op's userOpHash with eth_sign, as the account expects from its owner
+async function signUserOp(entryPoint, userOp, signer) {
+  const userOpHash = await entryPoint.getUserOpHash(userOp);
+  userOp.signature = await signer.signMessage(ethers.utils.arrayify(userOpHash));
+  return userOp;
+}
+
+module.exports = { buildUserOp, signUserOp };